@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// ============================================================================
+// BUILD-BROWSER - CLASSIC-SCRIPT (UMD) BUILD OF THE LIB MODULES
+// ============================================================================
+//
+// Writes lib/railway-calendar.umd.js, a plain <script> that sets the globals
+// index.html reads (window.RailwayDateAPI, RailwayIcs, RailwayRoster,
+// RailwayLeave, RailwayViewExport, RailwayNotation), so the page works when
+// opened straight from disk as well as from a web server. Under CommonJS it
+// exports the same object instead. Run it after changing anything in lib/:
+//
+//   node bin/build-browser.mjs           # rewrite lib/railway-calendar.umd.js
+//   node bin/build-browser.mjs --check   # fail if the build is out of date
+//
+// No bundler is needed: the modules only use single-line named imports from
+// each other and `export const`, `export { ... }` and `export default`.
+//
+// Exit codes: 0 success, 1 build out of date (--check), 2 unsupported syntax.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const LIB = fileURLToPath(new URL('../lib/', import.meta.url));
+const OUTPUT = 'railway-calendar.umd.js';
+
+// Dependencies before the modules that import them
+const MODULES = [
+  'bank-holidays-data.mjs',
+  'astronomy.mjs',
+  'festival-calendars.mjs',
+  'locations.mjs',
+  'railway-date-api.mjs',
+  'ics.mjs',
+  'roster.mjs',
+  'leave.mjs',
+  'view-export.mjs',
+  'notation.mjs'
+];
+
+// The globals index.html reads, by module
+const GLOBALS = {
+  RailwayDateAPI: 'railway-date-api.mjs',
+  RailwayIcs: 'ics.mjs',
+  RailwayRoster: 'roster.mjs',
+  RailwayLeave: 'leave.mjs',
+  RailwayViewExport: 'view-export.mjs',
+  RailwayNotation: 'notation.mjs'
+};
+
+const fail = (message) => {
+  console.error(`build-browser: ${message}`);
+  process.exit(2);
+};
+
+// A module's source as a function body returning its named exports
+const wrapModule = (file) => {
+  const exported = [];
+  const body = readFileSync(LIB + file, 'utf8')
+    .replace(/^import \{([^}]+)\} from '\.\/([\w-]+\.mjs)';$/gm, (line, names, from) => {
+      if (!MODULES.slice(0, MODULES.indexOf(file)).includes(from)) fail(`${file} imports ${from} before it is built`);
+      return `const {${names}} = modules['${from}'];`;
+    })
+    .replace(/^export const \{([^}]+)\} =/gm, (line, names) => {
+      exported.push(...names.split(',').map(name => name.trim()).filter(Boolean));
+      return `const {${names}} =`;
+    })
+    .replace(/^export const (\w+)/gm, (line, name) => {
+      exported.push(name);
+      return `const ${name}`;
+    })
+    .replace(/^export \{([^}]+)\};$/gm, (line, names) => {
+      exported.push(...names.split(',').map(name => name.trim()));
+      return '';
+    })
+    .replace(/^export default \w+;$/gm, '');
+  const leftover = /^(import|export)\b.*$/m.exec(body);
+  if (leftover) fail(`${file}: cannot convert "${leftover[0]}"`);
+  return `  modules['${file}'] = (() => {\n${body.trimEnd()}\n\n  return { ${exported.join(', ')} };\n  })();`;
+};
+
+const build = () => `// Generated by bin/build-browser.mjs from lib/*.mjs - do not edit; rebuild instead.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else Object.assign(root, factory());
+}(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+  const modules = {};
+
+${MODULES.map(wrapModule).join('\n\n')}
+
+  return {
+${Object.entries(GLOBALS).map(([name, file]) => `    ${name}: modules['${file}'].${name}`).join(',\n')}
+  };
+}));
+`;
+
+const output = build();
+if (process.argv.includes('--check')) {
+  let current = '';
+  try {
+    current = readFileSync(LIB + OUTPUT, 'utf8');
+  } catch (err) {
+    // A missing build is out of date
+  }
+  if (current !== output) {
+    console.error(`lib/${OUTPUT} is out of date: run node bin/build-browser.mjs`);
+    process.exit(1);
+  }
+  console.log(`lib/${OUTPUT} is up to date`);
+} else {
+  writeFileSync(LIB + OUTPUT, output);
+  console.log(`Wrote lib/${OUTPUT}`);
+}
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// ============================================================================
+// RAILWEEK - COMMAND-LINE RAILWAY WEEK LOOKUPS
+// ============================================================================
+//
+// Thin command-line wrapper around lib/railway-date-api.mjs.
+//
+//   node bin/railweek.mjs today
+//   node bin/railweek.mjs from-date 2026-02-14
+//   node bin/railweek.mjs to-date 2026/27 14 Thu
+//   node bin/railweek.mjs period 2026 9 --json
+//
+// Exit codes: 0 success, 1 invalid input, 2 usage error.
+
+import { readFileSync } from 'node:fs';
+import { RailwayDateAPI } from '../lib/railway-date-api.mjs';
+import { RailwayIcs } from '../lib/ics.mjs';
+
+const USAGE = `Usage: railweek <command> [arguments] [--json]
+
+Commands:
+  today                      Rail week for today
+  from-date <date>           Rail week for a date (YYYY-MM-DD or DD/MM/YYYY)
+  to-date <RY> <week> [day]  Dates of a rail week, or one day of it (1-7 or Sat-Fri)
+  period <RY> <P>            Start and end of a period
+  year <RY>                  Every period of a railway year
+  holidays <year>            Bank holidays and events for a calendar year
+  ics <RY> [<toRY>]          iCalendar (.ics) file of weeks, periods, paydays and holidays
+
+Railway years may be written as 2026 or 2026/27.
+
+Options:
+  --json                     Machine-readable JSON output
+  --include <list>           Categories for ics (default all: ${RailwayIcs.ICS_CATEGORIES.join(',')})
+  --profile <id>             Calendar profile (default networkRail; one of ${RailwayDateAPI.getProfiles().map(p => p.id).join(', ')})
+  --region <id>              Bank holiday region for holidays and ics (default englandAndWales; one of ${RailwayDateAPI.getRegions().map(r => r.id).join(', ')})
+  --bank-holidays <file>     Official bank holidays in gov.uk bank-holidays.json format (replaces the bundled copy)
+  -h, --help                 Show this help`;
+
+class InputError extends Error {}
+class UsageError extends Error {}
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+const parseDate = (value) => {
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    if (!match) throw new InputError(`Invalid date "${value}" (expected YYYY-MM-DD or DD/MM/YYYY)`);
+    [, day, month, year] = match.map(Number);
+  }
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new InputError(`Invalid date "${value}" (no such day)`);
+  }
+  return date;
+};
+
+const parseRailwayYear = (value) => {
+  const match = /^(\d{4})(?:\/(\d{2}))?$/.exec(value || '');
+  if (!match) throw new InputError(`Invalid railway year "${value}" (expected e.g. 2026 or 2026/27)`);
+  const railwayYear = Number(match[1]);
+  if (match[2] && match[2] !== String(railwayYear + 1).slice(-2)) {
+    throw new InputError(`Invalid railway year "${value}" (${match[2]} does not follow ${railwayYear})`);
+  }
+  return railwayYear;
+};
+
+const parseInteger = (value, label, min, max) => {
+  if (!/^\d+$/.test(value || '')) throw new InputError(`Invalid ${label} "${value}" (expected a number)`);
+  const number = Number(value);
+  if (number < min || number > max) throw new InputError(`${label[0].toUpperCase()}${label.slice(1)} ${number} is out of range (${min}-${max})`);
+  return number;
+};
+
+const parseDayOfRailWeek = (value, profile) => {
+  const byName = RailwayDateAPI.getRailWeekDayNames(profile).findIndex(name => name.toLowerCase().startsWith(value.toLowerCase()) && value.length >= 3);
+  if (byName !== -1) return byName + 1;
+  return parseInteger(value, 'day', 1, 7);
+};
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+const pad = (n) => n.toString().padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const longDate = (date) => date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+const railwayYearDisplay = (railwayYear) => `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`;
+
+const describeDate = (date, profile) => {
+  const info = RailwayDateAPI.dateToRailway(date, profile);
+  return {
+    date: isoDate(date),
+    railwayYear: info.railwayYearDisplay,
+    railWeek: info.railWeek,
+    totalWeeks: info.totalWeeks,
+    period: info.period,
+    weekInPeriod: info.weekInPeriod,
+    dayOfRailWeek: info.dayOfRailWeek,
+    dayName: info.dayName
+  };
+};
+
+const formatDescription = (d) =>
+  `${longDate(parseDate(d.date))}: RY ${d.railwayYear} Week ${d.railWeek} of ${d.totalWeeks} ` +
+  `(P${d.period} W${d.weekInPeriod}, day ${d.dayOfRailWeek} ${d.dayName})`;
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+const commands = {
+  today: (args, profile) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const result = describeDate(today, profile);
+    return { result, text: formatDescription(result) };
+  },
+
+  'from-date': ([value], profile) => {
+    if (!value) throw new UsageError('from-date needs a date');
+    const result = describeDate(parseDate(value), profile);
+    return { result, text: formatDescription(result) };
+  },
+
+  'to-date': ([ry, week, day], profile) => {
+    if (!ry || !week) throw new UsageError('to-date needs a railway year and a week');
+    const railwayYear = parseRailwayYear(ry);
+    const railWeek = parseInteger(week, 'week', 1, RailwayDateAPI.getTotalWeeks(railwayYear, profile));
+    const { startDate, endDate } = RailwayDateAPI.railwayToDateRange(railwayYear, railWeek, profile);
+    if (day !== undefined) {
+      const date = new Date(startDate);
+      date.setDate(date.getDate() + parseDayOfRailWeek(day, profile) - 1);
+      const result = describeDate(date, profile);
+      return { result, text: formatDescription(result) };
+    }
+    const result = { railwayYear: railwayYearDisplay(railwayYear), railWeek, startDate: isoDate(startDate), endDate: isoDate(endDate) };
+    return { result, text: `RY ${result.railwayYear} Week ${railWeek}: ${longDate(startDate)} — ${longDate(endDate)}` };
+  },
+
+  period: ([ry, p], profile) => {
+    if (!ry || !p) throw new UsageError('period needs a railway year and a period');
+    const railwayYear = parseRailwayYear(ry);
+    const periods = RailwayDateAPI.getPeriodCount(railwayYear, profile);
+    const period = parseInteger(String(p).replace(/^p/i, ''), 'period', 1, periods);
+    const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
+    const result = { railwayYear: railwayYearDisplay(railwayYear), period, startWeek, endWeek, startDate: isoDate(startDate), endDate: isoDate(endDate) };
+    return {
+      result,
+      text: `RY ${result.railwayYear} P${period} (weeks ${startWeek}-${endWeek}): ${longDate(startDate)} — ${longDate(endDate)}`
+    };
+  },
+
+  year: ([ry], profile) => {
+    if (!ry) throw new UsageError('year needs a railway year');
+    const railwayYear = parseRailwayYear(ry);
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    const periods = Array.from({ length: RailwayDateAPI.getPeriodCount(railwayYear, profile) }, (_, i) => {
+      const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, i + 1, profile);
+      return { period: i + 1, startWeek, endWeek, startDate: isoDate(startDate), endDate: isoDate(endDate) };
+    });
+    const result = {
+      railwayYear: railwayYearDisplay(railwayYear),
+      totalWeeks,
+      isLongYear: RailwayDateAPI.isLongYear(railwayYear, profile),
+      startDate: periods[0].startDate,
+      endDate: periods[periods.length - 1].endDate,
+      periods
+    };
+    const lines = [
+      `Railway Year ${result.railwayYear}: ${result.startDate} — ${result.endDate} (${totalWeeks} weeks${result.isLongYear ? ', long year' : ''})`,
+      ...periods.map(p => `  P${pad(p.period)}  W${pad(p.startWeek)}-W${pad(p.endWeek)}  ${p.startDate} — ${p.endDate}`)
+    ];
+    return { result, text: lines.join('\n') };
+  },
+
+  holidays: ([value], profile, options) => {
+    if (!/^\d{4}$/.test(value || '')) throw new InputError(`Invalid year "${value}" (expected e.g. 2026)`);
+    const holidays = RailwayDateAPI.getUKBankHolidays(Number(value), options.region)
+      .sort((a, b) => a.date - b.date)
+      .map(h => ({
+        date: isoDate(h.date),
+        name: h.name,
+        type: h.type,
+        regions: RailwayDateAPI.describeHolidayRegions(h),
+        ...describeDate(h.date, profile)
+      }));
+    const result = holidays.map(({ date, name, type, regions, railwayYear, railWeek }) => ({ date, name, type, regions, railwayYear, railWeek }));
+    const text = holidays
+      .map(h => `${h.date}  W${pad(h.railWeek)}  ${h.type.padEnd(9)}  ${h.name}${h.regions ? ` (${h.regions})` : ''}`)
+      .join('\n');
+    return { result, text };
+  },
+  ics: ([from, to], profile, options) => {
+    if (!from) throw new UsageError('ics needs a railway year');
+    const fromRailwayYear = parseRailwayYear(from);
+    const toRailwayYear = to ? parseRailwayYear(to) : fromRailwayYear;
+    if (toRailwayYear < fromRailwayYear) throw new InputError(`Railway year ${to} is before ${from}`);
+    let include = {};
+    if (options.include) {
+      const wanted = options.include.split(',').map(category => category.trim());
+      const unknown = wanted.filter(category => !RailwayIcs.ICS_CATEGORIES.includes(category));
+      if (unknown.length > 0) throw new InputError(`Unknown ics categories: ${unknown.join(', ')}`);
+      include = Object.fromEntries(RailwayIcs.ICS_CATEGORIES.map(category => [category, wanted.includes(category)]));
+    }
+    const ics = RailwayIcs.exportRailwayCalendar({ fromRailwayYear, toRailwayYear, profile, region: options.region, include });
+    return { result: { ics }, text: ics.trimEnd() };
+  }
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+// Pull "--name value" out of the argument list
+const takeOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  if (value === undefined) throw new UsageError(`${name} needs a value`);
+  return value;
+};
+
+// Swap in an updated gov.uk bank-holidays.json
+const loadBankHolidays = (file) => {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new InputError(`Cannot read bank holidays from "${file}" (${err.message})`);
+  }
+  try {
+    RailwayDateAPI.loadBankHolidayData(data);
+  } catch (err) {
+    throw new InputError(`Invalid bank holidays in "${file}": ${err.message}`);
+  }
+};
+
+const main = (argv) => {
+  const json = argv.includes('--json');
+  const args = argv.filter(arg => arg !== '--json');
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    console.log(USAGE);
+    return args.length === 0 ? 2 : 0;
+  }
+
+  try {
+    const profileId = takeOption(args, '--profile');
+    const options = { include: takeOption(args, '--include'), region: takeOption(args, '--region') };
+    if (profileId && !RailwayDateAPI.getProfiles().some(p => p.id === profileId)) {
+      throw new InputError(`Unknown calendar profile "${profileId}"`);
+    }
+    if (options.region && !RailwayDateAPI.getRegions().some(r => r.id === options.region)) {
+      throw new InputError(`Unknown bank holiday region "${options.region}"`);
+    }
+    const bankHolidaysFile = takeOption(args, '--bank-holidays');
+    if (bankHolidaysFile) loadBankHolidays(bankHolidaysFile);
+    const profile = RailwayDateAPI.getProfile(profileId);
+    const [name, ...rest] = args;
+    const command = commands[name];
+    if (!command) throw new UsageError(`Unknown command "${name}"`);
+    const { result, text } = command(rest, profile, options);
+    console.log(json ? JSON.stringify(result, null, 2) : text);
+    return 0;
+  } catch (err) {
+    if (json) {
+      console.error(JSON.stringify({ error: err.message }));
+    } else {
+      console.error(`railweek: ${err.message}`);
+      if (err instanceof UsageError) console.error(`\n${USAGE}`);
+    }
+    if (err instanceof UsageError) return 2;
+    if (err instanceof InputError) return 1;
+    throw err;
+  }
+};
+
+process.exitCode = main(process.argv.slice(2));
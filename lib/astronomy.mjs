@@ -0,0 +1,422 @@
+// ============================================================================
+// ASTRONOMY
+// ============================================================================
+//
+// Sun and Moon positions and lunar phase times after Jean Meeus,
+// "Astronomical Algorithms" (2nd ed.). Shared by the festival calendars and
+// the moon/daylight helpers; like the rest of lib/ it has no DOM dependency.
+//
+//   import { getPhaseTime } from './lib/astronomy.mjs';
+//   getPhaseTime(getLunation(new Date(2026, 9, 19)), 0.5); // Date of the full moon (an instant)
+//
+// Julian days here are UT; Meeus' phase series (in TT) is corrected by ΔT.
+// Accuracy is a minute or two for phase times and about 0.01° for the Sun
+// and Moon longitudes - ample for deciding which day something falls on.
+
+const DAY_MS = 86400000;
+const UNIX_EPOCH_JD = 2440587.5;
+
+const rad = (degrees) => degrees * Math.PI / 180;
+const sin = (degrees) => Math.sin(rad(degrees));
+const cos = (degrees) => Math.cos(rad(degrees));
+
+export const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Julian day (UT) of an instant
+ */
+export const toJulianDay = (date) => date.getTime() / DAY_MS + UNIX_EPOCH_JD;
+
+/**
+ * Instant of a Julian day (UT)
+ */
+export const fromJulianDay = (jd) => new Date(Math.round((jd - UNIX_EPOCH_JD) * DAY_MS));
+
+/**
+ * ΔT = TT - UT in seconds (Espenak & Meeus polynomials, 1986-2150)
+ */
+const deltaT = (year) => {
+  if (year < 2005) {
+    const t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year < 2050) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u ** 2 - 0.5628 * (2150 - year);
+};
+
+const centuries = (jd) => (jd - 2451545) / 36525;
+
+/**
+ * Apparent geocentric longitude of the Sun in degrees (Meeus ch. 25)
+ */
+export const getSunLongitude = (jd) => {
+  const T = centuries(jd);
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T ** 2;
+  const M = 357.52911 + 35999.05029 * T - 0.0001537 * T ** 2;
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T ** 2) * sin(M) +
+    (0.019993 - 0.000101 * T) * sin(2 * M) +
+    0.000289 * sin(3 * M);
+  const omega = 125.04 - 1934.136 * T;
+  return normalizeDegrees(L0 + C - 0.00569 - 0.00478 * sin(omega));
+};
+
+// Periodic terms for the Moon's longitude and distance:
+// [D, M, M', F, longitude × 1e-6°, distance × 0.001 km] (Meeus table 47.A,
+// longitude terms above 0.002°)
+const MOON_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0]
+];
+
+// Periodic terms for the Moon's latitude: [D, M, M', F, × 1e-6°] (Meeus table 47.B, above 0.001°)
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+  [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+  [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833]
+];
+
+/**
+ * Geocentric position of the Moon (Meeus ch. 47, main terms)
+ * Returns { longitude, latitude } in degrees and distance in km.
+ */
+export const getMoonPosition = (jd) => {
+  const T = centuries(jd);
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 + T ** 3 / 538841;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 + T ** 3 / 545868;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 + T ** 3 / 69699;
+  const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2;
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const A1 = 119.75 + 131.849 * T;
+  const A3 = 313.45 + 481266.484 * T;
+  let sumL = 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(53.09 + 479264.29 * T);
+  let sumR = 0;
+  MOON_TERMS.forEach(([d, m, mp, f, longitude, distance]) => {
+    const argument = d * D + m * M + mp * Mp + f * F;
+    const eccentricity = E ** Math.abs(m);
+    sumL += longitude * eccentricity * sin(argument);
+    sumR += distance * eccentricity * cos(argument);
+  });
+  const sumB = MOON_LATITUDE_TERMS.reduce((total, [d, m, mp, f, coefficient]) =>
+    total + coefficient * E ** Math.abs(m) * sin(d * D + m * M + mp * Mp + f * F),
+  -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp));
+  return {
+    longitude: normalizeDegrees(Lp + sumL / 1e6),
+    latitude: sumB / 1e6,
+    distance: 385000.56 + sumR / 1000
+  };
+};
+
+/**
+ * Geocentric longitude of the Moon in degrees
+ */
+export const getMoonLongitude = (jd) => getMoonPosition(jd).longitude;
+
+/**
+ * Moon's elongation east of the Sun in degrees: 0 new, 90 first quarter, 180 full
+ */
+export const getLunarElongation = (jd) => normalizeDegrees(getMoonLongitude(jd) - getSunLongitude(jd));
+
+/**
+ * Julian day when the Sun's apparent longitude next reaches a value, searching from jd
+ */
+export const getSolarLongitudeTime = (longitude, jd) => {
+  let estimate = jd + normalizeDegrees(longitude - getSunLongitude(jd)) * 365.2422 / 360;
+  for (let i = 0; i < 5; i++) {
+    const error = ((getSunLongitude(estimate) - longitude + 540) % 360) - 180;
+    estimate -= error * 365.2422 / 360;
+  }
+  return estimate;
+};
+
+/**
+ * Lunation number (Meeus' k, new moon of 6 January 2000 = 0) of the last new moon on or before a date
+ */
+export const getLunation = (date) => {
+  let k = Math.floor((toJulianDay(date) - 2451550.09766) / 29.530588861);
+  if (toJulianDay(getPhaseTime(k + 1, 0)) <= toJulianDay(date)) k++;
+  return k;
+};
+
+// New moon corrections: [coefficient, E power, M, M', F, Ω]. Full moons use
+// the same arguments with slightly different leading coefficients.
+const NEW_MOON_TERMS = [
+  [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+  [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+  [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+  [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+  [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+  [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+  [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+  [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+  [0.00002, 0, 0, 4, 0, 0]
+];
+
+const FULL_MOON_TERMS = NEW_MOON_TERMS.map((term, i) =>
+  [[-0.40614, 0.17302, 0.01614, 0.01043, 0.00734, -0.00515, 0.00209][i] ?? term[0], ...term.slice(1)]);
+
+const QUARTER_TERMS = [
+  [-0.62801, 0, 0, 1, 0, 0], [0.17172, 1, 1, 0, 0, 0], [-0.01183, 1, 1, 1, 0, 0],
+  [0.00862, 0, 0, 2, 0, 0], [0.00804, 0, 0, 0, 2, 0], [0.00454, 1, -1, 1, 0, 0],
+  [0.00204, 2, 2, 0, 0, 0], [-0.00180, 0, 0, 1, -2, 0], [-0.00070, 0, 0, 1, 2, 0],
+  [-0.00040, 0, 0, 3, 0, 0], [-0.00034, 1, -1, 2, 0, 0], [0.00032, 1, 1, 0, 2, 0],
+  [0.00032, 1, 1, 0, -2, 0], [-0.00028, 2, 2, 1, 0, 0], [0.00027, 1, 1, 2, 0, 0],
+  [-0.00017, 0, 0, 0, 0, 1], [-0.00005, 0, -1, 1, -2, 0], [0.00004, 0, 0, 2, 2, 0],
+  [-0.00004, 0, 1, 1, 2, 0], [0.00004, 0, -2, 1, 0, 0], [0.00003, 0, 1, 1, -2, 0],
+  [0.00003, 0, 3, 0, 0, 0], [0.00002, 0, 0, 2, -2, 0], [0.00002, 0, -1, 1, 2, 0],
+  [-0.00002, 0, 1, 3, 0, 0]
+];
+
+// Planetary arguments [A0, rate per lunation, coefficient] (A1 also has a T² term)
+const PLANETARY_TERMS = [
+  [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165], [251.83, 26.651886, 0.000164],
+  [349.42, 36.412478, 0.000126], [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+  [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056], [34.52, 27.261239, 0.000047],
+  [207.19, 0.121824, 0.000042], [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+  [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+];
+
+/**
+ * Instant of a principal moon phase (Meeus ch. 49)
+ * lunation is Meeus' integer k; phase is 0 new, 0.25 first quarter,
+ * 0.5 full or 0.75 last quarter.
+ */
+export const getPhaseTime = (lunation, phase) => {
+  const k = lunation + phase;
+  const T = k / 1236.85;
+  let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T ** 2 - 0.00000015 * T ** 3 + 0.00000000073 * T ** 4;
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const M = 2.5534 + 29.1053567 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3;
+  const Mp = 201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4;
+  const F = 160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4;
+  const omega = 124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3;
+
+  const terms = phase === 0 ? NEW_MOON_TERMS : phase === 0.5 ? FULL_MOON_TERMS : QUARTER_TERMS;
+  jde += terms.reduce((total, [coefficient, ePower, m, mp, f, o]) =>
+    total + coefficient * E ** ePower * sin(m * M + mp * Mp + f * F + o * omega), 0);
+  if (phase === 0.25 || phase === 0.75) {
+    const W = 0.00306 - 0.00038 * E * cos(M) + 0.00026 * cos(Mp) - 0.00002 * cos(Mp - M) + 0.00002 * cos(Mp + M) + 0.00002 * cos(2 * F);
+    jde += phase === 0.25 ? W : -W;
+  }
+  jde += PLANETARY_TERMS.reduce((total, [a0, rate, coefficient], i) =>
+    total + coefficient * sin(a0 + rate * k - (i === 0 ? 0.009173 * T ** 2 : 0)), 0);
+
+  const year = 2000 + k / 12.3685;
+  return fromJulianDay(jde - deltaT(year) / 86400);
+};
+
+/**
+ * Calendar date (local midnight) of an instant in a fixed UTC offset, in hours
+ */
+export const dateAtOffset = (instant, offsetHours) => {
+  const shifted = new Date(instant.getTime() + offsetHours * 3600000);
+  return new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+};
+
+// ============================================================================
+// UK LOCAL TIME
+// ============================================================================
+//
+// Europe/London: GMT, or BST (GMT+1) from 01:00 GMT on the last Sunday of
+// March to 01:00 GMT on the last Sunday of October. Worked out here rather
+// than with Intl so results don't depend on the runtime's time zone data.
+
+// 01:00 GMT on the last Sunday of a month, as epoch milliseconds
+const lastSundayChange = (year, month) => {
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  return Date.UTC(year, month, last.getUTCDate() - last.getUTCDay(), 1);
+};
+
+/**
+ * UK offset from GMT in hours (0 or 1) at an instant
+ */
+export const getUKOffset = (instant) => {
+  const time = instant.getTime();
+  const year = new Date(time).getUTCFullYear();
+  return time >= lastSundayChange(year, 2) && time < lastSundayChange(year, 9) ? 1 : 0;
+};
+
+/**
+ * Instant of UK midnight at the start of a date's day
+ */
+export const getUKMidnight = (date) => {
+  const utcMidnight = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  return new Date(utcMidnight - getUKOffset(new Date(utcMidnight)) * 3600000);
+};
+
+/**
+ * UK calendar date (local midnight) of an instant
+ */
+export const getUKDate = (instant) => dateAtOffset(instant, getUKOffset(instant));
+
+/**
+ * Instant of a UK clock time ("HH:MM") on a date
+ */
+export const getUKInstant = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const asGmt = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+  return new Date(asGmt - getUKOffset(new Date(asGmt)) * 3600000);
+};
+
+/**
+ * UK clock time of an instant as "HH:MM"
+ */
+export const formatUKTime = (instant) => {
+  const shifted = new Date(Math.round(instant.getTime() / 60000) * 60000 + getUKOffset(instant) * 3600000);
+  return `${String(shifted.getUTCHours()).padStart(2, '0')}:${String(shifted.getUTCMinutes()).padStart(2, '0')}`;
+};
+
+// ============================================================================
+// RISING AND SETTING
+// ============================================================================
+
+// Right ascension and declination (degrees) from ecliptic coordinates
+const toEquatorial = (jd, longitude, latitude) => {
+  const obliquity = 23.439291 - 0.0130042 * centuries(jd);
+  const rightAscension = normalizeDegrees(Math.atan2(
+    sin(longitude) * cos(obliquity) - Math.tan(rad(latitude)) * sin(obliquity),
+    cos(longitude)
+  ) * 180 / Math.PI);
+  const declination = Math.asin(sin(latitude) * cos(obliquity) + cos(latitude) * sin(obliquity) * sin(longitude)) * 180 / Math.PI;
+  return { rightAscension, declination };
+};
+
+// Geocentric altitude (degrees) of a body at an observer
+const altitude = (jd, { rightAscension, declination }, latitude, longitude) => {
+  const siderealTime = 280.46061837 + 360.98564736629 * (jd - 2451545);
+  const hourAngle = siderealTime + longitude - rightAscension;
+  return Math.asin(sin(latitude) * sin(declination) + cos(latitude) * cos(declination) * cos(hourAngle)) * 180 / Math.PI;
+};
+
+// Sun's declination (degrees) and equation of time (minutes) at a Julian day (NOAA)
+const solarCoordinates = (jd) => {
+  const T = centuries(jd);
+  const L0 = 280.46646 + T * (36000.76983 + T * 0.0003032);
+  const M = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  const obliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60 +
+    0.00256 * cos(125.04 - 1934.136 * T);
+  const declination = Math.asin(sin(obliquity) * sin(getSunLongitude(jd))) * 180 / Math.PI;
+  const y = Math.tan(rad(obliquity / 2)) ** 2;
+  const equationOfTime = 4 * (180 / Math.PI) * (
+    y * sin(2 * L0) - 2 * e * sin(M) + 4 * e * y * sin(M) * cos(2 * L0) -
+    0.5 * y * y * sin(4 * L0) - 1.25 * e * e * sin(2 * M)
+  );
+  return { declination, equationOfTime };
+};
+
+/**
+ * When the Sun's centre crosses an altitude on a UK date (NOAA solar calculator)
+ * The default -0.833° is sunrise/sunset: the upper limb on the horizon after
+ * refraction. Use -6, -12 or -18 for civil, nautical or astronomical twilight.
+ * Returns { rise, set, noon } as instants; rise and set are null when the Sun
+ * stays above (alwaysUp) or below (alwaysDown) that altitude all day.
+ */
+export const getSunTimes = (date, latitude, longitude, altitude = -0.833) => {
+  const utcDay = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  // Minutes after UTC midnight of an event near a first guess, refined twice
+  // with the Sun's position at the event itself
+  const solve = (direction) => {
+    let minutes = 720 - 4 * longitude;
+    for (let i = 0; i < 3; i++) {
+      const { declination, equationOfTime } = solarCoordinates(toJulianDay(new Date(utcDay + minutes * 60000)));
+      const noon = 720 - 4 * longitude - equationOfTime;
+      if (direction === 0) {
+        minutes = noon;
+        continue;
+      }
+      const cosHourAngle = (sin(altitude) - sin(latitude) * sin(declination)) / (cos(latitude) * cos(declination));
+      if (cosHourAngle < -1) return { alwaysUp: true };
+      if (cosHourAngle > 1) return { alwaysDown: true };
+      minutes = noon + direction * 4 * Math.acos(cosHourAngle) * 180 / Math.PI;
+    }
+    return { time: new Date(utcDay + minutes * 60000) };
+  };
+  const rise = solve(-1);
+  const set = solve(1);
+  return {
+    rise: rise.time || null,
+    set: set.time || null,
+    noon: solve(0).time,
+    alwaysUp: Boolean(rise.alwaysUp || set.alwaysUp),
+    alwaysDown: Boolean(rise.alwaysDown || set.alwaysDown)
+  };
+};
+
+/**
+ * Moonrise and moonset on a UK date at a place (degrees, east positive)
+ * Returns { rise, set } as instants, either null when the Moon doesn't rise
+ * or set that day (it does so about 50 minutes later each day).
+ */
+export const getMoonRiseSet = (date, latitude, longitude) => {
+  // Height of the Moon's centre when its upper limb touches the horizon,
+  // allowing for parallax, refraction and semi-diameter
+  const aboveHorizon = (time) => {
+    const jd = toJulianDay(new Date(time));
+    const moon = getMoonPosition(jd);
+    const parallax = Math.asin(6378.14 / moon.distance) * 180 / Math.PI;
+    return altitude(jd, toEquatorial(jd, moon.longitude, moon.latitude), latitude, longitude) - (0.7275 * parallax - 0.5667);
+  };
+  const start = getUKMidnight(date).getTime();
+  const end = getUKMidnight(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)).getTime();
+  const result = { rise: null, set: null };
+  const step = 3600000;
+  let previous = aboveHorizon(start);
+  for (let time = start; time < end; time += step) {
+    const next = Math.min(time + step, end);
+    const current = aboveHorizon(next);
+    if ((previous < 0) !== (current < 0)) {
+      let [low, high] = [time, next];
+      for (let i = 0; i < 12; i++) {
+        const middle = (low + high) / 2;
+        if ((aboveHorizon(middle) < 0) === (previous < 0)) low = middle;
+        else high = middle;
+      }
+      result[previous < 0 ? 'rise' : 'set'] = new Date((low + high) / 2);
+    }
+    previous = current;
+  }
+  return result;
+};
+
+export const Astronomy = {
+  normalizeDegrees,
+  toJulianDay,
+  fromJulianDay,
+  getSunLongitude,
+  getMoonPosition,
+  getMoonLongitude,
+  getLunarElongation,
+  getSolarLongitudeTime,
+  getLunation,
+  getPhaseTime,
+  dateAtOffset,
+  getUKOffset,
+  getUKMidnight,
+  getUKDate,
+  getUKInstant,
+  formatUKTime,
+  getSunTimes,
+  getMoonRiseSet
+};
+
+export default Astronomy;
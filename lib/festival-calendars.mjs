@@ -0,0 +1,209 @@
+// ============================================================================
+// FESTIVAL CALENDARS
+// ============================================================================
+//
+// Festivals set by the Hebrew, Islamic, Hindu, Sikh and Chinese calendars,
+// worked out for a Gregorian year in the shape getUKBankHolidays returns:
+// { date, name, emoji, type, notes? } with dates at local midnight.
+//
+//   import { getFestivals } from './lib/festival-calendars.mjs';
+//   getFestivals(2026); // [{ date, name: 'Chinese New Year', ... }, ...]
+//
+// - Hebrew: the fixed arithmetic calendar (molad and postponement rules), so
+//   exact. Festivals start at sunset the evening before the date given.
+// - Islamic: months start the day after a new moon that falls before sunset
+//   in Mecca, otherwise a day later (as the Umm al-Qura calendar does). UK
+//   mosques following a local sighting may celebrate a day later.
+// - Hindu and Sikh: sidereal (Lahiri) Sun and Moon positions as used by
+//   Indian almanacs, at Indian Standard Time. Diwali is the day whose sunset
+//   falls in the amavasya (new moon) tithi of Ashvin; Vaisakhi is the day of
+//   Mesha Sankranti, the Sun's entry into sidereal Aries.
+// - Chinese: New Year is the second new moon after the winter solstice at
+//   China Standard Time, or the third when a leap month comes first (as in
+//   the 2033/34 winter).
+
+import { Astronomy } from './astronomy.mjs';
+
+const DAY_MS = 86400000;
+
+// Days from 1 January AD 1 (Gregorian, day 1) to 1 January 1970
+const UNIX_EPOCH_RD = 719163;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Local midnight of a fixed day number (days since 1 January AD 1, which is day 1)
+const fromFixed = (fixed) => {
+  const utc = new Date((fixed - UNIX_EPOCH_RD) * DAY_MS);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+// ========== HEBREW ==========
+
+const HEBREW_EPOCH = -1373427; // 1 Tishri AM 1 as a fixed day number
+
+// Days from the epoch to Rosh Hashanah, before the year-length postponement
+const hebrewElapsedDays = (hebrewYear) => {
+  const months = Math.floor((235 * hebrewYear - 234) / 19);
+  const parts = 12084 + 13753 * months;
+  const days = 29 * months + Math.floor(parts / 25920);
+  return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+};
+
+// Fixed day number of 1 Tishri (Rosh Hashanah) of a Hebrew year
+const hebrewNewYear = (hebrewYear) => {
+  const previous = hebrewElapsedDays(hebrewYear - 1);
+  const current = hebrewElapsedDays(hebrewYear);
+  const next = hebrewElapsedDays(hebrewYear + 1);
+  const correction = next - current === 356 ? 2 : current - previous === 382 ? 1 : 0;
+  return HEBREW_EPOCH + current + correction;
+};
+
+/**
+ * Rosh Hashanah, Yom Kippur, Hanukkah and Passover in a Gregorian year
+ */
+export const getJewishFestivals = (year) => {
+  // The Hebrew year starting in the autumn of `year`
+  const hebrewYear = year + 3761;
+  const newYear = hebrewNewYear(hebrewYear);
+  const yearLength = hebrewNewYear(hebrewYear + 1) - newYear;
+  // Cheshvan has 30 days in "complete" years (355 or 385 days), else 29
+  const cheshvanLength = yearLength % 10 === 5 ? 30 : 29;
+  const notes = 'Begins at sunset the evening before';
+  return [
+    // 15 Nisan is always 163 days before the following Rosh Hashanah
+    { date: fromFixed(newYear - 163), name: "Passover", emoji: "🍷", type: "religious", notes },
+    { date: fromFixed(newYear), name: "Rosh Hashanah", emoji: "🍎", type: "religious", notes },
+    { date: fromFixed(newYear + 9), name: "Yom Kippur", emoji: "🕍", type: "religious", notes },
+    // 25 Kislev: after 30 days of Tishri and all of Cheshvan
+    { date: fromFixed(newYear + 30 + cheshvanLength + 24), name: "Hanukkah", emoji: "🕎", type: "religious", notes }
+  ];
+};
+
+// ========== ISLAMIC ==========
+
+const ISLAMIC_EPOCH = 227015; // 1 Muharram AH 1 (16 July 622 Julian) as a fixed day number
+const MECCA_OFFSET = 3;
+const MECCA_SUNSET_HOURS = 18.5; // local time, within half an hour all year
+
+// Fixed day number of a date in the tabular (arithmetic) Islamic calendar
+const fixedFromTabularIslamic = (year, month, day) =>
+  ISLAMIC_EPOCH - 1 + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) +
+  29 * (month - 1) + Math.floor(month / 2) + day;
+
+// First day of an Islamic month from the new moon nearest the tabular estimate
+const islamicMonthStart = (year, month) => {
+  const estimate = fromFixed(fixedFromTabularIslamic(year, month, 1) - 1);
+  const conjunction = Astronomy.getPhaseTime(Math.round((Astronomy.toJulianDay(estimate) - 2451550.09766) / 29.530588861), 0);
+  const meccaDate = Astronomy.dateAtOffset(conjunction, MECCA_OFFSET);
+  const meccaHours = ((conjunction.getTime() / 3600000 + MECCA_OFFSET) % 24 + 24) % 24;
+  return addDays(meccaDate, meccaHours < MECCA_SUNSET_HOURS ? 1 : 2);
+};
+
+/**
+ * Start of Ramadan, Eid al-Fitr and Eid al-Adha in a Gregorian year
+ */
+export const getIslamicFestivals = (year) => {
+  // The estimate can run a year late; the filter below drops the extras
+  const firstHijriYear = Math.floor((year - 622) * 33 / 32) - 1;
+  const notes = 'Expected date; may be a day later depending on moon sighting';
+  const festivals = [];
+  for (let hijriYear = firstHijriYear; hijriYear <= firstHijriYear + 3; hijriYear++) {
+    festivals.push(
+      { date: islamicMonthStart(hijriYear, 9), name: "Ramadan begins", emoji: "☪️", type: "religious", notes },
+      { date: islamicMonthStart(hijriYear, 10), name: "Eid al-Fitr", emoji: "🌙", type: "religious", notes },
+      { date: addDays(islamicMonthStart(hijriYear, 12), 9), name: "Eid al-Adha", emoji: "🌙", type: "religious", notes }
+    );
+  }
+  return festivals.filter(festival => festival.date.getFullYear() === year);
+};
+
+// ========== HINDU AND SIKH ==========
+
+const INDIA_OFFSET = 5.5;
+const INDIA_SUNSET_UTC_HOURS = 12.25; // about 17:45 IST in October and November
+
+// Lahiri ayanamsa: sidereal longitude = tropical longitude - ayanamsa
+const lahiriAyanamsa = (jd) => 23.857 + (jd - 2451545) / 365.25 * 50.29 / 3600;
+
+/**
+ * Diwali (Lakshmi Puja) in a Gregorian year
+ */
+export const getDiwali = (year) => {
+  // Ashvin's amavasya is the new moon with the Sun in sidereal Libra (mid-October to mid-November)
+  let lunation = Astronomy.getLunation(new Date(Date.UTC(year, 10, 20)));
+  const siderealSun = (k) => {
+    const jd = Astronomy.toJulianDay(Astronomy.getPhaseTime(k, 0));
+    return Astronomy.normalizeDegrees(Astronomy.getSunLongitude(jd) - lahiriAyanamsa(jd));
+  };
+  while (siderealSun(lunation) >= 210) lunation--;
+  const newMoon = Astronomy.getPhaseTime(lunation, 0);
+  // Amavasya is the last twelfth of the lunar month (elongation 348-360°);
+  // the festival is the first evening inside it
+  const dayBefore = addDays(Astronomy.dateAtOffset(newMoon, INDIA_OFFSET), -1);
+  const sunsetBefore = Date.UTC(dayBefore.getFullYear(), dayBefore.getMonth(), dayBefore.getDate()) + INDIA_SUNSET_UTC_HOURS * 3600000;
+  const inAmavasya = Astronomy.getLunarElongation(Astronomy.toJulianDay(new Date(sunsetBefore))) >= 348;
+  return { date: inAmavasya ? dayBefore : addDays(dayBefore, 1), name: "Diwali", emoji: "🪔", type: "religious" };
+};
+
+/**
+ * Vaisakhi (Mesha Sankranti) in a Gregorian year
+ */
+export const getVaisakhi = (year) => {
+  const start = Astronomy.toJulianDay(new Date(Date.UTC(year, 3, 1)));
+  const sankranti = Astronomy.getSolarLongitudeTime(lahiriAyanamsa(start), start);
+  return {
+    date: Astronomy.dateAtOffset(Astronomy.fromJulianDay(sankranti), INDIA_OFFSET),
+    name: "Vaisakhi",
+    emoji: "🌾",
+    type: "religious"
+  };
+};
+
+// ========== CHINESE ==========
+
+const CHINA_OFFSET = 8;
+
+/**
+ * Chinese (Lunar) New Year in a Gregorian year
+ */
+export const getChineseNewYear = (year) => {
+  const chinaDate = (k) => Astronomy.dateAtOffset(Astronomy.getPhaseTime(k, 0), CHINA_OFFSET);
+  // Sun's longitude at the start (China midnight) of a day
+  const sunAt = (date) => Astronomy.getSunLongitude(Astronomy.toJulianDay(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - CHINA_OFFSET * 3600000)));
+  // Lunation starting the 11th month, the one containing the winter solstice of a year
+  const eleventhMonth = (solsticeYear) => {
+    const solsticeJd = Astronomy.getSolarLongitudeTime(270, Astronomy.toJulianDay(new Date(Date.UTC(solsticeYear, 11, 1))));
+    const solsticeDate = Astronomy.dateAtOffset(Astronomy.fromJulianDay(solsticeJd), CHINA_OFFSET);
+    const lunation = Astronomy.getLunation(Astronomy.fromJulianDay(solsticeJd));
+    return chinaDate(lunation) > solsticeDate ? lunation - 1 : lunation;
+  };
+  const start = eleventhMonth(year - 1);
+  // Thirteen months until the next 11th month means one is a leap month: the
+  // first with no principal solar term (Sun crossing a multiple of 30°)
+  const isLeap = (k) => Math.floor(sunAt(chinaDate(k)) / 30) === Math.floor(sunAt(chinaDate(k + 1)) / 30);
+  const hasLeapMonth = eleventhMonth(year) - start === 13;
+  const leapBeforeNewYear = hasLeapMonth && (isLeap(start + 1) || isLeap(start + 2));
+  return { date: chinaDate(start + (leapBeforeNewYear ? 3 : 2)), name: "Chinese New Year", emoji: "🧧", type: "cultural" };
+};
+
+/**
+ * Every festival above for a Gregorian year
+ */
+export const getFestivals = (year) => [
+  getChineseNewYear(year),
+  getVaisakhi(year),
+  getDiwali(year),
+  ...getJewishFestivals(year),
+  ...getIslamicFestivals(year)
+];
+
+export const FestivalCalendars = {
+  getJewishFestivals,
+  getIslamicFestivals,
+  getDiwali,
+  getVaisakhi,
+  getChineseNewYear,
+  getFestivals
+};
+
+export default FestivalCalendars;
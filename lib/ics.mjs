@@ -0,0 +1,575 @@
+// ============================================================================
+// ICALENDAR (.ics) EXPORT
+// ============================================================================
+//
+// Builds RFC 5545 calendars of rail weeks, periods, paydays and holidays for
+// Outlook, Google Calendar and phone calendars. Like lib/railway-date-api.mjs
+// it has no DOM dependency; the browser UI only wraps the result in a Blob.
+//
+//   import { exportRailwayCalendar } from './lib/ics.mjs';
+//   const ics = exportRailwayCalendar({ fromRailwayYear: 2026 });
+//
+// Every event has a stable UID derived from what it describes, so importing
+// a newer export updates existing events instead of duplicating them.
+//
+// parseIcs/expandIcsEvents read personal calendars (VEVENTs with all-day or
+// timed DTSTART/DTEND and basic RRULEs) so they can be overlaid on rail weeks;
+// serializeIcsEvents/deserializeIcsEvents keep the parsed events as JSON.
+
+import { RailwayDateAPI } from './railway-date-api.mjs';
+
+export const ICS_CATEGORIES = ['weeks', 'periods', 'paydays', 'bankHolidays', 'events'];
+
+const UID_DOMAIN = 'railway-calendar';
+
+// ============================================================================
+// RFC 5545 FORMATTING
+// ============================================================================
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+// DATE value (all-day), e.g. 20260328
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// UTC DATE-TIME value, e.g. 20261019T120000Z
+const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Escape TEXT values (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, never splitting a UTF-8 character
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Short railway year label, e.g. RY25/26
+const shortRailwayYear = (railwayYear) =>
+  `RY${railwayYear.toString().slice(-2)}/${(railwayYear + 1).toString().slice(-2)}`;
+
+/**
+ * Build a VEVENT for an all-day event
+ * end is the last day of the event (inclusive); DTEND is written as the day after
+ */
+const buildAllDayEvent = ({ uid, start, end = start, summary, description, categories, stamp }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(end, 1))}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (categories) lines.push(`CATEGORIES:${escapeText(categories)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Export rail weeks, periods, paydays and holidays for one or more railway years
+ *
+ * options:
+ *   fromRailwayYear  first railway year to include (required)
+ *   toRailwayYear    last railway year to include (defaults to fromRailwayYear)
+ *   profile          calendar profile or id (defaults to Network Rail)
+ *   paydaySchedules  payday schedules (defaults to the built-in schedule)
+ *   region           bank holiday region or id (defaults to England & Wales)
+ *   include          { weeks, periods, paydays, bankHolidays, events } booleans (all default true)
+ *   now              timestamp written as DTSTAMP (defaults to the current time)
+ *
+ * Returns the .ics file contents as a string with CRLF line endings.
+ */
+export const exportRailwayCalendar = ({
+  fromRailwayYear,
+  toRailwayYear = fromRailwayYear,
+  profile,
+  paydaySchedules = RailwayDateAPI.getDefaultPaydaySchedules(),
+  region,
+  include = {},
+  now = new Date()
+}) => {
+  if (!Number.isInteger(fromRailwayYear) || !Number.isInteger(toRailwayYear) || toRailwayYear < fromRailwayYear) {
+    throw new Error('exportRailwayCalendar needs fromRailwayYear <= toRailwayYear');
+  }
+  const resolved = RailwayDateAPI.getProfile(profile);
+  const enabled = Object.fromEntries(ICS_CATEGORIES.map(category => [category, include[category] !== false]));
+  const stamp = formatUtcDateTime(now);
+  const events = [];
+
+  for (let railwayYear = fromRailwayYear; railwayYear <= toRailwayYear; railwayYear++) {
+    const label = shortRailwayYear(railwayYear);
+    const uidPrefix = `${resolved.id}-${railwayYear}`;
+
+    if (enabled.weeks) {
+      const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, resolved);
+      for (let week = 1; week <= totalWeeks; week++) {
+        const { startDate, endDate } = RailwayDateAPI.railwayToDateRange(railwayYear, week, resolved);
+        const { period, weekInPeriod } = RailwayDateAPI.getPeriodForWeek(railwayYear, week, resolved);
+        events.push(buildAllDayEvent({
+          uid: `${uidPrefix}-w${week}`,
+          start: startDate,
+          end: endDate,
+          summary: `${label} W${week}`,
+          description: `Railway Year ${railwayYear}/${(railwayYear + 1).toString().slice(-2)} • Week ${week} • Period ${period} Week ${weekInPeriod}`,
+          categories: 'Rail week',
+          stamp
+        }));
+      }
+    }
+
+    if (enabled.periods) {
+      const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, resolved);
+      for (let period = 1; period <= periodCount; period++) {
+        const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, resolved);
+        const description = `Weeks ${startWeek}-${endWeek}`;
+        events.push(buildAllDayEvent({
+          uid: `${uidPrefix}-p${period}-start`,
+          start: startDate,
+          summary: `${label} P${period} starts`,
+          description,
+          categories: 'Rail period',
+          stamp
+        }));
+        events.push(buildAllDayEvent({
+          uid: `${uidPrefix}-p${period}-end`,
+          start: endDate,
+          summary: `${label} P${period} ends`,
+          description,
+          categories: 'Rail period',
+          stamp
+        }));
+      }
+    }
+
+    const yearStart = RailwayDateAPI.getWeekOneStart(railwayYear, resolved);
+    const yearEnd = addDays(RailwayDateAPI.getWeekOneStart(railwayYear + 1, resolved), -1);
+
+    if (enabled.paydays && paydaySchedules.length > 0) {
+      for (let date = new Date(yearStart); date <= yearEnd; date = addDays(date, 1)) {
+        RailwayDateAPI.getPaydays(date, paydaySchedules, region).forEach(payday => {
+          const nominal = payday.nominalDate.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' });
+          events.push(buildAllDayEvent({
+            uid: `payday-${slugify(payday.id)}-${formatDate(payday.nominalDate)}`,
+            start: date,
+            summary: `${payday.emoji} ${payday.name}`,
+            description: payday.isAdjusted ? `Payday (due ${nominal}, moved to a working day)` : 'Payday',
+            categories: 'Payday',
+            stamp
+          }));
+        });
+      }
+    }
+
+    if (enabled.bankHolidays || enabled.events) {
+      for (let year = yearStart.getFullYear(); year <= yearEnd.getFullYear(); year++) {
+        RailwayDateAPI.getUKBankHolidays(year, region)
+          .filter(h => h.date >= yearStart && h.date <= yearEnd)
+          .filter(h => (h.type === 'bank' ? enabled.bankHolidays : enabled.events))
+          .forEach(h => {
+            events.push(buildAllDayEvent({
+              uid: `holiday-${formatDate(h.date)}-${slugify(h.name)}`,
+              start: h.date,
+              summary: `${h.emoji} ${h.name}`,
+              description: RailwayDateAPI.describeHolidayRegions(h),
+              categories: h.type === 'bank' ? 'Bank holiday' : h.type === 'religious' ? 'Religious' : 'Cultural',
+              stamp
+            }));
+          });
+      }
+    }
+  }
+
+  const calendarName = fromRailwayYear === toRailwayYear
+    ? `Railway Calendar ${shortRailwayYear(fromRailwayYear)}`
+    : `Railway Calendar ${shortRailwayYear(fromRailwayYear)}–${shortRailwayYear(toRailwayYear)}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Railway Calendar//Railway Week Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+const RRULE_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Safety limits for recurrence expansion: occurrences returned for a range,
+// and recurrence steps in a row that produce nothing (e.g. BYMONTHDAY=31 in
+// a two-monthly rule that only visits 30-day months)
+const MAX_OCCURRENCES = 5000;
+const MAX_EMPTY_STEPS = 1000;
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * UTC values (trailing Z) are converted to local time; values with a TZID or
+ * no zone are treated as local ("floating") time.
+ */
+const parseIcsDate = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) throw new Error(`Invalid date "${value}"`);
+  const [, year, month, day, hours, minutes, seconds = '0', utc] = match;
+  if (hours === undefined || params.VALUE === 'DATE') {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+};
+
+// Parse a DURATION such as P1D, PT1H30M or P2W into milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRRule = (value) => {
+  const rule = Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+    const [key, ruleValue = ''] = part.split('=');
+    return [key.toUpperCase(), ruleValue];
+  }));
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL) || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL ? parseIcsDate(rule.UNTIL).date : null,
+    // BYDAY entries such as TU, 2TU or -1FR (nth, or last, of the month)
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',')
+        .map(day => ({ weekday: RRULE_WEEKDAYS[day.slice(-2)], nth: day.length > 2 ? Number(day.slice(0, -2)) : null }))
+        .filter(day => day.weekday !== undefined)
+      : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null,
+    // Rules this expander cannot follow; such events show their first occurrence only
+    unsupported: Boolean(rule.BYSETPOS || rule.BYWEEKNO || rule.BYYEARDAY)
+  };
+};
+
+/**
+ * Parse the VEVENTs of an .ics file
+ *
+ * Returns [{ uid, summary, location, start, end, allDay, rrule, exdates }]
+ * where end is exclusive. Cancelled events are skipped. Throws if the text
+ * is not an iCalendar file.
+ */
+export const parseIcs = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  let current = null;
+  let nestedDepth = 0; // VALARM and friends inside a VEVENT
+
+  lines.forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+    const name = rawName.toUpperCase();
+    const value = line.slice(colon + 1);
+    const params = Object.fromEntries(rawParams.map(param => {
+      const [key, paramValue = ''] = param.split('=');
+      return [key.toUpperCase(), paramValue.replace(/^"|"$/g, '')];
+    }));
+
+    if (name === 'BEGIN') {
+      if (current) nestedDepth++;
+      else if (value.toUpperCase() === 'VEVENT') current = { exdates: [] };
+      return;
+    }
+    if (name === 'END') {
+      if (nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && value.toUpperCase() === 'VEVENT') {
+        if (current.start && current.status !== 'CANCELLED') events.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || nestedDepth > 0) return;
+
+    switch (name) {
+      case 'UID': current.uid = value; break;
+      case 'SUMMARY': current.summary = unescapeText(value); break;
+      case 'LOCATION': current.location = unescapeText(value); break;
+      case 'STATUS': current.status = value.toUpperCase(); break;
+      case 'DTSTART': {
+        const { date, allDay } = parseIcsDate(value, params);
+        current.start = date;
+        current.allDay = allDay;
+        break;
+      }
+      case 'DTEND': current.end = parseIcsDate(value, params).date; break;
+      case 'DURATION': current.duration = parseDuration(value); break;
+      case 'RRULE': current.rrule = parseRRule(value); break;
+      case 'EXDATE':
+        value.split(',').forEach(exdate => current.exdates.push(parseIcsDate(exdate, params).date));
+        break;
+      default: break;
+    }
+  });
+
+  return events.map(event => {
+    let end = event.end;
+    if (!end) {
+      end = new Date(event.start);
+      if (event.duration) end.setTime(end.getTime() + event.duration);
+      else if (event.allDay) end.setDate(end.getDate() + 1);
+    }
+    return {
+      uid: event.uid || `${event.summary}-${event.start.getTime()}`,
+      summary: event.summary || '(No title)',
+      location: event.location || '',
+      start: event.start,
+      end,
+      allDay: event.allDay,
+      rrule: event.rrule || null,
+      exdates: event.exdates
+    };
+  });
+};
+
+// Days of a month (1-31) matching BYDAY entries: every such weekday, or the
+// nth one (negative counts back from the end, so -1 is the last)
+const getMonthWeekdays = (year, month, byDay) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const firstWeekday = new Date(year, month, 1).getDay();
+  return byDay.flatMap(({ weekday, nth }) => {
+    const days = [];
+    for (let day = 1 + (weekday - firstWeekday + 7) % 7; day <= daysInMonth; day += 7) days.push(day);
+    if (nth === null) return days;
+    const day = nth > 0 ? days[nth - 1] : days[days.length + nth];
+    return day === undefined ? [] : [day];
+  });
+};
+
+// Days of a month matching BYMONTHDAY (negative counts back from the end)
+const getMonthDays = (year, month, byMonthDay) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return byMonthDay
+    .map(day => (day < 0 ? daysInMonth + day + 1 : day))
+    .filter(day => day >= 1 && day <= daysInMonth); // skip e.g. 31 April
+};
+
+// Whole recurrence steps from DTSTART that can be skipped before rangeStart
+// (one fewer than the estimate, so nothing overlapping rangeStart is lost).
+// Not possible with COUNT, which counts occurrences from DTSTART.
+const getFirstStep = (start, rrule, rangeStart) => {
+  if (rrule.count !== null || rangeStart <= start) return 0;
+  const days = Math.floor((rangeStart - start) / 86400000);
+  const months = (rangeStart.getFullYear() - start.getFullYear()) * 12 + rangeStart.getMonth() - start.getMonth();
+  const steps = {
+    DAILY: days,
+    WEEKLY: Math.floor(days / 7),
+    MONTHLY: months,
+    YEARLY: Math.floor(months / 12)
+  }[rrule.freq] || 0;
+  return Math.max(0, Math.floor(steps / rrule.interval) - 1);
+};
+
+// Start times of the occurrences of an event from about rangeStart (earlier
+// ones may be included) up to rangeEnd
+const getOccurrenceStarts = (event, rangeStart, rangeEnd) => {
+  const { start, rrule } = event;
+  if (!rrule || rrule.unsupported) return [start];
+
+  const starts = [];
+  let counted = 0; // occurrences from DTSTART, for COUNT
+  let returned = 0; // occurrences on or after rangeStart, for MAX_OCCURRENCES
+  const withinLimits = (date) =>
+    (!rrule.until || date <= rrule.until) && (rrule.count === null || counted < rrule.count);
+  const push = (date) => {
+    if (date < start || !withinLimits(date)) return;
+    counted++;
+    if (date >= rangeStart) returned++;
+    starts.push(date);
+  };
+  const shifted = (date, changes) => {
+    const result = new Date(date);
+    if (changes.days) result.setDate(result.getDate() + changes.days);
+    if (changes.months) result.setMonth(result.getMonth() + changes.months, 1);
+    if (changes.years) result.setFullYear(result.getFullYear() + changes.years);
+    return result;
+  };
+  // DTSTART's time of day on another date
+  const at = (year, month, day) =>
+    new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+  // Candidates in one month, from BYDAY, BYMONTHDAY or DTSTART's day of the month
+  const inMonth = (year, month) => {
+    const days = rrule.byDay
+      ? getMonthWeekdays(year, month, rrule.byDay)
+      : getMonthDays(year, month, rrule.byMonthDay || [start.getDate()]);
+    return days.map(day => at(year, month, day));
+  };
+
+  let emptySteps = 0;
+  for (let step = getFirstStep(start, rrule, rangeStart); emptySteps < MAX_EMPTY_STEPS; step++) {
+    if (starts.length > 0 && !withinLimits(starts[starts.length - 1])) break;
+    if (rrule.count !== null && counted >= rrule.count) break;
+    if (returned >= MAX_OCCURRENCES) break;
+
+    let candidates;
+    if (rrule.freq === 'DAILY') {
+      candidates = [shifted(start, { days: step * rrule.interval })];
+    } else if (rrule.freq === 'WEEKLY') {
+      // Week containing DTSTART (weeks starting Monday), then every interval weeks
+      const weekStart = shifted(start, { days: -((start.getDay() + 6) % 7) + step * 7 * rrule.interval });
+      const days = rrule.byDay ? rrule.byDay.map(day => day.weekday) : [start.getDay()];
+      candidates = days.map(day => shifted(weekStart, { days: (day + 6) % 7 }));
+    } else if (rrule.freq === 'MONTHLY') {
+      const monthStart = shifted(start, { months: step * rrule.interval });
+      candidates = inMonth(monthStart.getFullYear(), monthStart.getMonth());
+    } else if (rrule.freq === 'YEARLY') {
+      const year = start.getFullYear() + step * rrule.interval;
+      const months = rrule.byMonth ? rrule.byMonth.map(month => month - 1) : [start.getMonth()];
+      candidates = rrule.byDay || rrule.byMonthDay
+        ? months.flatMap(month => inMonth(year, month))
+        : months.map(month => at(year, month, start.getDate())).filter(date => date.getDate() === start.getDate()); // skip 29 Feb in common years
+    } else {
+      return [start]; // Unsupported frequency - show the first occurrence only
+    }
+    candidates.sort((a, b) => a - b);
+
+    if (candidates.length > 0 && candidates[0] > rangeEnd) break;
+    emptySteps = candidates.length > 0 ? 0 : emptySteps + 1;
+    candidates.forEach(push);
+  }
+  return starts;
+};
+
+/**
+ * Parsed events as plain JSON, with dates as epoch milliseconds (e.g. for
+ * localStorage, which is far smaller than keeping the .ics text)
+ */
+export const serializeIcsEvents = (events) => events.map(event => ({
+  ...event,
+  start: event.start.getTime(),
+  end: event.end.getTime(),
+  rrule: event.rrule && { ...event.rrule, until: event.rrule.until && event.rrule.until.getTime() },
+  exdates: event.exdates.map(date => date.getTime())
+}));
+
+/**
+ * Parsed events back from serializeIcsEvents
+ */
+export const deserializeIcsEvents = (stored) => stored.map(event => ({
+  ...event,
+  start: new Date(event.start),
+  end: new Date(event.end),
+  rrule: event.rrule && { ...event.rrule, until: event.rrule.until === null ? null : new Date(event.rrule.until) },
+  exdates: event.exdates.map(time => new Date(time))
+}));
+
+/**
+ * Expand parsed events into one entry per day they cover between two dates
+ * (inclusive), applying RRULE and EXDATE.
+ *
+ * Returns [{ date, title, location, allDay, startTime, endTime, uid }] where
+ * startTime/endTime are 'HH:MM' strings for timed events.
+ */
+export const expandIcsEvents = (events, rangeStart, rangeEnd) => {
+  const from = new Date(rangeStart);
+  from.setHours(0, 0, 0, 0);
+  const to = new Date(rangeEnd);
+  to.setHours(23, 59, 59, 999);
+  const formatTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const occurrences = [];
+
+  events.forEach(event => {
+    const durationMs = event.end - event.start;
+    const excluded = new Set(event.exdates.map(date => date.getTime()));
+
+    // Occurrences that start before the range but run into it count too
+    getOccurrenceStarts(event, new Date(from.getTime() - Math.max(durationMs, 0)), to).forEach(start => {
+      if (excluded.has(start.getTime())) return;
+      const end = new Date(start.getTime() + Math.max(durationMs, 0));
+      if (end < from && start < from) return;
+
+      // One entry per day the occurrence covers (end is exclusive)
+      const day = new Date(start);
+      day.setHours(0, 0, 0, 0);
+      const lastInstant = durationMs > 0 ? new Date(end.getTime() - 1) : end;
+      while (day <= lastInstant) {
+        if (day >= from && day <= to) {
+          occurrences.push({
+            date: new Date(day),
+            title: event.summary,
+            location: event.location,
+            allDay: event.allDay,
+            startTime: event.allDay ? null : formatTime(start),
+            endTime: event.allDay ? null : formatTime(end),
+            uid: event.uid
+          });
+        }
+        day.setDate(day.getDate() + 1);
+      }
+    });
+  });
+
+  return occurrences.sort((a, b) => a.date - b.date || (a.startTime || '').localeCompare(b.startTime || ''));
+};
+
+export const RailwayIcs = {
+  ICS_CATEGORIES,
+  exportRailwayCalendar,
+  parseIcs,
+  serializeIcsEvents,
+  deserializeIcsEvents,
+  expandIcsEvents
+};
+
+export default RailwayIcs;
@@ -0,0 +1,105 @@
+// ============================================================================
+// ANNUAL LEAVE
+// ============================================================================
+//
+// Annual leave booked against a railway-year entitlement. Only working days
+// are charged: bank holidays are never charged (for the optional trailing
+// `region`, England & Wales by default), and neither are rest days - taken
+// from the shift roster when there is one (see lib/roster.mjs), else
+// Saturdays and Sundays. Leave records are plain JSON-able objects:
+//
+//   {
+//     unit: 'days',                  // or 'hours'
+//     hoursPerDay: 7.5,              // charged per day when there is no roster
+//     entitlements: { 2026: 25 },    // per railway year, in `unit`
+//     booked: ['2026-10-20', ...]    // local dates
+//   }
+//
+//   import { getLeaveBalance } from './lib/leave.mjs';
+//   getLeaveBalance(leave, 2026, roster); // { entitlement: 25, booked: 3, remaining: 22, ... }
+
+import { RailwayDateAPI } from './railway-date-api.mjs';
+import { RailwayRoster } from './roster.mjs';
+
+export const LEAVE_UNITS = ['days', 'hours'];
+
+export const DEFAULT_LEAVE = {
+  unit: 'days',
+  hoursPerDay: 7.5,
+  entitlements: {},
+  booked: []
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Hours of leave a date would use, or 0 for bank holidays and rest days
+ */
+export const getLeaveHours = (date, leave, roster, profile, region) => {
+  if (RailwayDateAPI.isBankHoliday(date, region)) return 0;
+  const shift = roster ? RailwayRoster.getShift(date, roster, profile) : null;
+  if (shift) return shift.hours;
+  const day = date.getDay();
+  return day === 0 || day === 6 ? 0 : leave.hoursPerDay;
+};
+
+/**
+ * Leave a date would use in the leave record's unit (1 day, or its hours)
+ */
+export const getLeaveCharge = (date, leave, roster, profile, region) => {
+  const hours = getLeaveHours(date, leave, roster, profile, region);
+  if (hours === 0) return 0;
+  return leave.unit === 'hours' ? hours : 1;
+};
+
+/**
+ * Dates between two dates (inclusive, either order) that leave can be booked on
+ */
+export const getBookableDates = (from, to, leave, roster, profile, region) => {
+  const [start, end] = from <= to ? [from, to] : [to, from];
+  const dates = [];
+  for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    if (getLeaveCharge(d, leave, roster, profile, region) > 0) dates.push(isoDate(d));
+  }
+  return dates;
+};
+
+/**
+ * Entitlement, booked and remaining leave for a railway year
+ *
+ * Returns { unit, entitlement, booked, remaining, bookedDates } where
+ * entitlement is null if none has been set for the year. Booked dates that
+ * are no longer working days (e.g. after a roster change) are not charged.
+ */
+export const getLeaveBalance = (leave, railwayYear, roster, profile, region) => {
+  const bookedDates = leave.booked
+    .map(parseLocalDate)
+    .filter(date => RailwayDateAPI.dateToRailway(date, profile).railwayYear === railwayYear)
+    .sort((a, b) => a - b);
+  const booked = bookedDates.reduce((total, date) => total + getLeaveCharge(date, leave, roster, profile, region), 0);
+  const entitlement = leave.entitlements[railwayYear] ?? null;
+  return {
+    unit: leave.unit,
+    entitlement,
+    booked,
+    remaining: entitlement === null ? null : entitlement - booked,
+    bookedDates
+  };
+};
+
+export const RailwayLeave = {
+  LEAVE_UNITS,
+  DEFAULT_LEAVE,
+  getLeaveHours,
+  getLeaveCharge,
+  getBookableDates,
+  getLeaveBalance
+};
+
+export default RailwayLeave;
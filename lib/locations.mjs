@@ -0,0 +1,68 @@
+// ============================================================================
+// LOCATIONS
+// ============================================================================
+//
+// Major stations and traincrew/maintenance depots, offline, for daylight and
+// moon times (see getDayLength and getMoonPhase, which take a trailing
+// `location`: one of these ids or { name, latitude, longitude }). Coordinates
+// are decimal degrees, west negative, to about 100 m - far closer than
+// sunrise times need. Times are always UK clock time.
+//
+// London is the default and matches the coordinates used before locations
+// could be chosen.
+
+export const RAIL_LOCATIONS = {
+  london: { id: 'london', name: 'London', kind: 'station', latitude: 51.5074, longitude: -0.1278 },
+
+  // Stations, south-west to north
+  penzance: { id: 'penzance', name: 'Penzance', kind: 'station', latitude: 50.1217, longitude: -5.5326 },
+  plymouth: { id: 'plymouth', name: 'Plymouth', kind: 'station', latitude: 50.3780, longitude: -4.1433 },
+  exeterStDavids: { id: 'exeterStDavids', name: 'Exeter St Davids', kind: 'station', latitude: 50.7294, longitude: -3.5434 },
+  bristolTempleMeads: { id: 'bristolTempleMeads', name: 'Bristol Temple Meads', kind: 'station', latitude: 51.4491, longitude: -2.5813 },
+  southamptonCentral: { id: 'southamptonCentral', name: 'Southampton Central', kind: 'station', latitude: 50.9075, longitude: -1.4137 },
+  brighton: { id: 'brighton', name: 'Brighton', kind: 'station', latitude: 50.8290, longitude: -0.1411 },
+  ashfordInternational: { id: 'ashfordInternational', name: 'Ashford International', kind: 'station', latitude: 51.1434, longitude: 0.8757 },
+  cardiffCentral: { id: 'cardiffCentral', name: 'Cardiff Central', kind: 'station', latitude: 51.4760, longitude: -3.1792 },
+  swansea: { id: 'swansea', name: 'Swansea', kind: 'station', latitude: 51.6252, longitude: -3.9416 },
+  reading: { id: 'reading', name: 'Reading', kind: 'station', latitude: 51.4588, longitude: -0.9719 },
+  oxford: { id: 'oxford', name: 'Oxford', kind: 'station', latitude: 51.7535, longitude: -1.2700 },
+  cambridge: { id: 'cambridge', name: 'Cambridge', kind: 'station', latitude: 52.1943, longitude: 0.1375 },
+  norwich: { id: 'norwich', name: 'Norwich', kind: 'station', latitude: 52.6270, longitude: 1.3069 },
+  birminghamNewStreet: { id: 'birminghamNewStreet', name: 'Birmingham New Street', kind: 'station', latitude: 52.4778, longitude: -1.8990 },
+  derby: { id: 'derby', name: 'Derby', kind: 'station', latitude: 52.9165, longitude: -1.4634 },
+  nottingham: { id: 'nottingham', name: 'Nottingham', kind: 'station', latitude: 52.9470, longitude: -1.1462 },
+  crewe: { id: 'crewe', name: 'Crewe', kind: 'station', latitude: 53.0891, longitude: -2.4331 },
+  holyhead: { id: 'holyhead', name: 'Holyhead', kind: 'station', latitude: 53.3077, longitude: -4.6311 },
+  liverpoolLimeStreet: { id: 'liverpoolLimeStreet', name: 'Liverpool Lime Street', kind: 'station', latitude: 53.4075, longitude: -2.9775 },
+  manchesterPiccadilly: { id: 'manchesterPiccadilly', name: 'Manchester Piccadilly', kind: 'station', latitude: 53.4774, longitude: -2.2309 },
+  sheffield: { id: 'sheffield', name: 'Sheffield', kind: 'station', latitude: 53.3781, longitude: -1.4622 },
+  leeds: { id: 'leeds', name: 'Leeds', kind: 'station', latitude: 53.7950, longitude: -1.5477 },
+  york: { id: 'york', name: 'York', kind: 'station', latitude: 53.9579, longitude: -1.0931 },
+  carlisle: { id: 'carlisle', name: 'Carlisle', kind: 'station', latitude: 54.8907, longitude: -2.9335 },
+  newcastle: { id: 'newcastle', name: 'Newcastle', kind: 'station', latitude: 54.9685, longitude: -1.6174 },
+  belfastLanyonPlace: { id: 'belfastLanyonPlace', name: 'Belfast Lanyon Place', kind: 'station', latitude: 54.5950, longitude: -5.9178 },
+  glasgowCentral: { id: 'glasgowCentral', name: 'Glasgow Central', kind: 'station', latitude: 55.8590, longitude: -4.2580 },
+  edinburghWaverley: { id: 'edinburghWaverley', name: 'Edinburgh Waverley', kind: 'station', latitude: 55.9520, longitude: -3.1894 },
+  aberdeen: { id: 'aberdeen', name: 'Aberdeen', kind: 'station', latitude: 57.1435, longitude: -2.0984 },
+  inverness: { id: 'inverness', name: 'Inverness', kind: 'station', latitude: 57.4797, longitude: -4.2235 },
+  thurso: { id: 'thurso', name: 'Thurso', kind: 'station', latitude: 58.5905, longitude: -3.5274 },
+
+  // Depots
+  laira: { id: 'laira', name: 'Laira (Plymouth)', kind: 'depot', latitude: 50.3798, longitude: -4.1010 },
+  eastleigh: { id: 'eastleigh', name: 'Eastleigh', kind: 'depot', latitude: 50.9690, longitude: -1.3500 },
+  stPhilipsMarsh: { id: 'stPhilipsMarsh', name: "St Philip's Marsh (Bristol)", kind: 'depot', latitude: 51.4450, longitude: -2.5720 },
+  oldOakCommon: { id: 'oldOakCommon', name: 'Old Oak Common', kind: 'depot', latitude: 51.5290, longitude: -0.2460 },
+  ilford: { id: 'ilford', name: 'Ilford', kind: 'depot', latitude: 51.5600, longitude: 0.0870 },
+  tyseley: { id: 'tyseley', name: 'Tyseley (Birmingham)', kind: 'depot', latitude: 52.4560, longitude: -1.8390 },
+  toton: { id: 'toton', name: 'Toton', kind: 'depot', latitude: 52.9100, longitude: -1.2640 },
+  longsight: { id: 'longsight', name: 'Longsight (Manchester)', kind: 'depot', latitude: 53.4620, longitude: -2.2000 },
+  nevilleHill: { id: 'nevilleHill', name: 'Neville Hill (Leeds)', kind: 'depot', latitude: 53.7950, longitude: -1.5060 },
+  heaton: { id: 'heaton', name: 'Heaton (Newcastle)', kind: 'depot', latitude: 54.9860, longitude: -1.5830 },
+  polmadie: { id: 'polmadie', name: 'Polmadie (Glasgow)', kind: 'depot', latitude: 55.8360, longitude: -4.2400 },
+  craigentinny: { id: 'craigentinny', name: 'Craigentinny (Edinburgh)', kind: 'depot', latitude: 55.9580, longitude: -3.1310 },
+  invernessDepot: { id: 'invernessDepot', name: 'Inverness depot', kind: 'depot', latitude: 57.4790, longitude: -4.2110 }
+};
+
+export const DEFAULT_LOCATION_ID = 'london';
+
+export default RAIL_LOCATIONS;
@@ -0,0 +1,233 @@
+// ============================================================================
+// RAILWAY DATE NOTATION
+// ============================================================================
+//
+// Reads the ways people type railway and Gregorian dates, for the converter
+// panel. Railway notations are a railway year plus a week, a period, or
+// both, in any order and spacing:
+//
+//   2526 P07W3 Thu       RY 2025/26, period 7, week 3 of the period, Thursday
+//   W27 D6 2025/26       rail week 27, day 6 of the rail week
+//   RY25 wk 27           the whole of rail week 27
+//   P13 25/26            the whole of period 13
+//
+// Railway years may be written 2025/26, 25/26, RY25, RY2025 or 2526 (a
+// four-digit year starting 19 or 20 is read as a full year, so 2021 is
+// 2021/22). Gregorian dates may be 2026-02-14, 14/02/2026 or 14 Feb 2026,
+// optionally after a day name.
+//
+//   import { parseRailwayInput } from './lib/notation.mjs';
+//   parseRailwayInput('2526 P07W3 Thu'); // { kind: 'railway', railWeek: 27, startDate: 2 Oct 2025, ... }
+//
+// Impossible input (week 54, period 15, 31 February) throws an Error whose
+// message says what is wrong, ready to show next to the input.
+
+import { RailwayDateAPI } from './railway-date-api.mjs';
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+const EXAMPLES = 'e.g. 2526 P07W3 Thu, W27 D6 2025/26, RY25 wk 27 or 14/02/2026';
+
+const capitalise = (word) => word[0].toUpperCase() + word.slice(1);
+const railwayYearDisplay = (railwayYear) => `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`;
+
+// Full weekday index (0=Sunday) for a name or abbreviation of 3+ letters
+const weekdayFromName = (name) => (name.length >= 3 ? WEEKDAY_NAMES.findIndex(day => day.startsWith(name)) : -1);
+
+// ============================================================================
+// GREGORIAN DATES
+// ============================================================================
+
+const GREGORIAN_FORMATS = [
+  { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, parts: ([year, month, day]) => ({ year, month, day }) },
+  { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, parts: ([day, month, year]) => ({ year, month, day }) },
+  {
+    pattern: /^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,})\.?\s+(\d{4})$/,
+    parts: ([day, monthName, year]) => {
+      const month = MONTH_NAMES.findIndex(name => name.startsWith(monthName)) + 1;
+      if (!month) throw new Error(`"${monthName}" is not a month`);
+      return { year, month, day };
+    }
+  }
+];
+
+const parseGregorian = (text) => {
+  // An optional leading day name ("Thu 2 Oct 2025") is checked against the date
+  const named = /^([a-z]+),?\s+(.*)$/.exec(text);
+  const weekday = named ? weekdayFromName(named[1]) : -1;
+  const rest = weekday === -1 ? text : named[2];
+
+  for (const format of GREGORIAN_FORMATS) {
+    const match = format.pattern.exec(rest);
+    if (!match) continue;
+    const { year, month, day } = format.parts(match.slice(1));
+    const [y, m, d] = [year, month, day].map(Number);
+    if (m < 1 || m > 12) throw new Error(`Month ${m} does not exist: months run 1–12`);
+    const daysInMonth = new Date(y, m, 0).getDate();
+    if (d < 1 || d > daysInMonth) {
+      throw new Error(`Day ${d} does not exist: ${capitalise(MONTH_NAMES[m - 1])} ${y} has days 1–${daysInMonth}`);
+    }
+    const date = new Date(y, m - 1, d);
+    if (weekday !== -1 && date.getDay() !== weekday) {
+      throw new Error(`${d} ${capitalise(MONTH_NAMES[m - 1])} ${y} is a ${capitalise(WEEKDAY_NAMES[date.getDay()])}, not a ${capitalise(WEEKDAY_NAMES[weekday])}`);
+    }
+    return date;
+  }
+  return null;
+};
+
+// ============================================================================
+// RAILWAY NOTATION
+// ============================================================================
+
+// Two-digit years are 20xx; four digits are a full year when they start 19 or
+// 20, otherwise a compact pair of consecutive years (2526 = 2025/26)
+const parseRailwayYear = (digits, nextYear) => {
+  let railwayYear;
+  if (digits.length === 2) {
+    railwayYear = 2000 + Number(digits);
+  } else if (digits.length === 4 && /^(19|20)/.test(digits)) {
+    railwayYear = Number(digits);
+  } else if (digits.length === 4 && !nextYear && Number(digits.slice(2)) === (Number(digits.slice(0, 2)) + 1) % 100) {
+    railwayYear = 2000 + Number(digits.slice(0, 2));
+  } else {
+    throw new Error(`"${digits}${nextYear ? `/${nextYear}` : ''}" is not a railway year (write e.g. 2025/26, 2526 or RY25)`);
+  }
+  if (nextYear && nextYear !== (railwayYear + 1).toString().slice(-2)) {
+    throw new Error(`"${digits}/${nextYear}" is not a railway year: ${nextYear} does not follow ${railwayYear}`);
+  }
+  return railwayYear;
+};
+
+// Tried in order at each position; `read` turns the groups (or whole match)
+// into a field value
+const RAILWAY_TOKENS = [
+  { field: 'year', pattern: /^ry\s*(\d+)(?:\s*\/\s*(\d+))?/, read: ([digits, nextYear]) => parseRailwayYear(digits, nextYear) },
+  { field: 'year', pattern: /^(\d+)\s*\/\s*(\d+)/, read: ([digits, nextYear]) => parseRailwayYear(digits, nextYear) },
+  { field: 'period', pattern: /^p(?:eriod)?\s*(\d+)/, read: ([n]) => Number(n) },
+  { field: 'week', pattern: /^w(?:ee)?k?\s*(\d+)/, read: ([n]) => Number(n) },
+  { field: 'day', pattern: /^d(?:ay)?\s*(\d+)/, read: ([n]) => Number(n) },
+  {
+    field: 'weekday',
+    pattern: /^[a-z]+/,
+    read: (groups, [name]) => {
+      const weekday = weekdayFromName(name);
+      if (weekday === -1) throw new Error(`Could not read "${name}" (${EXAMPLES})`);
+      return weekday;
+    }
+  },
+  { field: 'year', pattern: /^(\d+)/, read: ([digits]) => parseRailwayYear(digits) }
+];
+
+const FIELD_NAMES = { year: 'railway year', period: 'period', week: 'week', day: 'day', weekday: 'day name' };
+
+const tokeniseRailway = (text) => {
+  const fields = {};
+  let rest = text;
+  while (rest) {
+    const token = RAILWAY_TOKENS.find(({ pattern }) => pattern.test(rest));
+    if (!token) throw new Error(`Could not read "${rest.split(/\s/)[0]}" (${EXAMPLES})`);
+    const match = token.pattern.exec(rest);
+    if (token.field in fields) throw new Error(`The ${FIELD_NAMES[token.field]} is given twice`);
+    fields[token.field] = token.read(match.slice(1), match);
+    rest = rest.slice(match[0].length).replace(/^[\s,]+/, '');
+  }
+  return fields;
+};
+
+const resolveRailway = ({ year, period, week, day, weekday }, profile) => {
+  if (year === undefined) throw new Error('Add the railway year, e.g. 2025/26, 2526 or RY25');
+  if (week === undefined && period === undefined) throw new Error('Add a week (W27) or a period (P7)');
+  if (week === undefined && (day !== undefined || weekday !== undefined)) throw new Error('Add the week the day is in');
+
+  const display = railwayYearDisplay(year);
+  const totalWeeks = RailwayDateAPI.getTotalWeeks(year, profile);
+  const periodCount = RailwayDateAPI.getPeriodCount(year, profile);
+
+  if (period !== undefined && (period < 1 || period > periodCount)) {
+    throw new Error(`Period ${period} does not exist: RY ${display} has periods 1–${periodCount}`);
+  }
+
+  let railWeek = week;
+  if (period !== undefined) {
+    const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(year, period, profile);
+    if (week === undefined) {
+      return { kind: 'railway', railwayYear: year, period, weekInPeriod: null, railWeek: null, dayOfRailWeek: null, startDate, endDate };
+    }
+    const weeksInPeriod = endWeek - startWeek + 1;
+    if (week < 1 || week > weeksInPeriod) {
+      throw new Error(`Week ${week} does not exist in P${period}: it has weeks 1–${weeksInPeriod} (rail weeks ${startWeek}–${endWeek})`);
+    }
+    railWeek = startWeek + week - 1;
+  } else if (week < 1 || week > totalWeeks) {
+    throw new Error(`Week ${week} does not exist: RY ${display} has weeks 1–${totalWeeks}`);
+  }
+
+  const dayNames = RailwayDateAPI.getRailWeekDayNames(profile);
+  if (day !== undefined && (day < 1 || day > 7)) {
+    throw new Error(`Day ${day} does not exist: rail weeks run from day 1 (${dayNames[0]}) to day 7 (${dayNames[6]})`);
+  }
+  const namedDay = weekday === undefined ? undefined : dayNames.findIndex(name => name.toLowerCase() === WEEKDAY_NAMES[weekday]) + 1;
+  if (day !== undefined && namedDay !== undefined && day !== namedDay) {
+    throw new Error(`Day ${day} is a ${dayNames[day - 1]}, not a ${dayNames[namedDay - 1]}`);
+  }
+  const dayOfRailWeek = day ?? namedDay ?? null;
+
+  const { period: weekPeriod, weekInPeriod } = RailwayDateAPI.getPeriodForWeek(year, railWeek, profile);
+  let { startDate, endDate } = RailwayDateAPI.railwayToDateRange(year, railWeek, profile);
+  if (dayOfRailWeek) {
+    startDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + dayOfRailWeek - 1);
+    endDate = startDate;
+  }
+  return { kind: 'railway', railwayYear: year, period: weekPeriod, weekInPeriod, railWeek, dayOfRailWeek, startDate, endDate };
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Read a Gregorian date or a railway notation (see the examples above)
+ * Returns { kind ('date' or 'railway'), railwayYear, period, weekInPeriod,
+ * railWeek, dayOfRailWeek, startDate, endDate }. A Gregorian date or a
+ * railway day gives a single day (startDate === endDate); a rail week or a
+ * whole period leaves the finer fields null. Throws on unreadable or
+ * impossible input.
+ */
+export const parseRailwayInput = (text, profile) => {
+  const normalised = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!normalised) throw new Error(`Enter a date or a railway week (${EXAMPLES})`);
+
+  const date = parseGregorian(normalised);
+  if (date) {
+    const info = RailwayDateAPI.dateToRailway(date, profile);
+    return {
+      kind: 'date',
+      railwayYear: info.railwayYear,
+      period: info.period,
+      weekInPeriod: info.weekInPeriod,
+      railWeek: info.railWeek,
+      dayOfRailWeek: info.dayOfRailWeek,
+      startDate: date,
+      endDate: date
+    };
+  }
+  return resolveRailway(tokeniseRailway(normalised), profile);
+};
+
+/**
+ * Short railway notation for a date, e.g. "RY 2025/26 P07 W3 Thu"
+ */
+export const formatRailwayNotation = (date, profile) => {
+  const info = RailwayDateAPI.dateToRailway(date, profile);
+  return `RY ${info.railwayYearDisplay} P${info.period.toString().padStart(2, '0')} W${info.weekInPeriod} ${info.dayName.slice(0, 3)}`;
+};
+
+export const RailwayNotation = {
+  parseRailwayInput,
+  formatRailwayNotation
+};
+
+export default RailwayNotation;
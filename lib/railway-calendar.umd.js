@@ -0,0 +1,3613 @@
+// Generated by bin/build-browser.mjs from lib/*.mjs - do not edit; rebuild instead.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else Object.assign(root, factory());
+}(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+  const modules = {};
+
+  modules['bank-holidays-data.mjs'] = (() => {
+// ============================================================================
+// UK BANK HOLIDAY DATA
+// ============================================================================
+//
+// Bundled snapshot of the official bank holiday list, in the same shape as
+// https://www.gov.uk/bank-holidays.json. It records one-off and moved days
+// that the rules in lib/railway-date-api.mjs cannot know about (the 2020 VE
+// Day move, the 2022 Platinum Jubilee and State Funeral, the 2023
+// Coronation). For any year a division covers, these dates replace the
+// computed bank holidays; later years fall back to the rules.
+//
+// To update without touching code, download a fresh bank-holidays.json and
+// load it in the calendar (Bank Holidays > Load data) or pass it to the
+// command-line tool with --bank-holidays <file>.
+
+const BUNDLED_BANK_HOLIDAYS = {
+  'england-and-wales': {
+    division: 'england-and-wales',
+    events: [
+      { title: 'New Year’s Day', date: '2018-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2018-03-30', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2018-04-02', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2018-05-07', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2018-05-28', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2018-08-27', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2018-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2018-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2019-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2019-04-19', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2019-04-22', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2019-05-06', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2019-05-27', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2019-08-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2019-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2019-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2020-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2020-04-10', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2020-04-13', notes: '', bunting: true },
+      { title: 'Early May bank holiday (VE day)', date: '2020-05-08', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2020-05-25', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2020-08-31', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2020-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2020-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2021-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2021-04-02', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2021-04-05', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2021-05-03', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2021-05-31', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2021-08-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2021-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'Boxing Day', date: '2021-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2022-01-03', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2022-04-15', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2022-04-18', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2022-05-02', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2022-06-02', notes: '', bunting: true },
+      { title: 'Platinum Jubilee bank holiday', date: '2022-06-03', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2022-08-29', notes: '', bunting: true },
+      { title: 'Bank Holiday for the State Funeral of Queen Elizabeth II', date: '2022-09-19', notes: '', bunting: false },
+      { title: 'Boxing Day', date: '2022-12-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2022-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2023-01-02', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2023-04-07', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2023-04-10', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2023-05-01', notes: '', bunting: true },
+      { title: 'Bank holiday for the coronation of King Charles III', date: '2023-05-08', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2023-05-29', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2023-08-28', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2023-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2023-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2024-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2024-03-29', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2024-04-01', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2024-05-06', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2024-05-27', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2024-08-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2024-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2024-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2025-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2025-04-18', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2025-04-21', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2025-05-05', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2025-05-26', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2025-08-25', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2025-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2025-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2026-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2026-04-03', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2026-04-06', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2026-05-04', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2026-05-25', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2026-08-31', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2026-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2026-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2027-01-01', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2027-03-26', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2027-03-29', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2027-05-03', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2027-05-31', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2027-08-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2027-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'Boxing Day', date: '2027-12-28', notes: 'Substitute day', bunting: true }
+    ]
+  },
+  'scotland': {
+    division: 'scotland',
+    events: [
+      { title: 'New Year’s Day', date: '2018-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2018-01-02', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2018-03-30', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2018-05-07', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2018-05-28', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2018-08-06', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2018-11-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2018-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2018-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2019-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2019-01-02', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2019-04-19', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2019-05-06', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2019-05-27', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2019-08-05', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2019-12-02', notes: 'Substitute day', bunting: true },
+      { title: 'Christmas Day', date: '2019-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2019-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2020-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2020-01-02', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2020-04-10', notes: '', bunting: false },
+      { title: 'Early May bank holiday (VE day)', date: '2020-05-08', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2020-05-25', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2020-08-03', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2020-11-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2020-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2020-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2021-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2021-01-04', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2021-04-02', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2021-05-03', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2021-05-31', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2021-08-02', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2021-11-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2021-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'Boxing Day', date: '2021-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2022-01-03', notes: 'Substitute day', bunting: true },
+      { title: '2nd January', date: '2022-01-04', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2022-04-15', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2022-05-02', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2022-06-02', notes: '', bunting: true },
+      { title: 'Platinum Jubilee bank holiday', date: '2022-06-03', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2022-08-01', notes: '', bunting: true },
+      { title: 'Bank Holiday for the State Funeral of Queen Elizabeth II', date: '2022-09-19', notes: '', bunting: false },
+      { title: 'St Andrew’s Day', date: '2022-11-30', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2022-12-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2022-12-27', notes: 'Substitute day', bunting: true },
+      { title: '2nd January', date: '2023-01-02', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2023-01-03', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2023-04-07', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2023-05-01', notes: '', bunting: true },
+      { title: 'Bank holiday for the coronation of King Charles III', date: '2023-05-08', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2023-05-29', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2023-08-07', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2023-11-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2023-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2023-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2024-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2024-01-02', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2024-03-29', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2024-05-06', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2024-05-27', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2024-08-05', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2024-12-02', notes: 'Substitute day', bunting: true },
+      { title: 'Christmas Day', date: '2024-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2024-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2025-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2025-01-02', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2025-04-18', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2025-05-05', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2025-05-26', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2025-08-04', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2025-12-01', notes: 'Substitute day', bunting: true },
+      { title: 'Christmas Day', date: '2025-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2025-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2026-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2026-01-02', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2026-04-03', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2026-05-04', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2026-05-25', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2026-08-03', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2026-11-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2026-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2026-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2027-01-01', notes: '', bunting: true },
+      { title: '2nd January', date: '2027-01-04', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2027-03-26', notes: '', bunting: false },
+      { title: 'Early May bank holiday', date: '2027-05-03', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2027-05-31', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2027-08-02', notes: '', bunting: true },
+      { title: 'St Andrew’s Day', date: '2027-11-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2027-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'Boxing Day', date: '2027-12-28', notes: 'Substitute day', bunting: true }
+    ]
+  },
+  'northern-ireland': {
+    division: 'northern-ireland',
+    events: [
+      { title: 'New Year’s Day', date: '2018-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2018-03-19', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2018-03-30', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2018-04-02', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2018-05-07', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2018-05-28', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2018-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2018-08-27', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2018-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2018-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2019-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2019-03-18', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2019-04-19', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2019-04-22', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2019-05-06', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2019-05-27', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2019-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2019-08-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2019-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2019-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2020-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2020-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2020-04-10', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2020-04-13', notes: '', bunting: true },
+      { title: 'Early May bank holiday (VE day)', date: '2020-05-08', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2020-05-25', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2020-07-13', notes: 'Substitute day', bunting: true },
+      { title: 'Summer bank holiday', date: '2020-08-31', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2020-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2020-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2021-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2021-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2021-04-02', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2021-04-05', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2021-05-03', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2021-05-31', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2021-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2021-08-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2021-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'Boxing Day', date: '2021-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2022-01-03', notes: 'Substitute day', bunting: true },
+      { title: 'St Patrick’s Day', date: '2022-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2022-04-15', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2022-04-18', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2022-05-02', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2022-06-02', notes: '', bunting: true },
+      { title: 'Platinum Jubilee bank holiday', date: '2022-06-03', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2022-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2022-08-29', notes: '', bunting: true },
+      { title: 'Bank Holiday for the State Funeral of Queen Elizabeth II', date: '2022-09-19', notes: '', bunting: false },
+      { title: 'Boxing Day', date: '2022-12-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2022-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2023-01-02', notes: 'Substitute day', bunting: true },
+      { title: 'St Patrick’s Day', date: '2023-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2023-04-07', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2023-04-10', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2023-05-01', notes: '', bunting: true },
+      { title: 'Bank holiday for the coronation of King Charles III', date: '2023-05-08', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2023-05-29', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2023-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2023-08-28', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2023-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2023-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2024-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2024-03-18', notes: 'Substitute day', bunting: true },
+      { title: 'Good Friday', date: '2024-03-29', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2024-04-01', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2024-05-06', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2024-05-27', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2024-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2024-08-26', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2024-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2024-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2025-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2025-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2025-04-18', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2025-04-21', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2025-05-05', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2025-05-26', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2025-07-14', notes: 'Substitute day', bunting: true },
+      { title: 'Summer bank holiday', date: '2025-08-25', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2025-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2025-12-26', notes: '', bunting: true },
+      { title: 'New Year’s Day', date: '2026-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2026-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2026-04-03', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2026-04-06', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2026-05-04', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2026-05-25', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2026-07-13', notes: 'Substitute day', bunting: true },
+      { title: 'Summer bank holiday', date: '2026-08-31', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2026-12-25', notes: '', bunting: true },
+      { title: 'Boxing Day', date: '2026-12-28', notes: 'Substitute day', bunting: true },
+      { title: 'New Year’s Day', date: '2027-01-01', notes: '', bunting: true },
+      { title: 'St Patrick’s Day', date: '2027-03-17', notes: '', bunting: true },
+      { title: 'Good Friday', date: '2027-03-26', notes: '', bunting: false },
+      { title: 'Easter Monday', date: '2027-03-29', notes: '', bunting: true },
+      { title: 'Early May bank holiday', date: '2027-05-03', notes: '', bunting: true },
+      { title: 'Spring bank holiday', date: '2027-05-31', notes: '', bunting: true },
+      { title: 'Battle of the Boyne (Orangemen’s Day)', date: '2027-07-12', notes: '', bunting: true },
+      { title: 'Summer bank holiday', date: '2027-08-30', notes: '', bunting: true },
+      { title: 'Christmas Day', date: '2027-12-27', notes: 'Substitute day', bunting: true },
+      { title: 'Boxing Day', date: '2027-12-28', notes: 'Substitute day', bunting: true }
+    ]
+  }
+};
+
+  return { BUNDLED_BANK_HOLIDAYS };
+  })();
+
+  modules['astronomy.mjs'] = (() => {
+// ============================================================================
+// ASTRONOMY
+// ============================================================================
+//
+// Sun and Moon positions and lunar phase times after Jean Meeus,
+// "Astronomical Algorithms" (2nd ed.). Shared by the festival calendars and
+// the moon/daylight helpers; like the rest of lib/ it has no DOM dependency.
+//
+//   import { getPhaseTime } from './lib/astronomy.mjs';
+//   getPhaseTime(getLunation(new Date(2026, 9, 19)), 0.5); // Date of the full moon (an instant)
+//
+// Julian days here are UT; Meeus' phase series (in TT) is corrected by ΔT.
+// Accuracy is a minute or two for phase times and about 0.01° for the Sun
+// and Moon longitudes - ample for deciding which day something falls on.
+
+const DAY_MS = 86400000;
+const UNIX_EPOCH_JD = 2440587.5;
+
+const rad = (degrees) => degrees * Math.PI / 180;
+const sin = (degrees) => Math.sin(rad(degrees));
+const cos = (degrees) => Math.cos(rad(degrees));
+
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Julian day (UT) of an instant
+ */
+const toJulianDay = (date) => date.getTime() / DAY_MS + UNIX_EPOCH_JD;
+
+/**
+ * Instant of a Julian day (UT)
+ */
+const fromJulianDay = (jd) => new Date(Math.round((jd - UNIX_EPOCH_JD) * DAY_MS));
+
+/**
+ * ΔT = TT - UT in seconds (Espenak & Meeus polynomials, 1986-2150)
+ */
+const deltaT = (year) => {
+  if (year < 2005) {
+    const t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year < 2050) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u ** 2 - 0.5628 * (2150 - year);
+};
+
+const centuries = (jd) => (jd - 2451545) / 36525;
+
+/**
+ * Apparent geocentric longitude of the Sun in degrees (Meeus ch. 25)
+ */
+const getSunLongitude = (jd) => {
+  const T = centuries(jd);
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T ** 2;
+  const M = 357.52911 + 35999.05029 * T - 0.0001537 * T ** 2;
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T ** 2) * sin(M) +
+    (0.019993 - 0.000101 * T) * sin(2 * M) +
+    0.000289 * sin(3 * M);
+  const omega = 125.04 - 1934.136 * T;
+  return normalizeDegrees(L0 + C - 0.00569 - 0.00478 * sin(omega));
+};
+
+// Periodic terms for the Moon's longitude and distance:
+// [D, M, M', F, longitude × 1e-6°, distance × 0.001 km] (Meeus table 47.A,
+// longitude terms above 0.002°)
+const MOON_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0]
+];
+
+// Periodic terms for the Moon's latitude: [D, M, M', F, × 1e-6°] (Meeus table 47.B, above 0.001°)
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+  [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+  [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833]
+];
+
+/**
+ * Geocentric position of the Moon (Meeus ch. 47, main terms)
+ * Returns { longitude, latitude } in degrees and distance in km.
+ */
+const getMoonPosition = (jd) => {
+  const T = centuries(jd);
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 + T ** 3 / 538841;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 + T ** 3 / 545868;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 + T ** 3 / 69699;
+  const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2;
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const A1 = 119.75 + 131.849 * T;
+  const A3 = 313.45 + 481266.484 * T;
+  let sumL = 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(53.09 + 479264.29 * T);
+  let sumR = 0;
+  MOON_TERMS.forEach(([d, m, mp, f, longitude, distance]) => {
+    const argument = d * D + m * M + mp * Mp + f * F;
+    const eccentricity = E ** Math.abs(m);
+    sumL += longitude * eccentricity * sin(argument);
+    sumR += distance * eccentricity * cos(argument);
+  });
+  const sumB = MOON_LATITUDE_TERMS.reduce((total, [d, m, mp, f, coefficient]) =>
+    total + coefficient * E ** Math.abs(m) * sin(d * D + m * M + mp * Mp + f * F),
+  -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp));
+  return {
+    longitude: normalizeDegrees(Lp + sumL / 1e6),
+    latitude: sumB / 1e6,
+    distance: 385000.56 + sumR / 1000
+  };
+};
+
+/**
+ * Geocentric longitude of the Moon in degrees
+ */
+const getMoonLongitude = (jd) => getMoonPosition(jd).longitude;
+
+/**
+ * Moon's elongation east of the Sun in degrees: 0 new, 90 first quarter, 180 full
+ */
+const getLunarElongation = (jd) => normalizeDegrees(getMoonLongitude(jd) - getSunLongitude(jd));
+
+/**
+ * Julian day when the Sun's apparent longitude next reaches a value, searching from jd
+ */
+const getSolarLongitudeTime = (longitude, jd) => {
+  let estimate = jd + normalizeDegrees(longitude - getSunLongitude(jd)) * 365.2422 / 360;
+  for (let i = 0; i < 5; i++) {
+    const error = ((getSunLongitude(estimate) - longitude + 540) % 360) - 180;
+    estimate -= error * 365.2422 / 360;
+  }
+  return estimate;
+};
+
+/**
+ * Lunation number (Meeus' k, new moon of 6 January 2000 = 0) of the last new moon on or before a date
+ */
+const getLunation = (date) => {
+  let k = Math.floor((toJulianDay(date) - 2451550.09766) / 29.530588861);
+  if (toJulianDay(getPhaseTime(k + 1, 0)) <= toJulianDay(date)) k++;
+  return k;
+};
+
+// New moon corrections: [coefficient, E power, M, M', F, Ω]. Full moons use
+// the same arguments with slightly different leading coefficients.
+const NEW_MOON_TERMS = [
+  [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+  [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+  [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+  [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+  [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+  [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+  [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+  [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+  [0.00002, 0, 0, 4, 0, 0]
+];
+
+const FULL_MOON_TERMS = NEW_MOON_TERMS.map((term, i) =>
+  [[-0.40614, 0.17302, 0.01614, 0.01043, 0.00734, -0.00515, 0.00209][i] ?? term[0], ...term.slice(1)]);
+
+const QUARTER_TERMS = [
+  [-0.62801, 0, 0, 1, 0, 0], [0.17172, 1, 1, 0, 0, 0], [-0.01183, 1, 1, 1, 0, 0],
+  [0.00862, 0, 0, 2, 0, 0], [0.00804, 0, 0, 0, 2, 0], [0.00454, 1, -1, 1, 0, 0],
+  [0.00204, 2, 2, 0, 0, 0], [-0.00180, 0, 0, 1, -2, 0], [-0.00070, 0, 0, 1, 2, 0],
+  [-0.00040, 0, 0, 3, 0, 0], [-0.00034, 1, -1, 2, 0, 0], [0.00032, 1, 1, 0, 2, 0],
+  [0.00032, 1, 1, 0, -2, 0], [-0.00028, 2, 2, 1, 0, 0], [0.00027, 1, 1, 2, 0, 0],
+  [-0.00017, 0, 0, 0, 0, 1], [-0.00005, 0, -1, 1, -2, 0], [0.00004, 0, 0, 2, 2, 0],
+  [-0.00004, 0, 1, 1, 2, 0], [0.00004, 0, -2, 1, 0, 0], [0.00003, 0, 1, 1, -2, 0],
+  [0.00003, 0, 3, 0, 0, 0], [0.00002, 0, 0, 2, -2, 0], [0.00002, 0, -1, 1, 2, 0],
+  [-0.00002, 0, 1, 3, 0, 0]
+];
+
+// Planetary arguments [A0, rate per lunation, coefficient] (A1 also has a T² term)
+const PLANETARY_TERMS = [
+  [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165], [251.83, 26.651886, 0.000164],
+  [349.42, 36.412478, 0.000126], [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+  [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056], [34.52, 27.261239, 0.000047],
+  [207.19, 0.121824, 0.000042], [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+  [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+];
+
+/**
+ * Instant of a principal moon phase (Meeus ch. 49)
+ * lunation is Meeus' integer k; phase is 0 new, 0.25 first quarter,
+ * 0.5 full or 0.75 last quarter.
+ */
+const getPhaseTime = (lunation, phase) => {
+  const k = lunation + phase;
+  const T = k / 1236.85;
+  let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T ** 2 - 0.00000015 * T ** 3 + 0.00000000073 * T ** 4;
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const M = 2.5534 + 29.1053567 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3;
+  const Mp = 201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4;
+  const F = 160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4;
+  const omega = 124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3;
+
+  const terms = phase === 0 ? NEW_MOON_TERMS : phase === 0.5 ? FULL_MOON_TERMS : QUARTER_TERMS;
+  jde += terms.reduce((total, [coefficient, ePower, m, mp, f, o]) =>
+    total + coefficient * E ** ePower * sin(m * M + mp * Mp + f * F + o * omega), 0);
+  if (phase === 0.25 || phase === 0.75) {
+    const W = 0.00306 - 0.00038 * E * cos(M) + 0.00026 * cos(Mp) - 0.00002 * cos(Mp - M) + 0.00002 * cos(Mp + M) + 0.00002 * cos(2 * F);
+    jde += phase === 0.25 ? W : -W;
+  }
+  jde += PLANETARY_TERMS.reduce((total, [a0, rate, coefficient], i) =>
+    total + coefficient * sin(a0 + rate * k - (i === 0 ? 0.009173 * T ** 2 : 0)), 0);
+
+  const year = 2000 + k / 12.3685;
+  return fromJulianDay(jde - deltaT(year) / 86400);
+};
+
+/**
+ * Calendar date (local midnight) of an instant in a fixed UTC offset, in hours
+ */
+const dateAtOffset = (instant, offsetHours) => {
+  const shifted = new Date(instant.getTime() + offsetHours * 3600000);
+  return new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+};
+
+// ============================================================================
+// UK LOCAL TIME
+// ============================================================================
+//
+// Europe/London: GMT, or BST (GMT+1) from 01:00 GMT on the last Sunday of
+// March to 01:00 GMT on the last Sunday of October. Worked out here rather
+// than with Intl so results don't depend on the runtime's time zone data.
+
+// 01:00 GMT on the last Sunday of a month, as epoch milliseconds
+const lastSundayChange = (year, month) => {
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  return Date.UTC(year, month, last.getUTCDate() - last.getUTCDay(), 1);
+};
+
+/**
+ * UK offset from GMT in hours (0 or 1) at an instant
+ */
+const getUKOffset = (instant) => {
+  const time = instant.getTime();
+  const year = new Date(time).getUTCFullYear();
+  return time >= lastSundayChange(year, 2) && time < lastSundayChange(year, 9) ? 1 : 0;
+};
+
+/**
+ * Instant of UK midnight at the start of a date's day
+ */
+const getUKMidnight = (date) => {
+  const utcMidnight = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  return new Date(utcMidnight - getUKOffset(new Date(utcMidnight)) * 3600000);
+};
+
+/**
+ * UK calendar date (local midnight) of an instant
+ */
+const getUKDate = (instant) => dateAtOffset(instant, getUKOffset(instant));
+
+/**
+ * Instant of a UK clock time ("HH:MM") on a date
+ */
+const getUKInstant = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const asGmt = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+  return new Date(asGmt - getUKOffset(new Date(asGmt)) * 3600000);
+};
+
+/**
+ * UK clock time of an instant as "HH:MM"
+ */
+const formatUKTime = (instant) => {
+  const shifted = new Date(Math.round(instant.getTime() / 60000) * 60000 + getUKOffset(instant) * 3600000);
+  return `${String(shifted.getUTCHours()).padStart(2, '0')}:${String(shifted.getUTCMinutes()).padStart(2, '0')}`;
+};
+
+// ============================================================================
+// RISING AND SETTING
+// ============================================================================
+
+// Right ascension and declination (degrees) from ecliptic coordinates
+const toEquatorial = (jd, longitude, latitude) => {
+  const obliquity = 23.439291 - 0.0130042 * centuries(jd);
+  const rightAscension = normalizeDegrees(Math.atan2(
+    sin(longitude) * cos(obliquity) - Math.tan(rad(latitude)) * sin(obliquity),
+    cos(longitude)
+  ) * 180 / Math.PI);
+  const declination = Math.asin(sin(latitude) * cos(obliquity) + cos(latitude) * sin(obliquity) * sin(longitude)) * 180 / Math.PI;
+  return { rightAscension, declination };
+};
+
+// Geocentric altitude (degrees) of a body at an observer
+const altitude = (jd, { rightAscension, declination }, latitude, longitude) => {
+  const siderealTime = 280.46061837 + 360.98564736629 * (jd - 2451545);
+  const hourAngle = siderealTime + longitude - rightAscension;
+  return Math.asin(sin(latitude) * sin(declination) + cos(latitude) * cos(declination) * cos(hourAngle)) * 180 / Math.PI;
+};
+
+// Sun's declination (degrees) and equation of time (minutes) at a Julian day (NOAA)
+const solarCoordinates = (jd) => {
+  const T = centuries(jd);
+  const L0 = 280.46646 + T * (36000.76983 + T * 0.0003032);
+  const M = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  const obliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60 +
+    0.00256 * cos(125.04 - 1934.136 * T);
+  const declination = Math.asin(sin(obliquity) * sin(getSunLongitude(jd))) * 180 / Math.PI;
+  const y = Math.tan(rad(obliquity / 2)) ** 2;
+  const equationOfTime = 4 * (180 / Math.PI) * (
+    y * sin(2 * L0) - 2 * e * sin(M) + 4 * e * y * sin(M) * cos(2 * L0) -
+    0.5 * y * y * sin(4 * L0) - 1.25 * e * e * sin(2 * M)
+  );
+  return { declination, equationOfTime };
+};
+
+/**
+ * When the Sun's centre crosses an altitude on a UK date (NOAA solar calculator)
+ * The default -0.833° is sunrise/sunset: the upper limb on the horizon after
+ * refraction. Use -6, -12 or -18 for civil, nautical or astronomical twilight.
+ * Returns { rise, set, noon } as instants; rise and set are null when the Sun
+ * stays above (alwaysUp) or below (alwaysDown) that altitude all day.
+ */
+const getSunTimes = (date, latitude, longitude, altitude = -0.833) => {
+  const utcDay = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  // Minutes after UTC midnight of an event near a first guess, refined twice
+  // with the Sun's position at the event itself
+  const solve = (direction) => {
+    let minutes = 720 - 4 * longitude;
+    for (let i = 0; i < 3; i++) {
+      const { declination, equationOfTime } = solarCoordinates(toJulianDay(new Date(utcDay + minutes * 60000)));
+      const noon = 720 - 4 * longitude - equationOfTime;
+      if (direction === 0) {
+        minutes = noon;
+        continue;
+      }
+      const cosHourAngle = (sin(altitude) - sin(latitude) * sin(declination)) / (cos(latitude) * cos(declination));
+      if (cosHourAngle < -1) return { alwaysUp: true };
+      if (cosHourAngle > 1) return { alwaysDown: true };
+      minutes = noon + direction * 4 * Math.acos(cosHourAngle) * 180 / Math.PI;
+    }
+    return { time: new Date(utcDay + minutes * 60000) };
+  };
+  const rise = solve(-1);
+  const set = solve(1);
+  return {
+    rise: rise.time || null,
+    set: set.time || null,
+    noon: solve(0).time,
+    alwaysUp: Boolean(rise.alwaysUp || set.alwaysUp),
+    alwaysDown: Boolean(rise.alwaysDown || set.alwaysDown)
+  };
+};
+
+/**
+ * Moonrise and moonset on a UK date at a place (degrees, east positive)
+ * Returns { rise, set } as instants, either null when the Moon doesn't rise
+ * or set that day (it does so about 50 minutes later each day).
+ */
+const getMoonRiseSet = (date, latitude, longitude) => {
+  // Height of the Moon's centre when its upper limb touches the horizon,
+  // allowing for parallax, refraction and semi-diameter
+  const aboveHorizon = (time) => {
+    const jd = toJulianDay(new Date(time));
+    const moon = getMoonPosition(jd);
+    const parallax = Math.asin(6378.14 / moon.distance) * 180 / Math.PI;
+    return altitude(jd, toEquatorial(jd, moon.longitude, moon.latitude), latitude, longitude) - (0.7275 * parallax - 0.5667);
+  };
+  const start = getUKMidnight(date).getTime();
+  const end = getUKMidnight(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)).getTime();
+  const result = { rise: null, set: null };
+  const step = 3600000;
+  let previous = aboveHorizon(start);
+  for (let time = start; time < end; time += step) {
+    const next = Math.min(time + step, end);
+    const current = aboveHorizon(next);
+    if ((previous < 0) !== (current < 0)) {
+      let [low, high] = [time, next];
+      for (let i = 0; i < 12; i++) {
+        const middle = (low + high) / 2;
+        if ((aboveHorizon(middle) < 0) === (previous < 0)) low = middle;
+        else high = middle;
+      }
+      result[previous < 0 ? 'rise' : 'set'] = new Date((low + high) / 2);
+    }
+    previous = current;
+  }
+  return result;
+};
+
+const Astronomy = {
+  normalizeDegrees,
+  toJulianDay,
+  fromJulianDay,
+  getSunLongitude,
+  getMoonPosition,
+  getMoonLongitude,
+  getLunarElongation,
+  getSolarLongitudeTime,
+  getLunation,
+  getPhaseTime,
+  dateAtOffset,
+  getUKOffset,
+  getUKMidnight,
+  getUKDate,
+  getUKInstant,
+  formatUKTime,
+  getSunTimes,
+  getMoonRiseSet
+};
+
+  return { normalizeDegrees, toJulianDay, fromJulianDay, getSunLongitude, getMoonPosition, getMoonLongitude, getLunarElongation, getSolarLongitudeTime, getLunation, getPhaseTime, dateAtOffset, getUKOffset, getUKMidnight, getUKDate, getUKInstant, formatUKTime, getSunTimes, getMoonRiseSet, Astronomy };
+  })();
+
+  modules['festival-calendars.mjs'] = (() => {
+// ============================================================================
+// FESTIVAL CALENDARS
+// ============================================================================
+//
+// Festivals set by the Hebrew, Islamic, Hindu, Sikh and Chinese calendars,
+// worked out for a Gregorian year in the shape getUKBankHolidays returns:
+// { date, name, emoji, type, notes? } with dates at local midnight.
+//
+//   import { getFestivals } from './lib/festival-calendars.mjs';
+//   getFestivals(2026); // [{ date, name: 'Chinese New Year', ... }, ...]
+//
+// - Hebrew: the fixed arithmetic calendar (molad and postponement rules), so
+//   exact. Festivals start at sunset the evening before the date given.
+// - Islamic: months start the day after a new moon that falls before sunset
+//   in Mecca, otherwise a day later (as the Umm al-Qura calendar does). UK
+//   mosques following a local sighting may celebrate a day later.
+// - Hindu and Sikh: sidereal (Lahiri) Sun and Moon positions as used by
+//   Indian almanacs, at Indian Standard Time. Diwali is the day whose sunset
+//   falls in the amavasya (new moon) tithi of Ashvin; Vaisakhi is the day of
+//   Mesha Sankranti, the Sun's entry into sidereal Aries.
+// - Chinese: New Year is the second new moon after the winter solstice at
+//   China Standard Time, or the third when a leap month comes first (as in
+//   the 2033/34 winter).
+
+const { Astronomy } = modules['astronomy.mjs'];
+
+const DAY_MS = 86400000;
+
+// Days from 1 January AD 1 (Gregorian, day 1) to 1 January 1970
+const UNIX_EPOCH_RD = 719163;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Local midnight of a fixed day number (days since 1 January AD 1, which is day 1)
+const fromFixed = (fixed) => {
+  const utc = new Date((fixed - UNIX_EPOCH_RD) * DAY_MS);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+// ========== HEBREW ==========
+
+const HEBREW_EPOCH = -1373427; // 1 Tishri AM 1 as a fixed day number
+
+// Days from the epoch to Rosh Hashanah, before the year-length postponement
+const hebrewElapsedDays = (hebrewYear) => {
+  const months = Math.floor((235 * hebrewYear - 234) / 19);
+  const parts = 12084 + 13753 * months;
+  const days = 29 * months + Math.floor(parts / 25920);
+  return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+};
+
+// Fixed day number of 1 Tishri (Rosh Hashanah) of a Hebrew year
+const hebrewNewYear = (hebrewYear) => {
+  const previous = hebrewElapsedDays(hebrewYear - 1);
+  const current = hebrewElapsedDays(hebrewYear);
+  const next = hebrewElapsedDays(hebrewYear + 1);
+  const correction = next - current === 356 ? 2 : current - previous === 382 ? 1 : 0;
+  return HEBREW_EPOCH + current + correction;
+};
+
+/**
+ * Rosh Hashanah, Yom Kippur, Hanukkah and Passover in a Gregorian year
+ */
+const getJewishFestivals = (year) => {
+  // The Hebrew year starting in the autumn of `year`
+  const hebrewYear = year + 3761;
+  const newYear = hebrewNewYear(hebrewYear);
+  const yearLength = hebrewNewYear(hebrewYear + 1) - newYear;
+  // Cheshvan has 30 days in "complete" years (355 or 385 days), else 29
+  const cheshvanLength = yearLength % 10 === 5 ? 30 : 29;
+  const notes = 'Begins at sunset the evening before';
+  return [
+    // 15 Nisan is always 163 days before the following Rosh Hashanah
+    { date: fromFixed(newYear - 163), name: "Passover", emoji: "🍷", type: "religious", notes },
+    { date: fromFixed(newYear), name: "Rosh Hashanah", emoji: "🍎", type: "religious", notes },
+    { date: fromFixed(newYear + 9), name: "Yom Kippur", emoji: "🕍", type: "religious", notes },
+    // 25 Kislev: after 30 days of Tishri and all of Cheshvan
+    { date: fromFixed(newYear + 30 + cheshvanLength + 24), name: "Hanukkah", emoji: "🕎", type: "religious", notes }
+  ];
+};
+
+// ========== ISLAMIC ==========
+
+const ISLAMIC_EPOCH = 227015; // 1 Muharram AH 1 (16 July 622 Julian) as a fixed day number
+const MECCA_OFFSET = 3;
+const MECCA_SUNSET_HOURS = 18.5; // local time, within half an hour all year
+
+// Fixed day number of a date in the tabular (arithmetic) Islamic calendar
+const fixedFromTabularIslamic = (year, month, day) =>
+  ISLAMIC_EPOCH - 1 + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) +
+  29 * (month - 1) + Math.floor(month / 2) + day;
+
+// First day of an Islamic month from the new moon nearest the tabular estimate
+const islamicMonthStart = (year, month) => {
+  const estimate = fromFixed(fixedFromTabularIslamic(year, month, 1) - 1);
+  const conjunction = Astronomy.getPhaseTime(Math.round((Astronomy.toJulianDay(estimate) - 2451550.09766) / 29.530588861), 0);
+  const meccaDate = Astronomy.dateAtOffset(conjunction, MECCA_OFFSET);
+  const meccaHours = ((conjunction.getTime() / 3600000 + MECCA_OFFSET) % 24 + 24) % 24;
+  return addDays(meccaDate, meccaHours < MECCA_SUNSET_HOURS ? 1 : 2);
+};
+
+/**
+ * Start of Ramadan, Eid al-Fitr and Eid al-Adha in a Gregorian year
+ */
+const getIslamicFestivals = (year) => {
+  // The estimate can run a year late; the filter below drops the extras
+  const firstHijriYear = Math.floor((year - 622) * 33 / 32) - 1;
+  const notes = 'Expected date; may be a day later depending on moon sighting';
+  const festivals = [];
+  for (let hijriYear = firstHijriYear; hijriYear <= firstHijriYear + 3; hijriYear++) {
+    festivals.push(
+      { date: islamicMonthStart(hijriYear, 9), name: "Ramadan begins", emoji: "☪️", type: "religious", notes },
+      { date: islamicMonthStart(hijriYear, 10), name: "Eid al-Fitr", emoji: "🌙", type: "religious", notes },
+      { date: addDays(islamicMonthStart(hijriYear, 12), 9), name: "Eid al-Adha", emoji: "🌙", type: "religious", notes }
+    );
+  }
+  return festivals.filter(festival => festival.date.getFullYear() === year);
+};
+
+// ========== HINDU AND SIKH ==========
+
+const INDIA_OFFSET = 5.5;
+const INDIA_SUNSET_UTC_HOURS = 12.25; // about 17:45 IST in October and November
+
+// Lahiri ayanamsa: sidereal longitude = tropical longitude - ayanamsa
+const lahiriAyanamsa = (jd) => 23.857 + (jd - 2451545) / 365.25 * 50.29 / 3600;
+
+/**
+ * Diwali (Lakshmi Puja) in a Gregorian year
+ */
+const getDiwali = (year) => {
+  // Ashvin's amavasya is the new moon with the Sun in sidereal Libra (mid-October to mid-November)
+  let lunation = Astronomy.getLunation(new Date(Date.UTC(year, 10, 20)));
+  const siderealSun = (k) => {
+    const jd = Astronomy.toJulianDay(Astronomy.getPhaseTime(k, 0));
+    return Astronomy.normalizeDegrees(Astronomy.getSunLongitude(jd) - lahiriAyanamsa(jd));
+  };
+  while (siderealSun(lunation) >= 210) lunation--;
+  const newMoon = Astronomy.getPhaseTime(lunation, 0);
+  // Amavasya is the last twelfth of the lunar month (elongation 348-360°);
+  // the festival is the first evening inside it
+  const dayBefore = addDays(Astronomy.dateAtOffset(newMoon, INDIA_OFFSET), -1);
+  const sunsetBefore = Date.UTC(dayBefore.getFullYear(), dayBefore.getMonth(), dayBefore.getDate()) + INDIA_SUNSET_UTC_HOURS * 3600000;
+  const inAmavasya = Astronomy.getLunarElongation(Astronomy.toJulianDay(new Date(sunsetBefore))) >= 348;
+  return { date: inAmavasya ? dayBefore : addDays(dayBefore, 1), name: "Diwali", emoji: "🪔", type: "religious" };
+};
+
+/**
+ * Vaisakhi (Mesha Sankranti) in a Gregorian year
+ */
+const getVaisakhi = (year) => {
+  const start = Astronomy.toJulianDay(new Date(Date.UTC(year, 3, 1)));
+  const sankranti = Astronomy.getSolarLongitudeTime(lahiriAyanamsa(start), start);
+  return {
+    date: Astronomy.dateAtOffset(Astronomy.fromJulianDay(sankranti), INDIA_OFFSET),
+    name: "Vaisakhi",
+    emoji: "🌾",
+    type: "religious"
+  };
+};
+
+// ========== CHINESE ==========
+
+const CHINA_OFFSET = 8;
+
+/**
+ * Chinese (Lunar) New Year in a Gregorian year
+ */
+const getChineseNewYear = (year) => {
+  const chinaDate = (k) => Astronomy.dateAtOffset(Astronomy.getPhaseTime(k, 0), CHINA_OFFSET);
+  // Sun's longitude at the start (China midnight) of a day
+  const sunAt = (date) => Astronomy.getSunLongitude(Astronomy.toJulianDay(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - CHINA_OFFSET * 3600000)));
+  // Lunation starting the 11th month, the one containing the winter solstice of a year
+  const eleventhMonth = (solsticeYear) => {
+    const solsticeJd = Astronomy.getSolarLongitudeTime(270, Astronomy.toJulianDay(new Date(Date.UTC(solsticeYear, 11, 1))));
+    const solsticeDate = Astronomy.dateAtOffset(Astronomy.fromJulianDay(solsticeJd), CHINA_OFFSET);
+    const lunation = Astronomy.getLunation(Astronomy.fromJulianDay(solsticeJd));
+    return chinaDate(lunation) > solsticeDate ? lunation - 1 : lunation;
+  };
+  const start = eleventhMonth(year - 1);
+  // Thirteen months until the next 11th month means one is a leap month: the
+  // first with no principal solar term (Sun crossing a multiple of 30°)
+  const isLeap = (k) => Math.floor(sunAt(chinaDate(k)) / 30) === Math.floor(sunAt(chinaDate(k + 1)) / 30);
+  const hasLeapMonth = eleventhMonth(year) - start === 13;
+  const leapBeforeNewYear = hasLeapMonth && (isLeap(start + 1) || isLeap(start + 2));
+  return { date: chinaDate(start + (leapBeforeNewYear ? 3 : 2)), name: "Chinese New Year", emoji: "🧧", type: "cultural" };
+};
+
+/**
+ * Every festival above for a Gregorian year
+ */
+const getFestivals = (year) => [
+  getChineseNewYear(year),
+  getVaisakhi(year),
+  getDiwali(year),
+  ...getJewishFestivals(year),
+  ...getIslamicFestivals(year)
+];
+
+const FestivalCalendars = {
+  getJewishFestivals,
+  getIslamicFestivals,
+  getDiwali,
+  getVaisakhi,
+  getChineseNewYear,
+  getFestivals
+};
+
+  return { getJewishFestivals, getIslamicFestivals, getDiwali, getVaisakhi, getChineseNewYear, getFestivals, FestivalCalendars };
+  })();
+
+  modules['locations.mjs'] = (() => {
+// ============================================================================
+// LOCATIONS
+// ============================================================================
+//
+// Major stations and traincrew/maintenance depots, offline, for daylight and
+// moon times (see getDayLength and getMoonPhase, which take a trailing
+// `location`: one of these ids or { name, latitude, longitude }). Coordinates
+// are decimal degrees, west negative, to about 100 m - far closer than
+// sunrise times need. Times are always UK clock time.
+//
+// London is the default and matches the coordinates used before locations
+// could be chosen.
+
+const RAIL_LOCATIONS = {
+  london: { id: 'london', name: 'London', kind: 'station', latitude: 51.5074, longitude: -0.1278 },
+
+  // Stations, south-west to north
+  penzance: { id: 'penzance', name: 'Penzance', kind: 'station', latitude: 50.1217, longitude: -5.5326 },
+  plymouth: { id: 'plymouth', name: 'Plymouth', kind: 'station', latitude: 50.3780, longitude: -4.1433 },
+  exeterStDavids: { id: 'exeterStDavids', name: 'Exeter St Davids', kind: 'station', latitude: 50.7294, longitude: -3.5434 },
+  bristolTempleMeads: { id: 'bristolTempleMeads', name: 'Bristol Temple Meads', kind: 'station', latitude: 51.4491, longitude: -2.5813 },
+  southamptonCentral: { id: 'southamptonCentral', name: 'Southampton Central', kind: 'station', latitude: 50.9075, longitude: -1.4137 },
+  brighton: { id: 'brighton', name: 'Brighton', kind: 'station', latitude: 50.8290, longitude: -0.1411 },
+  ashfordInternational: { id: 'ashfordInternational', name: 'Ashford International', kind: 'station', latitude: 51.1434, longitude: 0.8757 },
+  cardiffCentral: { id: 'cardiffCentral', name: 'Cardiff Central', kind: 'station', latitude: 51.4760, longitude: -3.1792 },
+  swansea: { id: 'swansea', name: 'Swansea', kind: 'station', latitude: 51.6252, longitude: -3.9416 },
+  reading: { id: 'reading', name: 'Reading', kind: 'station', latitude: 51.4588, longitude: -0.9719 },
+  oxford: { id: 'oxford', name: 'Oxford', kind: 'station', latitude: 51.7535, longitude: -1.2700 },
+  cambridge: { id: 'cambridge', name: 'Cambridge', kind: 'station', latitude: 52.1943, longitude: 0.1375 },
+  norwich: { id: 'norwich', name: 'Norwich', kind: 'station', latitude: 52.6270, longitude: 1.3069 },
+  birminghamNewStreet: { id: 'birminghamNewStreet', name: 'Birmingham New Street', kind: 'station', latitude: 52.4778, longitude: -1.8990 },
+  derby: { id: 'derby', name: 'Derby', kind: 'station', latitude: 52.9165, longitude: -1.4634 },
+  nottingham: { id: 'nottingham', name: 'Nottingham', kind: 'station', latitude: 52.9470, longitude: -1.1462 },
+  crewe: { id: 'crewe', name: 'Crewe', kind: 'station', latitude: 53.0891, longitude: -2.4331 },
+  holyhead: { id: 'holyhead', name: 'Holyhead', kind: 'station', latitude: 53.3077, longitude: -4.6311 },
+  liverpoolLimeStreet: { id: 'liverpoolLimeStreet', name: 'Liverpool Lime Street', kind: 'station', latitude: 53.4075, longitude: -2.9775 },
+  manchesterPiccadilly: { id: 'manchesterPiccadilly', name: 'Manchester Piccadilly', kind: 'station', latitude: 53.4774, longitude: -2.2309 },
+  sheffield: { id: 'sheffield', name: 'Sheffield', kind: 'station', latitude: 53.3781, longitude: -1.4622 },
+  leeds: { id: 'leeds', name: 'Leeds', kind: 'station', latitude: 53.7950, longitude: -1.5477 },
+  york: { id: 'york', name: 'York', kind: 'station', latitude: 53.9579, longitude: -1.0931 },
+  carlisle: { id: 'carlisle', name: 'Carlisle', kind: 'station', latitude: 54.8907, longitude: -2.9335 },
+  newcastle: { id: 'newcastle', name: 'Newcastle', kind: 'station', latitude: 54.9685, longitude: -1.6174 },
+  belfastLanyonPlace: { id: 'belfastLanyonPlace', name: 'Belfast Lanyon Place', kind: 'station', latitude: 54.5950, longitude: -5.9178 },
+  glasgowCentral: { id: 'glasgowCentral', name: 'Glasgow Central', kind: 'station', latitude: 55.8590, longitude: -4.2580 },
+  edinburghWaverley: { id: 'edinburghWaverley', name: 'Edinburgh Waverley', kind: 'station', latitude: 55.9520, longitude: -3.1894 },
+  aberdeen: { id: 'aberdeen', name: 'Aberdeen', kind: 'station', latitude: 57.1435, longitude: -2.0984 },
+  inverness: { id: 'inverness', name: 'Inverness', kind: 'station', latitude: 57.4797, longitude: -4.2235 },
+  thurso: { id: 'thurso', name: 'Thurso', kind: 'station', latitude: 58.5905, longitude: -3.5274 },
+
+  // Depots
+  laira: { id: 'laira', name: 'Laira (Plymouth)', kind: 'depot', latitude: 50.3798, longitude: -4.1010 },
+  eastleigh: { id: 'eastleigh', name: 'Eastleigh', kind: 'depot', latitude: 50.9690, longitude: -1.3500 },
+  stPhilipsMarsh: { id: 'stPhilipsMarsh', name: "St Philip's Marsh (Bristol)", kind: 'depot', latitude: 51.4450, longitude: -2.5720 },
+  oldOakCommon: { id: 'oldOakCommon', name: 'Old Oak Common', kind: 'depot', latitude: 51.5290, longitude: -0.2460 },
+  ilford: { id: 'ilford', name: 'Ilford', kind: 'depot', latitude: 51.5600, longitude: 0.0870 },
+  tyseley: { id: 'tyseley', name: 'Tyseley (Birmingham)', kind: 'depot', latitude: 52.4560, longitude: -1.8390 },
+  toton: { id: 'toton', name: 'Toton', kind: 'depot', latitude: 52.9100, longitude: -1.2640 },
+  longsight: { id: 'longsight', name: 'Longsight (Manchester)', kind: 'depot', latitude: 53.4620, longitude: -2.2000 },
+  nevilleHill: { id: 'nevilleHill', name: 'Neville Hill (Leeds)', kind: 'depot', latitude: 53.7950, longitude: -1.5060 },
+  heaton: { id: 'heaton', name: 'Heaton (Newcastle)', kind: 'depot', latitude: 54.9860, longitude: -1.5830 },
+  polmadie: { id: 'polmadie', name: 'Polmadie (Glasgow)', kind: 'depot', latitude: 55.8360, longitude: -4.2400 },
+  craigentinny: { id: 'craigentinny', name: 'Craigentinny (Edinburgh)', kind: 'depot', latitude: 55.9580, longitude: -3.1310 },
+  invernessDepot: { id: 'invernessDepot', name: 'Inverness depot', kind: 'depot', latitude: 57.4790, longitude: -4.2110 }
+};
+
+const DEFAULT_LOCATION_ID = 'london';
+
+  return { RAIL_LOCATIONS, DEFAULT_LOCATION_ID };
+  })();
+
+  modules['railway-date-api.mjs'] = (() => {
+// ============================================================================
+// RAILWAY DATE API MODULE
+// ============================================================================
+//
+// Standalone ES module containing all railway calendar date logic. It has no
+// React, DOM or `window` dependency, so the same functions can be used from
+// Node scripts, other web apps and the browser calendar in index.html.
+//
+// Usage (Node 14+ or any ES module aware bundler/browser):
+//
+//   import { RailwayDateAPI, dateToRailway } from './lib/railway-date-api.mjs';
+//   dateToRailway(new Date(2025, 1, 14)); // { railwayYear: 2024, railWeek: 46, ... }
+//
+// index.html loads it through lib/railway-calendar.umd.js, a classic-script
+// build (bin/build-browser.mjs) that sets the global `window.RailwayDateAPI`
+// for the Babel-transpiled calendar component.
+//
+// Public surface (stable):
+//   CALENDAR_PROFILES, DEFAULT_PROFILE_ID, getProfile, getProfiles,
+//   BANK_HOLIDAY_REGIONS, DEFAULT_REGION_ID, getRegion, getRegions,
+//   describeHolidayRegions, validateBankHolidayData, loadBankHolidayData,
+//   resetBankHolidayData, getBankHolidayDataInfo,
+//   getRailWeekDayNames, describeProfile, dateToRailway, railwayToDateRange,
+//   getPeriodDates, getPeriodCount, getPeriodForWeek, isLongYear,
+//   getWeekOneStart, getTotalWeeks, getUKBankHolidays, getEasterSunday,
+//   PAYDAY_FREQUENCIES, PAYDAY_ADJUSTMENTS, DEFAULT_PAYDAY_SCHEDULES,
+//   isBankHoliday, isWorkingDay, isNominalPayday, adjustPayday, getPaydayInfo,
+//   isPayday, getNextPayday, getMonthlyPayday, getDefaultPaydaySchedules,
+//   getPaydays, describePaydaySchedule, RAIL_LOCATIONS, DEFAULT_LOCATION_ID,
+//   getLocation, getLocations, TWILIGHTS, getTwilights, getMoonPhase,
+//   getDayLength, isDarkAt
+//
+// All dates are plain JavaScript `Date` objects at local midnight.
+//
+// Week numbering follows a calendar profile (see CALENDAR_PROFILES). Every
+// week function accepts an optional trailing `profile` argument, either a
+// profile object or its id; it defaults to Network Rail. Bank holiday
+// functions likewise take an optional trailing `region` (see
+// BANK_HOLIDAY_REGIONS), defaulting to England & Wales. Daylight and moon
+// functions take an optional trailing `location` (see lib/locations.mjs),
+// defaulting to London.
+
+const { BUNDLED_BANK_HOLIDAYS } = modules['bank-holidays-data.mjs'];
+const { getFestivals } = modules['festival-calendars.mjs'];
+const { Astronomy } = modules['astronomy.mjs'];
+const { RAIL_LOCATIONS, DEFAULT_LOCATION_ID } = modules['locations.mjs'];
+
+
+
+// ============================================================================
+// CALENDAR PROFILES
+// ============================================================================
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Named railway calendar profiles
+ *
+ * anchor.rule decides where Week 1 Day 1 falls in each railway year:
+ *   'lastWeekStartDayOfMonth' - last week start day in anchor.month
+ *   'firstWeekStartDayOnOrAfter' - first week start day on or after anchor.month/anchor.day
+ *   'nearestWeekStartDayTo' - week start day nearest to anchor.month/anchor.day
+ * weekStartDay uses JavaScript day numbers (0=Sunday, 6=Saturday).
+ *
+ * longYearPolicy decides what happens to week 53 in a long (53-week) year:
+ *   'foldIntoLastPeriod' - the last period becomes a 5-week period (P13 = weeks 49-53)
+ *   'extraPeriod' - week 53 forms its own one-week period (P14)
+ */
+const CALENDAR_PROFILES = {
+  networkRail: {
+    id: 'networkRail',
+    name: 'Network Rail',
+    anchor: { rule: 'lastWeekStartDayOfMonth', month: 2 },
+    weekStartDay: 6,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'foldIntoLastPeriod'
+  },
+  aprilSaturday: {
+    id: 'aprilSaturday',
+    name: 'April start (Saturday weeks)',
+    anchor: { rule: 'firstWeekStartDayOnOrAfter', month: 3, day: 1 },
+    weekStartDay: 6,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'foldIntoLastPeriod'
+  },
+  aprilMonday: {
+    id: 'aprilMonday',
+    name: 'April start (Monday weeks)',
+    anchor: { rule: 'firstWeekStartDayOnOrAfter', month: 3, day: 1 },
+    weekStartDay: 1,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'foldIntoLastPeriod'
+  },
+  nearestSunday: {
+    id: 'nearestSunday',
+    name: 'Sunday nearest 1 April',
+    anchor: { rule: 'nearestWeekStartDayTo', month: 3, day: 1 },
+    weekStartDay: 0,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'extraPeriod'
+  }
+};
+
+const DEFAULT_PROFILE_ID = 'networkRail';
+
+// ============================================================================
+// BANK HOLIDAY REGIONS
+// ============================================================================
+
+/**
+ * Bank holidays differ between the UK's devolved nations. Every bank holiday
+ * function accepts an optional trailing `region` argument, either a region
+ * object or its id; it defaults to England & Wales.
+ */
+const BANK_HOLIDAY_REGIONS = {
+  englandAndWales: { id: 'englandAndWales', name: 'England & Wales', division: 'england-and-wales' },
+  scotland: { id: 'scotland', name: 'Scotland', division: 'scotland' },
+  northernIreland: { id: 'northernIreland', name: 'Northern Ireland', division: 'northern-ireland' }
+};
+
+const DEFAULT_REGION_ID = 'englandAndWales';
+
+const ALL_REGIONS = Object.keys(BANK_HOLIDAY_REGIONS);
+
+/**
+ * Official bank holiday table in the gov.uk bank-holidays.json shape:
+ *   { 'england-and-wales': { division, events: [{ title, date, notes }] }, ... }
+ * For every year a division lists, its events replace the computed bank
+ * holidays (keeping one-off and moved days); other years use the rules.
+ * Starts as the bundled copy; loadBankHolidayData swaps in a newer file.
+ */
+const indexBankHolidayData = (data) => {
+  const index = {};
+  ALL_REGIONS.forEach(regionId => {
+    const { division } = BANK_HOLIDAY_REGIONS[regionId];
+    const byYear = new Map();
+    (data[division]?.events || []).forEach(event => {
+      const year = Number(event.date.slice(0, 4));
+      if (!byYear.has(year)) byYear.set(year, []);
+      byYear.get(year).push(event);
+    });
+    index[regionId] = byYear;
+  });
+  return index;
+};
+
+let bankHolidayData = { source: 'bundled', index: indexBankHolidayData(BUNDLED_BANK_HOLIDAYS) };
+
+// ============================================================================
+// PAYDAY SCHEDULES
+// ============================================================================
+
+/**
+ * Payday schedules are plain objects so they can be stored as JSON:
+ *   { id, name, frequency, anchor, monthlyRule, dayOfMonth, region, color, emoji }
+ *
+ * frequency is 'weekly', 'fortnightly', 'fourWeekly' or 'monthly'.
+ * Cyclic schedules repeat from anchor, a 'YYYY-MM-DD' date of any known payday.
+ * Monthly schedules use monthlyRule 'fixedDate' (with dayOfMonth) or 'lastWorkingDay'.
+ * adjustment moves paydays that fall on a weekend or bank holiday:
+ * 'previousWorkingDay', 'nextWorkingDay' or 'none' (the default).
+ * region (optional) picks whose bank holidays count; without one the region
+ * passed to getPaydays applies, else England & Wales.
+ */
+const PAYDAY_CYCLE_DAYS = { weekly: 7, fortnightly: 14, fourWeekly: 28 };
+
+// Longest run of non-working days a payday can be moved across (e.g. Christmas)
+const MAX_PAYDAY_SHIFT_DAYS = 7;
+
+const PAYDAY_ADJUSTMENTS = ['previousWorkingDay', 'nextWorkingDay', 'none'];
+
+const PAYDAY_FREQUENCIES = ['weekly', 'fortnightly', 'fourWeekly', 'monthly'];
+
+const DEFAULT_PAYDAY_SCHEDULES = [
+  {
+    id: 'fourWeekly',
+    name: '4-weekly pay',
+    frequency: 'fourWeekly',
+    anchor: '2025-12-05', // Friday before Period 10
+    adjustment: 'previousWorkingDay',
+    color: '#f59e0b',
+    emoji: '💰'
+  }
+];
+
+// Bank holiday lookup (toDateString keys) cached per region and calendar year;
+// cleared whenever the bank holiday table changes
+const bankHolidayCache = new Map();
+const getBankHolidayKeys = (year, region) => {
+  const cacheKey = `${RailwayDateAPI.getRegion(region).id}:${year}`;
+  if (!bankHolidayCache.has(cacheKey)) {
+    const keys = RailwayDateAPI.getUKBankHolidays(year, region)
+      .filter(h => h.type === 'bank')
+      .map(h => h.date.toDateString());
+    bankHolidayCache.set(cacheKey, new Set(keys));
+  }
+  return bankHolidayCache.get(cacheKey);
+};
+
+// Parse a 'YYYY-MM-DD' string (or Date) as local midnight
+const parseLocalDate = (value) => {
+  if (value instanceof Date) {
+    const d = new Date(value);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+  const [year, month, day] = String(value).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// How far below the horizon the Sun's centre is at each kind of dawn and dusk.
+// Sunrise/sunset allows for refraction and the Sun's disc; by civil dusk
+// artificial light is needed outdoors, by nautical dusk the horizon is gone.
+const TWILIGHTS = {
+  sunrise: { id: 'sunrise', name: 'Sunrise/sunset', altitude: -0.833 },
+  civil: { id: 'civil', name: 'Civil twilight', altitude: -6 },
+  nautical: { id: 'nautical', name: 'Nautical twilight', altitude: -12 }
+};
+
+// Moon phases by location and toDateString key; views ask for the same days on every render
+const moonPhaseCache = new Map();
+
+const RailwayDateAPI = {
+  /**
+   * Resolve a profile object or id to a calendar profile (Network Rail by default)
+   */
+  getProfile: (profile) => {
+    if (profile && typeof profile === 'object') return profile;
+    const resolved = CALENDAR_PROFILES[profile || DEFAULT_PROFILE_ID];
+    if (!resolved) throw new Error(`Unknown calendar profile "${profile}"`);
+    return resolved;
+  },
+
+  /**
+   * List all built-in calendar profiles
+   */
+  getProfiles: () => Object.values(CALENDAR_PROFILES),
+
+  /**
+   * Resolve a region object or id to a bank holiday region (England & Wales by default)
+   */
+  getRegion: (region) => {
+    if (region && typeof region === 'object') return region;
+    const resolved = BANK_HOLIDAY_REGIONS[region || DEFAULT_REGION_ID];
+    if (!resolved) throw new Error(`Unknown bank holiday region "${region}"`);
+    return resolved;
+  },
+
+  /**
+   * List every bank holiday region
+   */
+  getRegions: () => Object.values(BANK_HOLIDAY_REGIONS),
+
+  /**
+   * Resolve a location id or { name, latitude, longitude } object (London by default)
+   * Custom coordinates must be decimal degrees, west and south negative.
+   */
+  getLocation: (location) => {
+    if (location && typeof location === 'object') {
+      const { latitude, longitude } = location;
+      if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw new Error(`Invalid coordinates ${latitude}, ${longitude}`);
+      }
+      return { id: 'custom', name: 'Custom location', ...location };
+    }
+    const resolved = RAIL_LOCATIONS[location || DEFAULT_LOCATION_ID];
+    if (!resolved) throw new Error(`Unknown location "${location}"`);
+    return resolved;
+  },
+
+  /**
+   * List the bundled stations and depots
+   */
+  getLocations: () => Object.values(RAIL_LOCATIONS),
+
+  /**
+   * List the twilight definitions isDarkAt accepts, lightest first
+   */
+  getTwilights: () => Object.values(TWILIGHTS),
+
+  /**
+   * Which nations observe a bank holiday, for tooltips:
+   * '' (all of the UK), 'Scotland only' or 'Not in Scotland'
+   */
+  describeHolidayRegions: (holiday) => {
+    const regions = holiday.regions || ALL_REGIONS;
+    if (regions.length === ALL_REGIONS.length) return '';
+    const names = (ids) => ids.map(id => BANK_HOLIDAY_REGIONS[id].name).join(' & ');
+    if (regions.length === 1) return `${names(regions)} only`;
+    return `Not in ${names(ALL_REGIONS.filter(id => !regions.includes(id)))}`;
+  },
+
+  /**
+   * Day names in rail week order for a profile (e.g. Saturday to Friday)
+   */
+  getRailWeekDayNames: (profile) => {
+    const { weekStartDay } = RailwayDateAPI.getProfile(profile);
+    return Array.from({ length: 7 }, (_, i) => WEEKDAY_NAMES[(weekStartDay + i) % 7]);
+  },
+
+  /**
+   * Human readable summary of a profile's rules, e.g. for a footer
+   */
+  describeProfile: (profile) => {
+    const { anchor, weekStartDay, weeksPerPeriod, periodCount, longYearPolicy } = RailwayDateAPI.getProfile(profile);
+    const startName = WEEKDAY_NAMES[weekStartDay];
+    const endName = WEEKDAY_NAMES[(weekStartDay + 6) % 7];
+    const anchorText = {
+      lastWeekStartDayOfMonth: `last ${startName} of ${MONTH_NAMES[anchor.month]}`,
+      firstWeekStartDayOnOrAfter: `first ${startName} on or after ${anchor.day} ${MONTH_NAMES[anchor.month]}`,
+      nearestWeekStartDayTo: `${startName} nearest ${anchor.day} ${MONTH_NAMES[anchor.month]}`
+    }[anchor.rule];
+    const longYearText = longYearPolicy === 'extraPeriod'
+      ? `week 53 forms P${periodCount + 1} in long years`
+      : `P${periodCount} has ${weeksPerPeriod + 1} weeks in long years`;
+    return `Week 1 starts on the ${anchorText} • Weeks run ${startName}–${endName} • ` +
+      `${weeksPerPeriod} weeks per period, ${periodCount} periods (${longYearText})`;
+  },
+
+  /**
+   * Daylight at a location on a date (NOAA solar calculator, see lib/astronomy.mjs)
+   * Sunrise and sunset are UK clock times ("HH:MM", BST in summer) for the
+   * Sun's upper limb on the horizon, allowing for refraction. Also says
+   * whether days are getting longer and by how many minutes a day, and gives
+   * civil and nautical dawn/dusk (null when the Sun never gets that low, as
+   * on Scottish midsummer nights) and lighting-up times: half an hour after
+   * sunset until half an hour before sunrise (the road lighting "hours of
+   * darkness").
+   */
+  getDayLength: (date, location) => {
+    const { latitude, longitude } = RailwayDateAPI.getLocation(location);
+    const daylightHours = (day) => {
+      const { rise, set, alwaysUp } = Astronomy.getSunTimes(day, latitude, longitude);
+      if (rise && set) return { rise, set, hours: (set - rise) / 3600000 };
+      return { rise: null, set: null, hours: alwaysUp ? 24 : 0 };
+    };
+    
+    const today = daylightHours(date);
+    const dayLengthHours = today.hours;
+    
+    // Format day length as hours and minutes
+    const totalMinutes = Math.round(dayLengthHours * 60);
+    const dayLengthFormatted = `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+    
+    // Calculate percentage of max possible daylight, between the location's
+    // shortest and longest days (London: 7h 50m to 16h 38m)
+    const solstices = [5, 11].map(month => daylightHours(new Date(date.getFullYear(), month, 21)).hours);
+    const maxDayLength = Math.max(...solstices);
+    const minDayLength = Math.min(...solstices);
+    const dayLengthPercent = maxDayLength > minDayLength
+      ? Math.round(((dayLengthHours - minDayLength) / (maxDayLength - minDayLength)) * 100)
+      : 50;
+    
+    // Determine if days are getting longer or shorter
+    const tomorrow = daylightHours(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+    const dayLengthChange = tomorrow.hours - dayLengthHours;
+    const daysGettingLonger = dayLengthChange > 0;
+    const changeMinutes = Math.abs(Math.round(dayLengthChange * 60));
+    
+    const twilight = (id) => Astronomy.getSunTimes(date, latitude, longitude, TWILIGHTS[id].altitude);
+    const civil = twilight('civil');
+    const nautical = twilight('nautical');
+    const formatTime = (instant) => instant && Astronomy.formatUKTime(instant);
+    const halfHour = 30 * 60000;
+    
+    return {
+      dayLengthHours: Math.round(dayLengthHours * 100) / 100,
+      dayLengthFormatted,
+      dayLengthPercent: Math.max(0, Math.min(100, dayLengthPercent)),
+      sunrise: today.rise && Astronomy.formatUKTime(today.rise),
+      sunset: today.set && Astronomy.formatUKTime(today.set),
+      civilDawn: formatTime(civil.rise),
+      civilDusk: formatTime(civil.set),
+      nauticalDawn: formatTime(nautical.rise),
+      nauticalDusk: formatTime(nautical.set),
+      lightingUp: today.set && Astronomy.formatUKTime(new Date(today.set.getTime() + halfHour)),
+      lightingDown: today.rise && Astronomy.formatUKTime(new Date(today.rise.getTime() - halfHour)),
+      daysGettingLonger,
+      changeMinutes,
+      changeFormatted: `${daysGettingLonger ? '+' : '-'}${changeMinutes}m`
+    };
+  },
+
+  /**
+   * Is it dark at a UK clock time ("HH:MM") on a date at a location?
+   * `twilight` is a TWILIGHTS id: dark means before that dawn or after that
+   * dusk (civil by default).
+   */
+  isDarkAt: (date, time, twilight = 'civil', location) => {
+    const { latitude, longitude } = RailwayDateAPI.getLocation(location);
+    const { rise, set, alwaysUp } = Astronomy.getSunTimes(date, latitude, longitude, TWILIGHTS[twilight].altitude);
+    if (!rise || !set) return !alwaysUp;
+    const instant = Astronomy.getUKInstant(date, time);
+    return instant < rise || instant > set;
+  },
+
+  /**
+   * Moon phase for a UK calendar day (Meeus' phase series, see lib/astronomy.mjs)
+   * New, first quarter, full and last quarter moons are named only on the day
+   * they happen, with their UK time; days between get the crescent/gibbous
+   * names. Also gives illumination at noon and moonrise/moonset at a location.
+   * Returns { phase (0-7), emoji, name, lunarDay, illumination, isSignificant,
+   * phaseTime, time, moonrise, moonset }; the times are "HH:MM" or null.
+   */
+  getMoonPhase: (date, location) => {
+    const { latitude, longitude } = RailwayDateAPI.getLocation(location);
+    const cacheKey = `${latitude},${longitude} ${date.toDateString()}`;
+    if (moonPhaseCache.has(cacheKey)) return moonPhaseCache.get(cacheKey);
+    if (moonPhaseCache.size > 1000) moonPhaseCache.clear();
+    
+    const dayStart = Astronomy.getUKMidnight(date);
+    const dayEnd = Astronomy.getUKMidnight(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+    const noon = new Date((dayStart.getTime() + dayEnd.getTime()) / 2);
+    const lunation = Astronomy.getLunation(dayEnd);
+    
+    const principalPhases = [
+      { fraction: 0, phase: 0, emoji: '🌑', name: 'New Moon' },
+      { fraction: 0.25, phase: 2, emoji: '🌓', name: 'First Quarter' },
+      { fraction: 0.5, phase: 4, emoji: '🌕', name: 'Full Moon' },
+      { fraction: 0.75, phase: 6, emoji: '🌗', name: 'Last Quarter' }
+    ];
+    const intermediatePhases = [
+      { phase: 1, emoji: '🌒', name: 'Waxing Crescent' },
+      { phase: 3, emoji: '🌔', name: 'Waxing Gibbous' },
+      { phase: 5, emoji: '🌖', name: 'Waning Gibbous' },
+      { phase: 7, emoji: '🌘', name: 'Waning Crescent' }
+    ];
+    
+    // A principal phase whose instant falls within this UK day
+    let phaseTime = null;
+    let current = null;
+    [lunation - 1, lunation].forEach(k => principalPhases.forEach(candidate => {
+      const time = Astronomy.getPhaseTime(k, candidate.fraction);
+      if (time >= dayStart && time < dayEnd) {
+        phaseTime = time;
+        current = candidate;
+      }
+    }));
+    
+    const elongation = Astronomy.getLunarElongation(Astronomy.toJulianDay(noon));
+    if (!current) current = intermediatePhases[Math.floor(elongation / 90)];
+    
+    const illumination = Math.round((1 - Math.cos(elongation * Math.PI / 180)) / 2 * 100);
+    const lastNewMoon = Astronomy.getPhaseTime(Astronomy.getLunation(noon), 0);
+    const lunarDay = (noon - lastNewMoon) / 86400000;
+    const { rise, set } = Astronomy.getMoonRiseSet(date, latitude, longitude);
+    
+    const moon = {
+      phase: current.phase,
+      emoji: current.emoji,
+      name: current.name,
+      lunarDay,
+      illumination,
+      isSignificant: phaseTime !== null,
+      phaseTime,
+      time: phaseTime && Astronomy.formatUKTime(phaseTime),
+      moonrise: rise && Astronomy.formatUKTime(rise),
+      moonset: set && Astronomy.formatUKTime(set)
+    };
+    moonPhaseCache.set(cacheKey, moon);
+    return moon;
+  },
+
+  /**
+   * Check a gov.uk bank-holidays.json object without loading it
+   * Throws if it has no valid events for any division.
+   */
+  validateBankHolidayData: (data) => {
+    if (!data || typeof data !== 'object') throw new Error('Bank holiday data must be a JSON object');
+    const divisions = ALL_REGIONS.map(regionId => BANK_HOLIDAY_REGIONS[regionId].division).filter(division => data[division]);
+    if (divisions.length === 0) {
+      throw new Error('No england-and-wales, scotland or northern-ireland divisions found (expected the gov.uk bank-holidays.json format)');
+    }
+    divisions.forEach(division => {
+      const { events } = data[division];
+      if (!Array.isArray(events)) throw new Error(`"${division}" has no events list`);
+      events.forEach(event => {
+        const valid = event && typeof event.title === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(event.date) &&
+          parseLocalDate(event.date).getDate() === Number(event.date.slice(8));
+        if (!valid) throw new Error(`Invalid event in "${division}": ${JSON.stringify(event)}`);
+      });
+    });
+  },
+
+  /**
+   * Replace the bank holiday table with a gov.uk bank-holidays.json object
+   * Throws as validateBankHolidayData does. Returns the new
+   * getBankHolidayDataInfo().
+   */
+  loadBankHolidayData: (data) => {
+    RailwayDateAPI.validateBankHolidayData(data);
+    bankHolidayData = { source: 'loaded', index: indexBankHolidayData(data) };
+    bankHolidayCache.clear();
+    return RailwayDateAPI.getBankHolidayDataInfo();
+  },
+
+  /**
+   * Go back to the bundled bank holiday table
+   */
+  resetBankHolidayData: () => {
+    bankHolidayData = { source: 'bundled', index: indexBankHolidayData(BUNDLED_BANK_HOLIDAYS) };
+    bankHolidayCache.clear();
+    return RailwayDateAPI.getBankHolidayDataInfo();
+  },
+
+  /**
+   * Where bank holidays come from: { source: 'bundled' | 'loaded', fromYear, toYear, eventCount }
+   * Years outside fromYear-toYear use the computed rules.
+   */
+  getBankHolidayDataInfo: () => {
+    const years = ALL_REGIONS.flatMap(regionId => [...bankHolidayData.index[regionId].keys()]);
+    const eventCount = ALL_REGIONS.reduce((total, regionId) =>
+      total + [...bankHolidayData.index[regionId].values()].reduce((sum, events) => sum + events.length, 0), 0);
+    return {
+      source: bankHolidayData.source,
+      fromYear: years.length > 0 ? Math.min(...years) : null,
+      toYear: years.length > 0 ? Math.max(...years) : null,
+      eventCount
+    };
+  },
+
+  /**
+   * Is a date a bank holiday (type 'bank' in getUKBankHolidays) in a region?
+   */
+  isBankHoliday: (date, region) => getBankHolidayKeys(date.getFullYear(), region).has(date.toDateString()),
+
+  /**
+   * Is a date a working day (Monday to Friday and not a bank holiday in the region)?
+   */
+  isWorkingDay: (date, region) => {
+    const day = date.getDay();
+    if (day === 0 || day === 6) return false;
+    return !RailwayDateAPI.isBankHoliday(date, region);
+  },
+
+  /**
+   * Calculate if a given date is a nominal payday for a schedule, before any
+   * weekend or bank holiday adjustment
+   */
+  isNominalPayday: (date, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    
+    if (schedule.frequency === 'monthly') {
+      return d.getTime() === RailwayDateAPI.getMonthlyPayday(d.getFullYear(), d.getMonth(), schedule).getTime();
+    }
+    
+    const cycleDays = PAYDAY_CYCLE_DAYS[schedule.frequency];
+    if (!cycleDays) throw new Error(`Unknown payday frequency "${schedule.frequency}"`);
+    
+    // Days since the anchor payday (rounded to absorb DST hour shifts)
+    const referencePayday = parseLocalDate(schedule.anchor);
+    const daysDiff = Math.round((d - referencePayday) / (1000 * 60 * 60 * 24));
+    
+    // Check if this date is a whole number of cycles from the anchor, either side of it
+    return ((daysDiff % cycleDays) + cycleDays) % cycleDays === 0;
+  },
+
+  /**
+   * Move a nominal payday to the date money actually lands
+   * adjustment: 'previousWorkingDay', 'nextWorkingDay' or 'none'
+   */
+  adjustPayday: (nominalDate, adjustment = 'none', region) => {
+    const paid = new Date(nominalDate);
+    paid.setHours(0, 0, 0, 0);
+    if (adjustment === 'none') return paid;
+    
+    const step = adjustment === 'nextWorkingDay' ? 1 : -1;
+    while (!RailwayDateAPI.isWorkingDay(paid, region)) {
+      paid.setDate(paid.getDate() + step);
+    }
+    return paid;
+  },
+
+  /**
+   * Get payday details for a date and schedule, or null when nothing is paid
+   * Returns { date, nominalDate, isAdjusted } where nominalDate is the date the
+   * schedule says before weekend/bank holiday adjustment
+   */
+  getPaydayInfo: (date, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    const adjustment = schedule.adjustment || 'none';
+    
+    if (adjustment === 'none') {
+      return RailwayDateAPI.isNominalPayday(d, schedule) ? { date: d, nominalDate: d, isAdjusted: false } : null;
+    }
+    
+    // A nominal payday can move across at most a long weekend plus bank holidays
+    for (let offset = -MAX_PAYDAY_SHIFT_DAYS; offset <= MAX_PAYDAY_SHIFT_DAYS; offset++) {
+      const nominalDate = new Date(d);
+      nominalDate.setDate(nominalDate.getDate() + offset);
+      if (
+        RailwayDateAPI.isNominalPayday(nominalDate, schedule) &&
+        RailwayDateAPI.adjustPayday(nominalDate, adjustment, schedule.region).getTime() === d.getTime()
+      ) {
+        return { date: d, nominalDate, isAdjusted: offset !== 0 };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Calculate if a given date is a payday for a payday schedule
+   * Defaults to the 4-weekly Friday schedule (the day before a new period starts on Saturday)
+   */
+  isPayday: (date, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    return RailwayDateAPI.getPaydayInfo(date, schedule) !== null;
+  },
+
+  /**
+   * Get the payday in a given month for a monthly schedule
+   * monthlyRule 'fixedDate' pays on dayOfMonth (clamped to short months),
+   * 'lastWorkingDay' pays on the last weekday that is not a bank holiday
+   */
+  getMonthlyPayday: (year, month, schedule) => {
+    const lastDay = new Date(year, month + 1, 0);
+    
+    if (schedule.monthlyRule === 'lastWorkingDay') {
+      return RailwayDateAPI.adjustPayday(lastDay, 'previousWorkingDay', schedule.region);
+    }
+    
+    return new Date(year, month, Math.min(schedule.dayOfMonth || 1, lastDay.getDate()));
+  },
+
+  /**
+   * Get next payday on or after a given date for a payday schedule
+   */
+  getNextPayday: (fromDate, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    const nextPayday = new Date(fromDate);
+    nextPayday.setHours(0, 0, 0, 0);
+    
+    // Every supported schedule pays at least once in any 62 days
+    for (let i = 0; i < 62; i++) {
+      if (RailwayDateAPI.isPayday(nextPayday, schedule)) return nextPayday;
+      nextPayday.setDate(nextPayday.getDate() + 1);
+    }
+    return null;
+  },
+
+  /**
+   * Get a fresh copy of the built-in payday schedules
+   */
+  getDefaultPaydaySchedules: () => DEFAULT_PAYDAY_SCHEDULES.map(schedule => ({ ...schedule })),
+
+  /**
+   * Get the schedules from a list that pay on a given date
+   * Each result is the schedule plus its payday info (nominalDate, isAdjusted).
+   * region applies to schedules that do not name their own.
+   */
+  getPaydays: (date, schedules = DEFAULT_PAYDAY_SCHEDULES, region) => {
+    return schedules
+      .map(schedule => {
+        const info = RailwayDateAPI.getPaydayInfo(date, schedule.region || !region ? schedule : { ...schedule, region });
+        return info && { ...schedule, ...info };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Human readable summary of a payday schedule, e.g. "Every 4 weeks from 5 Dec 2025"
+   */
+  describePaydaySchedule: (schedule) => {
+    if (schedule.frequency === 'monthly') {
+      return schedule.monthlyRule === 'lastWorkingDay'
+        ? 'Monthly on the last working day'
+        : `Monthly on day ${schedule.dayOfMonth}`;
+    }
+    const every = { weekly: 'Every week', fortnightly: 'Every 2 weeks', fourWeekly: 'Every 4 weeks' }[schedule.frequency];
+    const anchor = parseLocalDate(schedule.anchor).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    return `${every} from ${anchor}`;
+  },
+
+  /**
+   * Get Week 1 Day 1 of a railway year according to the profile's anchor rule
+   * For Network Rail this is the last Saturday of March
+   */
+  getWeekOneStart: (railwayYear, profile) => {
+    const { anchor, weekStartDay } = RailwayDateAPI.getProfile(profile);
+    
+    if (anchor.rule === 'lastWeekStartDayOfMonth') {
+      // Go back from the last day of the month to the week start day
+      const lastDay = new Date(railwayYear, anchor.month + 1, 0);
+      const daysToGoBack = (lastDay.getDay() - weekStartDay + 7) % 7;
+      return new Date(railwayYear, anchor.month, lastDay.getDate() - daysToGoBack);
+    }
+    
+    const anchorDate = new Date(railwayYear, anchor.month, anchor.day);
+    const daysForward = (weekStartDay - anchorDate.getDay() + 7) % 7;
+    
+    if (anchor.rule === 'firstWeekStartDayOnOrAfter') {
+      return new Date(railwayYear, anchor.month, anchor.day + daysForward);
+    }
+    
+    if (anchor.rule === 'nearestWeekStartDayTo') {
+      // Up to 3 days either side of the anchor date
+      const offset = daysForward > 3 ? daysForward - 7 : daysForward;
+      return new Date(railwayYear, anchor.month, anchor.day + offset);
+    }
+    
+    throw new Error(`Unknown anchor rule "${anchor.rule}"`);
+  },
+
+  /**
+   * Get total weeks in a railway year (52 or 53)
+   */
+  getTotalWeeks: (railwayYear, profile) => {
+    const thisYearStart = RailwayDateAPI.getWeekOneStart(railwayYear, profile);
+    const nextYearStart = RailwayDateAPI.getWeekOneStart(railwayYear + 1, profile);
+    const days = Math.round((nextYearStart - thisYearStart) / (1000 * 60 * 60 * 24));
+    return Math.floor(days / 7);
+  },
+
+  /**
+   * Is this a long (53-week) railway year?
+   */
+  isLongYear: (railwayYear, profile) => {
+    const { weeksPerPeriod, periodCount } = RailwayDateAPI.getProfile(profile);
+    return RailwayDateAPI.getTotalWeeks(railwayYear, profile) > weeksPerPeriod * periodCount;
+  },
+
+  /**
+   * Get number of periods in a railway year, applying the profile's long year policy
+   */
+  getPeriodCount: (railwayYear, profile) => {
+    const { weeksPerPeriod, periodCount, longYearPolicy } = RailwayDateAPI.getProfile(profile);
+    if (longYearPolicy !== 'extraPeriod') return periodCount;
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    return Math.max(periodCount, Math.ceil(totalWeeks / weeksPerPeriod));
+  },
+
+  /**
+   * Find the period a rail week belongs to, applying the profile's long year policy
+   * Returns { period, weekInPeriod, weeksInPeriod }
+   */
+  getPeriodForWeek: (railwayYear, railWeek, profile) => {
+    const { weeksPerPeriod } = RailwayDateAPI.getProfile(profile);
+    const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, profile);
+    const period = Math.min(Math.ceil(railWeek / weeksPerPeriod), periodCount);
+    const { startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
+    return {
+      period,
+      weekInPeriod: railWeek - startWeek + 1,
+      weeksInPeriod: endWeek - startWeek + 1
+    };
+  },
+
+  /**
+   * Convert a Gregorian date to Railway Year + Rail Week + Day of Rail Week
+   * Day of rail week: 1=first day of the profile's week (Saturday for Network Rail) ... 7
+   */
+  dateToRailway: (date, profile) => {
+    const resolved = RailwayDateAPI.getProfile(profile);
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    
+    // Determine which railway year this date belongs to
+    let railwayYear = d.getFullYear();
+    let weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear, resolved);
+    
+    // If date is before this calendar year's Week 1, it belongs to previous railway year
+    if (d < weekOneStart) {
+      railwayYear--;
+      weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear, resolved);
+    } else {
+      // Check if we've rolled into next railway year
+      const nextYearStart = RailwayDateAPI.getWeekOneStart(railwayYear + 1, resolved);
+      if (d >= nextYearStart) {
+        railwayYear++;
+        weekOneStart = nextYearStart;
+      }
+    }
+    
+    // Calculate days since Week 1 start (rounded to absorb DST hour shifts)
+    const daysDiff = Math.round((d - weekOneStart) / (1000 * 60 * 60 * 24));
+    
+    // Rail week (1-indexed)
+    const railWeek = Math.floor(daysDiff / 7) + 1;
+    
+    // Day of rail week (1-7)
+    const dayOfRailWeek = (daysDiff % 7) + 1;
+    
+    // Period and week within period (week 53 handled by the long year policy)
+    const { period, weekInPeriod, weeksInPeriod } = RailwayDateAPI.getPeriodForWeek(railwayYear, railWeek, resolved);
+    
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, resolved);
+    
+    return {
+      railwayYear,
+      railWeek,
+      dayOfRailWeek,
+      period,
+      weekInPeriod,
+      weeksInPeriod,
+      totalWeeks,
+      isLongYear: RailwayDateAPI.isLongYear(railwayYear, resolved),
+      weekOneStart,
+      dayName: RailwayDateAPI.getRailWeekDayNames(resolved)[dayOfRailWeek - 1],
+      railwayYearDisplay: `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`
+    };
+  },
+
+  /**
+   * Given a railway year and rail week number, return the first and last dates of that week
+   */
+  railwayToDateRange: (railwayYear, railWeek, profile) => {
+    const weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear, profile);
+    const startDate = new Date(weekOneStart);
+    startDate.setDate(startDate.getDate() + (railWeek - 1) * 7);
+    
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + 6);
+    
+    return { startDate, endDate };
+  },
+
+  /**
+   * Get period start and end dates for a railway year
+   */
+  getPeriodDates: (railwayYear, period, profile) => {
+    const { weeksPerPeriod } = RailwayDateAPI.getProfile(profile);
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    const startWeek = (period - 1) * weeksPerPeriod + 1;
+    // The last period runs to the end of the year (5 weeks when week 53 is folded in)
+    const endWeek = period >= RailwayDateAPI.getPeriodCount(railwayYear, profile)
+      ? totalWeeks
+      : Math.min(period * weeksPerPeriod, totalWeeks);
+    
+    const { startDate } = RailwayDateAPI.railwayToDateRange(railwayYear, startWeek, profile);
+    const { endDate } = RailwayDateAPI.railwayToDateRange(railwayYear, endWeek, profile);
+    
+    return { startDate, endDate, startWeek, endWeek };
+  },
+
+  /**
+   * Get UK Bank Holidays, Religious Events & Notable Dates for a given year
+   * Bank holidays follow the region's rules; each has `regions` (the nations
+   * observing it) and `isSubstitute` when moved off a weekend.
+   */
+  getUKBankHolidays: (year, region) => {
+    const regionId = RailwayDateAPI.getRegion(region).id;
+    const holidays = [];
+    const easter = RailwayDateAPI.getEasterSunday(year);
+    
+    // Helper to add days to a date
+    const addDays = (date, days) => {
+      const result = new Date(date);
+      result.setDate(result.getDate() + days);
+      return result;
+    };
+    
+    // Helper to get nth weekday of month (n=1 for first, n=-1 for last)
+    const getNthWeekday = (year, month, weekday, n) => {
+      if (n > 0) {
+        const first = new Date(year, month, 1);
+        const dayOffset = (weekday - first.getDay() + 7) % 7;
+        return new Date(year, month, 1 + dayOffset + (n - 1) * 7);
+      } else {
+        const last = new Date(year, month + 1, 0);
+        const dayOffset = (last.getDay() - weekday + 7) % 7;
+        return new Date(year, month + 1, -dayOffset + (n + 1) * 7);
+      }
+    };
+    
+    // ========== UK BANK HOLIDAYS ==========
+    
+    // substitute: moves to the next free weekday when it falls on a weekend
+    const bankHolidayRules = [
+      { date: new Date(year, 0, 1), name: "New Year's Day", emoji: "🎆", substitute: true, regions: ALL_REGIONS },
+      { date: new Date(year, 0, 2), name: "2nd January", emoji: "🎇", substitute: true, regions: ['scotland'] },
+      { date: new Date(year, 2, 17), name: "St Patrick's Day", emoji: "☘️", substitute: true, regions: ['northernIreland'] },
+      { date: addDays(easter, -2), name: "Good Friday", emoji: "✝️", regions: ALL_REGIONS },
+      { date: addDays(easter, 1), name: "Easter Monday", emoji: "🐣", regions: ['englandAndWales', 'northernIreland'] },
+      // Early May Bank Holiday (first Monday of May)
+      { date: getNthWeekday(year, 4, 1, 1), name: "Early May Bank Holiday", emoji: "🌷", regions: ALL_REGIONS },
+      // Spring Bank Holiday (last Monday of May)
+      { date: getNthWeekday(year, 4, 1, -1), name: "Spring Bank Holiday", emoji: "🌻", regions: ALL_REGIONS },
+      { date: new Date(year, 6, 12), name: "Battle of the Boyne (Orangemen's Day)", emoji: "🟠", substitute: true, regions: ['northernIreland'] },
+      // Summer Bank Holiday (first Monday of August in Scotland, last Monday elsewhere)
+      { date: getNthWeekday(year, 7, 1, 1), name: "Summer Bank Holiday", emoji: "☀️", regions: ['scotland'] },
+      { date: getNthWeekday(year, 7, 1, -1), name: "Summer Bank Holiday", emoji: "☀️", regions: ['englandAndWales', 'northernIreland'] },
+      { date: new Date(year, 10, 30), name: "St Andrew's Day", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", substitute: true, regions: ['scotland'] },
+      { date: new Date(year, 11, 25), name: "Christmas Day", emoji: "🎄", substitute: true, regions: ALL_REGIONS },
+      { date: new Date(year, 11, 26), name: "Boxing Day", emoji: "🎁", substitute: true, regions: ALL_REGIONS }
+    ].filter(rule => rule.regions.includes(regionId));
+    
+    // Holidays on weekdays keep their date; weekend ones then take the next
+    // weekday not already a holiday (so Christmas on a Sunday moves to the
+    // Tuesday when Boxing Day is the Monday)
+    const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+    const taken = new Set(bankHolidayRules.filter(rule => !isWeekend(rule.date)).map(rule => rule.date.toDateString()));
+    const computedBankHolidays = bankHolidayRules.map(({ date, name, emoji, substitute, regions }) => {
+      let observed = date;
+      if (substitute && isWeekend(date)) {
+        observed = new Date(date);
+        while (isWeekend(observed) || taken.has(observed.toDateString())) observed = addDays(observed, 1);
+        taken.add(observed.toDateString());
+      }
+      return { date: observed, name, emoji, type: "bank", regions, isSubstitute: observed !== date };
+    });
+    
+    // Official table entries win for years it covers; computed names and
+    // emoji are kept where the titles match
+    const officialEvents = bankHolidayData.index[regionId].get(year);
+    if (officialEvents) {
+      officialEvents.forEach(event => {
+        const title = event.title.replace(/’/g, "'");
+        const computed = computedBankHolidays.find(h => h.name.toLowerCase() === title.toLowerCase());
+        const similar = computed || computedBankHolidays.find(h => title.toLowerCase().startsWith(h.name.toLowerCase()));
+        holidays.push({
+          date: parseLocalDate(event.date),
+          name: computed ? computed.name : title,
+          emoji: similar ? similar.emoji : /jubilee|coronation/i.test(title) ? "👑" : /funeral/i.test(title) ? "🕊️" : "🏦",
+          type: "bank",
+          regions: ALL_REGIONS.filter(id => (bankHolidayData.index[id].get(year) || [])
+            .some(other => other.date === event.date && other.title === event.title)),
+          isSubstitute: /substitute/i.test(event.notes || '')
+        });
+      });
+    } else {
+      holidays.push(...computedBankHolidays);
+    }
+    
+    // ========== CHRISTIAN RELIGIOUS EVENTS ==========
+    
+    // Epiphany (6 Jan)
+    holidays.push({ date: new Date(year, 0, 6), name: "Epiphany", emoji: "⭐", type: "religious" });
+    
+    // Shrove Tuesday / Pancake Day (47 days before Easter)
+    holidays.push({ date: addDays(easter, -47), name: "Shrove Tuesday", emoji: "🥞", type: "religious" });
+    
+    // Ash Wednesday (46 days before Easter)
+    holidays.push({ date: addDays(easter, -46), name: "Ash Wednesday", emoji: "✝️", type: "religious" });
+    
+    // Mothering Sunday (4th Sunday of Lent, 3 weeks before Easter)
+    holidays.push({ date: addDays(easter, -21), name: "Mother's Day (UK)", emoji: "💐", type: "cultural" });
+    
+    // Palm Sunday (week before Easter)
+    holidays.push({ date: addDays(easter, -7), name: "Palm Sunday", emoji: "🌿", type: "religious" });
+    
+    // Maundy Thursday
+    holidays.push({ date: addDays(easter, -3), name: "Maundy Thursday", emoji: "✝️", type: "religious" });
+    
+    // Easter Sunday
+    holidays.push({ date: easter, name: "Easter Sunday", emoji: "🐣", type: "religious" });
+    
+    // Ascension Day (39 days after Easter)
+    holidays.push({ date: addDays(easter, 39), name: "Ascension Day", emoji: "☁️", type: "religious" });
+    
+    // Pentecost / Whit Sunday (49 days after Easter)
+    holidays.push({ date: addDays(easter, 49), name: "Pentecost", emoji: "🕊️", type: "religious" });
+    
+    // Advent Sunday (4th Sunday before Christmas)
+    const xmasDate = new Date(year, 11, 25);
+    const xmasDayOfWeek = xmasDate.getDay();
+    const daysToSunday = xmasDayOfWeek === 0 ? 0 : 7 - xmasDayOfWeek;
+    const advent = new Date(year, 11, 25 - daysToSunday - 21);
+    holidays.push({ date: advent, name: "Advent Sunday", emoji: "🕯️", type: "religious" });
+    
+    // Christmas Eve
+    holidays.push({ date: new Date(year, 11, 24), name: "Christmas Eve", emoji: "🎄", type: "religious" });
+    
+    // ========== OTHER MAJOR RELIGIOUS EVENTS ==========
+    
+    // Jewish, Islamic, Hindu, Sikh and Chinese calendar festivals (see lib/festival-calendars.mjs)
+    holidays.push(...getFestivals(year));
+    
+    // ========== CULTURAL & NATIONAL EVENTS ==========
+    
+    // Burns Night (25 Jan)
+    holidays.push({ date: new Date(year, 0, 25), name: "Burns Night", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", type: "cultural" });
+    
+    // Valentine's Day (14 Feb)
+    holidays.push({ date: new Date(year, 1, 14), name: "Valentine's Day", emoji: "💝", type: "cultural" });
+    
+    // St David's Day (1 Mar)
+    holidays.push({ date: new Date(year, 2, 1), name: "St David's Day", emoji: "🏴󠁧󠁢󠁷󠁬󠁳󠁿", type: "cultural" });
+    
+    // St Patrick's Day (17 Mar)
+    holidays.push({ date: new Date(year, 2, 17), name: "St Patrick's Day", emoji: "☘️", type: "cultural" });
+    
+    // St George's Day (23 Apr)
+    holidays.push({ date: new Date(year, 3, 23), name: "St George's Day", emoji: "🏴󠁧󠁢󠁥󠁮󠁧󠁿", type: "cultural" });
+    
+    // Father's Day (3rd Sunday of June)
+    holidays.push({ date: getNthWeekday(year, 5, 0, 3), name: "Father's Day", emoji: "👔", type: "cultural" });
+    
+    // Halloween (31 Oct)
+    holidays.push({ date: new Date(year, 9, 31), name: "Halloween", emoji: "🎃", type: "cultural" });
+    
+    // Guy Fawkes Night (5 Nov)
+    holidays.push({ date: new Date(year, 10, 5), name: "Bonfire Night", emoji: "🎆", type: "cultural" });
+    
+    // Remembrance Sunday (2nd Sunday of November)
+    holidays.push({ date: getNthWeekday(year, 10, 0, 2), name: "Remembrance Sunday", emoji: "🌺", type: "cultural" });
+    
+    // Armistice Day (11 Nov)
+    holidays.push({ date: new Date(year, 10, 11), name: "Armistice Day", emoji: "🎖️", type: "cultural" });
+    
+    // St Andrew's Day (30 Nov)
+    holidays.push({ date: new Date(year, 10, 30), name: "St Andrew's Day", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", type: "cultural" });
+    
+    // New Year's Eve
+    holidays.push({ date: new Date(year, 11, 31), name: "New Year's Eve", emoji: "🥂", type: "cultural" });
+    
+    // Drop cultural entries for days that are bank holidays in this region (e.g. St Andrew's Day in Scotland)
+    const bankDays = new Set(holidays.filter(h => h.type === 'bank').map(h => `${h.date.toDateString()} ${h.name}`));
+    return holidays.filter(h => h.type === 'bank' || !bankDays.has(`${h.date.toDateString()} ${h.name}`));
+  },
+
+  /**
+   * Calculate Easter Sunday using Anonymous Gregorian algorithm
+   */
+  getEasterSunday: (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month, day);
+  }
+};
+
+const {
+  getProfile,
+  getProfiles,
+  getRegion,
+  getRegions,
+  getLocation,
+  getLocations,
+  getTwilights,
+  describeHolidayRegions,
+  validateBankHolidayData,
+  loadBankHolidayData,
+  resetBankHolidayData,
+  getBankHolidayDataInfo,
+  getRailWeekDayNames,
+  describeProfile,
+  getPeriodCount,
+  getPeriodForWeek,
+  isLongYear,
+  dateToRailway,
+  railwayToDateRange,
+  getPeriodDates,
+  getWeekOneStart,
+  getTotalWeeks,
+  getUKBankHolidays,
+  getEasterSunday,
+  isBankHoliday,
+  isWorkingDay,
+  isNominalPayday,
+  adjustPayday,
+  getPaydayInfo,
+  isPayday,
+  getNextPayday,
+  getMonthlyPayday,
+  getDefaultPaydaySchedules,
+  getPaydays,
+  describePaydaySchedule,
+  getMoonPhase,
+  getDayLength,
+  isDarkAt
+} = RailwayDateAPI;
+
+  return { getProfile, getProfiles, getRegion, getRegions, getLocation, getLocations, getTwilights, describeHolidayRegions, validateBankHolidayData, loadBankHolidayData, resetBankHolidayData, getBankHolidayDataInfo, getRailWeekDayNames, describeProfile, getPeriodCount, getPeriodForWeek, isLongYear, dateToRailway, railwayToDateRange, getPeriodDates, getWeekOneStart, getTotalWeeks, getUKBankHolidays, getEasterSunday, isBankHoliday, isWorkingDay, isNominalPayday, adjustPayday, getPaydayInfo, isPayday, getNextPayday, getMonthlyPayday, getDefaultPaydaySchedules, getPaydays, describePaydaySchedule, getMoonPhase, getDayLength, isDarkAt, CALENDAR_PROFILES, DEFAULT_PROFILE_ID, BANK_HOLIDAY_REGIONS, DEFAULT_REGION_ID, PAYDAY_ADJUSTMENTS, PAYDAY_FREQUENCIES, DEFAULT_PAYDAY_SCHEDULES, TWILIGHTS, RailwayDateAPI, RAIL_LOCATIONS, DEFAULT_LOCATION_ID };
+  })();
+
+  modules['ics.mjs'] = (() => {
+// ============================================================================
+// ICALENDAR (.ics) EXPORT
+// ============================================================================
+//
+// Builds RFC 5545 calendars of rail weeks, periods, paydays and holidays for
+// Outlook, Google Calendar and phone calendars. Like lib/railway-date-api.mjs
+// it has no DOM dependency; the browser UI only wraps the result in a Blob.
+//
+//   import { exportRailwayCalendar } from './lib/ics.mjs';
+//   const ics = exportRailwayCalendar({ fromRailwayYear: 2026 });
+//
+// Every event has a stable UID derived from what it describes, so importing
+// a newer export updates existing events instead of duplicating them.
+//
+// parseIcs/expandIcsEvents read personal calendars (VEVENTs with all-day or
+// timed DTSTART/DTEND and basic RRULEs) so they can be overlaid on rail weeks;
+// serializeIcsEvents/deserializeIcsEvents keep the parsed events as JSON.
+
+const { RailwayDateAPI } = modules['railway-date-api.mjs'];
+
+const ICS_CATEGORIES = ['weeks', 'periods', 'paydays', 'bankHolidays', 'events'];
+
+const UID_DOMAIN = 'railway-calendar';
+
+// ============================================================================
+// RFC 5545 FORMATTING
+// ============================================================================
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+// DATE value (all-day), e.g. 20260328
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// UTC DATE-TIME value, e.g. 20261019T120000Z
+const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Escape TEXT values (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, never splitting a UTF-8 character
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Short railway year label, e.g. RY25/26
+const shortRailwayYear = (railwayYear) =>
+  `RY${railwayYear.toString().slice(-2)}/${(railwayYear + 1).toString().slice(-2)}`;
+
+/**
+ * Build a VEVENT for an all-day event
+ * end is the last day of the event (inclusive); DTEND is written as the day after
+ */
+const buildAllDayEvent = ({ uid, start, end = start, summary, description, categories, stamp }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(end, 1))}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (categories) lines.push(`CATEGORIES:${escapeText(categories)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Export rail weeks, periods, paydays and holidays for one or more railway years
+ *
+ * options:
+ *   fromRailwayYear  first railway year to include (required)
+ *   toRailwayYear    last railway year to include (defaults to fromRailwayYear)
+ *   profile          calendar profile or id (defaults to Network Rail)
+ *   paydaySchedules  payday schedules (defaults to the built-in schedule)
+ *   region           bank holiday region or id (defaults to England & Wales)
+ *   include          { weeks, periods, paydays, bankHolidays, events } booleans (all default true)
+ *   now              timestamp written as DTSTAMP (defaults to the current time)
+ *
+ * Returns the .ics file contents as a string with CRLF line endings.
+ */
+const exportRailwayCalendar = ({
+  fromRailwayYear,
+  toRailwayYear = fromRailwayYear,
+  profile,
+  paydaySchedules = RailwayDateAPI.getDefaultPaydaySchedules(),
+  region,
+  include = {},
+  now = new Date()
+}) => {
+  if (!Number.isInteger(fromRailwayYear) || !Number.isInteger(toRailwayYear) || toRailwayYear < fromRailwayYear) {
+    throw new Error('exportRailwayCalendar needs fromRailwayYear <= toRailwayYear');
+  }
+  const resolved = RailwayDateAPI.getProfile(profile);
+  const enabled = Object.fromEntries(ICS_CATEGORIES.map(category => [category, include[category] !== false]));
+  const stamp = formatUtcDateTime(now);
+  const events = [];
+
+  for (let railwayYear = fromRailwayYear; railwayYear <= toRailwayYear; railwayYear++) {
+    const label = shortRailwayYear(railwayYear);
+    const uidPrefix = `${resolved.id}-${railwayYear}`;
+
+    if (enabled.weeks) {
+      const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, resolved);
+      for (let week = 1; week <= totalWeeks; week++) {
+        const { startDate, endDate } = RailwayDateAPI.railwayToDateRange(railwayYear, week, resolved);
+        const { period, weekInPeriod } = RailwayDateAPI.getPeriodForWeek(railwayYear, week, resolved);
+        events.push(buildAllDayEvent({
+          uid: `${uidPrefix}-w${week}`,
+          start: startDate,
+          end: endDate,
+          summary: `${label} W${week}`,
+          description: `Railway Year ${railwayYear}/${(railwayYear + 1).toString().slice(-2)} • Week ${week} • Period ${period} Week ${weekInPeriod}`,
+          categories: 'Rail week',
+          stamp
+        }));
+      }
+    }
+
+    if (enabled.periods) {
+      const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, resolved);
+      for (let period = 1; period <= periodCount; period++) {
+        const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, resolved);
+        const description = `Weeks ${startWeek}-${endWeek}`;
+        events.push(buildAllDayEvent({
+          uid: `${uidPrefix}-p${period}-start`,
+          start: startDate,
+          summary: `${label} P${period} starts`,
+          description,
+          categories: 'Rail period',
+          stamp
+        }));
+        events.push(buildAllDayEvent({
+          uid: `${uidPrefix}-p${period}-end`,
+          start: endDate,
+          summary: `${label} P${period} ends`,
+          description,
+          categories: 'Rail period',
+          stamp
+        }));
+      }
+    }
+
+    const yearStart = RailwayDateAPI.getWeekOneStart(railwayYear, resolved);
+    const yearEnd = addDays(RailwayDateAPI.getWeekOneStart(railwayYear + 1, resolved), -1);
+
+    if (enabled.paydays && paydaySchedules.length > 0) {
+      for (let date = new Date(yearStart); date <= yearEnd; date = addDays(date, 1)) {
+        RailwayDateAPI.getPaydays(date, paydaySchedules, region).forEach(payday => {
+          const nominal = payday.nominalDate.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' });
+          events.push(buildAllDayEvent({
+            uid: `payday-${slugify(payday.id)}-${formatDate(payday.nominalDate)}`,
+            start: date,
+            summary: `${payday.emoji} ${payday.name}`,
+            description: payday.isAdjusted ? `Payday (due ${nominal}, moved to a working day)` : 'Payday',
+            categories: 'Payday',
+            stamp
+          }));
+        });
+      }
+    }
+
+    if (enabled.bankHolidays || enabled.events) {
+      for (let year = yearStart.getFullYear(); year <= yearEnd.getFullYear(); year++) {
+        RailwayDateAPI.getUKBankHolidays(year, region)
+          .filter(h => h.date >= yearStart && h.date <= yearEnd)
+          .filter(h => (h.type === 'bank' ? enabled.bankHolidays : enabled.events))
+          .forEach(h => {
+            events.push(buildAllDayEvent({
+              uid: `holiday-${formatDate(h.date)}-${slugify(h.name)}`,
+              start: h.date,
+              summary: `${h.emoji} ${h.name}`,
+              description: RailwayDateAPI.describeHolidayRegions(h),
+              categories: h.type === 'bank' ? 'Bank holiday' : h.type === 'religious' ? 'Religious' : 'Cultural',
+              stamp
+            }));
+          });
+      }
+    }
+  }
+
+  const calendarName = fromRailwayYear === toRailwayYear
+    ? `Railway Calendar ${shortRailwayYear(fromRailwayYear)}`
+    : `Railway Calendar ${shortRailwayYear(fromRailwayYear)}–${shortRailwayYear(toRailwayYear)}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Railway Calendar//Railway Week Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+const RRULE_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Safety limits for recurrence expansion: occurrences returned for a range,
+// and recurrence steps in a row that produce nothing (e.g. BYMONTHDAY=31 in
+// a two-monthly rule that only visits 30-day months)
+const MAX_OCCURRENCES = 5000;
+const MAX_EMPTY_STEPS = 1000;
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * UTC values (trailing Z) are converted to local time; values with a TZID or
+ * no zone are treated as local ("floating") time.
+ */
+const parseIcsDate = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) throw new Error(`Invalid date "${value}"`);
+  const [, year, month, day, hours, minutes, seconds = '0', utc] = match;
+  if (hours === undefined || params.VALUE === 'DATE') {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+};
+
+// Parse a DURATION such as P1D, PT1H30M or P2W into milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRRule = (value) => {
+  const rule = Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+    const [key, ruleValue = ''] = part.split('=');
+    return [key.toUpperCase(), ruleValue];
+  }));
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL) || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL ? parseIcsDate(rule.UNTIL).date : null,
+    // BYDAY entries such as TU, 2TU or -1FR (nth, or last, of the month)
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',')
+        .map(day => ({ weekday: RRULE_WEEKDAYS[day.slice(-2)], nth: day.length > 2 ? Number(day.slice(0, -2)) : null }))
+        .filter(day => day.weekday !== undefined)
+      : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null,
+    // Rules this expander cannot follow; such events show their first occurrence only
+    unsupported: Boolean(rule.BYSETPOS || rule.BYWEEKNO || rule.BYYEARDAY)
+  };
+};
+
+/**
+ * Parse the VEVENTs of an .ics file
+ *
+ * Returns [{ uid, summary, location, start, end, allDay, rrule, exdates }]
+ * where end is exclusive. Cancelled events are skipped. Throws if the text
+ * is not an iCalendar file.
+ */
+const parseIcs = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  let current = null;
+  let nestedDepth = 0; // VALARM and friends inside a VEVENT
+
+  lines.forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+    const name = rawName.toUpperCase();
+    const value = line.slice(colon + 1);
+    const params = Object.fromEntries(rawParams.map(param => {
+      const [key, paramValue = ''] = param.split('=');
+      return [key.toUpperCase(), paramValue.replace(/^"|"$/g, '')];
+    }));
+
+    if (name === 'BEGIN') {
+      if (current) nestedDepth++;
+      else if (value.toUpperCase() === 'VEVENT') current = { exdates: [] };
+      return;
+    }
+    if (name === 'END') {
+      if (nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && value.toUpperCase() === 'VEVENT') {
+        if (current.start && current.status !== 'CANCELLED') events.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || nestedDepth > 0) return;
+
+    switch (name) {
+      case 'UID': current.uid = value; break;
+      case 'SUMMARY': current.summary = unescapeText(value); break;
+      case 'LOCATION': current.location = unescapeText(value); break;
+      case 'STATUS': current.status = value.toUpperCase(); break;
+      case 'DTSTART': {
+        const { date, allDay } = parseIcsDate(value, params);
+        current.start = date;
+        current.allDay = allDay;
+        break;
+      }
+      case 'DTEND': current.end = parseIcsDate(value, params).date; break;
+      case 'DURATION': current.duration = parseDuration(value); break;
+      case 'RRULE': current.rrule = parseRRule(value); break;
+      case 'EXDATE':
+        value.split(',').forEach(exdate => current.exdates.push(parseIcsDate(exdate, params).date));
+        break;
+      default: break;
+    }
+  });
+
+  return events.map(event => {
+    let end = event.end;
+    if (!end) {
+      end = new Date(event.start);
+      if (event.duration) end.setTime(end.getTime() + event.duration);
+      else if (event.allDay) end.setDate(end.getDate() + 1);
+    }
+    return {
+      uid: event.uid || `${event.summary}-${event.start.getTime()}`,
+      summary: event.summary || '(No title)',
+      location: event.location || '',
+      start: event.start,
+      end,
+      allDay: event.allDay,
+      rrule: event.rrule || null,
+      exdates: event.exdates
+    };
+  });
+};
+
+// Days of a month (1-31) matching BYDAY entries: every such weekday, or the
+// nth one (negative counts back from the end, so -1 is the last)
+const getMonthWeekdays = (year, month, byDay) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const firstWeekday = new Date(year, month, 1).getDay();
+  return byDay.flatMap(({ weekday, nth }) => {
+    const days = [];
+    for (let day = 1 + (weekday - firstWeekday + 7) % 7; day <= daysInMonth; day += 7) days.push(day);
+    if (nth === null) return days;
+    const day = nth > 0 ? days[nth - 1] : days[days.length + nth];
+    return day === undefined ? [] : [day];
+  });
+};
+
+// Days of a month matching BYMONTHDAY (negative counts back from the end)
+const getMonthDays = (year, month, byMonthDay) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return byMonthDay
+    .map(day => (day < 0 ? daysInMonth + day + 1 : day))
+    .filter(day => day >= 1 && day <= daysInMonth); // skip e.g. 31 April
+};
+
+// Whole recurrence steps from DTSTART that can be skipped before rangeStart
+// (one fewer than the estimate, so nothing overlapping rangeStart is lost).
+// Not possible with COUNT, which counts occurrences from DTSTART.
+const getFirstStep = (start, rrule, rangeStart) => {
+  if (rrule.count !== null || rangeStart <= start) return 0;
+  const days = Math.floor((rangeStart - start) / 86400000);
+  const months = (rangeStart.getFullYear() - start.getFullYear()) * 12 + rangeStart.getMonth() - start.getMonth();
+  const steps = {
+    DAILY: days,
+    WEEKLY: Math.floor(days / 7),
+    MONTHLY: months,
+    YEARLY: Math.floor(months / 12)
+  }[rrule.freq] || 0;
+  return Math.max(0, Math.floor(steps / rrule.interval) - 1);
+};
+
+// Start times of the occurrences of an event from about rangeStart (earlier
+// ones may be included) up to rangeEnd
+const getOccurrenceStarts = (event, rangeStart, rangeEnd) => {
+  const { start, rrule } = event;
+  if (!rrule || rrule.unsupported) return [start];
+
+  const starts = [];
+  let counted = 0; // occurrences from DTSTART, for COUNT
+  let returned = 0; // occurrences on or after rangeStart, for MAX_OCCURRENCES
+  const withinLimits = (date) =>
+    (!rrule.until || date <= rrule.until) && (rrule.count === null || counted < rrule.count);
+  const push = (date) => {
+    if (date < start || !withinLimits(date)) return;
+    counted++;
+    if (date >= rangeStart) returned++;
+    starts.push(date);
+  };
+  const shifted = (date, changes) => {
+    const result = new Date(date);
+    if (changes.days) result.setDate(result.getDate() + changes.days);
+    if (changes.months) result.setMonth(result.getMonth() + changes.months, 1);
+    if (changes.years) result.setFullYear(result.getFullYear() + changes.years);
+    return result;
+  };
+  // DTSTART's time of day on another date
+  const at = (year, month, day) =>
+    new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+  // Candidates in one month, from BYDAY, BYMONTHDAY or DTSTART's day of the month
+  const inMonth = (year, month) => {
+    const days = rrule.byDay
+      ? getMonthWeekdays(year, month, rrule.byDay)
+      : getMonthDays(year, month, rrule.byMonthDay || [start.getDate()]);
+    return days.map(day => at(year, month, day));
+  };
+
+  let emptySteps = 0;
+  for (let step = getFirstStep(start, rrule, rangeStart); emptySteps < MAX_EMPTY_STEPS; step++) {
+    if (starts.length > 0 && !withinLimits(starts[starts.length - 1])) break;
+    if (rrule.count !== null && counted >= rrule.count) break;
+    if (returned >= MAX_OCCURRENCES) break;
+
+    let candidates;
+    if (rrule.freq === 'DAILY') {
+      candidates = [shifted(start, { days: step * rrule.interval })];
+    } else if (rrule.freq === 'WEEKLY') {
+      // Week containing DTSTART (weeks starting Monday), then every interval weeks
+      const weekStart = shifted(start, { days: -((start.getDay() + 6) % 7) + step * 7 * rrule.interval });
+      const days = rrule.byDay ? rrule.byDay.map(day => day.weekday) : [start.getDay()];
+      candidates = days.map(day => shifted(weekStart, { days: (day + 6) % 7 }));
+    } else if (rrule.freq === 'MONTHLY') {
+      const monthStart = shifted(start, { months: step * rrule.interval });
+      candidates = inMonth(monthStart.getFullYear(), monthStart.getMonth());
+    } else if (rrule.freq === 'YEARLY') {
+      const year = start.getFullYear() + step * rrule.interval;
+      const months = rrule.byMonth ? rrule.byMonth.map(month => month - 1) : [start.getMonth()];
+      candidates = rrule.byDay || rrule.byMonthDay
+        ? months.flatMap(month => inMonth(year, month))
+        : months.map(month => at(year, month, start.getDate())).filter(date => date.getDate() === start.getDate()); // skip 29 Feb in common years
+    } else {
+      return [start]; // Unsupported frequency - show the first occurrence only
+    }
+    candidates.sort((a, b) => a - b);
+
+    if (candidates.length > 0 && candidates[0] > rangeEnd) break;
+    emptySteps = candidates.length > 0 ? 0 : emptySteps + 1;
+    candidates.forEach(push);
+  }
+  return starts;
+};
+
+/**
+ * Parsed events as plain JSON, with dates as epoch milliseconds (e.g. for
+ * localStorage, which is far smaller than keeping the .ics text)
+ */
+const serializeIcsEvents = (events) => events.map(event => ({
+  ...event,
+  start: event.start.getTime(),
+  end: event.end.getTime(),
+  rrule: event.rrule && { ...event.rrule, until: event.rrule.until && event.rrule.until.getTime() },
+  exdates: event.exdates.map(date => date.getTime())
+}));
+
+/**
+ * Parsed events back from serializeIcsEvents
+ */
+const deserializeIcsEvents = (stored) => stored.map(event => ({
+  ...event,
+  start: new Date(event.start),
+  end: new Date(event.end),
+  rrule: event.rrule && { ...event.rrule, until: event.rrule.until === null ? null : new Date(event.rrule.until) },
+  exdates: event.exdates.map(time => new Date(time))
+}));
+
+/**
+ * Expand parsed events into one entry per day they cover between two dates
+ * (inclusive), applying RRULE and EXDATE.
+ *
+ * Returns [{ date, title, location, allDay, startTime, endTime, uid }] where
+ * startTime/endTime are 'HH:MM' strings for timed events.
+ */
+const expandIcsEvents = (events, rangeStart, rangeEnd) => {
+  const from = new Date(rangeStart);
+  from.setHours(0, 0, 0, 0);
+  const to = new Date(rangeEnd);
+  to.setHours(23, 59, 59, 999);
+  const formatTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const occurrences = [];
+
+  events.forEach(event => {
+    const durationMs = event.end - event.start;
+    const excluded = new Set(event.exdates.map(date => date.getTime()));
+
+    // Occurrences that start before the range but run into it count too
+    getOccurrenceStarts(event, new Date(from.getTime() - Math.max(durationMs, 0)), to).forEach(start => {
+      if (excluded.has(start.getTime())) return;
+      const end = new Date(start.getTime() + Math.max(durationMs, 0));
+      if (end < from && start < from) return;
+
+      // One entry per day the occurrence covers (end is exclusive)
+      const day = new Date(start);
+      day.setHours(0, 0, 0, 0);
+      const lastInstant = durationMs > 0 ? new Date(end.getTime() - 1) : end;
+      while (day <= lastInstant) {
+        if (day >= from && day <= to) {
+          occurrences.push({
+            date: new Date(day),
+            title: event.summary,
+            location: event.location,
+            allDay: event.allDay,
+            startTime: event.allDay ? null : formatTime(start),
+            endTime: event.allDay ? null : formatTime(end),
+            uid: event.uid
+          });
+        }
+        day.setDate(day.getDate() + 1);
+      }
+    });
+  });
+
+  return occurrences.sort((a, b) => a.date - b.date || (a.startTime || '').localeCompare(b.startTime || ''));
+};
+
+const RailwayIcs = {
+  ICS_CATEGORIES,
+  exportRailwayCalendar,
+  parseIcs,
+  serializeIcsEvents,
+  deserializeIcsEvents,
+  expandIcsEvents
+};
+
+  return { ICS_CATEGORIES, exportRailwayCalendar, parseIcs, serializeIcsEvents, deserializeIcsEvents, expandIcsEvents, RailwayIcs };
+  })();
+
+  modules['roster.mjs'] = (() => {
+// ============================================================================
+// SHIFT ROSTERS
+// ============================================================================
+//
+// Cyclic rosters ("rotas") keyed to rail weeks. A roster is a list of lines,
+// each line being seven shift codes for the days of a rail week. Every rail
+// week the holder moves down to the next line, wrapping round at the bottom.
+// Like lib/railway-date-api.mjs it has no DOM dependency, and rosters are
+// plain JSON-able objects so the browser can keep them in localStorage.
+//
+//   import { getShift } from './lib/roster.mjs';
+//   getShift(new Date(2026, 9, 19), roster); // { code: 'L', start: '14:00', ... }
+//
+// Roster shape:
+//   {
+//     name: 'Depot rota',
+//     anchorRailwayYear: 2026, anchorWeek: 1, // rail week in which...
+//     anchorLine: 1,                          // ...line 1 is worked (1-based)
+//     lines: [['E','E','E','E','E','R','R'], ...],
+//     shiftTypes: { E: { label: 'Early', color: '#38bdf8', start: '06:00', end: '14:00' }, ... },
+//     overrides: { '2026-10-21': 'L' }        // swapped turns by local date
+//   }
+//
+// Shift types without start/end times are rest days.
+
+const { RailwayDateAPI } = modules['railway-date-api.mjs'];
+
+const DEFAULT_SHIFT_TYPES = {
+  E: { label: 'Early', color: '#38bdf8', start: '06:00', end: '14:00' },
+  L: { label: 'Late', color: '#f59e0b', start: '14:00', end: '22:00' },
+  N: { label: 'Night', color: '#a78bfa', start: '22:00', end: '06:00' },
+  D: { label: 'Day', color: '#34d399', start: '08:00', end: '16:00' },
+  R: { label: 'Rest', color: '#64748b', start: null, end: null }
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Length of a shift in hours; finishes at or before the start time run past midnight
+ */
+const getShiftHours = (shiftType) => {
+  const start = toMinutes(shiftType?.start);
+  const end = toMinutes(shiftType?.end);
+  if (start === null || end === null) return 0;
+  return ((end - start + 1440) % 1440 || 1440) / 60;
+};
+
+/**
+ * A four-line earlies/lates/nights/rest rota to start editing from
+ */
+const createDefaultRoster = (anchorRailwayYear) => ({
+  name: 'My roster',
+  anchorRailwayYear,
+  anchorWeek: 1,
+  anchorLine: 1,
+  lines: [
+    ['E', 'E', 'E', 'E', 'E', 'R', 'R'],
+    ['L', 'L', 'L', 'L', 'L', 'R', 'R'],
+    ['R', 'N', 'N', 'N', 'N', 'N', 'R'],
+    ['R', 'R', 'D', 'D', 'D', 'D', 'R']
+  ],
+  shiftTypes: { ...DEFAULT_SHIFT_TYPES },
+  overrides: {}
+});
+
+/**
+ * Roster line (1-based) worked in the rail week containing a date
+ */
+const getRosterLine = (date, roster, profile) => {
+  const { startDate: anchorStart } = RailwayDateAPI.railwayToDateRange(roster.anchorRailwayYear, roster.anchorWeek, profile);
+  const { railwayYear, railWeek } = RailwayDateAPI.dateToRailway(date, profile);
+  const { startDate: weekStart } = RailwayDateAPI.railwayToDateRange(railwayYear, railWeek, profile);
+  const weeksSinceAnchor = Math.round((weekStart - anchorStart) / (7 * 86400000));
+  const count = roster.lines.length;
+  return ((((roster.anchorLine - 1 + weeksSinceAnchor) % count) + count) % count) + 1;
+};
+
+/**
+ * Shift worked on a date
+ *
+ * Returns { code, label, color, start, end, hours, isRest, line, isOverride,
+ * rosteredCode } or null if the roster has no lines. rosteredCode is the
+ * code from the pattern before any override.
+ */
+const getShift = (date, roster, profile) => {
+  if (!roster || roster.lines.length === 0) return null;
+  const line = getRosterLine(date, roster, profile);
+  const { dayOfRailWeek } = RailwayDateAPI.dateToRailway(date, profile);
+  const rosteredCode = roster.lines[line - 1][dayOfRailWeek - 1];
+  const override = roster.overrides?.[isoDate(date)];
+  const code = override || rosteredCode;
+  const shiftType = roster.shiftTypes[code] || { label: code, color: '#94a3b8', start: null, end: null };
+  const hours = getShiftHours(shiftType);
+  return {
+    code,
+    label: shiftType.label,
+    color: shiftType.color,
+    start: shiftType.start || null,
+    end: shiftType.end || null,
+    hours,
+    isRest: hours === 0,
+    line,
+    isOverride: Boolean(override) && override !== rosteredCode,
+    rosteredCode
+  };
+};
+
+/**
+ * Shifts worked in a period
+ *
+ * Returns { counts: { code: days }, hours, workingDays, restDays, overrides }.
+ */
+const getPeriodShiftSummary = (roster, railwayYear, period, profile) => {
+  const { startDate, endDate } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
+  const summary = { counts: {}, hours: 0, workingDays: 0, restDays: 0, overrides: 0 };
+  for (const d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+    const shift = getShift(d, roster, profile);
+    if (!shift) continue;
+    summary.counts[shift.code] = (summary.counts[shift.code] || 0) + 1;
+    summary.hours += shift.hours;
+    if (shift.isRest) summary.restDays++;
+    else summary.workingDays++;
+    if (shift.isOverride) summary.overrides++;
+  }
+  return summary;
+};
+
+const RailwayRoster = {
+  DEFAULT_SHIFT_TYPES,
+  createDefaultRoster,
+  getShiftHours,
+  getRosterLine,
+  getShift,
+  getPeriodShiftSummary
+};
+
+  return { DEFAULT_SHIFT_TYPES, getShiftHours, createDefaultRoster, getRosterLine, getShift, getPeriodShiftSummary, RailwayRoster };
+  })();
+
+  modules['leave.mjs'] = (() => {
+// ============================================================================
+// ANNUAL LEAVE
+// ============================================================================
+//
+// Annual leave booked against a railway-year entitlement. Only working days
+// are charged: bank holidays are never charged (for the optional trailing
+// `region`, England & Wales by default), and neither are rest days - taken
+// from the shift roster when there is one (see lib/roster.mjs), else
+// Saturdays and Sundays. Leave records are plain JSON-able objects:
+//
+//   {
+//     unit: 'days',                  // or 'hours'
+//     hoursPerDay: 7.5,              // charged per day when there is no roster
+//     entitlements: { 2026: 25 },    // per railway year, in `unit`
+//     booked: ['2026-10-20', ...]    // local dates
+//   }
+//
+//   import { getLeaveBalance } from './lib/leave.mjs';
+//   getLeaveBalance(leave, 2026, roster); // { entitlement: 25, booked: 3, remaining: 22, ... }
+
+const { RailwayDateAPI } = modules['railway-date-api.mjs'];
+const { RailwayRoster } = modules['roster.mjs'];
+
+const LEAVE_UNITS = ['days', 'hours'];
+
+const DEFAULT_LEAVE = {
+  unit: 'days',
+  hoursPerDay: 7.5,
+  entitlements: {},
+  booked: []
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Hours of leave a date would use, or 0 for bank holidays and rest days
+ */
+const getLeaveHours = (date, leave, roster, profile, region) => {
+  if (RailwayDateAPI.isBankHoliday(date, region)) return 0;
+  const shift = roster ? RailwayRoster.getShift(date, roster, profile) : null;
+  if (shift) return shift.hours;
+  const day = date.getDay();
+  return day === 0 || day === 6 ? 0 : leave.hoursPerDay;
+};
+
+/**
+ * Leave a date would use in the leave record's unit (1 day, or its hours)
+ */
+const getLeaveCharge = (date, leave, roster, profile, region) => {
+  const hours = getLeaveHours(date, leave, roster, profile, region);
+  if (hours === 0) return 0;
+  return leave.unit === 'hours' ? hours : 1;
+};
+
+/**
+ * Dates between two dates (inclusive, either order) that leave can be booked on
+ */
+const getBookableDates = (from, to, leave, roster, profile, region) => {
+  const [start, end] = from <= to ? [from, to] : [to, from];
+  const dates = [];
+  for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    if (getLeaveCharge(d, leave, roster, profile, region) > 0) dates.push(isoDate(d));
+  }
+  return dates;
+};
+
+/**
+ * Entitlement, booked and remaining leave for a railway year
+ *
+ * Returns { unit, entitlement, booked, remaining, bookedDates } where
+ * entitlement is null if none has been set for the year. Booked dates that
+ * are no longer working days (e.g. after a roster change) are not charged.
+ */
+const getLeaveBalance = (leave, railwayYear, roster, profile, region) => {
+  const bookedDates = leave.booked
+    .map(parseLocalDate)
+    .filter(date => RailwayDateAPI.dateToRailway(date, profile).railwayYear === railwayYear)
+    .sort((a, b) => a - b);
+  const booked = bookedDates.reduce((total, date) => total + getLeaveCharge(date, leave, roster, profile, region), 0);
+  const entitlement = leave.entitlements[railwayYear] ?? null;
+  return {
+    unit: leave.unit,
+    entitlement,
+    booked,
+    remaining: entitlement === null ? null : entitlement - booked,
+    bookedDates
+  };
+};
+
+const RailwayLeave = {
+  LEAVE_UNITS,
+  DEFAULT_LEAVE,
+  getLeaveHours,
+  getLeaveCharge,
+  getBookableDates,
+  getLeaveBalance
+};
+
+  return { LEAVE_UNITS, DEFAULT_LEAVE, getLeaveHours, getLeaveCharge, getBookableDates, getLeaveBalance, RailwayLeave };
+  })();
+
+  modules['view-export.mjs'] = (() => {
+// ============================================================================
+// YEAR AND MONTH VIEW EXPORT
+// ============================================================================
+//
+// Draws the Year and Month views as clean, self-contained SVG (dark text on
+// white, no external fonts or images) for briefing packs and slides, and
+// wraps a rasterised copy in a single-page PDF. Like lib/ics.mjs it has no DOM
+// dependency; the browser UI rasterises the SVG on a canvas for PNG and PDF.
+//
+//   import { renderYearSvg, renderMonthSvg } from './lib/view-export.mjs';
+//   const { svg, width, height } = renderYearSvg({ railwayYear: 2026, overlays: { moon: false } });
+//
+// Both renderers take the railway options used elsewhere (profile, region,
+// paydaySchedules), `events` (extra entries shaped like getUKBankHolidays
+// results, e.g. personal events), `getHolidays(year, region)` (a cached
+// getUKBankHolidays, which it defaults to) and `overlays`, any of
+// EXPORT_OVERLAYS switched on or off (all on by default). They return
+// { svg, width, height, title }, sizes in CSS pixels.
+
+const { RailwayDateAPI } = modules['railway-date-api.mjs'];
+const { Astronomy } = modules['astronomy.mjs'];
+
+const EXPORT_OVERLAYS = ['paydays', 'holidays', 'moon'];
+
+const EXPORT_FORMATS = ['svg', 'png', 'pdf'];
+
+const FONT = "-apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+const COLORS = {
+  background: '#ffffff',
+  text: '#0f172a',
+  muted: '#64748b',
+  faint: '#94a3b8',
+  line: '#e2e8f0',
+  cell: '#f1f5f9',
+  otherMonth: '#f8fafc',
+  payday: '#fef3c7',
+  paydayText: '#b45309',
+  holiday: '#ffe4e6',
+  holidayLine: '#fda4af',
+  moonDark: '#334155',
+  moonLight: '#fde68a',
+  moonEdge: '#ca8a04'
+};
+
+// The app's standard period colours, at a shade that reads on white
+const PERIOD_COLORS = ['#0891b2', '#db2777', '#d97706', '#059669', '#7c3aed', '#e11d48', '#0284c7',
+  '#65a30d', '#c026d3', '#ca8a04', '#0d9488', '#4f46e5', '#ea580c'];
+
+const EVENT_COLORS = { bank: '#be123c', religious: '#6d28d9', cultural: '#0e7490', personal: '#047857', dayOff: '#4d7c0f' };
+
+const MOON_PHASES = [
+  { fraction: 0, name: 'New Moon' },
+  { fraction: 0.25, name: 'First Quarter' },
+  { fraction: 0.5, name: 'Full Moon' },
+  { fraction: 0.75, name: 'Last Quarter' }
+];
+
+// ============================================================================
+// SVG HELPERS
+// ============================================================================
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => ` ${name}="${typeof value === 'number' ? round(value) : escapeXml(value)}"`)
+  .join('');
+
+const rect = (attrs) => `<rect${attributes(attrs)}/>`;
+const circle = (attrs) => `<circle${attributes(attrs)}/>`;
+const text = (content, attrs) => `<text${attributes(attrs)}>${escapeXml(content)}</text>`;
+
+// Shorten text to roughly fit a width (no font metrics outside the browser)
+const fitText = (value, width, fontSize) => {
+  const maxChars = Math.floor(width / (fontSize * 0.56));
+  return value.length > maxChars ? `${value.slice(0, Math.max(maxChars - 1, 1))}…` : value;
+};
+
+// Moon icon for a principal phase (quarter moons lit on the side seen from the UK)
+const moonIcon = (fraction, cx, cy, r) => {
+  if (fraction === 0.5) return circle({ cx, cy, r, fill: COLORS.moonLight, stroke: COLORS.moonEdge, 'stroke-width': 1 });
+  const dark = circle({ cx, cy, r, fill: COLORS.moonDark, stroke: COLORS.moonDark, 'stroke-width': 1 });
+  if (fraction === 0) return dark;
+  const sweep = fraction === 0.25 ? 1 : 0;
+  return `${dark}<path d="M ${round(cx)} ${round(cy - r)} A ${round(r)} ${round(r)} 0 0 ${sweep} ${round(cx)} ${round(cy + r)} Z" fill="${COLORS.moonLight}"/>`;
+};
+
+const svgDocument = (width, height, title, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}" font-family="${escapeXml(FONT)}">` +
+  `<title>${escapeXml(title)}</title>` +
+  rect({ width, height, fill: COLORS.background }) +
+  body +
+  '</svg>';
+
+// ============================================================================
+// CALENDAR DATA
+// ============================================================================
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const shortDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+const longDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const yearDisplay = (railwayYear) => `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`;
+
+// Holidays, events and principal moon phases from `from` to `to`, keyed by toDateString()
+const collectDays = (from, to, { region, events = [], getHolidays = RailwayDateAPI.getUKBankHolidays }) => {
+  const holidays = new Map();
+  const moons = new Map();
+  const add = (map, date, entry) => {
+    const key = date.toDateString();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  for (let year = from.getFullYear(); year <= to.getFullYear(); year++) {
+    getHolidays(year, region)
+      .filter(h => h.date >= from && h.date <= to)
+      .forEach(h => add(holidays, h.date, h));
+  }
+  events.filter(e => e.date >= from && e.date <= to).forEach(e => add(holidays, e.date, e));
+  for (let k = Astronomy.getLunation(from) - 1; k <= Astronomy.getLunation(to) + 1; k++) {
+    MOON_PHASES.forEach(phase => {
+      const date = Astronomy.getUKDate(Astronomy.getPhaseTime(k, phase.fraction));
+      if (date >= from && date <= to) add(moons, date, phase);
+    });
+  }
+  return {
+    holidays: (date) => holidays.get(date.toDateString()) || [],
+    moon: (date) => (moons.get(date.toDateString()) || [])[0] || null
+  };
+};
+
+const resolveOverlays = (overlays = {}) =>
+  Object.fromEntries(EXPORT_OVERLAYS.map(overlay => [overlay, overlays[overlay] !== false]));
+
+const holidayName = (h) => `${h.name}${h.isSubstitute ? ' (substitute day)' : ''}`;
+
+// Key under the drawing: items of { swatch (SVG drawn around 0,0), label }
+const legend = (x, y, items) => {
+  let cursor = x;
+  return items.map(item => {
+    const out = `<g transform="translate(${round(cursor + 5)} ${round(y)})">${item.swatch}</g>` +
+      text(item.label, { x: cursor + 16, y: y + 4, 'font-size': 12, fill: COLORS.muted });
+    cursor += 36 + item.label.length * 7;
+    return out;
+  }).join('');
+};
+
+const swatch = (fill, stroke) => rect({ x: -5, y: -5, width: 10, height: 10, rx: 2, fill, stroke });
+
+const moonKey = (phases) => MOON_PHASES
+  .filter(phase => phases.includes(phase.fraction))
+  .map(phase => ({ swatch: moonIcon(phase.fraction, 0, 0, 5), label: phase.name }));
+
+// ============================================================================
+// YEAR VIEW
+// ============================================================================
+
+/**
+ * The Year view as SVG: a card per period with its rail weeks, payday dots,
+ * bank holidays and full/new moons
+ */
+const renderYearSvg = ({ railwayYear, profile, region, paydaySchedules = RailwayDateAPI.getDefaultPaydaySchedules(), events, getHolidays, overlays: requested } = {}) => {
+  const overlays = resolveOverlays(requested);
+  const schedules = overlays.paydays ? paydaySchedules : [];
+  const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+  const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, profile);
+  const yearStart = RailwayDateAPI.railwayToDateRange(railwayYear, 1, profile).startDate;
+  const yearEnd = RailwayDateAPI.railwayToDateRange(railwayYear, totalWeeks, profile).endDate;
+  const days = collectDays(yearStart, yearEnd, { region, events, getHolidays });
+
+  const periods = Array.from({ length: periodCount }, (_, i) => {
+    const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, i + 1, profile);
+    const weeks = Array.from({ length: endWeek - startWeek + 1 }, (_, w) => {
+      const weekStart = RailwayDateAPI.railwayToDateRange(railwayYear, startWeek + w, profile).startDate;
+      const dates = Array.from({ length: 7 }, (_, d) => addDays(weekStart, d));
+      return {
+        week: startWeek + w,
+        paydays: dates.flatMap(date => RailwayDateAPI.getPaydays(date, schedules, region)),
+        bankHolidays: dates.flatMap(date => days.holidays(date).filter(h => h.type === 'bank').map(h => ({ ...h, date }))),
+        moon: dates.map(days.moon).find(moon => moon && (moon.fraction === 0 || moon.fraction === 0.5)) || null
+      };
+    });
+    return { period: i + 1, startDate, endDate, weeks };
+  });
+
+  const margin = 32;
+  const width = 1200;
+  const columns = 4;
+  const gap = 16;
+  const cardWidth = (width - margin * 2 - gap * (columns - 1)) / columns;
+  const lineHeight = 16;
+  const maxLines = overlays.holidays ? Math.max(1, ...periods.map(p => p.weeks.flatMap(w => w.bankHolidays).length)) : 0;
+  const cardHeight = 112 + (maxLines ? maxLines * lineHeight + 6 : 0);
+  const gridTop = margin + 76;
+  const rows = Math.ceil(periods.length / columns);
+  const legendY = gridTop + rows * (cardHeight + gap) + 10;
+  const height = legendY + 12 + margin;
+  const title = `Railway Year ${yearDisplay(railwayYear)}`;
+
+  const header =
+    text(title, { x: margin, y: margin + 28, 'font-size': 28, 'font-weight': 700, fill: COLORS.text }) +
+    text(`${longDate(yearStart)} – ${longDate(yearEnd)} • ${totalWeeks} weeks • ${periodCount} periods • ${RailwayDateAPI.getProfile(profile).name}`,
+      { x: margin, y: margin + 54, 'font-size': 14, fill: COLORS.muted });
+
+  const cards = periods.map((p, index) => {
+    const x = margin + (index % columns) * (cardWidth + gap);
+    const y = gridTop + Math.floor(index / columns) * (cardHeight + gap);
+    const accent = PERIOD_COLORS[(p.period - 1) % PERIOD_COLORS.length];
+    const boxGap = 6;
+    const boxWidth = (cardWidth - 32 - boxGap * (p.weeks.length - 1)) / p.weeks.length;
+    const weekBoxes = p.weeks.map((week, w) => {
+      const bx = x + 16 + w * (boxWidth + boxGap);
+      const by = y + 64;
+      const hasHoliday = overlays.holidays && week.bankHolidays.length > 0;
+      const dots = week.paydays.map((payday, d) =>
+        circle({ cx: bx + boxWidth / 2 + (d - (week.paydays.length - 1) / 2) * 7, cy: by + 29, r: 2.5, fill: payday.color || COLORS.paydayText }));
+      return rect({ x: bx, y: by, width: boxWidth, height: 36, rx: 8, fill: hasHoliday ? COLORS.holiday : COLORS.cell, stroke: hasHoliday ? COLORS.holidayLine : COLORS.line }) +
+        text(week.week, { x: bx + boxWidth / 2, y: by + 20, 'text-anchor': 'middle', 'font-size': 13, 'font-weight': 600, fill: COLORS.text }) +
+        dots.join('') +
+        (overlays.moon && week.moon ? moonIcon(week.moon.fraction, bx + boxWidth - 8, by + 8, 4) : '');
+    }).join('');
+    const holidayLines = overlays.holidays
+      ? p.weeks.flatMap(week => week.bankHolidays).map((h, i) =>
+        text(fitText(`${shortDate(h.date)}  ${holidayName(h)}`, cardWidth - 32, 12),
+          { x: x + 16, y: y + 124 + i * lineHeight, 'font-size': 12, fill: EVENT_COLORS.bank }))
+      : [];
+    return rect({ x, y, width: cardWidth, height: cardHeight, rx: 14, fill: accent, 'fill-opacity': 0.07, stroke: accent, 'stroke-opacity': 0.6 }) +
+      text(`Period ${p.period}`, { x: x + 16, y: y + 30, 'font-size': 19, 'font-weight': 700, fill: accent }) +
+      text(`${p.weeks.length} weeks`, { x: x + cardWidth - 16, y: y + 30, 'text-anchor': 'end', 'font-size': 12, fill: COLORS.muted }) +
+      text(`${shortDate(p.startDate)} – ${shortDate(p.endDate)}`, { x: x + 16, y: y + 51, 'font-size': 13, fill: COLORS.muted }) +
+      weekBoxes +
+      holidayLines.join('');
+  }).join('');
+
+  const key = [
+    ...(overlays.holidays ? [{ swatch: swatch(COLORS.holiday, COLORS.holidayLine), label: 'Week with a bank holiday' }] : []),
+    ...schedules.map(schedule => ({ swatch: circle({ r: 4, fill: schedule.color || COLORS.paydayText }), label: schedule.name })),
+    ...(overlays.moon ? moonKey([0, 0.5]) : [])
+  ];
+  const body = header + cards + legend(margin, legendY, key);
+  return { svg: svgDocument(width, height, title, body), width, height, title };
+};
+
+// ============================================================================
+// MONTH VIEW
+// ============================================================================
+
+/**
+ * The Month view as SVG: rail weeks of a calendar month (month 0-11) with
+ * their periods, paydays, holidays and events, and moon phases
+ */
+const renderMonthSvg = ({ year, month, profile, region, paydaySchedules = RailwayDateAPI.getDefaultPaydaySchedules(), events, getHolidays, overlays: requested } = {}) => {
+  const overlays = resolveOverlays(requested);
+  const schedules = overlays.paydays ? paydaySchedules : [];
+  const firstDay = new Date(year, month, 1);
+  const lastDay = new Date(year, month + 1, 0);
+  const firstInfo = RailwayDateAPI.dateToRailway(firstDay, profile);
+  const gridStart = RailwayDateAPI.railwayToDateRange(firstInfo.railwayYear, firstInfo.railWeek, profile).startDate;
+  const weekCount = Math.floor(Math.round((lastDay - gridStart) / 86400000) / 7) + 1;
+  const gridEnd = addDays(gridStart, weekCount * 7 - 1);
+  const days = collectDays(gridStart, gridEnd, { region, events, getHolidays });
+  const dayNames = RailwayDateAPI.getRailWeekDayNames(profile);
+
+  const margin = 32;
+  const width = 1200;
+  const weekColumn = 96;
+  const dayWidth = (width - margin * 2 - weekColumn) / 7;
+  const headerHeight = 30;
+  const rowHeight = 112;
+  const gridTop = margin + 72;
+  const legendY = gridTop + headerHeight + weekCount * rowHeight + 22;
+  const height = legendY + 12 + margin;
+  const monthName = firstDay.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+  const lastInfo = RailwayDateAPI.dateToRailway(lastDay, profile);
+  const periods = firstInfo.period === lastInfo.period && firstInfo.railwayYear === lastInfo.railwayYear
+    ? `Period ${firstInfo.period}`
+    : `Periods ${firstInfo.period}–${lastInfo.period}`;
+  const title = `${monthName} • RY ${firstInfo.railwayYearDisplay}`;
+
+  const header =
+    text(monthName, { x: margin, y: margin + 28, 'font-size': 28, 'font-weight': 700, fill: COLORS.text }) +
+    text(`RY ${firstInfo.railwayYearDisplay}${lastInfo.railwayYear !== firstInfo.railwayYear ? `–${lastInfo.railwayYearDisplay}` : ''} • ${periods} • ${RailwayDateAPI.getProfile(profile).name}`,
+      { x: margin, y: margin + 54, 'font-size': 14, fill: COLORS.muted });
+
+  const columnHeads = rect({ x: margin, y: gridTop, width: width - margin * 2, height: headerHeight, fill: COLORS.cell }) +
+    text('Week', { x: margin + weekColumn / 2, y: gridTop + 20, 'text-anchor': 'middle', 'font-size': 12, 'font-weight': 600, fill: COLORS.muted }) +
+    dayNames.map((name, i) => text(name.slice(0, 3), {
+      x: margin + weekColumn + (i + 0.5) * dayWidth, y: gridTop + 20, 'text-anchor': 'middle', 'font-size': 12, 'font-weight': 600, fill: COLORS.muted
+    })).join('');
+
+  const rows = Array.from({ length: weekCount }, (_, w) => {
+    const y = gridTop + headerHeight + w * rowHeight;
+    const weekStart = addDays(gridStart, w * 7);
+    const info = RailwayDateAPI.dateToRailway(weekStart, profile);
+    const accent = PERIOD_COLORS[(info.period - 1) % PERIOD_COLORS.length];
+    const weekCell = rect({ x: margin, y, width: weekColumn, height: rowHeight, fill: COLORS.background, stroke: COLORS.line }) +
+      rect({ x: margin, y, width: 4, height: rowHeight, fill: accent }) +
+      text(`Wk ${info.railWeek}`, { x: margin + 14, y: y + 26, 'font-size': 15, 'font-weight': 700, fill: COLORS.text }) +
+      text(`P${info.period}`, { x: margin + 14, y: y + 46, 'font-size': 13, 'font-weight': 700, fill: accent });
+
+    const dayCells = Array.from({ length: 7 }, (_, d) => {
+      const date = addDays(weekStart, d);
+      const x = margin + weekColumn + d * dayWidth;
+      const inMonth = date.getMonth() === month;
+      const paydays = RailwayDateAPI.getPaydays(date, schedules, region);
+      const holidays = overlays.holidays ? days.holidays(date) : [];
+      const moon = overlays.moon ? days.moon(date) : null;
+      const isBankHoliday = holidays.some(h => h.type === 'bank');
+      const fill = !inMonth ? COLORS.otherMonth : isBankHoliday ? COLORS.holiday : paydays.length > 0 ? COLORS.payday : COLORS.background;
+      const lines = [
+        ...paydays.map(p => ({ label: `£ ${p.name}`, color: COLORS.paydayText })),
+        ...holidays.map(h => ({ label: holidayName(h), color: EVENT_COLORS[h.type] || EVENT_COLORS.cultural }))
+      ];
+      const maxLines = 4;
+      const shown = lines.length > maxLines ? [...lines.slice(0, maxLines - 1), { label: `+${lines.length - maxLines + 1} more`, color: COLORS.muted }] : lines;
+      return rect({ x, y, width: dayWidth, height: rowHeight, fill, stroke: COLORS.line }) +
+        text(date.getDate() === 1 ? shortDate(date) : date.getDate(), {
+          x: x + 10, y: y + 24, 'font-size': 15, 'font-weight': 700, fill: inMonth ? COLORS.text : COLORS.faint
+        }) +
+        (moon ? moonIcon(moon.fraction, x + dayWidth - 16, y + 18, 6) : '') +
+        shown.map((line, i) => text(fitText(line.label, dayWidth - 18, 11.5), {
+          x: x + 10, y: y + 46 + i * 15, 'font-size': 11.5, fill: line.color, 'fill-opacity': inMonth ? 1 : 0.55
+        })).join('');
+    }).join('');
+    return weekCell + dayCells;
+  }).join('');
+
+  const key = [
+    ...(overlays.holidays ? [{ swatch: swatch(COLORS.holiday, COLORS.holidayLine), label: 'Bank holiday' }] : []),
+    ...(schedules.length > 0 ? [{ swatch: swatch(COLORS.payday, COLORS.paydayText), label: '£ Payday' }] : []),
+    ...(overlays.moon ? moonKey([0, 0.25, 0.5, 0.75]) : [])
+  ];
+  const body = header + columnHeads + rows + legend(margin, legendY, key);
+  return { svg: svgDocument(width, height, title, body), width, height, title };
+};
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+const latin1Bytes = (value) => Uint8Array.from(value, char => char.charCodeAt(0));
+
+// PDF text string as UTF-16BE hex, so titles can use any character
+const pdfText = (value) =>
+  `<FEFF${Array.from(value).map(char => {
+    const code = char.codePointAt(0);
+    const units = code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code];
+    return units.map(unit => unit.toString(16).padStart(4, '0').toUpperCase()).join('');
+  }).join('')}>`;
+
+/**
+ * A one-page PDF showing a JPEG (bytes) centred on A4, landscape when the
+ * image is wider than tall. width/height are the JPEG's pixel size.
+ */
+const buildImagePdf = (jpeg, width, height, { title = 'Railway Calendar' } = {}) => {
+  const landscape = width >= height;
+  const pageWidth = landscape ? 842 : 595;
+  const pageHeight = landscape ? 595 : 842;
+  const margin = 24;
+  const scale = Math.min((pageWidth - margin * 2) / width, (pageHeight - margin * 2) / height);
+  const drawWidth = round(width * scale);
+  const drawHeight = round(height * scale);
+  const offsetX = round((pageWidth - drawWidth) / 2);
+  const offsetY = round((pageHeight - drawHeight) / 2);
+  const content = `q ${drawWidth} 0 0 ${drawHeight} ${offsetX} ${offsetY} cm /Im0 Do Q`;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    [`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+    `<< /Title ${pdfText(title)} /Producer (Railway Calendar) >>`
+  ];
+
+  const chunks = [latin1Bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((object, i) => {
+    offsets.push(offset);
+    const parts = [`${i + 1} 0 obj\n`, ...(Array.isArray(object) ? object : [object]), '\nendobj\n'];
+    parts.forEach(part => {
+      const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+      chunks.push(bytes);
+      offset += bytes.length;
+    });
+  });
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(value => `${String(value).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+  chunks.push(latin1Bytes(xref));
+
+  const pdf = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
+
+const RailwayViewExport = {
+  EXPORT_OVERLAYS,
+  EXPORT_FORMATS,
+  renderYearSvg,
+  renderMonthSvg,
+  buildImagePdf
+};
+
+  return { EXPORT_OVERLAYS, EXPORT_FORMATS, renderYearSvg, renderMonthSvg, buildImagePdf, RailwayViewExport };
+  })();
+
+  modules['notation.mjs'] = (() => {
+// ============================================================================
+// RAILWAY DATE NOTATION
+// ============================================================================
+//
+// Reads the ways people type railway and Gregorian dates, for the converter
+// panel. Railway notations are a railway year plus a week, a period, or
+// both, in any order and spacing:
+//
+//   2526 P07W3 Thu       RY 2025/26, period 7, week 3 of the period, Thursday
+//   W27 D6 2025/26       rail week 27, day 6 of the rail week
+//   RY25 wk 27           the whole of rail week 27
+//   P13 25/26            the whole of period 13
+//
+// Railway years may be written 2025/26, 25/26, RY25, RY2025 or 2526 (a
+// four-digit year starting 19 or 20 is read as a full year, so 2021 is
+// 2021/22). Gregorian dates may be 2026-02-14, 14/02/2026 or 14 Feb 2026,
+// optionally after a day name.
+//
+//   import { parseRailwayInput } from './lib/notation.mjs';
+//   parseRailwayInput('2526 P07W3 Thu'); // { kind: 'railway', railWeek: 27, startDate: 2 Oct 2025, ... }
+//
+// Impossible input (week 54, period 15, 31 February) throws an Error whose
+// message says what is wrong, ready to show next to the input.
+
+const { RailwayDateAPI } = modules['railway-date-api.mjs'];
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+const EXAMPLES = 'e.g. 2526 P07W3 Thu, W27 D6 2025/26, RY25 wk 27 or 14/02/2026';
+
+const capitalise = (word) => word[0].toUpperCase() + word.slice(1);
+const railwayYearDisplay = (railwayYear) => `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`;
+
+// Full weekday index (0=Sunday) for a name or abbreviation of 3+ letters
+const weekdayFromName = (name) => (name.length >= 3 ? WEEKDAY_NAMES.findIndex(day => day.startsWith(name)) : -1);
+
+// ============================================================================
+// GREGORIAN DATES
+// ============================================================================
+
+const GREGORIAN_FORMATS = [
+  { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, parts: ([year, month, day]) => ({ year, month, day }) },
+  { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, parts: ([day, month, year]) => ({ year, month, day }) },
+  {
+    pattern: /^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,})\.?\s+(\d{4})$/,
+    parts: ([day, monthName, year]) => {
+      const month = MONTH_NAMES.findIndex(name => name.startsWith(monthName)) + 1;
+      if (!month) throw new Error(`"${monthName}" is not a month`);
+      return { year, month, day };
+    }
+  }
+];
+
+const parseGregorian = (text) => {
+  // An optional leading day name ("Thu 2 Oct 2025") is checked against the date
+  const named = /^([a-z]+),?\s+(.*)$/.exec(text);
+  const weekday = named ? weekdayFromName(named[1]) : -1;
+  const rest = weekday === -1 ? text : named[2];
+
+  for (const format of GREGORIAN_FORMATS) {
+    const match = format.pattern.exec(rest);
+    if (!match) continue;
+    const { year, month, day } = format.parts(match.slice(1));
+    const [y, m, d] = [year, month, day].map(Number);
+    if (m < 1 || m > 12) throw new Error(`Month ${m} does not exist: months run 1–12`);
+    const daysInMonth = new Date(y, m, 0).getDate();
+    if (d < 1 || d > daysInMonth) {
+      throw new Error(`Day ${d} does not exist: ${capitalise(MONTH_NAMES[m - 1])} ${y} has days 1–${daysInMonth}`);
+    }
+    const date = new Date(y, m - 1, d);
+    if (weekday !== -1 && date.getDay() !== weekday) {
+      throw new Error(`${d} ${capitalise(MONTH_NAMES[m - 1])} ${y} is a ${capitalise(WEEKDAY_NAMES[date.getDay()])}, not a ${capitalise(WEEKDAY_NAMES[weekday])}`);
+    }
+    return date;
+  }
+  return null;
+};
+
+// ============================================================================
+// RAILWAY NOTATION
+// ============================================================================
+
+// Two-digit years are 20xx; four digits are a full year when they start 19 or
+// 20, otherwise a compact pair of consecutive years (2526 = 2025/26)
+const parseRailwayYear = (digits, nextYear) => {
+  let railwayYear;
+  if (digits.length === 2) {
+    railwayYear = 2000 + Number(digits);
+  } else if (digits.length === 4 && /^(19|20)/.test(digits)) {
+    railwayYear = Number(digits);
+  } else if (digits.length === 4 && !nextYear && Number(digits.slice(2)) === (Number(digits.slice(0, 2)) + 1) % 100) {
+    railwayYear = 2000 + Number(digits.slice(0, 2));
+  } else {
+    throw new Error(`"${digits}${nextYear ? `/${nextYear}` : ''}" is not a railway year (write e.g. 2025/26, 2526 or RY25)`);
+  }
+  if (nextYear && nextYear !== (railwayYear + 1).toString().slice(-2)) {
+    throw new Error(`"${digits}/${nextYear}" is not a railway year: ${nextYear} does not follow ${railwayYear}`);
+  }
+  return railwayYear;
+};
+
+// Tried in order at each position; `read` turns the groups (or whole match)
+// into a field value
+const RAILWAY_TOKENS = [
+  { field: 'year', pattern: /^ry\s*(\d+)(?:\s*\/\s*(\d+))?/, read: ([digits, nextYear]) => parseRailwayYear(digits, nextYear) },
+  { field: 'year', pattern: /^(\d+)\s*\/\s*(\d+)/, read: ([digits, nextYear]) => parseRailwayYear(digits, nextYear) },
+  { field: 'period', pattern: /^p(?:eriod)?\s*(\d+)/, read: ([n]) => Number(n) },
+  { field: 'week', pattern: /^w(?:ee)?k?\s*(\d+)/, read: ([n]) => Number(n) },
+  { field: 'day', pattern: /^d(?:ay)?\s*(\d+)/, read: ([n]) => Number(n) },
+  {
+    field: 'weekday',
+    pattern: /^[a-z]+/,
+    read: (groups, [name]) => {
+      const weekday = weekdayFromName(name);
+      if (weekday === -1) throw new Error(`Could not read "${name}" (${EXAMPLES})`);
+      return weekday;
+    }
+  },
+  { field: 'year', pattern: /^(\d+)/, read: ([digits]) => parseRailwayYear(digits) }
+];
+
+const FIELD_NAMES = { year: 'railway year', period: 'period', week: 'week', day: 'day', weekday: 'day name' };
+
+const tokeniseRailway = (text) => {
+  const fields = {};
+  let rest = text;
+  while (rest) {
+    const token = RAILWAY_TOKENS.find(({ pattern }) => pattern.test(rest));
+    if (!token) throw new Error(`Could not read "${rest.split(/\s/)[0]}" (${EXAMPLES})`);
+    const match = token.pattern.exec(rest);
+    if (token.field in fields) throw new Error(`The ${FIELD_NAMES[token.field]} is given twice`);
+    fields[token.field] = token.read(match.slice(1), match);
+    rest = rest.slice(match[0].length).replace(/^[\s,]+/, '');
+  }
+  return fields;
+};
+
+const resolveRailway = ({ year, period, week, day, weekday }, profile) => {
+  if (year === undefined) throw new Error('Add the railway year, e.g. 2025/26, 2526 or RY25');
+  if (week === undefined && period === undefined) throw new Error('Add a week (W27) or a period (P7)');
+  if (week === undefined && (day !== undefined || weekday !== undefined)) throw new Error('Add the week the day is in');
+
+  const display = railwayYearDisplay(year);
+  const totalWeeks = RailwayDateAPI.getTotalWeeks(year, profile);
+  const periodCount = RailwayDateAPI.getPeriodCount(year, profile);
+
+  if (period !== undefined && (period < 1 || period > periodCount)) {
+    throw new Error(`Period ${period} does not exist: RY ${display} has periods 1–${periodCount}`);
+  }
+
+  let railWeek = week;
+  if (period !== undefined) {
+    const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(year, period, profile);
+    if (week === undefined) {
+      return { kind: 'railway', railwayYear: year, period, weekInPeriod: null, railWeek: null, dayOfRailWeek: null, startDate, endDate };
+    }
+    const weeksInPeriod = endWeek - startWeek + 1;
+    if (week < 1 || week > weeksInPeriod) {
+      throw new Error(`Week ${week} does not exist in P${period}: it has weeks 1–${weeksInPeriod} (rail weeks ${startWeek}–${endWeek})`);
+    }
+    railWeek = startWeek + week - 1;
+  } else if (week < 1 || week > totalWeeks) {
+    throw new Error(`Week ${week} does not exist: RY ${display} has weeks 1–${totalWeeks}`);
+  }
+
+  const dayNames = RailwayDateAPI.getRailWeekDayNames(profile);
+  if (day !== undefined && (day < 1 || day > 7)) {
+    throw new Error(`Day ${day} does not exist: rail weeks run from day 1 (${dayNames[0]}) to day 7 (${dayNames[6]})`);
+  }
+  const namedDay = weekday === undefined ? undefined : dayNames.findIndex(name => name.toLowerCase() === WEEKDAY_NAMES[weekday]) + 1;
+  if (day !== undefined && namedDay !== undefined && day !== namedDay) {
+    throw new Error(`Day ${day} is a ${dayNames[day - 1]}, not a ${dayNames[namedDay - 1]}`);
+  }
+  const dayOfRailWeek = day ?? namedDay ?? null;
+
+  const { period: weekPeriod, weekInPeriod } = RailwayDateAPI.getPeriodForWeek(year, railWeek, profile);
+  let { startDate, endDate } = RailwayDateAPI.railwayToDateRange(year, railWeek, profile);
+  if (dayOfRailWeek) {
+    startDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + dayOfRailWeek - 1);
+    endDate = startDate;
+  }
+  return { kind: 'railway', railwayYear: year, period: weekPeriod, weekInPeriod, railWeek, dayOfRailWeek, startDate, endDate };
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Read a Gregorian date or a railway notation (see the examples above)
+ * Returns { kind ('date' or 'railway'), railwayYear, period, weekInPeriod,
+ * railWeek, dayOfRailWeek, startDate, endDate }. A Gregorian date or a
+ * railway day gives a single day (startDate === endDate); a rail week or a
+ * whole period leaves the finer fields null. Throws on unreadable or
+ * impossible input.
+ */
+const parseRailwayInput = (text, profile) => {
+  const normalised = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!normalised) throw new Error(`Enter a date or a railway week (${EXAMPLES})`);
+
+  const date = parseGregorian(normalised);
+  if (date) {
+    const info = RailwayDateAPI.dateToRailway(date, profile);
+    return {
+      kind: 'date',
+      railwayYear: info.railwayYear,
+      period: info.period,
+      weekInPeriod: info.weekInPeriod,
+      railWeek: info.railWeek,
+      dayOfRailWeek: info.dayOfRailWeek,
+      startDate: date,
+      endDate: date
+    };
+  }
+  return resolveRailway(tokeniseRailway(normalised), profile);
+};
+
+/**
+ * Short railway notation for a date, e.g. "RY 2025/26 P07 W3 Thu"
+ */
+const formatRailwayNotation = (date, profile) => {
+  const info = RailwayDateAPI.dateToRailway(date, profile);
+  return `RY ${info.railwayYearDisplay} P${info.period.toString().padStart(2, '0')} W${info.weekInPeriod} ${info.dayName.slice(0, 3)}`;
+};
+
+const RailwayNotation = {
+  parseRailwayInput,
+  formatRailwayNotation
+};
+
+  return { parseRailwayInput, formatRailwayNotation, RailwayNotation };
+  })();
+
+  return {
+    RailwayDateAPI: modules['railway-date-api.mjs'].RailwayDateAPI,
+    RailwayIcs: modules['ics.mjs'].RailwayIcs,
+    RailwayRoster: modules['roster.mjs'].RailwayRoster,
+    RailwayLeave: modules['leave.mjs'].RailwayLeave,
+    RailwayViewExport: modules['view-export.mjs'].RailwayViewExport,
+    RailwayNotation: modules['notation.mjs'].RailwayNotation
+  };
+}));
@@ -0,0 +1,1080 @@
+// ============================================================================
+// RAILWAY DATE API MODULE
+// ============================================================================
+//
+// Standalone ES module containing all railway calendar date logic. It has no
+// React, DOM or `window` dependency, so the same functions can be used from
+// Node scripts, other web apps and the browser calendar in index.html.
+//
+// Usage (Node 14+ or any ES module aware bundler/browser):
+//
+//   import { RailwayDateAPI, dateToRailway } from './lib/railway-date-api.mjs';
+//   dateToRailway(new Date(2025, 1, 14)); // { railwayYear: 2024, railWeek: 46, ... }
+//
+// index.html loads it through lib/railway-calendar.umd.js, a classic-script
+// build (bin/build-browser.mjs) that sets the global `window.RailwayDateAPI`
+// for the Babel-transpiled calendar component.
+//
+// Public surface (stable):
+//   CALENDAR_PROFILES, DEFAULT_PROFILE_ID, getProfile, getProfiles,
+//   BANK_HOLIDAY_REGIONS, DEFAULT_REGION_ID, getRegion, getRegions,
+//   describeHolidayRegions, validateBankHolidayData, loadBankHolidayData,
+//   resetBankHolidayData, getBankHolidayDataInfo,
+//   getRailWeekDayNames, describeProfile, dateToRailway, railwayToDateRange,
+//   getPeriodDates, getPeriodCount, getPeriodForWeek, isLongYear,
+//   getWeekOneStart, getTotalWeeks, getUKBankHolidays, getEasterSunday,
+//   PAYDAY_FREQUENCIES, PAYDAY_ADJUSTMENTS, DEFAULT_PAYDAY_SCHEDULES,
+//   isBankHoliday, isWorkingDay, isNominalPayday, adjustPayday, getPaydayInfo,
+//   isPayday, getNextPayday, getMonthlyPayday, getDefaultPaydaySchedules,
+//   getPaydays, describePaydaySchedule, RAIL_LOCATIONS, DEFAULT_LOCATION_ID,
+//   getLocation, getLocations, TWILIGHTS, getTwilights, getMoonPhase,
+//   getDayLength, isDarkAt
+//
+// All dates are plain JavaScript `Date` objects at local midnight.
+//
+// Week numbering follows a calendar profile (see CALENDAR_PROFILES). Every
+// week function accepts an optional trailing `profile` argument, either a
+// profile object or its id; it defaults to Network Rail. Bank holiday
+// functions likewise take an optional trailing `region` (see
+// BANK_HOLIDAY_REGIONS), defaulting to England & Wales. Daylight and moon
+// functions take an optional trailing `location` (see lib/locations.mjs),
+// defaulting to London.
+
+import { BUNDLED_BANK_HOLIDAYS } from './bank-holidays-data.mjs';
+import { getFestivals } from './festival-calendars.mjs';
+import { Astronomy } from './astronomy.mjs';
+import { RAIL_LOCATIONS, DEFAULT_LOCATION_ID } from './locations.mjs';
+
+export { RAIL_LOCATIONS, DEFAULT_LOCATION_ID };
+
+// ============================================================================
+// CALENDAR PROFILES
+// ============================================================================
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Named railway calendar profiles
+ *
+ * anchor.rule decides where Week 1 Day 1 falls in each railway year:
+ *   'lastWeekStartDayOfMonth' - last week start day in anchor.month
+ *   'firstWeekStartDayOnOrAfter' - first week start day on or after anchor.month/anchor.day
+ *   'nearestWeekStartDayTo' - week start day nearest to anchor.month/anchor.day
+ * weekStartDay uses JavaScript day numbers (0=Sunday, 6=Saturday).
+ *
+ * longYearPolicy decides what happens to week 53 in a long (53-week) year:
+ *   'foldIntoLastPeriod' - the last period becomes a 5-week period (P13 = weeks 49-53)
+ *   'extraPeriod' - week 53 forms its own one-week period (P14)
+ */
+export const CALENDAR_PROFILES = {
+  networkRail: {
+    id: 'networkRail',
+    name: 'Network Rail',
+    anchor: { rule: 'lastWeekStartDayOfMonth', month: 2 },
+    weekStartDay: 6,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'foldIntoLastPeriod'
+  },
+  aprilSaturday: {
+    id: 'aprilSaturday',
+    name: 'April start (Saturday weeks)',
+    anchor: { rule: 'firstWeekStartDayOnOrAfter', month: 3, day: 1 },
+    weekStartDay: 6,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'foldIntoLastPeriod'
+  },
+  aprilMonday: {
+    id: 'aprilMonday',
+    name: 'April start (Monday weeks)',
+    anchor: { rule: 'firstWeekStartDayOnOrAfter', month: 3, day: 1 },
+    weekStartDay: 1,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'foldIntoLastPeriod'
+  },
+  nearestSunday: {
+    id: 'nearestSunday',
+    name: 'Sunday nearest 1 April',
+    anchor: { rule: 'nearestWeekStartDayTo', month: 3, day: 1 },
+    weekStartDay: 0,
+    weeksPerPeriod: 4,
+    periodCount: 13,
+    longYearPolicy: 'extraPeriod'
+  }
+};
+
+export const DEFAULT_PROFILE_ID = 'networkRail';
+
+// ============================================================================
+// BANK HOLIDAY REGIONS
+// ============================================================================
+
+/**
+ * Bank holidays differ between the UK's devolved nations. Every bank holiday
+ * function accepts an optional trailing `region` argument, either a region
+ * object or its id; it defaults to England & Wales.
+ */
+export const BANK_HOLIDAY_REGIONS = {
+  englandAndWales: { id: 'englandAndWales', name: 'England & Wales', division: 'england-and-wales' },
+  scotland: { id: 'scotland', name: 'Scotland', division: 'scotland' },
+  northernIreland: { id: 'northernIreland', name: 'Northern Ireland', division: 'northern-ireland' }
+};
+
+export const DEFAULT_REGION_ID = 'englandAndWales';
+
+const ALL_REGIONS = Object.keys(BANK_HOLIDAY_REGIONS);
+
+/**
+ * Official bank holiday table in the gov.uk bank-holidays.json shape:
+ *   { 'england-and-wales': { division, events: [{ title, date, notes }] }, ... }
+ * For every year a division lists, its events replace the computed bank
+ * holidays (keeping one-off and moved days); other years use the rules.
+ * Starts as the bundled copy; loadBankHolidayData swaps in a newer file.
+ */
+const indexBankHolidayData = (data) => {
+  const index = {};
+  ALL_REGIONS.forEach(regionId => {
+    const { division } = BANK_HOLIDAY_REGIONS[regionId];
+    const byYear = new Map();
+    (data[division]?.events || []).forEach(event => {
+      const year = Number(event.date.slice(0, 4));
+      if (!byYear.has(year)) byYear.set(year, []);
+      byYear.get(year).push(event);
+    });
+    index[regionId] = byYear;
+  });
+  return index;
+};
+
+let bankHolidayData = { source: 'bundled', index: indexBankHolidayData(BUNDLED_BANK_HOLIDAYS) };
+
+// ============================================================================
+// PAYDAY SCHEDULES
+// ============================================================================
+
+/**
+ * Payday schedules are plain objects so they can be stored as JSON:
+ *   { id, name, frequency, anchor, monthlyRule, dayOfMonth, region, color, emoji }
+ *
+ * frequency is 'weekly', 'fortnightly', 'fourWeekly' or 'monthly'.
+ * Cyclic schedules repeat from anchor, a 'YYYY-MM-DD' date of any known payday.
+ * Monthly schedules use monthlyRule 'fixedDate' (with dayOfMonth) or 'lastWorkingDay'.
+ * adjustment moves paydays that fall on a weekend or bank holiday:
+ * 'previousWorkingDay', 'nextWorkingDay' or 'none' (the default).
+ * region (optional) picks whose bank holidays count; without one the region
+ * passed to getPaydays applies, else England & Wales.
+ */
+const PAYDAY_CYCLE_DAYS = { weekly: 7, fortnightly: 14, fourWeekly: 28 };
+
+// Longest run of non-working days a payday can be moved across (e.g. Christmas)
+const MAX_PAYDAY_SHIFT_DAYS = 7;
+
+export const PAYDAY_ADJUSTMENTS = ['previousWorkingDay', 'nextWorkingDay', 'none'];
+
+export const PAYDAY_FREQUENCIES = ['weekly', 'fortnightly', 'fourWeekly', 'monthly'];
+
+export const DEFAULT_PAYDAY_SCHEDULES = [
+  {
+    id: 'fourWeekly',
+    name: '4-weekly pay',
+    frequency: 'fourWeekly',
+    anchor: '2025-12-05', // Friday before Period 10
+    adjustment: 'previousWorkingDay',
+    color: '#f59e0b',
+    emoji: '💰'
+  }
+];
+
+// Bank holiday lookup (toDateString keys) cached per region and calendar year;
+// cleared whenever the bank holiday table changes
+const bankHolidayCache = new Map();
+const getBankHolidayKeys = (year, region) => {
+  const cacheKey = `${RailwayDateAPI.getRegion(region).id}:${year}`;
+  if (!bankHolidayCache.has(cacheKey)) {
+    const keys = RailwayDateAPI.getUKBankHolidays(year, region)
+      .filter(h => h.type === 'bank')
+      .map(h => h.date.toDateString());
+    bankHolidayCache.set(cacheKey, new Set(keys));
+  }
+  return bankHolidayCache.get(cacheKey);
+};
+
+// Parse a 'YYYY-MM-DD' string (or Date) as local midnight
+const parseLocalDate = (value) => {
+  if (value instanceof Date) {
+    const d = new Date(value);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+  const [year, month, day] = String(value).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// How far below the horizon the Sun's centre is at each kind of dawn and dusk.
+// Sunrise/sunset allows for refraction and the Sun's disc; by civil dusk
+// artificial light is needed outdoors, by nautical dusk the horizon is gone.
+export const TWILIGHTS = {
+  sunrise: { id: 'sunrise', name: 'Sunrise/sunset', altitude: -0.833 },
+  civil: { id: 'civil', name: 'Civil twilight', altitude: -6 },
+  nautical: { id: 'nautical', name: 'Nautical twilight', altitude: -12 }
+};
+
+// Moon phases by location and toDateString key; views ask for the same days on every render
+const moonPhaseCache = new Map();
+
+export const RailwayDateAPI = {
+  /**
+   * Resolve a profile object or id to a calendar profile (Network Rail by default)
+   */
+  getProfile: (profile) => {
+    if (profile && typeof profile === 'object') return profile;
+    const resolved = CALENDAR_PROFILES[profile || DEFAULT_PROFILE_ID];
+    if (!resolved) throw new Error(`Unknown calendar profile "${profile}"`);
+    return resolved;
+  },
+
+  /**
+   * List all built-in calendar profiles
+   */
+  getProfiles: () => Object.values(CALENDAR_PROFILES),
+
+  /**
+   * Resolve a region object or id to a bank holiday region (England & Wales by default)
+   */
+  getRegion: (region) => {
+    if (region && typeof region === 'object') return region;
+    const resolved = BANK_HOLIDAY_REGIONS[region || DEFAULT_REGION_ID];
+    if (!resolved) throw new Error(`Unknown bank holiday region "${region}"`);
+    return resolved;
+  },
+
+  /**
+   * List every bank holiday region
+   */
+  getRegions: () => Object.values(BANK_HOLIDAY_REGIONS),
+
+  /**
+   * Resolve a location id or { name, latitude, longitude } object (London by default)
+   * Custom coordinates must be decimal degrees, west and south negative.
+   */
+  getLocation: (location) => {
+    if (location && typeof location === 'object') {
+      const { latitude, longitude } = location;
+      if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw new Error(`Invalid coordinates ${latitude}, ${longitude}`);
+      }
+      return { id: 'custom', name: 'Custom location', ...location };
+    }
+    const resolved = RAIL_LOCATIONS[location || DEFAULT_LOCATION_ID];
+    if (!resolved) throw new Error(`Unknown location "${location}"`);
+    return resolved;
+  },
+
+  /**
+   * List the bundled stations and depots
+   */
+  getLocations: () => Object.values(RAIL_LOCATIONS),
+
+  /**
+   * List the twilight definitions isDarkAt accepts, lightest first
+   */
+  getTwilights: () => Object.values(TWILIGHTS),
+
+  /**
+   * Which nations observe a bank holiday, for tooltips:
+   * '' (all of the UK), 'Scotland only' or 'Not in Scotland'
+   */
+  describeHolidayRegions: (holiday) => {
+    const regions = holiday.regions || ALL_REGIONS;
+    if (regions.length === ALL_REGIONS.length) return '';
+    const names = (ids) => ids.map(id => BANK_HOLIDAY_REGIONS[id].name).join(' & ');
+    if (regions.length === 1) return `${names(regions)} only`;
+    return `Not in ${names(ALL_REGIONS.filter(id => !regions.includes(id)))}`;
+  },
+
+  /**
+   * Day names in rail week order for a profile (e.g. Saturday to Friday)
+   */
+  getRailWeekDayNames: (profile) => {
+    const { weekStartDay } = RailwayDateAPI.getProfile(profile);
+    return Array.from({ length: 7 }, (_, i) => WEEKDAY_NAMES[(weekStartDay + i) % 7]);
+  },
+
+  /**
+   * Human readable summary of a profile's rules, e.g. for a footer
+   */
+  describeProfile: (profile) => {
+    const { anchor, weekStartDay, weeksPerPeriod, periodCount, longYearPolicy } = RailwayDateAPI.getProfile(profile);
+    const startName = WEEKDAY_NAMES[weekStartDay];
+    const endName = WEEKDAY_NAMES[(weekStartDay + 6) % 7];
+    const anchorText = {
+      lastWeekStartDayOfMonth: `last ${startName} of ${MONTH_NAMES[anchor.month]}`,
+      firstWeekStartDayOnOrAfter: `first ${startName} on or after ${anchor.day} ${MONTH_NAMES[anchor.month]}`,
+      nearestWeekStartDayTo: `${startName} nearest ${anchor.day} ${MONTH_NAMES[anchor.month]}`
+    }[anchor.rule];
+    const longYearText = longYearPolicy === 'extraPeriod'
+      ? `week 53 forms P${periodCount + 1} in long years`
+      : `P${periodCount} has ${weeksPerPeriod + 1} weeks in long years`;
+    return `Week 1 starts on the ${anchorText} • Weeks run ${startName}–${endName} • ` +
+      `${weeksPerPeriod} weeks per period, ${periodCount} periods (${longYearText})`;
+  },
+
+  /**
+   * Daylight at a location on a date (NOAA solar calculator, see lib/astronomy.mjs)
+   * Sunrise and sunset are UK clock times ("HH:MM", BST in summer) for the
+   * Sun's upper limb on the horizon, allowing for refraction. Also says
+   * whether days are getting longer and by how many minutes a day, and gives
+   * civil and nautical dawn/dusk (null when the Sun never gets that low, as
+   * on Scottish midsummer nights) and lighting-up times: half an hour after
+   * sunset until half an hour before sunrise (the road lighting "hours of
+   * darkness").
+   */
+  getDayLength: (date, location) => {
+    const { latitude, longitude } = RailwayDateAPI.getLocation(location);
+    const daylightHours = (day) => {
+      const { rise, set, alwaysUp } = Astronomy.getSunTimes(day, latitude, longitude);
+      if (rise && set) return { rise, set, hours: (set - rise) / 3600000 };
+      return { rise: null, set: null, hours: alwaysUp ? 24 : 0 };
+    };
+    
+    const today = daylightHours(date);
+    const dayLengthHours = today.hours;
+    
+    // Format day length as hours and minutes
+    const totalMinutes = Math.round(dayLengthHours * 60);
+    const dayLengthFormatted = `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+    
+    // Calculate percentage of max possible daylight, between the location's
+    // shortest and longest days (London: 7h 50m to 16h 38m)
+    const solstices = [5, 11].map(month => daylightHours(new Date(date.getFullYear(), month, 21)).hours);
+    const maxDayLength = Math.max(...solstices);
+    const minDayLength = Math.min(...solstices);
+    const dayLengthPercent = maxDayLength > minDayLength
+      ? Math.round(((dayLengthHours - minDayLength) / (maxDayLength - minDayLength)) * 100)
+      : 50;
+    
+    // Determine if days are getting longer or shorter
+    const tomorrow = daylightHours(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+    const dayLengthChange = tomorrow.hours - dayLengthHours;
+    const daysGettingLonger = dayLengthChange > 0;
+    const changeMinutes = Math.abs(Math.round(dayLengthChange * 60));
+    
+    const twilight = (id) => Astronomy.getSunTimes(date, latitude, longitude, TWILIGHTS[id].altitude);
+    const civil = twilight('civil');
+    const nautical = twilight('nautical');
+    const formatTime = (instant) => instant && Astronomy.formatUKTime(instant);
+    const halfHour = 30 * 60000;
+    
+    return {
+      dayLengthHours: Math.round(dayLengthHours * 100) / 100,
+      dayLengthFormatted,
+      dayLengthPercent: Math.max(0, Math.min(100, dayLengthPercent)),
+      sunrise: today.rise && Astronomy.formatUKTime(today.rise),
+      sunset: today.set && Astronomy.formatUKTime(today.set),
+      civilDawn: formatTime(civil.rise),
+      civilDusk: formatTime(civil.set),
+      nauticalDawn: formatTime(nautical.rise),
+      nauticalDusk: formatTime(nautical.set),
+      lightingUp: today.set && Astronomy.formatUKTime(new Date(today.set.getTime() + halfHour)),
+      lightingDown: today.rise && Astronomy.formatUKTime(new Date(today.rise.getTime() - halfHour)),
+      daysGettingLonger,
+      changeMinutes,
+      changeFormatted: `${daysGettingLonger ? '+' : '-'}${changeMinutes}m`
+    };
+  },
+
+  /**
+   * Is it dark at a UK clock time ("HH:MM") on a date at a location?
+   * `twilight` is a TWILIGHTS id: dark means before that dawn or after that
+   * dusk (civil by default).
+   */
+  isDarkAt: (date, time, twilight = 'civil', location) => {
+    const { latitude, longitude } = RailwayDateAPI.getLocation(location);
+    const { rise, set, alwaysUp } = Astronomy.getSunTimes(date, latitude, longitude, TWILIGHTS[twilight].altitude);
+    if (!rise || !set) return !alwaysUp;
+    const instant = Astronomy.getUKInstant(date, time);
+    return instant < rise || instant > set;
+  },
+
+  /**
+   * Moon phase for a UK calendar day (Meeus' phase series, see lib/astronomy.mjs)
+   * New, first quarter, full and last quarter moons are named only on the day
+   * they happen, with their UK time; days between get the crescent/gibbous
+   * names. Also gives illumination at noon and moonrise/moonset at a location.
+   * Returns { phase (0-7), emoji, name, lunarDay, illumination, isSignificant,
+   * phaseTime, time, moonrise, moonset }; the times are "HH:MM" or null.
+   */
+  getMoonPhase: (date, location) => {
+    const { latitude, longitude } = RailwayDateAPI.getLocation(location);
+    const cacheKey = `${latitude},${longitude} ${date.toDateString()}`;
+    if (moonPhaseCache.has(cacheKey)) return moonPhaseCache.get(cacheKey);
+    if (moonPhaseCache.size > 1000) moonPhaseCache.clear();
+    
+    const dayStart = Astronomy.getUKMidnight(date);
+    const dayEnd = Astronomy.getUKMidnight(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+    const noon = new Date((dayStart.getTime() + dayEnd.getTime()) / 2);
+    const lunation = Astronomy.getLunation(dayEnd);
+    
+    const principalPhases = [
+      { fraction: 0, phase: 0, emoji: '🌑', name: 'New Moon' },
+      { fraction: 0.25, phase: 2, emoji: '🌓', name: 'First Quarter' },
+      { fraction: 0.5, phase: 4, emoji: '🌕', name: 'Full Moon' },
+      { fraction: 0.75, phase: 6, emoji: '🌗', name: 'Last Quarter' }
+    ];
+    const intermediatePhases = [
+      { phase: 1, emoji: '🌒', name: 'Waxing Crescent' },
+      { phase: 3, emoji: '🌔', name: 'Waxing Gibbous' },
+      { phase: 5, emoji: '🌖', name: 'Waning Gibbous' },
+      { phase: 7, emoji: '🌘', name: 'Waning Crescent' }
+    ];
+    
+    // A principal phase whose instant falls within this UK day
+    let phaseTime = null;
+    let current = null;
+    [lunation - 1, lunation].forEach(k => principalPhases.forEach(candidate => {
+      const time = Astronomy.getPhaseTime(k, candidate.fraction);
+      if (time >= dayStart && time < dayEnd) {
+        phaseTime = time;
+        current = candidate;
+      }
+    }));
+    
+    const elongation = Astronomy.getLunarElongation(Astronomy.toJulianDay(noon));
+    if (!current) current = intermediatePhases[Math.floor(elongation / 90)];
+    
+    const illumination = Math.round((1 - Math.cos(elongation * Math.PI / 180)) / 2 * 100);
+    const lastNewMoon = Astronomy.getPhaseTime(Astronomy.getLunation(noon), 0);
+    const lunarDay = (noon - lastNewMoon) / 86400000;
+    const { rise, set } = Astronomy.getMoonRiseSet(date, latitude, longitude);
+    
+    const moon = {
+      phase: current.phase,
+      emoji: current.emoji,
+      name: current.name,
+      lunarDay,
+      illumination,
+      isSignificant: phaseTime !== null,
+      phaseTime,
+      time: phaseTime && Astronomy.formatUKTime(phaseTime),
+      moonrise: rise && Astronomy.formatUKTime(rise),
+      moonset: set && Astronomy.formatUKTime(set)
+    };
+    moonPhaseCache.set(cacheKey, moon);
+    return moon;
+  },
+
+  /**
+   * Check a gov.uk bank-holidays.json object without loading it
+   * Throws if it has no valid events for any division.
+   */
+  validateBankHolidayData: (data) => {
+    if (!data || typeof data !== 'object') throw new Error('Bank holiday data must be a JSON object');
+    const divisions = ALL_REGIONS.map(regionId => BANK_HOLIDAY_REGIONS[regionId].division).filter(division => data[division]);
+    if (divisions.length === 0) {
+      throw new Error('No england-and-wales, scotland or northern-ireland divisions found (expected the gov.uk bank-holidays.json format)');
+    }
+    divisions.forEach(division => {
+      const { events } = data[division];
+      if (!Array.isArray(events)) throw new Error(`"${division}" has no events list`);
+      events.forEach(event => {
+        const valid = event && typeof event.title === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(event.date) &&
+          parseLocalDate(event.date).getDate() === Number(event.date.slice(8));
+        if (!valid) throw new Error(`Invalid event in "${division}": ${JSON.stringify(event)}`);
+      });
+    });
+  },
+
+  /**
+   * Replace the bank holiday table with a gov.uk bank-holidays.json object
+   * Throws as validateBankHolidayData does. Returns the new
+   * getBankHolidayDataInfo().
+   */
+  loadBankHolidayData: (data) => {
+    RailwayDateAPI.validateBankHolidayData(data);
+    bankHolidayData = { source: 'loaded', index: indexBankHolidayData(data) };
+    bankHolidayCache.clear();
+    return RailwayDateAPI.getBankHolidayDataInfo();
+  },
+
+  /**
+   * Go back to the bundled bank holiday table
+   */
+  resetBankHolidayData: () => {
+    bankHolidayData = { source: 'bundled', index: indexBankHolidayData(BUNDLED_BANK_HOLIDAYS) };
+    bankHolidayCache.clear();
+    return RailwayDateAPI.getBankHolidayDataInfo();
+  },
+
+  /**
+   * Where bank holidays come from: { source: 'bundled' | 'loaded', fromYear, toYear, eventCount }
+   * Years outside fromYear-toYear use the computed rules.
+   */
+  getBankHolidayDataInfo: () => {
+    const years = ALL_REGIONS.flatMap(regionId => [...bankHolidayData.index[regionId].keys()]);
+    const eventCount = ALL_REGIONS.reduce((total, regionId) =>
+      total + [...bankHolidayData.index[regionId].values()].reduce((sum, events) => sum + events.length, 0), 0);
+    return {
+      source: bankHolidayData.source,
+      fromYear: years.length > 0 ? Math.min(...years) : null,
+      toYear: years.length > 0 ? Math.max(...years) : null,
+      eventCount
+    };
+  },
+
+  /**
+   * Is a date a bank holiday (type 'bank' in getUKBankHolidays) in a region?
+   */
+  isBankHoliday: (date, region) => getBankHolidayKeys(date.getFullYear(), region).has(date.toDateString()),
+
+  /**
+   * Is a date a working day (Monday to Friday and not a bank holiday in the region)?
+   */
+  isWorkingDay: (date, region) => {
+    const day = date.getDay();
+    if (day === 0 || day === 6) return false;
+    return !RailwayDateAPI.isBankHoliday(date, region);
+  },
+
+  /**
+   * Calculate if a given date is a nominal payday for a schedule, before any
+   * weekend or bank holiday adjustment
+   */
+  isNominalPayday: (date, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    
+    if (schedule.frequency === 'monthly') {
+      return d.getTime() === RailwayDateAPI.getMonthlyPayday(d.getFullYear(), d.getMonth(), schedule).getTime();
+    }
+    
+    const cycleDays = PAYDAY_CYCLE_DAYS[schedule.frequency];
+    if (!cycleDays) throw new Error(`Unknown payday frequency "${schedule.frequency}"`);
+    
+    // Days since the anchor payday (rounded to absorb DST hour shifts)
+    const referencePayday = parseLocalDate(schedule.anchor);
+    const daysDiff = Math.round((d - referencePayday) / (1000 * 60 * 60 * 24));
+    
+    // Check if this date is a whole number of cycles from the anchor, either side of it
+    return ((daysDiff % cycleDays) + cycleDays) % cycleDays === 0;
+  },
+
+  /**
+   * Move a nominal payday to the date money actually lands
+   * adjustment: 'previousWorkingDay', 'nextWorkingDay' or 'none'
+   */
+  adjustPayday: (nominalDate, adjustment = 'none', region) => {
+    const paid = new Date(nominalDate);
+    paid.setHours(0, 0, 0, 0);
+    if (adjustment === 'none') return paid;
+    
+    const step = adjustment === 'nextWorkingDay' ? 1 : -1;
+    while (!RailwayDateAPI.isWorkingDay(paid, region)) {
+      paid.setDate(paid.getDate() + step);
+    }
+    return paid;
+  },
+
+  /**
+   * Get payday details for a date and schedule, or null when nothing is paid
+   * Returns { date, nominalDate, isAdjusted } where nominalDate is the date the
+   * schedule says before weekend/bank holiday adjustment
+   */
+  getPaydayInfo: (date, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    const adjustment = schedule.adjustment || 'none';
+    
+    if (adjustment === 'none') {
+      return RailwayDateAPI.isNominalPayday(d, schedule) ? { date: d, nominalDate: d, isAdjusted: false } : null;
+    }
+    
+    // A nominal payday can move across at most a long weekend plus bank holidays
+    for (let offset = -MAX_PAYDAY_SHIFT_DAYS; offset <= MAX_PAYDAY_SHIFT_DAYS; offset++) {
+      const nominalDate = new Date(d);
+      nominalDate.setDate(nominalDate.getDate() + offset);
+      if (
+        RailwayDateAPI.isNominalPayday(nominalDate, schedule) &&
+        RailwayDateAPI.adjustPayday(nominalDate, adjustment, schedule.region).getTime() === d.getTime()
+      ) {
+        return { date: d, nominalDate, isAdjusted: offset !== 0 };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Calculate if a given date is a payday for a payday schedule
+   * Defaults to the 4-weekly Friday schedule (the day before a new period starts on Saturday)
+   */
+  isPayday: (date, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    return RailwayDateAPI.getPaydayInfo(date, schedule) !== null;
+  },
+
+  /**
+   * Get the payday in a given month for a monthly schedule
+   * monthlyRule 'fixedDate' pays on dayOfMonth (clamped to short months),
+   * 'lastWorkingDay' pays on the last weekday that is not a bank holiday
+   */
+  getMonthlyPayday: (year, month, schedule) => {
+    const lastDay = new Date(year, month + 1, 0);
+    
+    if (schedule.monthlyRule === 'lastWorkingDay') {
+      return RailwayDateAPI.adjustPayday(lastDay, 'previousWorkingDay', schedule.region);
+    }
+    
+    return new Date(year, month, Math.min(schedule.dayOfMonth || 1, lastDay.getDate()));
+  },
+
+  /**
+   * Get next payday on or after a given date for a payday schedule
+   */
+  getNextPayday: (fromDate, schedule = DEFAULT_PAYDAY_SCHEDULES[0]) => {
+    const nextPayday = new Date(fromDate);
+    nextPayday.setHours(0, 0, 0, 0);
+    
+    // Every supported schedule pays at least once in any 62 days
+    for (let i = 0; i < 62; i++) {
+      if (RailwayDateAPI.isPayday(nextPayday, schedule)) return nextPayday;
+      nextPayday.setDate(nextPayday.getDate() + 1);
+    }
+    return null;
+  },
+
+  /**
+   * Get a fresh copy of the built-in payday schedules
+   */
+  getDefaultPaydaySchedules: () => DEFAULT_PAYDAY_SCHEDULES.map(schedule => ({ ...schedule })),
+
+  /**
+   * Get the schedules from a list that pay on a given date
+   * Each result is the schedule plus its payday info (nominalDate, isAdjusted).
+   * region applies to schedules that do not name their own.
+   */
+  getPaydays: (date, schedules = DEFAULT_PAYDAY_SCHEDULES, region) => {
+    return schedules
+      .map(schedule => {
+        const info = RailwayDateAPI.getPaydayInfo(date, schedule.region || !region ? schedule : { ...schedule, region });
+        return info && { ...schedule, ...info };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Human readable summary of a payday schedule, e.g. "Every 4 weeks from 5 Dec 2025"
+   */
+  describePaydaySchedule: (schedule) => {
+    if (schedule.frequency === 'monthly') {
+      return schedule.monthlyRule === 'lastWorkingDay'
+        ? 'Monthly on the last working day'
+        : `Monthly on day ${schedule.dayOfMonth}`;
+    }
+    const every = { weekly: 'Every week', fortnightly: 'Every 2 weeks', fourWeekly: 'Every 4 weeks' }[schedule.frequency];
+    const anchor = parseLocalDate(schedule.anchor).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    return `${every} from ${anchor}`;
+  },
+
+  /**
+   * Get Week 1 Day 1 of a railway year according to the profile's anchor rule
+   * For Network Rail this is the last Saturday of March
+   */
+  getWeekOneStart: (railwayYear, profile) => {
+    const { anchor, weekStartDay } = RailwayDateAPI.getProfile(profile);
+    
+    if (anchor.rule === 'lastWeekStartDayOfMonth') {
+      // Go back from the last day of the month to the week start day
+      const lastDay = new Date(railwayYear, anchor.month + 1, 0);
+      const daysToGoBack = (lastDay.getDay() - weekStartDay + 7) % 7;
+      return new Date(railwayYear, anchor.month, lastDay.getDate() - daysToGoBack);
+    }
+    
+    const anchorDate = new Date(railwayYear, anchor.month, anchor.day);
+    const daysForward = (weekStartDay - anchorDate.getDay() + 7) % 7;
+    
+    if (anchor.rule === 'firstWeekStartDayOnOrAfter') {
+      return new Date(railwayYear, anchor.month, anchor.day + daysForward);
+    }
+    
+    if (anchor.rule === 'nearestWeekStartDayTo') {
+      // Up to 3 days either side of the anchor date
+      const offset = daysForward > 3 ? daysForward - 7 : daysForward;
+      return new Date(railwayYear, anchor.month, anchor.day + offset);
+    }
+    
+    throw new Error(`Unknown anchor rule "${anchor.rule}"`);
+  },
+
+  /**
+   * Get total weeks in a railway year (52 or 53)
+   */
+  getTotalWeeks: (railwayYear, profile) => {
+    const thisYearStart = RailwayDateAPI.getWeekOneStart(railwayYear, profile);
+    const nextYearStart = RailwayDateAPI.getWeekOneStart(railwayYear + 1, profile);
+    const days = Math.round((nextYearStart - thisYearStart) / (1000 * 60 * 60 * 24));
+    return Math.floor(days / 7);
+  },
+
+  /**
+   * Is this a long (53-week) railway year?
+   */
+  isLongYear: (railwayYear, profile) => {
+    const { weeksPerPeriod, periodCount } = RailwayDateAPI.getProfile(profile);
+    return RailwayDateAPI.getTotalWeeks(railwayYear, profile) > weeksPerPeriod * periodCount;
+  },
+
+  /**
+   * Get number of periods in a railway year, applying the profile's long year policy
+   */
+  getPeriodCount: (railwayYear, profile) => {
+    const { weeksPerPeriod, periodCount, longYearPolicy } = RailwayDateAPI.getProfile(profile);
+    if (longYearPolicy !== 'extraPeriod') return periodCount;
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    return Math.max(periodCount, Math.ceil(totalWeeks / weeksPerPeriod));
+  },
+
+  /**
+   * Find the period a rail week belongs to, applying the profile's long year policy
+   * Returns { period, weekInPeriod, weeksInPeriod }
+   */
+  getPeriodForWeek: (railwayYear, railWeek, profile) => {
+    const { weeksPerPeriod } = RailwayDateAPI.getProfile(profile);
+    const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, profile);
+    const period = Math.min(Math.ceil(railWeek / weeksPerPeriod), periodCount);
+    const { startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
+    return {
+      period,
+      weekInPeriod: railWeek - startWeek + 1,
+      weeksInPeriod: endWeek - startWeek + 1
+    };
+  },
+
+  /**
+   * Convert a Gregorian date to Railway Year + Rail Week + Day of Rail Week
+   * Day of rail week: 1=first day of the profile's week (Saturday for Network Rail) ... 7
+   */
+  dateToRailway: (date, profile) => {
+    const resolved = RailwayDateAPI.getProfile(profile);
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    
+    // Determine which railway year this date belongs to
+    let railwayYear = d.getFullYear();
+    let weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear, resolved);
+    
+    // If date is before this calendar year's Week 1, it belongs to previous railway year
+    if (d < weekOneStart) {
+      railwayYear--;
+      weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear, resolved);
+    } else {
+      // Check if we've rolled into next railway year
+      const nextYearStart = RailwayDateAPI.getWeekOneStart(railwayYear + 1, resolved);
+      if (d >= nextYearStart) {
+        railwayYear++;
+        weekOneStart = nextYearStart;
+      }
+    }
+    
+    // Calculate days since Week 1 start (rounded to absorb DST hour shifts)
+    const daysDiff = Math.round((d - weekOneStart) / (1000 * 60 * 60 * 24));
+    
+    // Rail week (1-indexed)
+    const railWeek = Math.floor(daysDiff / 7) + 1;
+    
+    // Day of rail week (1-7)
+    const dayOfRailWeek = (daysDiff % 7) + 1;
+    
+    // Period and week within period (week 53 handled by the long year policy)
+    const { period, weekInPeriod, weeksInPeriod } = RailwayDateAPI.getPeriodForWeek(railwayYear, railWeek, resolved);
+    
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, resolved);
+    
+    return {
+      railwayYear,
+      railWeek,
+      dayOfRailWeek,
+      period,
+      weekInPeriod,
+      weeksInPeriod,
+      totalWeeks,
+      isLongYear: RailwayDateAPI.isLongYear(railwayYear, resolved),
+      weekOneStart,
+      dayName: RailwayDateAPI.getRailWeekDayNames(resolved)[dayOfRailWeek - 1],
+      railwayYearDisplay: `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`
+    };
+  },
+
+  /**
+   * Given a railway year and rail week number, return the first and last dates of that week
+   */
+  railwayToDateRange: (railwayYear, railWeek, profile) => {
+    const weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear, profile);
+    const startDate = new Date(weekOneStart);
+    startDate.setDate(startDate.getDate() + (railWeek - 1) * 7);
+    
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + 6);
+    
+    return { startDate, endDate };
+  },
+
+  /**
+   * Get period start and end dates for a railway year
+   */
+  getPeriodDates: (railwayYear, period, profile) => {
+    const { weeksPerPeriod } = RailwayDateAPI.getProfile(profile);
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    const startWeek = (period - 1) * weeksPerPeriod + 1;
+    // The last period runs to the end of the year (5 weeks when week 53 is folded in)
+    const endWeek = period >= RailwayDateAPI.getPeriodCount(railwayYear, profile)
+      ? totalWeeks
+      : Math.min(period * weeksPerPeriod, totalWeeks);
+    
+    const { startDate } = RailwayDateAPI.railwayToDateRange(railwayYear, startWeek, profile);
+    const { endDate } = RailwayDateAPI.railwayToDateRange(railwayYear, endWeek, profile);
+    
+    return { startDate, endDate, startWeek, endWeek };
+  },
+
+  /**
+   * Get UK Bank Holidays, Religious Events & Notable Dates for a given year
+   * Bank holidays follow the region's rules; each has `regions` (the nations
+   * observing it) and `isSubstitute` when moved off a weekend.
+   */
+  getUKBankHolidays: (year, region) => {
+    const regionId = RailwayDateAPI.getRegion(region).id;
+    const holidays = [];
+    const easter = RailwayDateAPI.getEasterSunday(year);
+    
+    // Helper to add days to a date
+    const addDays = (date, days) => {
+      const result = new Date(date);
+      result.setDate(result.getDate() + days);
+      return result;
+    };
+    
+    // Helper to get nth weekday of month (n=1 for first, n=-1 for last)
+    const getNthWeekday = (year, month, weekday, n) => {
+      if (n > 0) {
+        const first = new Date(year, month, 1);
+        const dayOffset = (weekday - first.getDay() + 7) % 7;
+        return new Date(year, month, 1 + dayOffset + (n - 1) * 7);
+      } else {
+        const last = new Date(year, month + 1, 0);
+        const dayOffset = (last.getDay() - weekday + 7) % 7;
+        return new Date(year, month + 1, -dayOffset + (n + 1) * 7);
+      }
+    };
+    
+    // ========== UK BANK HOLIDAYS ==========
+    
+    // substitute: moves to the next free weekday when it falls on a weekend
+    const bankHolidayRules = [
+      { date: new Date(year, 0, 1), name: "New Year's Day", emoji: "🎆", substitute: true, regions: ALL_REGIONS },
+      { date: new Date(year, 0, 2), name: "2nd January", emoji: "🎇", substitute: true, regions: ['scotland'] },
+      { date: new Date(year, 2, 17), name: "St Patrick's Day", emoji: "☘️", substitute: true, regions: ['northernIreland'] },
+      { date: addDays(easter, -2), name: "Good Friday", emoji: "✝️", regions: ALL_REGIONS },
+      { date: addDays(easter, 1), name: "Easter Monday", emoji: "🐣", regions: ['englandAndWales', 'northernIreland'] },
+      // Early May Bank Holiday (first Monday of May)
+      { date: getNthWeekday(year, 4, 1, 1), name: "Early May Bank Holiday", emoji: "🌷", regions: ALL_REGIONS },
+      // Spring Bank Holiday (last Monday of May)
+      { date: getNthWeekday(year, 4, 1, -1), name: "Spring Bank Holiday", emoji: "🌻", regions: ALL_REGIONS },
+      { date: new Date(year, 6, 12), name: "Battle of the Boyne (Orangemen's Day)", emoji: "🟠", substitute: true, regions: ['northernIreland'] },
+      // Summer Bank Holiday (first Monday of August in Scotland, last Monday elsewhere)
+      { date: getNthWeekday(year, 7, 1, 1), name: "Summer Bank Holiday", emoji: "☀️", regions: ['scotland'] },
+      { date: getNthWeekday(year, 7, 1, -1), name: "Summer Bank Holiday", emoji: "☀️", regions: ['englandAndWales', 'northernIreland'] },
+      { date: new Date(year, 10, 30), name: "St Andrew's Day", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", substitute: true, regions: ['scotland'] },
+      { date: new Date(year, 11, 25), name: "Christmas Day", emoji: "🎄", substitute: true, regions: ALL_REGIONS },
+      { date: new Date(year, 11, 26), name: "Boxing Day", emoji: "🎁", substitute: true, regions: ALL_REGIONS }
+    ].filter(rule => rule.regions.includes(regionId));
+    
+    // Holidays on weekdays keep their date; weekend ones then take the next
+    // weekday not already a holiday (so Christmas on a Sunday moves to the
+    // Tuesday when Boxing Day is the Monday)
+    const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+    const taken = new Set(bankHolidayRules.filter(rule => !isWeekend(rule.date)).map(rule => rule.date.toDateString()));
+    const computedBankHolidays = bankHolidayRules.map(({ date, name, emoji, substitute, regions }) => {
+      let observed = date;
+      if (substitute && isWeekend(date)) {
+        observed = new Date(date);
+        while (isWeekend(observed) || taken.has(observed.toDateString())) observed = addDays(observed, 1);
+        taken.add(observed.toDateString());
+      }
+      return { date: observed, name, emoji, type: "bank", regions, isSubstitute: observed !== date };
+    });
+    
+    // Official table entries win for years it covers; computed names and
+    // emoji are kept where the titles match
+    const officialEvents = bankHolidayData.index[regionId].get(year);
+    if (officialEvents) {
+      officialEvents.forEach(event => {
+        const title = event.title.replace(/’/g, "'");
+        const computed = computedBankHolidays.find(h => h.name.toLowerCase() === title.toLowerCase());
+        const similar = computed || computedBankHolidays.find(h => title.toLowerCase().startsWith(h.name.toLowerCase()));
+        holidays.push({
+          date: parseLocalDate(event.date),
+          name: computed ? computed.name : title,
+          emoji: similar ? similar.emoji : /jubilee|coronation/i.test(title) ? "👑" : /funeral/i.test(title) ? "🕊️" : "🏦",
+          type: "bank",
+          regions: ALL_REGIONS.filter(id => (bankHolidayData.index[id].get(year) || [])
+            .some(other => other.date === event.date && other.title === event.title)),
+          isSubstitute: /substitute/i.test(event.notes || '')
+        });
+      });
+    } else {
+      holidays.push(...computedBankHolidays);
+    }
+    
+    // ========== CHRISTIAN RELIGIOUS EVENTS ==========
+    
+    // Epiphany (6 Jan)
+    holidays.push({ date: new Date(year, 0, 6), name: "Epiphany", emoji: "⭐", type: "religious" });
+    
+    // Shrove Tuesday / Pancake Day (47 days before Easter)
+    holidays.push({ date: addDays(easter, -47), name: "Shrove Tuesday", emoji: "🥞", type: "religious" });
+    
+    // Ash Wednesday (46 days before Easter)
+    holidays.push({ date: addDays(easter, -46), name: "Ash Wednesday", emoji: "✝️", type: "religious" });
+    
+    // Mothering Sunday (4th Sunday of Lent, 3 weeks before Easter)
+    holidays.push({ date: addDays(easter, -21), name: "Mother's Day (UK)", emoji: "💐", type: "cultural" });
+    
+    // Palm Sunday (week before Easter)
+    holidays.push({ date: addDays(easter, -7), name: "Palm Sunday", emoji: "🌿", type: "religious" });
+    
+    // Maundy Thursday
+    holidays.push({ date: addDays(easter, -3), name: "Maundy Thursday", emoji: "✝️", type: "religious" });
+    
+    // Easter Sunday
+    holidays.push({ date: easter, name: "Easter Sunday", emoji: "🐣", type: "religious" });
+    
+    // Ascension Day (39 days after Easter)
+    holidays.push({ date: addDays(easter, 39), name: "Ascension Day", emoji: "☁️", type: "religious" });
+    
+    // Pentecost / Whit Sunday (49 days after Easter)
+    holidays.push({ date: addDays(easter, 49), name: "Pentecost", emoji: "🕊️", type: "religious" });
+    
+    // Advent Sunday (4th Sunday before Christmas)
+    const xmasDate = new Date(year, 11, 25);
+    const xmasDayOfWeek = xmasDate.getDay();
+    const daysToSunday = xmasDayOfWeek === 0 ? 0 : 7 - xmasDayOfWeek;
+    const advent = new Date(year, 11, 25 - daysToSunday - 21);
+    holidays.push({ date: advent, name: "Advent Sunday", emoji: "🕯️", type: "religious" });
+    
+    // Christmas Eve
+    holidays.push({ date: new Date(year, 11, 24), name: "Christmas Eve", emoji: "🎄", type: "religious" });
+    
+    // ========== OTHER MAJOR RELIGIOUS EVENTS ==========
+    
+    // Jewish, Islamic, Hindu, Sikh and Chinese calendar festivals (see lib/festival-calendars.mjs)
+    holidays.push(...getFestivals(year));
+    
+    // ========== CULTURAL & NATIONAL EVENTS ==========
+    
+    // Burns Night (25 Jan)
+    holidays.push({ date: new Date(year, 0, 25), name: "Burns Night", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", type: "cultural" });
+    
+    // Valentine's Day (14 Feb)
+    holidays.push({ date: new Date(year, 1, 14), name: "Valentine's Day", emoji: "💝", type: "cultural" });
+    
+    // St David's Day (1 Mar)
+    holidays.push({ date: new Date(year, 2, 1), name: "St David's Day", emoji: "🏴󠁧󠁢󠁷󠁬󠁳󠁿", type: "cultural" });
+    
+    // St Patrick's Day (17 Mar)
+    holidays.push({ date: new Date(year, 2, 17), name: "St Patrick's Day", emoji: "☘️", type: "cultural" });
+    
+    // St George's Day (23 Apr)
+    holidays.push({ date: new Date(year, 3, 23), name: "St George's Day", emoji: "🏴󠁧󠁢󠁥󠁮󠁧󠁿", type: "cultural" });
+    
+    // Father's Day (3rd Sunday of June)
+    holidays.push({ date: getNthWeekday(year, 5, 0, 3), name: "Father's Day", emoji: "👔", type: "cultural" });
+    
+    // Halloween (31 Oct)
+    holidays.push({ date: new Date(year, 9, 31), name: "Halloween", emoji: "🎃", type: "cultural" });
+    
+    // Guy Fawkes Night (5 Nov)
+    holidays.push({ date: new Date(year, 10, 5), name: "Bonfire Night", emoji: "🎆", type: "cultural" });
+    
+    // Remembrance Sunday (2nd Sunday of November)
+    holidays.push({ date: getNthWeekday(year, 10, 0, 2), name: "Remembrance Sunday", emoji: "🌺", type: "cultural" });
+    
+    // Armistice Day (11 Nov)
+    holidays.push({ date: new Date(year, 10, 11), name: "Armistice Day", emoji: "🎖️", type: "cultural" });
+    
+    // St Andrew's Day (30 Nov)
+    holidays.push({ date: new Date(year, 10, 30), name: "St Andrew's Day", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", type: "cultural" });
+    
+    // New Year's Eve
+    holidays.push({ date: new Date(year, 11, 31), name: "New Year's Eve", emoji: "🥂", type: "cultural" });
+    
+    // Drop cultural entries for days that are bank holidays in this region (e.g. St Andrew's Day in Scotland)
+    const bankDays = new Set(holidays.filter(h => h.type === 'bank').map(h => `${h.date.toDateString()} ${h.name}`));
+    return holidays.filter(h => h.type === 'bank' || !bankDays.has(`${h.date.toDateString()} ${h.name}`));
+  },
+
+  /**
+   * Calculate Easter Sunday using Anonymous Gregorian algorithm
+   */
+  getEasterSunday: (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month, day);
+  }
+};
+
+export const {
+  getProfile,
+  getProfiles,
+  getRegion,
+  getRegions,
+  getLocation,
+  getLocations,
+  getTwilights,
+  describeHolidayRegions,
+  validateBankHolidayData,
+  loadBankHolidayData,
+  resetBankHolidayData,
+  getBankHolidayDataInfo,
+  getRailWeekDayNames,
+  describeProfile,
+  getPeriodCount,
+  getPeriodForWeek,
+  isLongYear,
+  dateToRailway,
+  railwayToDateRange,
+  getPeriodDates,
+  getWeekOneStart,
+  getTotalWeeks,
+  getUKBankHolidays,
+  getEasterSunday,
+  isBankHoliday,
+  isWorkingDay,
+  isNominalPayday,
+  adjustPayday,
+  getPaydayInfo,
+  isPayday,
+  getNextPayday,
+  getMonthlyPayday,
+  getDefaultPaydaySchedules,
+  getPaydays,
+  describePaydaySchedule,
+  getMoonPhase,
+  getDayLength,
+  isDarkAt
+} = RailwayDateAPI;
+
+export default RailwayDateAPI;
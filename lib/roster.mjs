@@ -0,0 +1,143 @@
+// ============================================================================
+// SHIFT ROSTERS
+// ============================================================================
+//
+// Cyclic rosters ("rotas") keyed to rail weeks. A roster is a list of lines,
+// each line being seven shift codes for the days of a rail week. Every rail
+// week the holder moves down to the next line, wrapping round at the bottom.
+// Like lib/railway-date-api.mjs it has no DOM dependency, and rosters are
+// plain JSON-able objects so the browser can keep them in localStorage.
+//
+//   import { getShift } from './lib/roster.mjs';
+//   getShift(new Date(2026, 9, 19), roster); // { code: 'L', start: '14:00', ... }
+//
+// Roster shape:
+//   {
+//     name: 'Depot rota',
+//     anchorRailwayYear: 2026, anchorWeek: 1, // rail week in which...
+//     anchorLine: 1,                          // ...line 1 is worked (1-based)
+//     lines: [['E','E','E','E','E','R','R'], ...],
+//     shiftTypes: { E: { label: 'Early', color: '#38bdf8', start: '06:00', end: '14:00' }, ... },
+//     overrides: { '2026-10-21': 'L' }        // swapped turns by local date
+//   }
+//
+// Shift types without start/end times are rest days.
+
+import { RailwayDateAPI } from './railway-date-api.mjs';
+
+export const DEFAULT_SHIFT_TYPES = {
+  E: { label: 'Early', color: '#38bdf8', start: '06:00', end: '14:00' },
+  L: { label: 'Late', color: '#f59e0b', start: '14:00', end: '22:00' },
+  N: { label: 'Night', color: '#a78bfa', start: '22:00', end: '06:00' },
+  D: { label: 'Day', color: '#34d399', start: '08:00', end: '16:00' },
+  R: { label: 'Rest', color: '#64748b', start: null, end: null }
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Length of a shift in hours; finishes at or before the start time run past midnight
+ */
+export const getShiftHours = (shiftType) => {
+  const start = toMinutes(shiftType?.start);
+  const end = toMinutes(shiftType?.end);
+  if (start === null || end === null) return 0;
+  return ((end - start + 1440) % 1440 || 1440) / 60;
+};
+
+/**
+ * A four-line earlies/lates/nights/rest rota to start editing from
+ */
+export const createDefaultRoster = (anchorRailwayYear) => ({
+  name: 'My roster',
+  anchorRailwayYear,
+  anchorWeek: 1,
+  anchorLine: 1,
+  lines: [
+    ['E', 'E', 'E', 'E', 'E', 'R', 'R'],
+    ['L', 'L', 'L', 'L', 'L', 'R', 'R'],
+    ['R', 'N', 'N', 'N', 'N', 'N', 'R'],
+    ['R', 'R', 'D', 'D', 'D', 'D', 'R']
+  ],
+  shiftTypes: { ...DEFAULT_SHIFT_TYPES },
+  overrides: {}
+});
+
+/**
+ * Roster line (1-based) worked in the rail week containing a date
+ */
+export const getRosterLine = (date, roster, profile) => {
+  const { startDate: anchorStart } = RailwayDateAPI.railwayToDateRange(roster.anchorRailwayYear, roster.anchorWeek, profile);
+  const { railwayYear, railWeek } = RailwayDateAPI.dateToRailway(date, profile);
+  const { startDate: weekStart } = RailwayDateAPI.railwayToDateRange(railwayYear, railWeek, profile);
+  const weeksSinceAnchor = Math.round((weekStart - anchorStart) / (7 * 86400000));
+  const count = roster.lines.length;
+  return ((((roster.anchorLine - 1 + weeksSinceAnchor) % count) + count) % count) + 1;
+};
+
+/**
+ * Shift worked on a date
+ *
+ * Returns { code, label, color, start, end, hours, isRest, line, isOverride,
+ * rosteredCode } or null if the roster has no lines. rosteredCode is the
+ * code from the pattern before any override.
+ */
+export const getShift = (date, roster, profile) => {
+  if (!roster || roster.lines.length === 0) return null;
+  const line = getRosterLine(date, roster, profile);
+  const { dayOfRailWeek } = RailwayDateAPI.dateToRailway(date, profile);
+  const rosteredCode = roster.lines[line - 1][dayOfRailWeek - 1];
+  const override = roster.overrides?.[isoDate(date)];
+  const code = override || rosteredCode;
+  const shiftType = roster.shiftTypes[code] || { label: code, color: '#94a3b8', start: null, end: null };
+  const hours = getShiftHours(shiftType);
+  return {
+    code,
+    label: shiftType.label,
+    color: shiftType.color,
+    start: shiftType.start || null,
+    end: shiftType.end || null,
+    hours,
+    isRest: hours === 0,
+    line,
+    isOverride: Boolean(override) && override !== rosteredCode,
+    rosteredCode
+  };
+};
+
+/**
+ * Shifts worked in a period
+ *
+ * Returns { counts: { code: days }, hours, workingDays, restDays, overrides }.
+ */
+export const getPeriodShiftSummary = (roster, railwayYear, period, profile) => {
+  const { startDate, endDate } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
+  const summary = { counts: {}, hours: 0, workingDays: 0, restDays: 0, overrides: 0 };
+  for (const d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+    const shift = getShift(d, roster, profile);
+    if (!shift) continue;
+    summary.counts[shift.code] = (summary.counts[shift.code] || 0) + 1;
+    summary.hours += shift.hours;
+    if (shift.isRest) summary.restDays++;
+    else summary.workingDays++;
+    if (shift.isOverride) summary.overrides++;
+  }
+  return summary;
+};
+
+export const RailwayRoster = {
+  DEFAULT_SHIFT_TYPES,
+  createDefaultRoster,
+  getShiftHours,
+  getRosterLine,
+  getShift,
+  getPeriodShiftSummary
+};
+
+export default RailwayRoster;
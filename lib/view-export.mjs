@@ -0,0 +1,418 @@
+// ============================================================================
+// YEAR AND MONTH VIEW EXPORT
+// ============================================================================
+//
+// Draws the Year and Month views as clean, self-contained SVG (dark text on
+// white, no external fonts or images) for briefing packs and slides, and
+// wraps a rasterised copy in a single-page PDF. Like lib/ics.mjs it has no DOM
+// dependency; the browser UI rasterises the SVG on a canvas for PNG and PDF.
+//
+//   import { renderYearSvg, renderMonthSvg } from './lib/view-export.mjs';
+//   const { svg, width, height } = renderYearSvg({ railwayYear: 2026, overlays: { moon: false } });
+//
+// Both renderers take the railway options used elsewhere (profile, region,
+// paydaySchedules), `events` (extra entries shaped like getUKBankHolidays
+// results, e.g. personal events), `getHolidays(year, region)` (a cached
+// getUKBankHolidays, which it defaults to) and `overlays`, any of
+// EXPORT_OVERLAYS switched on or off (all on by default). They return
+// { svg, width, height, title }, sizes in CSS pixels.
+
+import { RailwayDateAPI } from './railway-date-api.mjs';
+import { Astronomy } from './astronomy.mjs';
+
+export const EXPORT_OVERLAYS = ['paydays', 'holidays', 'moon'];
+
+export const EXPORT_FORMATS = ['svg', 'png', 'pdf'];
+
+const FONT = "-apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+const COLORS = {
+  background: '#ffffff',
+  text: '#0f172a',
+  muted: '#64748b',
+  faint: '#94a3b8',
+  line: '#e2e8f0',
+  cell: '#f1f5f9',
+  otherMonth: '#f8fafc',
+  payday: '#fef3c7',
+  paydayText: '#b45309',
+  holiday: '#ffe4e6',
+  holidayLine: '#fda4af',
+  moonDark: '#334155',
+  moonLight: '#fde68a',
+  moonEdge: '#ca8a04'
+};
+
+// The app's standard period colours, at a shade that reads on white
+const PERIOD_COLORS = ['#0891b2', '#db2777', '#d97706', '#059669', '#7c3aed', '#e11d48', '#0284c7',
+  '#65a30d', '#c026d3', '#ca8a04', '#0d9488', '#4f46e5', '#ea580c'];
+
+const EVENT_COLORS = { bank: '#be123c', religious: '#6d28d9', cultural: '#0e7490', personal: '#047857', dayOff: '#4d7c0f' };
+
+const MOON_PHASES = [
+  { fraction: 0, name: 'New Moon' },
+  { fraction: 0.25, name: 'First Quarter' },
+  { fraction: 0.5, name: 'Full Moon' },
+  { fraction: 0.75, name: 'Last Quarter' }
+];
+
+// ============================================================================
+// SVG HELPERS
+// ============================================================================
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => ` ${name}="${typeof value === 'number' ? round(value) : escapeXml(value)}"`)
+  .join('');
+
+const rect = (attrs) => `<rect${attributes(attrs)}/>`;
+const circle = (attrs) => `<circle${attributes(attrs)}/>`;
+const text = (content, attrs) => `<text${attributes(attrs)}>${escapeXml(content)}</text>`;
+
+// Shorten text to roughly fit a width (no font metrics outside the browser)
+const fitText = (value, width, fontSize) => {
+  const maxChars = Math.floor(width / (fontSize * 0.56));
+  return value.length > maxChars ? `${value.slice(0, Math.max(maxChars - 1, 1))}…` : value;
+};
+
+// Moon icon for a principal phase (quarter moons lit on the side seen from the UK)
+const moonIcon = (fraction, cx, cy, r) => {
+  if (fraction === 0.5) return circle({ cx, cy, r, fill: COLORS.moonLight, stroke: COLORS.moonEdge, 'stroke-width': 1 });
+  const dark = circle({ cx, cy, r, fill: COLORS.moonDark, stroke: COLORS.moonDark, 'stroke-width': 1 });
+  if (fraction === 0) return dark;
+  const sweep = fraction === 0.25 ? 1 : 0;
+  return `${dark}<path d="M ${round(cx)} ${round(cy - r)} A ${round(r)} ${round(r)} 0 0 ${sweep} ${round(cx)} ${round(cy + r)} Z" fill="${COLORS.moonLight}"/>`;
+};
+
+const svgDocument = (width, height, title, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}" font-family="${escapeXml(FONT)}">` +
+  `<title>${escapeXml(title)}</title>` +
+  rect({ width, height, fill: COLORS.background }) +
+  body +
+  '</svg>';
+
+// ============================================================================
+// CALENDAR DATA
+// ============================================================================
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const shortDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+const longDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const yearDisplay = (railwayYear) => `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`;
+
+// Holidays, events and principal moon phases from `from` to `to`, keyed by toDateString()
+const collectDays = (from, to, { region, events = [], getHolidays = RailwayDateAPI.getUKBankHolidays }) => {
+  const holidays = new Map();
+  const moons = new Map();
+  const add = (map, date, entry) => {
+    const key = date.toDateString();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  for (let year = from.getFullYear(); year <= to.getFullYear(); year++) {
+    getHolidays(year, region)
+      .filter(h => h.date >= from && h.date <= to)
+      .forEach(h => add(holidays, h.date, h));
+  }
+  events.filter(e => e.date >= from && e.date <= to).forEach(e => add(holidays, e.date, e));
+  for (let k = Astronomy.getLunation(from) - 1; k <= Astronomy.getLunation(to) + 1; k++) {
+    MOON_PHASES.forEach(phase => {
+      const date = Astronomy.getUKDate(Astronomy.getPhaseTime(k, phase.fraction));
+      if (date >= from && date <= to) add(moons, date, phase);
+    });
+  }
+  return {
+    holidays: (date) => holidays.get(date.toDateString()) || [],
+    moon: (date) => (moons.get(date.toDateString()) || [])[0] || null
+  };
+};
+
+const resolveOverlays = (overlays = {}) =>
+  Object.fromEntries(EXPORT_OVERLAYS.map(overlay => [overlay, overlays[overlay] !== false]));
+
+const holidayName = (h) => `${h.name}${h.isSubstitute ? ' (substitute day)' : ''}`;
+
+// Key under the drawing: items of { swatch (SVG drawn around 0,0), label }
+const legend = (x, y, items) => {
+  let cursor = x;
+  return items.map(item => {
+    const out = `<g transform="translate(${round(cursor + 5)} ${round(y)})">${item.swatch}</g>` +
+      text(item.label, { x: cursor + 16, y: y + 4, 'font-size': 12, fill: COLORS.muted });
+    cursor += 36 + item.label.length * 7;
+    return out;
+  }).join('');
+};
+
+const swatch = (fill, stroke) => rect({ x: -5, y: -5, width: 10, height: 10, rx: 2, fill, stroke });
+
+const moonKey = (phases) => MOON_PHASES
+  .filter(phase => phases.includes(phase.fraction))
+  .map(phase => ({ swatch: moonIcon(phase.fraction, 0, 0, 5), label: phase.name }));
+
+// ============================================================================
+// YEAR VIEW
+// ============================================================================
+
+/**
+ * The Year view as SVG: a card per period with its rail weeks, payday dots,
+ * bank holidays and full/new moons
+ */
+export const renderYearSvg = ({ railwayYear, profile, region, paydaySchedules = RailwayDateAPI.getDefaultPaydaySchedules(), events, getHolidays, overlays: requested } = {}) => {
+  const overlays = resolveOverlays(requested);
+  const schedules = overlays.paydays ? paydaySchedules : [];
+  const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+  const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, profile);
+  const yearStart = RailwayDateAPI.railwayToDateRange(railwayYear, 1, profile).startDate;
+  const yearEnd = RailwayDateAPI.railwayToDateRange(railwayYear, totalWeeks, profile).endDate;
+  const days = collectDays(yearStart, yearEnd, { region, events, getHolidays });
+
+  const periods = Array.from({ length: periodCount }, (_, i) => {
+    const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, i + 1, profile);
+    const weeks = Array.from({ length: endWeek - startWeek + 1 }, (_, w) => {
+      const weekStart = RailwayDateAPI.railwayToDateRange(railwayYear, startWeek + w, profile).startDate;
+      const dates = Array.from({ length: 7 }, (_, d) => addDays(weekStart, d));
+      return {
+        week: startWeek + w,
+        paydays: dates.flatMap(date => RailwayDateAPI.getPaydays(date, schedules, region)),
+        bankHolidays: dates.flatMap(date => days.holidays(date).filter(h => h.type === 'bank').map(h => ({ ...h, date }))),
+        moon: dates.map(days.moon).find(moon => moon && (moon.fraction === 0 || moon.fraction === 0.5)) || null
+      };
+    });
+    return { period: i + 1, startDate, endDate, weeks };
+  });
+
+  const margin = 32;
+  const width = 1200;
+  const columns = 4;
+  const gap = 16;
+  const cardWidth = (width - margin * 2 - gap * (columns - 1)) / columns;
+  const lineHeight = 16;
+  const maxLines = overlays.holidays ? Math.max(1, ...periods.map(p => p.weeks.flatMap(w => w.bankHolidays).length)) : 0;
+  const cardHeight = 112 + (maxLines ? maxLines * lineHeight + 6 : 0);
+  const gridTop = margin + 76;
+  const rows = Math.ceil(periods.length / columns);
+  const legendY = gridTop + rows * (cardHeight + gap) + 10;
+  const height = legendY + 12 + margin;
+  const title = `Railway Year ${yearDisplay(railwayYear)}`;
+
+  const header =
+    text(title, { x: margin, y: margin + 28, 'font-size': 28, 'font-weight': 700, fill: COLORS.text }) +
+    text(`${longDate(yearStart)} – ${longDate(yearEnd)} • ${totalWeeks} weeks • ${periodCount} periods • ${RailwayDateAPI.getProfile(profile).name}`,
+      { x: margin, y: margin + 54, 'font-size': 14, fill: COLORS.muted });
+
+  const cards = periods.map((p, index) => {
+    const x = margin + (index % columns) * (cardWidth + gap);
+    const y = gridTop + Math.floor(index / columns) * (cardHeight + gap);
+    const accent = PERIOD_COLORS[(p.period - 1) % PERIOD_COLORS.length];
+    const boxGap = 6;
+    const boxWidth = (cardWidth - 32 - boxGap * (p.weeks.length - 1)) / p.weeks.length;
+    const weekBoxes = p.weeks.map((week, w) => {
+      const bx = x + 16 + w * (boxWidth + boxGap);
+      const by = y + 64;
+      const hasHoliday = overlays.holidays && week.bankHolidays.length > 0;
+      const dots = week.paydays.map((payday, d) =>
+        circle({ cx: bx + boxWidth / 2 + (d - (week.paydays.length - 1) / 2) * 7, cy: by + 29, r: 2.5, fill: payday.color || COLORS.paydayText }));
+      return rect({ x: bx, y: by, width: boxWidth, height: 36, rx: 8, fill: hasHoliday ? COLORS.holiday : COLORS.cell, stroke: hasHoliday ? COLORS.holidayLine : COLORS.line }) +
+        text(week.week, { x: bx + boxWidth / 2, y: by + 20, 'text-anchor': 'middle', 'font-size': 13, 'font-weight': 600, fill: COLORS.text }) +
+        dots.join('') +
+        (overlays.moon && week.moon ? moonIcon(week.moon.fraction, bx + boxWidth - 8, by + 8, 4) : '');
+    }).join('');
+    const holidayLines = overlays.holidays
+      ? p.weeks.flatMap(week => week.bankHolidays).map((h, i) =>
+        text(fitText(`${shortDate(h.date)}  ${holidayName(h)}`, cardWidth - 32, 12),
+          { x: x + 16, y: y + 124 + i * lineHeight, 'font-size': 12, fill: EVENT_COLORS.bank }))
+      : [];
+    return rect({ x, y, width: cardWidth, height: cardHeight, rx: 14, fill: accent, 'fill-opacity': 0.07, stroke: accent, 'stroke-opacity': 0.6 }) +
+      text(`Period ${p.period}`, { x: x + 16, y: y + 30, 'font-size': 19, 'font-weight': 700, fill: accent }) +
+      text(`${p.weeks.length} weeks`, { x: x + cardWidth - 16, y: y + 30, 'text-anchor': 'end', 'font-size': 12, fill: COLORS.muted }) +
+      text(`${shortDate(p.startDate)} – ${shortDate(p.endDate)}`, { x: x + 16, y: y + 51, 'font-size': 13, fill: COLORS.muted }) +
+      weekBoxes +
+      holidayLines.join('');
+  }).join('');
+
+  const key = [
+    ...(overlays.holidays ? [{ swatch: swatch(COLORS.holiday, COLORS.holidayLine), label: 'Week with a bank holiday' }] : []),
+    ...schedules.map(schedule => ({ swatch: circle({ r: 4, fill: schedule.color || COLORS.paydayText }), label: schedule.name })),
+    ...(overlays.moon ? moonKey([0, 0.5]) : [])
+  ];
+  const body = header + cards + legend(margin, legendY, key);
+  return { svg: svgDocument(width, height, title, body), width, height, title };
+};
+
+// ============================================================================
+// MONTH VIEW
+// ============================================================================
+
+/**
+ * The Month view as SVG: rail weeks of a calendar month (month 0-11) with
+ * their periods, paydays, holidays and events, and moon phases
+ */
+export const renderMonthSvg = ({ year, month, profile, region, paydaySchedules = RailwayDateAPI.getDefaultPaydaySchedules(), events, getHolidays, overlays: requested } = {}) => {
+  const overlays = resolveOverlays(requested);
+  const schedules = overlays.paydays ? paydaySchedules : [];
+  const firstDay = new Date(year, month, 1);
+  const lastDay = new Date(year, month + 1, 0);
+  const firstInfo = RailwayDateAPI.dateToRailway(firstDay, profile);
+  const gridStart = RailwayDateAPI.railwayToDateRange(firstInfo.railwayYear, firstInfo.railWeek, profile).startDate;
+  const weekCount = Math.floor(Math.round((lastDay - gridStart) / 86400000) / 7) + 1;
+  const gridEnd = addDays(gridStart, weekCount * 7 - 1);
+  const days = collectDays(gridStart, gridEnd, { region, events, getHolidays });
+  const dayNames = RailwayDateAPI.getRailWeekDayNames(profile);
+
+  const margin = 32;
+  const width = 1200;
+  const weekColumn = 96;
+  const dayWidth = (width - margin * 2 - weekColumn) / 7;
+  const headerHeight = 30;
+  const rowHeight = 112;
+  const gridTop = margin + 72;
+  const legendY = gridTop + headerHeight + weekCount * rowHeight + 22;
+  const height = legendY + 12 + margin;
+  const monthName = firstDay.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+  const lastInfo = RailwayDateAPI.dateToRailway(lastDay, profile);
+  const periods = firstInfo.period === lastInfo.period && firstInfo.railwayYear === lastInfo.railwayYear
+    ? `Period ${firstInfo.period}`
+    : `Periods ${firstInfo.period}–${lastInfo.period}`;
+  const title = `${monthName} • RY ${firstInfo.railwayYearDisplay}`;
+
+  const header =
+    text(monthName, { x: margin, y: margin + 28, 'font-size': 28, 'font-weight': 700, fill: COLORS.text }) +
+    text(`RY ${firstInfo.railwayYearDisplay}${lastInfo.railwayYear !== firstInfo.railwayYear ? `–${lastInfo.railwayYearDisplay}` : ''} • ${periods} • ${RailwayDateAPI.getProfile(profile).name}`,
+      { x: margin, y: margin + 54, 'font-size': 14, fill: COLORS.muted });
+
+  const columnHeads = rect({ x: margin, y: gridTop, width: width - margin * 2, height: headerHeight, fill: COLORS.cell }) +
+    text('Week', { x: margin + weekColumn / 2, y: gridTop + 20, 'text-anchor': 'middle', 'font-size': 12, 'font-weight': 600, fill: COLORS.muted }) +
+    dayNames.map((name, i) => text(name.slice(0, 3), {
+      x: margin + weekColumn + (i + 0.5) * dayWidth, y: gridTop + 20, 'text-anchor': 'middle', 'font-size': 12, 'font-weight': 600, fill: COLORS.muted
+    })).join('');
+
+  const rows = Array.from({ length: weekCount }, (_, w) => {
+    const y = gridTop + headerHeight + w * rowHeight;
+    const weekStart = addDays(gridStart, w * 7);
+    const info = RailwayDateAPI.dateToRailway(weekStart, profile);
+    const accent = PERIOD_COLORS[(info.period - 1) % PERIOD_COLORS.length];
+    const weekCell = rect({ x: margin, y, width: weekColumn, height: rowHeight, fill: COLORS.background, stroke: COLORS.line }) +
+      rect({ x: margin, y, width: 4, height: rowHeight, fill: accent }) +
+      text(`Wk ${info.railWeek}`, { x: margin + 14, y: y + 26, 'font-size': 15, 'font-weight': 700, fill: COLORS.text }) +
+      text(`P${info.period}`, { x: margin + 14, y: y + 46, 'font-size': 13, 'font-weight': 700, fill: accent });
+
+    const dayCells = Array.from({ length: 7 }, (_, d) => {
+      const date = addDays(weekStart, d);
+      const x = margin + weekColumn + d * dayWidth;
+      const inMonth = date.getMonth() === month;
+      const paydays = RailwayDateAPI.getPaydays(date, schedules, region);
+      const holidays = overlays.holidays ? days.holidays(date) : [];
+      const moon = overlays.moon ? days.moon(date) : null;
+      const isBankHoliday = holidays.some(h => h.type === 'bank');
+      const fill = !inMonth ? COLORS.otherMonth : isBankHoliday ? COLORS.holiday : paydays.length > 0 ? COLORS.payday : COLORS.background;
+      const lines = [
+        ...paydays.map(p => ({ label: `£ ${p.name}`, color: COLORS.paydayText })),
+        ...holidays.map(h => ({ label: holidayName(h), color: EVENT_COLORS[h.type] || EVENT_COLORS.cultural }))
+      ];
+      const maxLines = 4;
+      const shown = lines.length > maxLines ? [...lines.slice(0, maxLines - 1), { label: `+${lines.length - maxLines + 1} more`, color: COLORS.muted }] : lines;
+      return rect({ x, y, width: dayWidth, height: rowHeight, fill, stroke: COLORS.line }) +
+        text(date.getDate() === 1 ? shortDate(date) : date.getDate(), {
+          x: x + 10, y: y + 24, 'font-size': 15, 'font-weight': 700, fill: inMonth ? COLORS.text : COLORS.faint
+        }) +
+        (moon ? moonIcon(moon.fraction, x + dayWidth - 16, y + 18, 6) : '') +
+        shown.map((line, i) => text(fitText(line.label, dayWidth - 18, 11.5), {
+          x: x + 10, y: y + 46 + i * 15, 'font-size': 11.5, fill: line.color, 'fill-opacity': inMonth ? 1 : 0.55
+        })).join('');
+    }).join('');
+    return weekCell + dayCells;
+  }).join('');
+
+  const key = [
+    ...(overlays.holidays ? [{ swatch: swatch(COLORS.holiday, COLORS.holidayLine), label: 'Bank holiday' }] : []),
+    ...(schedules.length > 0 ? [{ swatch: swatch(COLORS.payday, COLORS.paydayText), label: '£ Payday' }] : []),
+    ...(overlays.moon ? moonKey([0, 0.25, 0.5, 0.75]) : [])
+  ];
+  const body = header + columnHeads + rows + legend(margin, legendY, key);
+  return { svg: svgDocument(width, height, title, body), width, height, title };
+};
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+const latin1Bytes = (value) => Uint8Array.from(value, char => char.charCodeAt(0));
+
+// PDF text string as UTF-16BE hex, so titles can use any character
+const pdfText = (value) =>
+  `<FEFF${Array.from(value).map(char => {
+    const code = char.codePointAt(0);
+    const units = code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code];
+    return units.map(unit => unit.toString(16).padStart(4, '0').toUpperCase()).join('');
+  }).join('')}>`;
+
+/**
+ * A one-page PDF showing a JPEG (bytes) centred on A4, landscape when the
+ * image is wider than tall. width/height are the JPEG's pixel size.
+ */
+export const buildImagePdf = (jpeg, width, height, { title = 'Railway Calendar' } = {}) => {
+  const landscape = width >= height;
+  const pageWidth = landscape ? 842 : 595;
+  const pageHeight = landscape ? 595 : 842;
+  const margin = 24;
+  const scale = Math.min((pageWidth - margin * 2) / width, (pageHeight - margin * 2) / height);
+  const drawWidth = round(width * scale);
+  const drawHeight = round(height * scale);
+  const offsetX = round((pageWidth - drawWidth) / 2);
+  const offsetY = round((pageHeight - drawHeight) / 2);
+  const content = `q ${drawWidth} 0 0 ${drawHeight} ${offsetX} ${offsetY} cm /Im0 Do Q`;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    [`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+    `<< /Title ${pdfText(title)} /Producer (Railway Calendar) >>`
+  ];
+
+  const chunks = [latin1Bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((object, i) => {
+    offsets.push(offset);
+    const parts = [`${i + 1} 0 obj\n`, ...(Array.isArray(object) ? object : [object]), '\nendobj\n'];
+    parts.forEach(part => {
+      const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+      chunks.push(bytes);
+      offset += bytes.length;
+    });
+  });
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(value => `${String(value).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+  chunks.push(latin1Bytes(xref));
+
+  const pdf = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
+
+export const RailwayViewExport = {
+  EXPORT_OVERLAYS,
+  EXPORT_FORMATS,
+  renderYearSvg,
+  renderMonthSvg,
+  buildImagePdf
+};
+
+export default RailwayViewExport;
@@ -1,11 +1,11 @@
 // NOTE: React hooks and Lucide icons are provided by the index.html file
 // The following imports are commented out for browser compatibility:
-// import React, { useState, useMemo, useCallback, useEffect } from 'react';
+// import React, { Fragment, useState, useMemo, useCallback, useEffect, useRef } from 'react';
 // import { ChevronLeft, ChevronRight, Calendar, Layers, Clock, Train, Sun, Sunrise, Sunset } from 'lucide-react';
 
 // These are loaded globally from CDN in index.html
 // Destructure React hooks from the global React object
-const { useState, useMemo, useCallback, useEffect } = React;
+const { Fragment, useState, useMemo, useCallback, useEffect, useRef } = React;
 
 // Icon components are available from window object (defined in index.html)
 const ChevronLeft = window.ChevronLeft;
@@ -18,527 +18,14 @@ const Sun = window.Sun;
 const Sunrise = window.Sunrise;
 const Sunset = window.Sunset;
 
-// ============================================================================
-// RAILWAY DATE API MODULE
-// ============================================================================
-
-const RailwayDateAPI = {
-  /**
-   * Calculate day length, sunrise and sunset for London UK
-   * Uses astronomical formulas based on Earth's axial tilt (23.44°)
-   * London coordinates: 51.5074°N, 0.1278°W
-   */
-  getDayLength: (date) => {
-    const d = new Date(date);
-    const latitude = 51.5074; // London latitude in degrees
-    const longitude = -0.1278; // London longitude in degrees (west is negative)
-    
-    // Convert degrees to radians
-    const toRad = (deg) => deg * Math.PI / 180;
-    const toDeg = (rad) => rad * 180 / Math.PI;
-    
-    // Calculate day of year (1-366)
-    const startOfYear = new Date(d.getFullYear(), 0, 0);
-    const diff = d - startOfYear;
-    const dayOfYear = Math.floor(diff / (1000 * 60 * 60 * 24));
-    
-    // Solar declination angle (Earth's axial tilt effect)
-    // Approximation using sinusoidal model
-    const declination = toRad(23.44 * Math.sin(toRad((360 / 365) * (dayOfYear + 284))));
-    
-    // Latitude in radians
-    const latRad = toRad(latitude);
-    
-    // Hour angle at sunrise/sunset
-    // cos(hourAngle) = -tan(lat) * tan(declination)
-    const cosHourAngle = -Math.tan(latRad) * Math.tan(declination);
-    
-    // Handle polar day/night edge cases
-    let hourAngle, dayLengthHours, sunrise, sunset;
-    
-    if (cosHourAngle < -1) {
-      // Midnight sun (polar day) - doesn't happen in London but handle gracefully
-      hourAngle = Math.PI;
-      dayLengthHours = 24;
-      sunrise = null;
-      sunset = null;
-    } else if (cosHourAngle > 1) {
-      // Polar night - doesn't happen in London but handle gracefully
-      hourAngle = 0;
-      dayLengthHours = 0;
-      sunrise = null;
-      sunset = null;
-    } else {
-      hourAngle = Math.acos(cosHourAngle);
-      
-      // Day length in hours (Earth rotates 15° per hour)
-      dayLengthHours = (2 * toDeg(hourAngle)) / 15;
-      
-      // Calculate solar noon (when sun is highest)
-      // Equation of time correction (approximation)
-      const B = toRad((360 / 365) * (dayOfYear - 81));
-      const equationOfTime = 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B);
-      
-      // Time correction for longitude (London is close to 0°, but not exactly)
-      // Standard meridian for GMT is 0°
-      const timeCorrection = 4 * longitude + equationOfTime; // in minutes
-      
-      // Solar noon in minutes from midnight (12:00 + corrections)
-      const solarNoon = 12 * 60 - timeCorrection;
-      
-      // Sunrise and sunset times in minutes from midnight
-      const halfDayMinutes = (dayLengthHours / 2) * 60;
-      const sunriseMinutes = solarNoon - halfDayMinutes;
-      const sunsetMinutes = solarNoon + halfDayMinutes;
-      
-      // Convert to hours:minutes format
-      const formatTime = (minutes) => {
-        const hrs = Math.floor(minutes / 60);
-        const mins = Math.round(minutes % 60);
-        return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-      };
-      
-      sunrise = formatTime(sunriseMinutes);
-      sunset = formatTime(sunsetMinutes);
-    }
-    
-    // Format day length as hours and minutes
-    const hours = Math.floor(dayLengthHours);
-    const minutes = Math.round((dayLengthHours - hours) * 60);
-    const dayLengthFormatted = `${hours}h ${minutes}m`;
-    
-    // Calculate percentage of max possible daylight (summer solstice ~16.5h in London)
-    const maxDayLength = 16.5;
-    const minDayLength = 7.5;
-    const dayLengthPercent = Math.round(((dayLengthHours - minDayLength) / (maxDayLength - minDayLength)) * 100);
-    
-    // Determine if days are getting longer or shorter
-    const tomorrow = new Date(d);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowDayOfYear = dayOfYear + 1;
-    const tomorrowDeclination = toRad(23.44 * Math.sin(toRad((360 / 365) * (tomorrowDayOfYear + 284))));
-    const tomorrowCosHourAngle = -Math.tan(latRad) * Math.tan(tomorrowDeclination);
-    const tomorrowHourAngle = Math.acos(Math.max(-1, Math.min(1, tomorrowCosHourAngle)));
-    const tomorrowDayLength = (2 * toDeg(tomorrowHourAngle)) / 15;
-    const dayLengthChange = tomorrowDayLength - dayLengthHours;
-    const daysGettingLonger = dayLengthChange > 0;
-    const changeMinutes = Math.abs(Math.round(dayLengthChange * 60));
-    
-    return {
-      dayLengthHours: Math.round(dayLengthHours * 100) / 100,
-      dayLengthFormatted,
-      dayLengthPercent: Math.max(0, Math.min(100, dayLengthPercent)),
-      sunrise,
-      sunset,
-      daysGettingLonger,
-      changeMinutes,
-      changeFormatted: `${daysGettingLonger ? '+' : '-'}${changeMinutes}m`
-    };
-  },
-
-  /**
-   * Calculate moon phase for any date
-   * Uses the synodic month (29.53059 days) from a known new moon reference
-   * Returns phase info with emoji and name
-   */
-  getMoonPhase: (date) => {
-    const d = new Date(date);
-    d.setHours(0, 0, 0, 0);
-    
-    // Known new moon reference: January 6, 2000 at 18:14 UTC
-    const knownNewMoon = new Date(2000, 0, 6, 18, 14, 0);
-    const synodicMonth = 29.53058867; // Average lunar cycle in days
-    
-    // Calculate days since known new moon
-    const daysSinceNewMoon = (d.getTime() - knownNewMoon.getTime()) / (1000 * 60 * 60 * 24);
-    
-    // Get position in current lunar cycle (0 to 29.53)
-    let lunarDay = daysSinceNewMoon % synodicMonth;
-    if (lunarDay < 0) lunarDay += synodicMonth;
-    
-    // Calculate illumination percentage (0-100)
-    const illumination = Math.round((1 - Math.cos((lunarDay / synodicMonth) * 2 * Math.PI)) / 2 * 100);
-    
-    // Determine phase based on lunar day
-    // Each phase is ~3.69 days (29.53 / 8)
-    const phaseLength = synodicMonth / 8;
-    
-    let phase, emoji, name;
-    
-    if (lunarDay < phaseLength * 0.5) {
-      phase = 0; emoji = '🌑'; name = 'New Moon';
-    } else if (lunarDay < phaseLength * 1.5) {
-      phase = 1; emoji = '🌒'; name = 'Waxing Crescent';
-    } else if (lunarDay < phaseLength * 2.5) {
-      phase = 2; emoji = '🌓'; name = 'First Quarter';
-    } else if (lunarDay < phaseLength * 3.5) {
-      phase = 3; emoji = '🌔'; name = 'Waxing Gibbous';
-    } else if (lunarDay < phaseLength * 4.5) {
-      phase = 4; emoji = '🌕'; name = 'Full Moon';
-    } else if (lunarDay < phaseLength * 5.5) {
-      phase = 5; emoji = '🌖'; name = 'Waning Gibbous';
-    } else if (lunarDay < phaseLength * 6.5) {
-      phase = 6; emoji = '🌗'; name = 'Last Quarter';
-    } else if (lunarDay < phaseLength * 7.5) {
-      phase = 7; emoji = '🌘'; name = 'Waning Crescent';
-    } else {
-      phase = 0; emoji = '🌑'; name = 'New Moon';
-    }
-    
-    // Is this a "significant" phase? (New, First Quarter, Full, Last Quarter)
-    const isSignificant = phase === 0 || phase === 2 || phase === 4 || phase === 6;
-    
-    return { phase, emoji, name, lunarDay, illumination, isSignificant };
-  },
-
-  /**
-   * Calculate if a given date is a payday
-   * Payday is every 4 weeks on Friday (the day before a new period starts on Saturday)
-   * Reference payday: December 5, 2025 (Friday before Period 10)
-   */
-  isPayday: (date) => {
-    const d = new Date(date);
-    d.setHours(0, 0, 0, 0);
-    
-    // Reference payday: December 5, 2025
-    const referencePayday = new Date(2025, 11, 5); // Month 11 = December
-    referencePayday.setHours(0, 0, 0, 0);
-    
-    // Calculate days difference
-    const daysDiff = Math.round((d - referencePayday) / (1000 * 60 * 60 * 24));
-    
-    // Payday repeats every 28 days (4 weeks)
-    // Check if this date is exactly divisible by 28 days from reference
-    return daysDiff % 28 === 0;
-  },
-
-  /**
-   * Get next payday from a given date
-   */
-  getNextPayday: (fromDate) => {
-    const d = new Date(fromDate);
-    d.setHours(0, 0, 0, 0);
-    
-    const referencePayday = new Date(2025, 11, 5);
-    referencePayday.setHours(0, 0, 0, 0);
-    
-    // Find how many days until next payday
-    let daysDiff = Math.round((d - referencePayday) / (1000 * 60 * 60 * 24));
-    let daysUntilPayday = 28 - (daysDiff % 28);
-    
-    // If we're on a payday, get the next one
-    if (daysUntilPayday === 28) daysUntilPayday = 0;
-    
-    const nextPayday = new Date(d);
-    nextPayday.setDate(nextPayday.getDate() + daysUntilPayday);
-    
-    return nextPayday;
-  },
-
-  /**
-   * Get the last Saturday of March for a given railway year
-   * This is Week 1 Day 1 of that railway year
-   */
-  getWeekOneStart: (railwayYear) => {
-    // Get the last day of March (March 31st)
-    const lastDayOfMarch = new Date(railwayYear, 2, 31); // Month 2 = March
-    const dayOfWeek = lastDayOfMarch.getDay(); // 0=Sun, 6=Sat
-    
-    // Calculate days to go back to reach Saturday
-    // If March 31st is Saturday (6), go back 0 days
-    // If March 31st is Sunday (0), go back 1 day to Saturday
-    // If March 31st is Monday (1), go back 2 days to Saturday, etc.
-    const daysToGoBack = (dayOfWeek + 1) % 7;
-    
-    const lastSaturday = new Date(railwayYear, 2, 31 - daysToGoBack);
-    return lastSaturday;
-  },
-
-  /**
-   * Get total weeks in a railway year (52 or 53)
-   */
-  getTotalWeeks: (railwayYear) => {
-    const thisYearStart = RailwayDateAPI.getWeekOneStart(railwayYear);
-    const nextYearStart = RailwayDateAPI.getWeekOneStart(railwayYear + 1);
-    const days = Math.round((nextYearStart - thisYearStart) / (1000 * 60 * 60 * 24));
-    return Math.floor(days / 7);
-  },
-
-  /**
-   * Convert a Gregorian date to Railway Year + Rail Week + Day of Rail Week
-   * Day of rail week: 1=Saturday, 2=Sunday, ..., 7=Friday
-   */
-  dateToRailway: (date) => {
-    const d = new Date(date);
-    d.setHours(0, 0, 0, 0);
-    
-    // Determine which railway year this date belongs to
-    let railwayYear = d.getFullYear();
-    let weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear);
-    
-    // If date is before this calendar year's Week 1, it belongs to previous railway year
-    if (d < weekOneStart) {
-      railwayYear--;
-      weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear);
-    } else {
-      // Check if we've rolled into next railway year
-      const nextYearStart = RailwayDateAPI.getWeekOneStart(railwayYear + 1);
-      if (d >= nextYearStart) {
-        railwayYear++;
-        weekOneStart = nextYearStart;
-      }
-    }
-    
-    // Calculate days since Week 1 start
-    const daysDiff = Math.floor((d - weekOneStart) / (1000 * 60 * 60 * 24));
-    
-    // Rail week (1-indexed)
-    const railWeek = Math.floor(daysDiff / 7) + 1;
-    
-    // Day of rail week (1=Sat, 7=Fri)
-    const dayOfRailWeek = (daysDiff % 7) + 1;
-    
-    // Period (4 weeks each, 13 periods)
-    const period = Math.ceil(railWeek / 4);
-    
-    // Week within period (1-4)
-    const weekInPeriod = ((railWeek - 1) % 4) + 1;
-    
-    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear);
-    
-    return {
-      railwayYear,
-      railWeek,
-      dayOfRailWeek,
-      period,
-      weekInPeriod,
-      totalWeeks,
-      weekOneStart,
-      dayName: ['Saturday', 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'][dayOfRailWeek - 1],
-      railwayYearDisplay: `${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`
-    };
-  },
-
-  /**
-   * Given a railway year and rail week number, return start (Saturday) and end (Friday) dates
-   */
-  railwayToDateRange: (railwayYear, railWeek) => {
-    const weekOneStart = RailwayDateAPI.getWeekOneStart(railwayYear);
-    const startDate = new Date(weekOneStart);
-    startDate.setDate(startDate.getDate() + (railWeek - 1) * 7);
-    
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + 6);
-    
-    return { startDate, endDate };
-  },
-
-  /**
-   * Get period start and end dates for a railway year
-   */
-  getPeriodDates: (railwayYear, period) => {
-    const startWeek = (period - 1) * 4 + 1;
-    const endWeek = Math.min(period * 4, RailwayDateAPI.getTotalWeeks(railwayYear));
-    
-    const { startDate } = RailwayDateAPI.railwayToDateRange(railwayYear, startWeek);
-    const { endDate } = RailwayDateAPI.railwayToDateRange(railwayYear, endWeek);
-    
-    return { startDate, endDate, startWeek, endWeek };
-  },
-
-  /**
-   * Get UK Bank Holidays, Religious Events & Notable Dates for a given year
-   */
-  getUKBankHolidays: (year) => {
-    const holidays = [];
-    const easter = RailwayDateAPI.getEasterSunday(year);
-    
-    // Helper to add days to a date
-    const addDays = (date, days) => {
-      const result = new Date(date);
-      result.setDate(result.getDate() + days);
-      return result;
-    };
-    
-    // Helper to get nth weekday of month (n=1 for first, n=-1 for last)
-    const getNthWeekday = (year, month, weekday, n) => {
-      if (n > 0) {
-        const first = new Date(year, month, 1);
-        const dayOffset = (weekday - first.getDay() + 7) % 7;
-        return new Date(year, month, 1 + dayOffset + (n - 1) * 7);
-      } else {
-        const last = new Date(year, month + 1, 0);
-        const dayOffset = (last.getDay() - weekday + 7) % 7;
-        return new Date(year, month + 1, -dayOffset + (n + 1) * 7);
-      }
-    };
-    
-    // ========== UK BANK HOLIDAYS ==========
-    
-    // New Year's Day (substitute if weekend)
-    let nyd = new Date(year, 0, 1);
-    if (nyd.getDay() === 0) nyd = new Date(year, 0, 2);
-    if (nyd.getDay() === 6) nyd = new Date(year, 0, 3);
-    holidays.push({ date: nyd, name: "New Year's Day", emoji: "🎆", type: "bank" });
-    
-    // Good Friday
-    holidays.push({ date: addDays(easter, -2), name: "Good Friday", emoji: "✝️", type: "bank" });
-    
-    // Easter Monday
-    holidays.push({ date: addDays(easter, 1), name: "Easter Monday", emoji: "🐣", type: "bank" });
-    
-    // Early May Bank Holiday (first Monday of May)
-    holidays.push({ date: getNthWeekday(year, 4, 1, 1), name: "Early May Bank Holiday", emoji: "🌷", type: "bank" });
-    
-    // Spring Bank Holiday (last Monday of May)
-    holidays.push({ date: getNthWeekday(year, 4, 1, -1), name: "Spring Bank Holiday", emoji: "🌻", type: "bank" });
-    
-    // Summer Bank Holiday (last Monday of August)
-    holidays.push({ date: getNthWeekday(year, 7, 1, -1), name: "Summer Bank Holiday", emoji: "☀️", type: "bank" });
-    
-    // Christmas Day (substitute if weekend)
-    let xmas = new Date(year, 11, 25);
-    const xmasDay = xmas.getDay();
-    if (xmasDay === 0) xmas = new Date(year, 11, 27);
-    if (xmasDay === 6) xmas = new Date(year, 11, 27);
-    holidays.push({ date: xmas, name: "Christmas Day", emoji: "🎄", type: "bank" });
-    
-    // Boxing Day (substitute if weekend)
-    let boxing = new Date(year, 11, 26);
-    const boxingDay = boxing.getDay();
-    if (boxingDay === 0) boxing = new Date(year, 11, 28);
-    if (boxingDay === 6) boxing = new Date(year, 11, 28);
-    holidays.push({ date: boxing, name: "Boxing Day", emoji: "🎁", type: "bank" });
-    
-    // ========== CHRISTIAN RELIGIOUS EVENTS ==========
-    
-    // Epiphany (6 Jan)
-    holidays.push({ date: new Date(year, 0, 6), name: "Epiphany", emoji: "⭐", type: "religious" });
-    
-    // Shrove Tuesday / Pancake Day (47 days before Easter)
-    holidays.push({ date: addDays(easter, -47), name: "Shrove Tuesday", emoji: "🥞", type: "religious" });
-    
-    // Ash Wednesday (46 days before Easter)
-    holidays.push({ date: addDays(easter, -46), name: "Ash Wednesday", emoji: "✝️", type: "religious" });
-    
-    // Mothering Sunday (4th Sunday of Lent, 3 weeks before Easter)
-    holidays.push({ date: addDays(easter, -21), name: "Mother's Day (UK)", emoji: "💐", type: "cultural" });
-    
-    // Palm Sunday (week before Easter)
-    holidays.push({ date: addDays(easter, -7), name: "Palm Sunday", emoji: "🌿", type: "religious" });
-    
-    // Maundy Thursday
-    holidays.push({ date: addDays(easter, -3), name: "Maundy Thursday", emoji: "✝️", type: "religious" });
-    
-    // Easter Sunday
-    holidays.push({ date: easter, name: "Easter Sunday", emoji: "🐣", type: "religious" });
-    
-    // Ascension Day (39 days after Easter)
-    holidays.push({ date: addDays(easter, 39), name: "Ascension Day", emoji: "☁️", type: "religious" });
-    
-    // Pentecost / Whit Sunday (49 days after Easter)
-    holidays.push({ date: addDays(easter, 49), name: "Pentecost", emoji: "🕊️", type: "religious" });
-    
-    // Advent Sunday (4th Sunday before Christmas)
-    const xmasDate = new Date(year, 11, 25);
-    const xmasDayOfWeek = xmasDate.getDay();
-    const daysToSunday = xmasDayOfWeek === 0 ? 0 : 7 - xmasDayOfWeek;
-    const advent = new Date(year, 11, 25 - daysToSunday - 21);
-    holidays.push({ date: advent, name: "Advent Sunday", emoji: "🕯️", type: "religious" });
-    
-    // Christmas Eve
-    holidays.push({ date: new Date(year, 11, 24), name: "Christmas Eve", emoji: "🎄", type: "religious" });
-    
-    // ========== OTHER MAJOR RELIGIOUS EVENTS ==========
-    
-    // Approximate dates for major non-Christian holidays (these shift yearly)
-    // Diwali (Oct/Nov - approximate, typically new moon in Kartik month)
-    // Using a simple approximation - actual date varies
-    const diwaliBase = new Date(year, 9, 15); // Mid-October base
-    const diwaliOffset = (year - 2024) * 11 % 30; // Rough lunar cycle approximation
-    holidays.push({ date: new Date(year, 9 + Math.floor((15 + diwaliOffset) / 30), (15 + diwaliOffset) % 30 || 15), name: "Diwali (approx)", emoji: "🪔", type: "religious" });
-    
-    // Hanukkah (varies - usually Dec, sometimes late Nov)
-    holidays.push({ date: new Date(year, 11, 10), name: "Hanukkah (approx)", emoji: "🕎", type: "religious" });
-    
-    // Eid al-Fitr and Eid al-Adha shift ~11 days earlier each year
-    // These are very approximate
-    const eidFitrBase = new Date(2024, 3, 10); // April 10, 2024 was Eid al-Fitr
-    const yearDiff = year - 2024;
-    const eidShift = (yearDiff * 11) % 354;
-    let eidFitr = new Date(eidFitrBase);
-    eidFitr.setDate(eidFitr.getDate() - eidShift);
-    if (eidFitr.getFullYear() !== year) {
-      eidFitr = new Date(year, eidFitr.getMonth(), eidFitr.getDate());
-    }
-    holidays.push({ date: eidFitr, name: "Eid al-Fitr (approx)", emoji: "🌙", type: "religious" });
-    
-    // Eid al-Adha (~70 days after Eid al-Fitr)
-    const eidAdha = addDays(eidFitr, 70);
-    holidays.push({ date: eidAdha, name: "Eid al-Adha (approx)", emoji: "🌙", type: "religious" });
-    
-    // ========== CULTURAL & NATIONAL EVENTS ==========
-    
-    // Burns Night (25 Jan)
-    holidays.push({ date: new Date(year, 0, 25), name: "Burns Night", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", type: "cultural" });
-    
-    // Valentine's Day (14 Feb)
-    holidays.push({ date: new Date(year, 1, 14), name: "Valentine's Day", emoji: "💝", type: "cultural" });
-    
-    // St David's Day (1 Mar)
-    holidays.push({ date: new Date(year, 2, 1), name: "St David's Day", emoji: "🏴󠁧󠁢󠁷󠁬󠁳󠁿", type: "cultural" });
-    
-    // St Patrick's Day (17 Mar)
-    holidays.push({ date: new Date(year, 2, 17), name: "St Patrick's Day", emoji: "☘️", type: "cultural" });
-    
-    // St George's Day (23 Apr)
-    holidays.push({ date: new Date(year, 3, 23), name: "St George's Day", emoji: "🏴󠁧󠁢󠁥󠁮󠁧󠁿", type: "cultural" });
-    
-    // Father's Day (3rd Sunday of June)
-    holidays.push({ date: getNthWeekday(year, 5, 0, 3), name: "Father's Day", emoji: "👔", type: "cultural" });
-    
-    // Halloween (31 Oct)
-    holidays.push({ date: new Date(year, 9, 31), name: "Halloween", emoji: "🎃", type: "cultural" });
-    
-    // Guy Fawkes Night (5 Nov)
-    holidays.push({ date: new Date(year, 10, 5), name: "Bonfire Night", emoji: "🎆", type: "cultural" });
-    
-    // Remembrance Sunday (2nd Sunday of November)
-    holidays.push({ date: getNthWeekday(year, 10, 0, 2), name: "Remembrance Sunday", emoji: "🌺", type: "cultural" });
-    
-    // Armistice Day (11 Nov)
-    holidays.push({ date: new Date(year, 10, 11), name: "Armistice Day", emoji: "🎖️", type: "cultural" });
-    
-    // St Andrew's Day (30 Nov)
-    holidays.push({ date: new Date(year, 10, 30), name: "St Andrew's Day", emoji: "🏴󠁧󠁢󠁳󠁣󠁴󠁿", type: "cultural" });
-    
-    // New Year's Eve
-    holidays.push({ date: new Date(year, 11, 31), name: "New Year's Eve", emoji: "🥂", type: "cultural" });
-    
-    return holidays;
-  },
-
-  /**
-   * Calculate Easter Sunday using Anonymous Gregorian algorithm
-   */
-  getEasterSunday: (year) => {
-    const a = year % 19;
-    const b = Math.floor(year / 100);
-    const c = year % 100;
-    const d = Math.floor(b / 4);
-    const e = b % 4;
-    const f = Math.floor((b + 8) / 25);
-    const g = Math.floor((b - f + 1) / 3);
-    const h = (19 * a + b - d - g + 15) % 30;
-    const i = Math.floor(c / 4);
-    const k = c % 4;
-    const l = (32 + 2 * e + 2 * i - h - k) % 7;
-    const m = Math.floor((a + 11 * h + 22 * l) / 451);
-    const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
-    const day = ((h + l - 7 * m + 114) % 31) + 1;
-    return new Date(year, month, day);
-  }
-};
+// Railway date logic, .ics export, rosters, leave, view export and date
+// notation live in lib/ and are exposed globally by index.html
+const RailwayDateAPI = window.RailwayDateAPI;
+const RailwayIcs = window.RailwayIcs;
+const RailwayRoster = window.RailwayRoster;
+const RailwayLeave = window.RailwayLeave;
+const RailwayViewExport = window.RailwayViewExport;
+const RailwayNotation = window.RailwayNotation;
 
 // ============================================================================
 // SEASON ARTWORK
@@ -711,17 +198,2311 @@ const seasonData = {
   }
 };
 
-const getSeasonInfo = (date) => {
-  const month = date.getMonth();
-  if (month >= 2 && month <= 4) return seasonData.spring;
-  if (month >= 5 && month <= 7) return seasonData.summer;
-  if (month >= 8 && month <= 10) return seasonData.autumn;
-  return seasonData.winter;
+const getSeasonInfo = (date) => {
+  const month = date.getMonth();
+  if (month >= 2 && month <= 4) return seasonData.spring;
+  if (month >= 5 && month <= 7) return seasonData.summer;
+  if (month >= 8 && month <= 10) return seasonData.autumn;
+  return seasonData.winter;
+};
+
+// ============================================================================
+// THEMES AND PALETTES
+// ============================================================================
+
+// Themes swap the colour variables set up in index.html (html[data-theme]);
+// the seasonal banner's overlay is tuned per theme to keep its text readable
+// over the artwork. In the light theme black is white, so its overlay lightens.
+const THEMES = [
+  { id: 'dark', name: 'Dark', bannerOverlay: 'from-black/60 via-black/25 to-black/60' },
+  { id: 'light', name: 'Light', bannerOverlay: 'from-black/80 via-black/60 to-black/80' },
+  { id: 'contrast', name: 'High contrast', bannerOverlay: 'from-black/85 via-black/70 to-black/85' }
+];
+
+const getTheme = (id) => THEMES.find(theme => theme.id === id) || THEMES[0];
+
+// Period colours as Tailwind colour names - [gradient from, gradient to, accent] -
+// cycled through the 13 periods, plus a colour per event type. Names rather
+// than hex so every palette follows the theme.
+const PERIOD_PALETTES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    periods: [
+      ['cyan', 'cyan', 'cyan'], ['pink', 'rose', 'pink'], ['amber', 'orange', 'amber'],
+      ['emerald', 'teal', 'emerald'], ['violet', 'purple', 'violet'], ['rose', 'red', 'rose'],
+      ['sky', 'blue', 'sky'], ['lime', 'green', 'lime'], ['fuchsia', 'pink', 'fuchsia'],
+      ['yellow', 'amber', 'yellow'], ['teal', 'cyan', 'teal'], ['indigo', 'violet', 'indigo'],
+      ['orange', 'red', 'orange']
+    ],
+    events: { bank: 'amber', religious: 'violet', cultural: 'cyan', personal: 'emerald', dayOff: 'lime' }
+  },
+  {
+    // Okabe-Ito: eight colours that stay distinct with any colour-vision deficiency
+    id: 'okabeIto',
+    name: 'Colour-blind safe',
+    periods: [
+      ['amber', 'amber', 'amber'], ['sky', 'sky', 'sky'], ['emerald', 'emerald', 'emerald'],
+      ['yellow', 'yellow', 'yellow'], ['blue', 'blue', 'blue'], ['orange', 'red', 'orange'],
+      ['pink', 'pink', 'pink'], ['slate', 'slate', 'slate']
+    ],
+    events: { bank: 'orange', religious: 'blue', cultural: 'yellow', personal: 'pink', dayOff: 'emerald' }
+  },
+  {
+    // Neighbouring periods always differ in blue against orange, the pair that
+    // survives red-green and blue-yellow colour blindness alike
+    id: 'blueOrange',
+    name: 'Blue / orange',
+    periods: [
+      ['blue', 'blue', 'blue'], ['orange', 'orange', 'orange'], ['sky', 'sky', 'sky'],
+      ['amber', 'amber', 'amber'], ['indigo', 'indigo', 'indigo'], ['yellow', 'yellow', 'yellow']
+    ],
+    events: { bank: 'orange', religious: 'blue', cultural: 'yellow', personal: 'sky', dayOff: 'indigo' }
+  }
+];
+
+const getPeriodPalette = (id) => PERIOD_PALETTES.find(palette => palette.id === id) || PERIOD_PALETTES[0];
+
+// Card classes for a period: gradient background, border and accent text
+const getPeriodColor = (palette, period) => {
+  const [from, to, accent] = palette.periods[(period - 1) % palette.periods.length];
+  return { bg: `from-${from}-500/20 to-${to}-600/20`, border: `border-${accent}-400/50`, text: `text-${accent}-400` };
+};
+
+// Chip and legend classes for an event type (bank, religious, cultural, personal, dayOff)
+const getEventColor = (palette, type) => {
+  const colour = palette.events[type] || palette.events.cultural;
+  return {
+    chip: `bg-${colour}-500/20 border border-${colour}-400/30 text-${colour}-200 hover:bg-${colour}-500/30 hover:border-${colour}-400/50`,
+    swatch: `bg-${colour}-500/30 border border-${colour}-400/30`,
+    label: `text-${colour}-300/70`
+  };
+};
+
+// ============================================================================
+// LOCAL PERSISTENCE
+// ============================================================================
+
+// useState that mirrors its value to localStorage as JSON
+const usePersistentState = (key, initialValue) => {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem(key);
+      return stored !== null ? JSON.parse(stored) : initialValue;
+    } catch (err) {
+      return initialValue;
+    }
+  });
+  const [storageError, setStorageError] = useState(null);
+  
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      setStorageError(null);
+    } catch (err) {
+      // Storage full or disabled (e.g. private browsing) - keep the in-memory
+      // value; callers that can grow large show storageError
+      setStorageError(err);
+    }
+  }, [key, value]);
+  
+  return [value, setValue, storageError];
+};
+
+// Dates are stored as local 'YYYY-MM-DD' strings
+const toIsoDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const parseIsoDateString = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+// ============================================================================
+// URL STATE
+// ============================================================================
+
+// The view, the date shown and the selected day are kept in the query string
+// so a view can be shared and Back/Forward step through navigation:
+//   ?view=week&ry=2026&w=14    rail week 14 of RY 2026/27
+//   ?view=month&m=2026-04      April 2026
+//   ?view=year&ry=2026         RY 2026/27
+// plus &day=YYYY-MM-DD when a day other than today is selected and
+// &profile=<id> for a calendar other than Network Rail's.
+
+const VIEW_MODES = ['week', 'month', 'year'];
+
+// Query string -> { viewMode, currentDate, selectedDate, profileId }, leaving out anything missing or invalid
+const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+  const profile = RailwayDateAPI.getProfiles().find(p => p.id === params.get('profile'));
+  if (profile) state.profileId = profile.id;
+  if (VIEW_MODES.includes(params.get('view'))) state.viewMode = params.get('view');
+  
+  const railwayYear = Number(params.get('ry'));
+  // A year on its own opens mid-year, so stepping a year at a time stays in step
+  const week = params.has('w') ? Number(params.get('w')) : 27;
+  const month = /^(\d{4})-(\d{2})$/.exec(params.get('m') || '');
+  if (Number.isInteger(railwayYear) && railwayYear >= 1900 && railwayYear <= 2200 &&
+      Number.isInteger(week) && week >= 1 && week <= RailwayDateAPI.getTotalWeeks(railwayYear, profile)) {
+    state.currentDate = RailwayDateAPI.railwayToDateRange(railwayYear, week, profile).startDate;
+  } else if (month && Number(month[2]) >= 1 && Number(month[2]) <= 12) {
+    state.currentDate = new Date(Number(month[1]), Number(month[2]) - 1, 1);
+  }
+  
+  const day = parseIsoDateString(params.get('day'));
+  if (day) {
+    state.selectedDate = day;
+    if (!state.currentDate) state.currentDate = new Date(day);
+  }
+  return state;
+};
+
+// The query string for a view, in the form parseUrlState reads
+const buildUrlSearch = ({ viewMode, currentDate, selectedDate, profile }) => {
+  const params = new URLSearchParams({ view: viewMode });
+  const { railwayYear, railWeek } = RailwayDateAPI.dateToRailway(currentDate, profile);
+  if (viewMode === 'month') {
+    params.set('m', toIsoDateString(currentDate).slice(0, 7));
+  } else {
+    params.set('ry', railwayYear);
+  }
+  if (viewMode === 'week') params.set('w', railWeek);
+  if (selectedDate && toIsoDateString(selectedDate) !== toIsoDateString(new Date())) {
+    params.set('day', toIsoDateString(selectedDate));
+  }
+  if (profile.id !== RailwayDateAPI.getProfile().id) params.set('profile', profile.id);
+  return `?${params}`;
+};
+
+// ============================================================================
+// KEYBOARD NAVIGATION
+// ============================================================================
+
+// Day cells, week scrubber buttons and period cards are roving-focus groups:
+// one item per group is in the tab order (tabIndex 0) and the arrow keys move
+// focus within it. Items carry data-roving and a data-focus-key ('day:YYYY-MM-DD',
+// 'week:14', 'period:3') so focus can be put back after the views re-render.
+
+const SHORTCUTS = [
+  { keys: ['W', 'M', 'Y'], description: 'Week, Month or Year view' },
+  { keys: ['T'], description: 'Go to today' },
+  { keys: ['[', ']'], description: 'Previous / next week, month or year' },
+  { keys: ['G'], description: 'Go to a rail week' },
+  { keys: ['P'], description: 'Print a year planner or period sheet' },
+  { keys: ['←', '→', '↑', '↓'], description: 'Move between days, weeks or periods' },
+  { keys: ['Home', 'End'], description: 'First / last in the row of days, weeks or periods' },
+  { keys: ['Enter'], description: 'Open the focused day, week or period' },
+  { keys: ['?'], description: 'Show this help' },
+  { keys: ['Esc'], description: 'Close a dialog' }
+];
+
+// Shortcuts are ignored while typing in a form field
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+
+// Make an item its group's tab stop and focus it
+const focusRovingItem = (item, focusOptions) => {
+  const group = item.closest('[data-roving-group]');
+  if (group) group.querySelectorAll('[data-roving]').forEach(other => { other.tabIndex = -1; });
+  item.tabIndex = 0;
+  item.focus(focusOptions);
+};
+
+// Arrow keys step through a group; Up/Down move a whole row. Day grids set
+// data-roving-columns; otherwise the row is worked out from the layout so
+// responsive grids (1 to 4 period cards a row) behave.
+const moveRovingFocus = (e) => {
+  const group = e.currentTarget.closest('[data-roving-group]');
+  if (!group) return;
+  const items = Array.from(group.querySelectorAll('[data-roving]'));
+  const index = items.indexOf(e.currentTarget);
+  const rowLength = Number(group.dataset.rovingColumns) ||
+    items.filter(item => item.offsetTop === items[0].offsetTop).length || 1;
+  const rowStart = index - (index % rowLength);
+  const targets = {
+    ArrowLeft: index - 1,
+    ArrowRight: index + 1,
+    ArrowUp: index - rowLength,
+    ArrowDown: index + rowLength,
+    Home: rowStart,
+    End: Math.min(rowStart + rowLength, items.length) - 1
+  };
+  if (!(e.key in targets)) return;
+  e.preventDefault();
+  const target = items[targets[e.key]];
+  if (target) focusRovingItem(target);
+};
+
+// Props for a roving-focus item: Enter or Space does what a click does
+const rovingItemProps = (focusKey, isTabStop, onActivate) => ({
+  'data-roving': true,
+  'data-focus-key': focusKey,
+  tabIndex: isTabStop ? 0 : -1,
+  onKeyDown: (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onActivate(e);
+    } else {
+      moveRovingFocus(e);
+    }
+  }
+});
+
+// ============================================================================
+// ACCESSIBILITY
+// ============================================================================
+
+// The operating system's "reduce motion" setting. CSS animations use
+// Tailwind's motion-safe: variant; this covers the view-change fade.
+const prefersReducedMotion = () =>
+  Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+// ============================================================================
+// UI COMPONENTS
+// ============================================================================
+
+const paydayFrequencyLabels = {
+  weekly: 'Weekly',
+  fortnightly: 'Fortnightly',
+  fourWeekly: '4-weekly',
+  monthly: 'Monthly'
+};
+
+const paydayAdjustmentLabels = {
+  previousWorkingDay: 'Pay previous working day',
+  nextWorkingDay: 'Pay next working day',
+  none: 'No adjustment'
+};
+
+const paydayColors = ['#f59e0b', '#22d3ee', '#a78bfa', '#34d399', '#f472b6', '#f87171'];
+const paydayEmojis = ['💰', '💷', '💵', '🪙', '🏦', '💳'];
+
+// Settings panel for adding, editing and removing named payday schedules.
+// Defined outside RailwayCalendar so its inputs keep focus between renders.
+const PaydayScheduleEditor = ({ schedules, onChange, onClose }) => {
+  const updateSchedule = (id, changes) => {
+    onChange(schedules.map(s => (s.id === id ? { ...s, ...changes } : s)));
+  };
+  
+  const addSchedule = () => {
+    const anchor = toIsoDateString(new Date());
+    onChange([...schedules, {
+      id: `payday-${Date.now()}`,
+      name: `Pay schedule ${schedules.length + 1}`,
+      frequency: 'weekly',
+      anchor,
+      monthlyRule: 'fixedDate',
+      dayOfMonth: 28,
+      adjustment: 'previousWorkingDay',
+      color: paydayColors[schedules.length % paydayColors.length],
+      emoji: paydayEmojis[schedules.length % paydayEmojis.length]
+    }]);
+  };
+  
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Payday Schedules</div>
+          <div className="text-white/50 text-xs">Every schedule is marked in its own colour across all views</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="flex flex-col gap-2">
+        {schedules.map(schedule => (
+          <div key={schedule.id} className="flex flex-wrap items-center gap-2 p-2 rounded-xl bg-black/20 border border-white/5">
+            <select
+              value={schedule.emoji}
+              onChange={(e) => updateSchedule(schedule.id, { emoji: e.target.value })}
+              className={inputClass}
+              aria-label="Marker"
+            >
+              {paydayEmojis.map(emoji => <option key={emoji} value={emoji} className="bg-slate-900">{emoji}</option>)}
+            </select>
+            <input
+              type="text"
+              value={schedule.name}
+              onChange={(e) => updateSchedule(schedule.id, { name: e.target.value })}
+              className={`${inputClass} w-40`}
+              aria-label="Schedule name"
+            />
+            <select
+              value={schedule.frequency}
+              onChange={(e) => updateSchedule(schedule.id, { frequency: e.target.value })}
+              className={inputClass}
+              aria-label="Frequency"
+            >
+              {Object.entries(paydayFrequencyLabels).map(([value, label]) => (
+                <option key={value} value={value} className="bg-slate-900">{label}</option>
+              ))}
+            </select>
+            {schedule.frequency === 'monthly' ? (
+              <>
+                <select
+                  value={schedule.monthlyRule || 'fixedDate'}
+                  onChange={(e) => updateSchedule(schedule.id, { monthlyRule: e.target.value })}
+                  className={inputClass}
+                  aria-label="Monthly rule"
+                >
+                  <option value="fixedDate" className="bg-slate-900">On day</option>
+                  <option value="lastWorkingDay" className="bg-slate-900">Last working day</option>
+                </select>
+                {(schedule.monthlyRule || 'fixedDate') === 'fixedDate' && (
+                  <input
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={schedule.dayOfMonth || 1}
+                    onChange={(e) => updateSchedule(schedule.id, { dayOfMonth: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+                    className={`${inputClass} w-16`}
+                    aria-label="Day of month"
+                  />
+                )}
+              </>
+            ) : (
+              <label className="flex items-center gap-2 text-white/50 text-xs">
+                Any payday
+                <input
+                  type="date"
+                  value={schedule.anchor}
+                  onChange={(e) => e.target.value && updateSchedule(schedule.id, { anchor: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-white/50 text-xs">
+              Weekend / bank holiday
+              <select
+                value={schedule.adjustment || 'none'}
+                onChange={(e) => updateSchedule(schedule.id, { adjustment: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(paydayAdjustmentLabels).map(([value, label]) => (
+                  <option key={value} value={value} className="bg-slate-900">{label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="flex items-center gap-1">
+              {paydayColors.map(color => (
+                <button
+                  key={color}
+                  type="button"
+                  onClick={() => updateSchedule(schedule.id, { color })}
+                  className={`w-5 h-5 rounded-full border-2 ${schedule.color === color ? 'border-white' : 'border-transparent'}`}
+                  style={{ backgroundColor: color }}
+                  aria-label={`Colour ${color}`}
+                ></button>
+              ))}
+            </div>
+            <span className="text-white/40 text-xs flex-1 min-w-[140px]">{RailwayDateAPI.describePaydaySchedule(schedule)}</span>
+            <button
+              type="button"
+              onClick={() => onChange(schedules.filter(s => s.id !== schedule.id))}
+              className="px-2 py-1 rounded-lg text-xs text-rose-300 hover:bg-rose-500/20 transition-all"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        {schedules.length === 0 && (
+          <div className="text-white/40 text-sm p-2">No payday schedules - paydays are hidden.</div>
+        )}
+      </div>
+      
+      <div className="flex gap-2 mt-3">
+        <button
+          type="button"
+          onClick={addSchedule}
+          className="px-3 py-1.5 rounded-lg bg-cyan-500/20 border border-cyan-400/30 text-sm text-cyan-200 hover:bg-cyan-500/30 transition-all"
+        >
+          + Add schedule
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(RailwayDateAPI.getDefaultPaydaySchedules())}
+          className="px-3 py-1.5 rounded-lg bg-white/5 border border-white/10 text-sm text-white/60 hover:bg-white/10 transition-all"
+        >
+          Reset to default
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Save a Blob through a temporary download link
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const icsCategoryLabels = {
+  weeks: 'Rail weeks',
+  periods: 'Period start/end',
+  paydays: 'Paydays',
+  bankHolidays: 'Bank holidays',
+  events: 'Religious & cultural events'
+};
+
+// Panel for downloading rail weeks, periods, paydays and holidays as an .ics file
+const IcsExportPanel = ({ railwayYear, profile, region, paydaySchedules, onClose }) => {
+  const [fromYear, setFromYear] = useState(railwayYear);
+  const [toYear, setToYear] = useState(railwayYear);
+  const [include, setInclude] = useState(() =>
+    Object.fromEntries(RailwayIcs.ICS_CATEGORIES.map(category => [category, true]))
+  );
+  
+  const yearOptions = Array.from({ length: 11 }, (_, i) => railwayYear - 5 + i);
+  const formatYear = (year) => `${year}/${(year + 1).toString().slice(-2)}`;
+  
+  const download = () => {
+    const ics = RailwayIcs.exportRailwayCalendar({
+      fromRailwayYear: Math.min(fromYear, toYear),
+      toRailwayYear: Math.max(fromYear, toYear),
+      profile,
+      region,
+      paydaySchedules,
+      include
+    });
+    downloadBlob(
+      new Blob([ics], { type: 'text/calendar;charset=utf-8' }),
+      `railway-calendar-${Math.min(fromYear, toYear)}${fromYear !== toYear ? `-${Math.max(fromYear, toYear)}` : ''}.ics`
+    );
+  };
+  
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Export to Calendar (.ics)</div>
+          <div className="text-white/50 text-xs">Re-importing a newer export updates events instead of duplicating them</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          From RY
+          <select value={fromYear} onChange={(e) => setFromYear(Number(e.target.value))} className={inputClass}>
+            {yearOptions.map(year => <option key={year} value={year} className="bg-slate-900">{formatYear(year)}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          To RY
+          <select value={toYear} onChange={(e) => setToYear(Number(e.target.value))} className={inputClass}>
+            {yearOptions.map(year => <option key={year} value={year} className="bg-slate-900">{formatYear(year)}</option>)}
+          </select>
+        </label>
+      </div>
+      
+      <div className="flex flex-wrap gap-2 mb-3">
+        {RailwayIcs.ICS_CATEGORIES.map(category => (
+          <label
+            key={category}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-xl border text-sm cursor-pointer transition-all ${
+              include[category]
+                ? 'bg-cyan-500/20 border-cyan-400/30 text-cyan-200'
+                : 'bg-black/20 border-white/10 text-white/40'
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={include[category]}
+              onChange={(e) => setInclude(prev => ({ ...prev, [category]: e.target.checked }))}
+              className="accent-cyan-400"
+            />
+            {icsCategoryLabels[category]}
+          </label>
+        ))}
+      </div>
+      
+      <button
+        type="button"
+        onClick={download}
+        disabled={!Object.values(include).some(Boolean)}
+        className="px-4 py-2 rounded-xl bg-gradient-to-b from-cyan-500/30 to-violet-600/30 border border-cyan-400/40 text-sm font-medium text-white hover:from-cyan-500/40 hover:to-violet-600/40 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+      >
+        📥 Download .ics
+      </button>
+    </div>
+  );
+};
+
+const customEventTypes = {
+  personal: { label: 'Personal', emoji: '📌' },
+  dayOff: { label: 'Day off', emoji: '🏖️' },
+  religious: { label: 'Religious', emoji: '🕯️' },
+  cultural: { label: 'Cultural', emoji: '🎉' }
+};
+
+// Expand stored custom events into per-day entries shaped like getUKBankHolidays results
+const expandCustomEvents = (events, year) => events.flatMap(event => {
+  const start = parseIsoDateString(event.startDate);
+  const end = parseIsoDateString(event.endDate) || start;
+  if (!start || end < start) return [];
+  const days = [];
+  for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    if (d.getFullYear() === year) {
+      days.push({ date: new Date(d), name: event.title, emoji: event.emoji, type: event.type, notes: event.notes, customId: event.id });
+    }
+  }
+  return days;
+});
+
+const emptyCustomEvent = () => {
+  const today = toIsoDateString(new Date());
+  return { title: '', emoji: customEventTypes.personal.emoji, type: 'personal', startDate: today, endDate: today, notes: '' };
+};
+
+// Create, edit and delete personal events; they appear alongside bank holidays in every view
+const CustomEventEditor = ({ events, onChange, onClose }) => {
+  const [draft, setDraft] = useState(emptyCustomEvent);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+  
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  
+  const resetDraft = () => {
+    setDraft(emptyCustomEvent());
+    setEditingId(null);
+    setError(null);
+  };
+  
+  const save = () => {
+    const start = parseIsoDateString(draft.startDate);
+    const end = parseIsoDateString(draft.endDate || draft.startDate);
+    if (!draft.title.trim()) return setError('Give the event a title');
+    if (!start || !end) return setError('Choose a start date');
+    if (end < start) return setError('The end date is before the start date');
+    
+    const event = { ...draft, title: draft.title.trim(), emoji: draft.emoji.trim() || customEventTypes[draft.type].emoji, endDate: draft.endDate || draft.startDate };
+    onChange(editingId
+      ? events.map(e => (e.id === editingId ? { ...event, id: editingId } : e))
+      : [...events, { ...event, id: `event-${Date.now()}` }]);
+    resetDraft();
+  };
+  
+  const edit = (event) => {
+    setDraft({ ...event });
+    setEditingId(event.id);
+    setError(null);
+  };
+  
+  const remove = (id) => {
+    onChange(events.filter(e => e.id !== id));
+    if (editingId === id) resetDraft();
+  };
+  
+  const formatDay = (value) => parseIsoDateString(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">My Events</div>
+          <div className="text-white/50 text-xs">Saved in this browser and shown with bank holidays in every view</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-2 p-2 mb-3 rounded-xl bg-black/20 border border-white/5">
+        <input
+          value={draft.emoji}
+          onChange={(e) => updateDraft({ emoji: e.target.value })}
+          className={`${inputClass} w-12 text-center`}
+          aria-label="Emoji"
+        />
+        <input
+          value={draft.title}
+          onChange={(e) => updateDraft({ title: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder="Title"
+          className={`${inputClass} flex-1 min-w-[140px]`}
+          aria-label="Title"
+        />
+        <select
+          value={draft.type}
+          onChange={(e) => updateDraft({ type: e.target.value })}
+          className={inputClass}
+          aria-label="Type"
+        >
+          {Object.entries(customEventTypes).map(([type, { label }]) => (
+            <option key={type} value={type} className="bg-slate-900">{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          From
+          <input
+            type="date"
+            value={draft.startDate}
+            onChange={(e) => updateDraft({ startDate: e.target.value, endDate: draft.endDate < e.target.value ? e.target.value : draft.endDate })}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          To
+          <input
+            type="date"
+            value={draft.endDate}
+            min={draft.startDate}
+            onChange={(e) => updateDraft({ endDate: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <input
+          value={draft.notes}
+          onChange={(e) => updateDraft({ notes: e.target.value })}
+          placeholder="Notes (optional)"
+          className={`${inputClass} w-full`}
+          aria-label="Notes"
+        />
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={save}
+            className="px-3 py-1.5 rounded-lg bg-cyan-500/20 border border-cyan-400/30 text-sm text-cyan-200 hover:bg-cyan-500/30 transition-all"
+          >
+            {editingId ? 'Save changes' : 'Add event'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetDraft}
+              className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+      
+      {error && (
+        <div className="mb-3 px-3 py-2 rounded-lg bg-rose-500/10 border border-rose-400/30 text-rose-300 text-xs">{error}</div>
+      )}
+      
+      <div className="flex flex-col gap-2">
+        {events.length === 0 && (
+          <div className="text-white/40 text-sm">No events yet.</div>
+        )}
+        {[...events].sort((a, b) => a.startDate.localeCompare(b.startDate)).map(event => (
+          <div
+            key={event.id}
+            className={`flex flex-wrap items-center gap-3 p-2 rounded-xl border ${
+              event.id === editingId ? 'bg-cyan-500/10 border-cyan-400/30' : 'bg-black/20 border-white/5'
+            }`}
+          >
+            <span className="text-lg">{event.emoji}</span>
+            <div className="flex-1 min-w-[140px]">
+              <div className="text-white text-sm">{event.title}</div>
+              <div className="text-white/40 text-xs">
+                {formatDay(event.startDate)}{event.endDate !== event.startDate && ` — ${formatDay(event.endDate)}`} • {customEventTypes[event.type].label}
+                {event.notes && ` • ${event.notes}`}
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => edit(event)}
+              className="px-2 py-1 rounded-lg text-xs text-white/60 hover:text-white hover:bg-white/10 transition-all"
+            >
+              Edit
+            </button>
+            <button
+              type="button"
+              onClick={() => remove(event.id)}
+              className="px-2 py-1 rounded-lg text-xs text-rose-300/80 hover:text-rose-200 hover:bg-rose-500/20 transition-all"
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Define a cyclic rota keyed to rail weeks, swapped turns and a per-period shift summary
+const RosterEditor = ({ roster, onChange, onClose, railwayYear, period, profile, dayNames }) => {
+  const [newCode, setNewCode] = useState('');
+  const [swap, setSwap] = useState(() => ({ date: toIsoDateString(new Date()), code: '' }));
+  
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  const codes = roster ? Object.keys(roster.shiftTypes) : [];
+  
+  const update = (changes) => onChange({ ...roster, ...changes });
+  
+  const updateShiftType = (code, changes) => {
+    update({ shiftTypes: { ...roster.shiftTypes, [code]: { ...roster.shiftTypes[code], ...changes } } });
+  };
+  
+  const addShiftType = () => {
+    const code = newCode.trim().toUpperCase();
+    if (!code || roster.shiftTypes[code]) return;
+    update({ shiftTypes: { ...roster.shiftTypes, [code]: { label: code, color: '#94a3b8', start: '09:00', end: '17:00' } } });
+    setNewCode('');
+  };
+  
+  const removeShiftType = (code) => {
+    const restCode = codes.find(c => c !== code && !RailwayRoster.getShiftHours(roster.shiftTypes[c])) || codes.find(c => c !== code);
+    update({
+      shiftTypes: Object.fromEntries(Object.entries(roster.shiftTypes).filter(([c]) => c !== code)),
+      lines: roster.lines.map(line => line.map(c => (c === code ? restCode : c))),
+      overrides: Object.fromEntries(Object.entries(roster.overrides).filter(([, c]) => c !== code))
+    });
+  };
+  
+  const updateLineDay = (lineIndex, dayIndex, code) => {
+    update({ lines: roster.lines.map((line, i) => (i === lineIndex ? line.map((c, d) => (d === dayIndex ? code : c)) : line)) });
+  };
+  
+  const removeLine = (lineIndex) => {
+    const lines = roster.lines.filter((_, i) => i !== lineIndex);
+    update({ lines, anchorLine: Math.min(roster.anchorLine, lines.length) });
+  };
+  
+  const addSwap = () => {
+    if (!parseIsoDateString(swap.date) || !swap.code) return;
+    update({ overrides: { ...roster.overrides, [swap.date]: swap.code } });
+  };
+  
+  const removeSwap = (date) => {
+    update({ overrides: Object.fromEntries(Object.entries(roster.overrides).filter(([d]) => d !== date)) });
+  };
+  
+  if (!roster) {
+    return (
+      <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-white font-semibold">Shift Roster</div>
+            <div className="text-white/50 text-xs">Set up a rota that moves to the next line every rail week</div>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => onChange(RailwayRoster.createDefaultRoster(railwayYear))}
+              className="px-3 py-1.5 rounded-lg bg-cyan-500/20 border border-cyan-400/30 text-sm text-cyan-200 hover:bg-cyan-500/30 transition-all"
+            >
+              Create roster
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
+  const summary = roster.lines.length > 0 ? RailwayRoster.getPeriodShiftSummary(roster, railwayYear, period, profile) : null;
+  const yearOptions = Array.from({ length: 11 }, (_, i) => railwayYear - 5 + i);
+  const maxWeek = RailwayDateAPI.getTotalWeeks(roster.anchorRailwayYear, profile);
+  const swaps = Object.entries(roster.overrides).sort(([a], [b]) => a.localeCompare(b));
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Shift Roster</div>
+          <div className="text-white/50 text-xs">Each rail week moves on to the next line; swapped turns override the pattern</div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="px-3 py-1.5 rounded-lg text-sm text-rose-300/80 hover:text-rose-200 hover:bg-rose-500/20 transition-all"
+          >
+            Delete roster
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <input
+          value={roster.name}
+          onChange={(e) => update({ name: e.target.value })}
+          className={`${inputClass} flex-1 min-w-[140px]`}
+          aria-label="Roster name"
+        />
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          Line
+          <input
+            type="number"
+            min="1"
+            max={roster.lines.length}
+            value={roster.anchorLine}
+            onChange={(e) => update({ anchorLine: Math.min(Math.max(Number(e.target.value) || 1, 1), roster.lines.length) })}
+            className={`${inputClass} w-16`}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          is worked in RY
+          <select
+            value={roster.anchorRailwayYear}
+            onChange={(e) => update({ anchorRailwayYear: Number(e.target.value) })}
+            className={inputClass}
+          >
+            {yearOptions.map(year => (
+              <option key={year} value={year} className="bg-slate-900">{year}/{(year + 1).toString().slice(-2)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          Week
+          <input
+            type="number"
+            min="1"
+            max={maxWeek}
+            value={roster.anchorWeek}
+            onChange={(e) => update({ anchorWeek: Math.min(Math.max(Number(e.target.value) || 1, 1), maxWeek) })}
+            className={`${inputClass} w-16`}
+          />
+        </label>
+      </div>
+      
+      {/* Shift types */}
+      <div className="text-white/50 text-xs uppercase tracking-wider mb-2">Shift Types</div>
+      <div className="flex flex-col gap-2 mb-4">
+        {codes.map(code => {
+          const shiftType = roster.shiftTypes[code];
+          return (
+            <div key={code} className="flex flex-wrap items-center gap-2 p-2 rounded-xl bg-black/20 border border-white/5">
+              <span className="w-10 text-center px-2 py-1 rounded-md text-sm font-bold text-ink" style={{ backgroundColor: shiftType.color }}>{code}</span>
+              <input
+                value={shiftType.label}
+                onChange={(e) => updateShiftType(code, { label: e.target.value })}
+                className={`${inputClass} w-28`}
+                aria-label={`${code} label`}
+              />
+              <input
+                type="color"
+                value={shiftType.color}
+                onChange={(e) => updateShiftType(code, { color: e.target.value })}
+                className="w-8 h-8 rounded-lg bg-transparent border border-white/10 cursor-pointer"
+                aria-label={`${code} colour`}
+              />
+              <input
+                type="time"
+                value={shiftType.start || ''}
+                onChange={(e) => updateShiftType(code, { start: e.target.value || null })}
+                className={inputClass}
+                aria-label={`${code} start`}
+              />
+              <span className="text-white/30">→</span>
+              <input
+                type="time"
+                value={shiftType.end || ''}
+                onChange={(e) => updateShiftType(code, { end: e.target.value || null })}
+                className={inputClass}
+                aria-label={`${code} finish`}
+              />
+              <span className="text-white/40 text-xs">
+                {RailwayRoster.getShiftHours(shiftType) ? `${RailwayRoster.getShiftHours(shiftType)}h` : 'Rest day'}
+              </span>
+              {codes.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeShiftType(code)}
+                  className="ml-auto px-2 py-1 rounded-lg text-xs text-rose-300/80 hover:text-rose-200 hover:bg-rose-500/20 transition-all"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          );
+        })}
+        <div className="flex items-center gap-2">
+          <input
+            value={newCode}
+            onChange={(e) => setNewCode(e.target.value.slice(0, 3))}
+            onKeyDown={(e) => e.key === 'Enter' && addShiftType()}
+            placeholder="Code"
+            className={`${inputClass} w-20`}
+            aria-label="New shift code"
+          />
+          <button
+            type="button"
+            onClick={addShiftType}
+            className="px-3 py-1.5 rounded-lg text-sm text-cyan-300 hover:bg-cyan-500/20 transition-all"
+          >
+            + Add shift type
+          </button>
+        </div>
+      </div>
+      
+      {/* Roster lines */}
+      <div className="text-white/50 text-xs uppercase tracking-wider mb-2">Lines</div>
+      <div className="overflow-x-auto mb-2">
+        <table className="text-sm">
+          <thead>
+            <tr>
+              <th className="px-2 py-1 text-white/40 text-xs font-medium text-left">Line</th>
+              {dayNames.map(day => (
+                <th key={day} className="px-1 py-1 text-white/40 text-xs font-medium">{day}</th>
+              ))}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {roster.lines.map((line, lineIndex) => (
+              <tr key={lineIndex}>
+                <td className="px-2 py-1 text-white/60">{lineIndex + 1}</td>
+                {line.map((code, dayIndex) => (
+                  <td key={dayIndex} className="px-1 py-1">
+                    <select
+                      value={code}
+                      onChange={(e) => updateLineDay(lineIndex, dayIndex, e.target.value)}
+                      className="px-1.5 py-1 rounded-md text-sm font-bold text-ink border border-white/10 focus:outline-none"
+                      style={{ backgroundColor: roster.shiftTypes[code]?.color || '#94a3b8' }}
+                      aria-label={`Line ${lineIndex + 1} ${dayNames[dayIndex]}`}
+                    >
+                      {codes.map(c => <option key={c} value={c} className="bg-slate-900 text-white">{c}</option>)}
+                    </select>
+                  </td>
+                ))}
+                <td className="px-1 py-1">
+                  {roster.lines.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => removeLine(lineIndex)}
+                      className="px-2 py-1 rounded-lg text-xs text-rose-300/80 hover:text-rose-200 hover:bg-rose-500/20 transition-all"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <button
+        type="button"
+        onClick={() => update({ lines: [...roster.lines, Array(7).fill(codes[codes.length - 1])] })}
+        className="mb-4 px-3 py-1.5 rounded-lg text-sm text-cyan-300 hover:bg-cyan-500/20 transition-all"
+      >
+        + Add line
+      </button>
+      
+      {/* Swapped turns */}
+      <div className="text-white/50 text-xs uppercase tracking-wider mb-2">Swapped Turns</div>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <input
+          type="date"
+          value={swap.date}
+          onChange={(e) => setSwap(prev => ({ ...prev, date: e.target.value }))}
+          className={inputClass}
+          aria-label="Swap date"
+        />
+        <select
+          value={swap.code}
+          onChange={(e) => setSwap(prev => ({ ...prev, code: e.target.value }))}
+          className={inputClass}
+          aria-label="Swap shift"
+        >
+          <option value="" className="bg-slate-900">Work…</option>
+          {codes.map(c => <option key={c} value={c} className="bg-slate-900">{c} — {roster.shiftTypes[c].label}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={addSwap}
+          disabled={!swap.code}
+          className="px-3 py-1.5 rounded-lg text-sm text-cyan-300 hover:bg-cyan-500/20 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          + Add swap
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {swaps.map(([date, code]) => (
+          <span key={date} className="flex items-center gap-2 px-2 py-1 rounded-lg bg-black/20 border border-white/5 text-xs text-white/70">
+            {parseIsoDateString(date).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}
+            <span className="px-1.5 rounded font-bold text-ink" style={{ backgroundColor: roster.shiftTypes[code]?.color || '#94a3b8' }}>{code}</span>
+            <button type="button" onClick={() => removeSwap(date)} className="text-rose-300/80 hover:text-rose-200" aria-label="Remove swap">✕</button>
+          </span>
+        ))}
+      </div>
+      
+      {/* Period summary */}
+      {summary && (
+        <div className="p-3 rounded-xl bg-black/20 border border-white/5">
+          <div className="text-white/50 text-xs uppercase tracking-wider mb-2">
+            Period {period} summary • RY {railwayYear}/{(railwayYear + 1).toString().slice(-2)}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {codes.filter(code => summary.counts[code]).map(code => (
+              <span key={code} className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-white/5 text-white/80">
+                <span className="px-1.5 rounded font-bold text-ink text-xs" style={{ backgroundColor: roster.shiftTypes[code].color }}>{code}</span>
+                × {summary.counts[code]}
+              </span>
+            ))}
+            <span className="text-white/60">{summary.workingDays} turns • {summary.restDays} rest days • {summary.hours}h</span>
+            {summary.overrides > 0 && <span className="text-amber-300/80">{summary.overrides} swapped</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatLeaveAmount = (amount, unit) =>
+  `${Number.isInteger(amount) ? amount : amount.toFixed(1)} ${unit === 'hours' ? 'h' : amount === 1 ? 'day' : 'days'}`;
+
+// Entitlement and bookings for a railway year; days can also be booked by clicking the calendar
+const LeavePlanner = ({ leave, onChange, onClose, railwayYear, roster, profile, region, bookingMode, onBookingModeChange }) => {
+  const [range, setRange] = useState(() => ({ from: toIsoDateString(new Date()), to: toIsoDateString(new Date()) }));
+  const [message, setMessage] = useState(null);
+  
+  const balance = RailwayLeave.getLeaveBalance(leave, railwayYear, roster, profile, region);
+  
+  // Group bookings into runs broken only by rest days and bank holidays
+  const runs = balance.bookedDates.reduce((result, date) => {
+    const last = result[result.length - 1];
+    const dayAfterLast = last && new Date(last.end.getFullYear(), last.end.getMonth(), last.end.getDate() + 1);
+    const dayBefore = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+    if (last && (dayAfterLast > dayBefore || RailwayLeave.getBookableDates(dayAfterLast, dayBefore, leave, roster, profile, region).length === 0)) {
+      last.end = date;
+      last.dates.push(date);
+    } else {
+      result.push({ start: date, end: date, dates: [date] });
+    }
+    return result;
+  }, []);
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  const formatDay = (date) => date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+  
+  const setEntitlement = (value) => {
+    const entitlements = { ...leave.entitlements };
+    if (value === '') delete entitlements[railwayYear];
+    else entitlements[railwayYear] = Math.max(0, Number(value));
+    onChange({ ...leave, entitlements });
+  };
+  
+  const bookRange = () => {
+    const from = parseIsoDateString(range.from);
+    const to = parseIsoDateString(range.to);
+    if (!from || !to) return setMessage('Choose both dates');
+    const dates = RailwayLeave.getBookableDates(from, to, leave, roster, profile, region).filter(date => !leave.booked.includes(date));
+    setMessage(dates.length === 0
+      ? 'No working days to book in that range (rest days and bank holidays are skipped)'
+      : `Booked ${dates.length} working day${dates.length === 1 ? '' : 's'}`);
+    if (dates.length > 0) onChange({ ...leave, booked: [...leave.booked, ...dates] });
+  };
+  
+  const cancelDates = (dates) => {
+    const keys = new Set(dates.map(toIsoDateString));
+    onChange({ ...leave, booked: leave.booked.filter(date => !keys.has(date)) });
+  };
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Annual Leave • RY {railwayYear}/{(railwayYear + 1).toString().slice(-2)}</div>
+          <div className="text-white/50 text-xs">
+            Bank holidays and {roster ? 'rostered rest days' : 'weekends'} are never charged
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          Entitlement
+          <input
+            type="number"
+            min="0"
+            step={leave.unit === 'hours' ? '0.5' : '1'}
+            value={balance.entitlement ?? ''}
+            onChange={(e) => setEntitlement(e.target.value)}
+            placeholder="Not set"
+            className={`${inputClass} w-24`}
+          />
+        </label>
+        <select
+          value={leave.unit}
+          onChange={(e) => onChange({ ...leave, unit: e.target.value })}
+          className={inputClass}
+          aria-label="Leave unit"
+        >
+          {RailwayLeave.LEAVE_UNITS.map(unit => <option key={unit} value={unit} className="bg-slate-900">{unit}</option>)}
+        </select>
+        {leave.unit === 'hours' && (
+          <label className="flex items-center gap-2 text-white/50 text-xs">
+            {roster ? 'Hours per day (days off the roster)' : 'Hours per day'}
+            <input
+              type="number"
+              min="0"
+              step="0.25"
+              value={leave.hoursPerDay}
+              onChange={(e) => onChange({ ...leave, hoursPerDay: Math.max(0, Number(e.target.value)) })}
+              className={`${inputClass} w-20`}
+            />
+          </label>
+        )}
+        <div className="flex items-center gap-3 px-3 py-1.5 rounded-lg bg-black/20 text-sm">
+          <span className="text-teal-300">{formatLeaveAmount(balance.booked, balance.unit)} booked</span>
+          {balance.remaining !== null && (
+            <span className={balance.remaining < 0 ? 'text-rose-300' : 'text-white/70'}>
+              {formatLeaveAmount(balance.remaining, balance.unit)} remaining
+            </span>
+          )}
+        </div>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          From
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange(prev => ({ from: e.target.value, to: prev.to < e.target.value ? e.target.value : prev.to }))}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-white/50 text-xs">
+          To
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            className={inputClass}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={bookRange}
+          className="px-3 py-1.5 rounded-lg bg-teal-500/20 border border-teal-400/30 text-sm text-teal-200 hover:bg-teal-500/30 transition-all"
+        >
+          Book leave
+        </button>
+        <label className={`flex items-center gap-2 px-3 py-1.5 rounded-xl border text-sm cursor-pointer transition-all ${
+          bookingMode ? 'bg-teal-500/20 border-teal-400/30 text-teal-200' : 'bg-black/20 border-white/10 text-white/50'
+        }`}>
+          <input
+            type="checkbox"
+            checked={bookingMode}
+            onChange={(e) => onBookingModeChange(e.target.checked)}
+            className="accent-teal-400"
+          />
+          Book by clicking days
+        </label>
+      </div>
+      {bookingMode && (
+        <div className="mb-3 text-white/50 text-xs">
+          Click a day in the Week or Month view to book or cancel it; Shift-click to book every working day since the last click.
+        </div>
+      )}
+      {message && <div className="mb-3 text-white/60 text-xs">{message}</div>}
+      
+      <div className="flex flex-wrap gap-2">
+        {runs.length === 0 && <div className="text-white/40 text-sm">No leave booked this railway year.</div>}
+        {runs.map(run => (
+          <span key={run.start.getTime()} className="flex items-center gap-2 px-2 py-1 rounded-lg bg-teal-500/10 border border-teal-400/20 text-xs text-teal-100">
+            🌴 {formatDay(run.start)}{run.dates.length > 1 && ` — ${formatDay(run.end)}`}
+            <span className="text-teal-300/60">({run.dates.length})</span>
+            <button type="button" onClick={() => cancelDates(run.dates)} className="text-rose-300/80 hover:text-rose-200" aria-label="Cancel leave">✕</button>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const importColors = ['#38bdf8', '#4ade80', '#f472b6', '#facc15', '#fb923c', '#c084fc'];
+
+// Panel for overlaying personal .ics calendars (work rota, family diary) on the rail calendar
+const IcsImportPanel = ({ calendars, onChange, storageError, onClose }) => {
+  const [error, setError] = useState(null);
+  
+  const updateCalendar = (id, changes) => {
+    onChange(calendars.map(calendar => (calendar.id === id ? { ...calendar, ...changes } : calendar)));
+  };
+  
+  const importFiles = (files) => {
+    setError(null);
+    Promise.all(Array.from(files).map(file => file.text()
+      .then(text => ({ file, events: RailwayIcs.parseIcs(text) }))
+      .catch(err => ({ file, error: err.message }))
+    )).then(results => {
+      const failed = results.filter(result => result.error);
+      if (failed.length > 0) {
+        setError(failed.map(result => `${result.file.name}: ${result.error}`).join('\n'));
+      }
+      const added = results
+        .filter(result => !result.error)
+        .map((result, i) => ({
+          id: `calendar-${Date.now()}-${i}`,
+          name: result.file.name.replace(/\.ics$/i, ''),
+          color: importColors[(calendars.length + i) % importColors.length],
+          visible: true,
+          eventCount: result.events.length,
+          events: RailwayIcs.serializeIcsEvents(result.events)
+        }));
+      if (added.length > 0) onChange([...calendars, ...added]);
+    }).catch(err => setError(err.message));
+  };
+  
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Imported Calendars (.ics)</div>
+          <div className="text-white/50 text-xs">Shown alongside rail weeks; files stay in this browser and are never uploaded</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="space-y-2 mb-3">
+        {calendars.length === 0 && (
+          <div className="text-white/40 text-sm">No calendars imported yet.</div>
+        )}
+        {calendars.map(calendar => (
+          <div key={calendar.id} className="flex flex-wrap items-center gap-3 p-3 rounded-xl bg-black/20 border border-white/5">
+            <input
+              type="color"
+              value={calendar.color}
+              onChange={(e) => updateCalendar(calendar.id, { color: e.target.value })}
+              className="w-8 h-8 rounded-lg bg-transparent border border-white/10 cursor-pointer"
+              aria-label={`${calendar.name} colour`}
+            />
+            <input
+              value={calendar.name}
+              onChange={(e) => updateCalendar(calendar.id, { name: e.target.value })}
+              className={`${inputClass} flex-1 min-w-[140px]`}
+              aria-label="Calendar name"
+            />
+            <span className="text-white/40 text-xs">{calendar.eventCount} event{calendar.eventCount === 1 ? '' : 's'}</span>
+            <label className="flex items-center gap-2 text-white/60 text-xs cursor-pointer">
+              <input
+                type="checkbox"
+                checked={calendar.visible}
+                onChange={(e) => updateCalendar(calendar.id, { visible: e.target.checked })}
+                className="accent-cyan-400"
+              />
+              Show
+            </label>
+            <button
+              type="button"
+              onClick={() => onChange(calendars.filter(c => c.id !== calendar.id))}
+              className="px-2 py-1 rounded-lg text-xs text-rose-300/80 hover:text-rose-200 hover:bg-rose-500/20 transition-all"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+      
+      {error && (
+        <div className="mb-3 px-3 py-2 rounded-lg bg-rose-500/10 border border-rose-400/30 text-rose-300 text-xs whitespace-pre-line">{error}</div>
+      )}
+      {storageError && (
+        <div className="mb-3 px-3 py-2 rounded-lg bg-amber-500/10 border border-amber-400/30 text-amber-200 text-xs">
+          These calendars could not be saved: this browser's storage is full or turned off. They are shown until the
+          page is reloaded; remove one or import a smaller file to keep them.
+        </div>
+      )}
+      
+      <label className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-b from-cyan-500/30 to-violet-600/30 border border-cyan-400/40 text-sm font-medium text-white hover:from-cyan-500/40 hover:to-violet-600/40 transition-all cursor-pointer">
+        📥 Import .ics files
+        <input
+          type="file"
+          accept=".ics,text/calendar"
+          multiple
+          className="hidden"
+          onChange={(e) => { importFiles(e.target.files); e.target.value = ''; }}
+        />
+      </label>
+    </div>
+  );
+};
+
+// Bank holidays (and the festivals that come with them) for a year, cached per
+// table: dataInfo is the getBankHolidayDataInfo() object of the table in use,
+// replaced whenever a file is loaded or reverted, so memos keyed on it redraw
+const bankHolidayLookups = new WeakMap();
+const getHolidaysFor = (dataInfo, year, regionId) => {
+  if (!bankHolidayLookups.has(dataInfo)) bankHolidayLookups.set(dataInfo, new Map());
+  const lookup = bankHolidayLookups.get(dataInfo);
+  const key = `${year}:${regionId}`;
+  if (!lookup.has(key)) lookup.set(key, RailwayDateAPI.getUKBankHolidays(year, regionId));
+  return lookup.get(key);
+};
+
+// Panel for swapping in an updated gov.uk bank-holidays.json (new one-off days are announced each year)
+const BankHolidayDataPanel = ({ data, info, onChange, onClose }) => {
+  const [error, setError] = useState(null);
+  
+  const loadFile = (file) => {
+    setError(null);
+    // Only checked here: the calendar's effect loads the stored data
+    file.text().then(text => {
+      const parsed = JSON.parse(text);
+      RailwayDateAPI.validateBankHolidayData(parsed);
+      onChange(parsed);
+    }).catch(err => setError(`${file.name}: ${err.message}`));
+  };
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Bank Holiday Data</div>
+          <div className="text-white/50 text-xs">Official dates override the built-in rules, including one-off and moved bank holidays</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-3 mb-3 p-3 rounded-xl bg-black/20 border border-white/5 text-sm">
+        <span className="text-white">
+          {info.source === 'loaded' ? 'Loaded file' : 'Bundled data'}
+        </span>
+        <span className="text-white/50">
+          {info.fromYear === null
+            ? 'no years covered'
+            : `${info.eventCount} dates covering ${info.fromYear}–${info.toYear}; other years use the rules`}
+        </span>
+      </div>
+      
+      {error && (
+        <div className="mb-3 px-3 py-2 rounded-lg bg-rose-500/10 border border-rose-400/30 text-rose-300 text-xs whitespace-pre-line">{error}</div>
+      )}
+      
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-b from-cyan-500/30 to-violet-600/30 border border-cyan-400/40 text-sm font-medium text-white hover:from-cyan-500/40 hover:to-violet-600/40 transition-all cursor-pointer">
+          🏛️ Load bank-holidays.json
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => { if (e.target.files[0]) loadFile(e.target.files[0]); e.target.value = ''; }}
+          />
+        </label>
+        {data && (
+          <button
+            type="button"
+            onClick={() => { setError(null); onChange(null); }}
+            className="px-3 py-2 rounded-xl text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+          >
+            Revert to bundled
+          </button>
+        )}
+        <a
+          href="https://www.gov.uk/bank-holidays.json"
+          target="_blank"
+          rel="noreferrer"
+          className="text-xs text-cyan-300/80 hover:text-cyan-200"
+        >
+          Latest file from gov.uk
+        </a>
+      </div>
+    </div>
+  );
+};
+
+// A typed coordinate as a number, or null unless it lies within ±limit degrees
+const parseCoordinate = (text, limit) => {
+  const value = Number(text);
+  return text.trim() !== '' && Math.abs(value) <= limit ? value : null;
+};
+
+// Station/depot picker with custom coordinates, for daylight and moon times
+const LocationPicker = ({ location, onChange }) => {
+  const isCustom = typeof location === 'object' && location !== null;
+  const customLatitude = isCustom ? location.latitude : null;
+  const customLongitude = isCustom ? location.longitude : null;
+  const [draft, setDraft] = useState(() => (isCustom
+    ? { latitude: String(customLatitude), longitude: String(customLongitude) }
+    : { latitude: '', longitude: '' }));
+  
+  // Keep the inputs in step with `location`; a draft that already reads as
+  // the same coordinates is left alone so a half-typed "51." keeps its dot
+  useEffect(() => {
+    if (customLatitude === null) return;
+    setDraft(current => (
+      parseCoordinate(current.latitude, 90) === customLatitude && parseCoordinate(current.longitude, 180) === customLongitude
+        ? current
+        : { latitude: String(customLatitude), longitude: String(customLongitude) }
+    ));
+  }, [customLatitude, customLongitude]);
+  
+  const chooseLocation = (id) => {
+    if (id !== 'custom') {
+      onChange(id);
+      return;
+    }
+    // Start custom coordinates from the current place
+    const current = RailwayDateAPI.getLocation(location);
+    onChange({ name: 'Custom location', latitude: current.latitude, longitude: current.longitude });
+  };
+  
+  const updateDraft = (field, value) => {
+    const next = { ...draft, [field]: value };
+    setDraft(next);
+    const latitude = parseCoordinate(next.latitude, 90);
+    const longitude = parseCoordinate(next.longitude, 180);
+    if (latitude !== null && longitude !== null) onChange({ name: 'Custom location', latitude, longitude });
+  };
+  
+  const locations = RailwayDateAPI.getLocations();
+  const coordinateClass = (invalid) => `w-20 px-2 py-0.5 rounded-md bg-black/30 border text-xs text-white focus:outline-none ${
+    invalid ? 'border-rose-400/60' : 'border-white/10 focus:border-cyan-400/50'
+  }`;
+  const latitudeInvalid = isCustom && parseCoordinate(draft.latitude, 90) === null;
+  const longitudeInvalid = isCustom && parseCoordinate(draft.longitude, 180) === null;
+  
+  return (
+    <div className="flex items-center gap-3 px-4 py-2 rounded-xl bg-black/20 border border-white/5">
+      <span className="text-base">📍</span>
+      <div>
+        <div className="text-white/40 text-xs uppercase tracking-wider">Location</div>
+        <select
+          value={isCustom ? 'custom' : location}
+          onChange={(e) => chooseLocation(e.target.value)}
+          className="bg-transparent text-sm font-semibold text-white focus:outline-none cursor-pointer"
+          aria-label="Location for daylight and moon times"
+        >
+          {[['station', 'Stations'], ['depot', 'Depots']].map(([kind, label]) => (
+            <optgroup key={kind} label={label} className="bg-slate-900">
+              {locations.filter(l => l.kind === kind).map(l => (
+                <option key={l.id} value={l.id} className="bg-slate-900">{l.name}</option>
+              ))}
+            </optgroup>
+          ))}
+          <option value="custom" className="bg-slate-900">Custom coordinates…</option>
+        </select>
+        {isCustom && (
+          <div className="flex items-center gap-1.5 mt-1">
+            <input
+              value={draft.latitude}
+              onChange={(e) => updateDraft('latitude', e.target.value)}
+              inputMode="decimal"
+              placeholder="Lat"
+              className={coordinateClass(latitudeInvalid)}
+              aria-label="Latitude (degrees north)"
+              aria-invalid={latitudeInvalid}
+            />
+            <input
+              value={draft.longitude}
+              onChange={(e) => updateDraft('longitude', e.target.value)}
+              inputMode="decimal"
+              placeholder="Long"
+              className={coordinateClass(longitudeInvalid)}
+              aria-label="Longitude (degrees east, west negative)"
+              aria-invalid={longitudeInvalid}
+            />
+          </div>
+        )}
+        {(latitudeInvalid || longitudeInvalid) && (
+          <div className="mt-1 text-rose-300 text-xs">
+            {[latitudeInvalid && 'Latitude must be −90…90', longitudeInvalid && 'Longitude must be −180…180'].filter(Boolean).join(' · ')}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const CONVERTER_EXAMPLES = ['2526 P07W3 Thu', 'W27 D6 2025/26', 'RY25 wk 27', 'P13 25/26', '14/02/2026'];
+
+// Two-way converter between Gregorian dates and railway notation (see lib/notation.mjs)
+const DateConverterPanel = ({ profile, onShow, onClose }) => {
+  const [text, setText] = useState('');
+  const inputClass = 'px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  
+  let result = null;
+  let error = null;
+  if (text.trim()) {
+    try {
+      result = RailwayNotation.parseRailwayInput(text, profile);
+    } catch (e) {
+      error = e.message;
+    }
+  }
+  
+  const longDate = (date) => date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  const shortDate = (date) => date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+  
+  const describe = () => {
+    const { railwayYear, period, weekInPeriod, railWeek, dayOfRailWeek, startDate, endDate } = result;
+    const periodCode = `P${String(period).padStart(2, '0')}`;
+    const yearDisplay = `RY ${railwayYear}/${String(railwayYear + 1).slice(-2)}`;
+    if (railWeek === null) {
+      const { startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
+      return {
+        gregorian: `${shortDate(startDate)} – ${shortDate(endDate)}`,
+        railway: `${yearDisplay} ${periodCode}`,
+        detail: `Period ${period}: rail weeks ${startWeek}–${endWeek}`
+      };
+    }
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    if (dayOfRailWeek === null) {
+      return {
+        gregorian: `${shortDate(startDate)} – ${shortDate(endDate)}`,
+        railway: `${yearDisplay} ${periodCode} W${weekInPeriod}`,
+        detail: `Rail week ${railWeek} of ${totalWeeks}`
+      };
+    }
+    return {
+      gregorian: longDate(startDate),
+      railway: RailwayNotation.formatRailwayNotation(startDate, profile),
+      detail: `Rail week ${railWeek} of ${totalWeeks}, day ${dayOfRailWeek} of 7`
+    };
+  };
+  const answer = result && describe();
+  // The typed form first, then its conversion
+  const sides = answer
+    ? [{ label: '📅 Date', value: answer.gregorian }, { label: '🚆 Railway', value: answer.railway }]
+    : [];
+  if (result && result.kind === 'railway') sides.reverse();
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Date Converter</div>
+          <div className="text-white/50 text-xs">Type a date or a railway week to see it the other way round</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="2526 P07W3 Thu or 02/10/2025"
+        autoFocus
+        spellCheck={false}
+        className={`${inputClass} w-full`}
+        aria-label="Date or railway week"
+        aria-invalid={Boolean(error)}
+        aria-describedby="date-converter-result"
+      />
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+        <span className="text-white/40">Try</span>
+        {CONVERTER_EXAMPLES.map(example => (
+          <button
+            key={example}
+            type="button"
+            onClick={() => setText(example)}
+            className="px-2 py-0.5 rounded-md bg-black/30 border border-white/10 font-mono text-white/60 hover:text-white hover:bg-white/10 transition-all"
+          >
+            {example}
+          </button>
+        ))}
+      </div>
+      
+      <div id="date-converter-result" aria-live="polite" className="mt-3">
+        {error && <div className="text-rose-300 text-sm">{error}</div>}
+        {answer && (
+          <div className="flex flex-wrap items-center gap-4 p-3 rounded-xl bg-black/20 border border-white/5">
+            {sides.map((side, i) => (
+              <Fragment key={side.label}>
+                {i === 1 && <div className="text-white/30">⇄</div>}
+                <div>
+                  <div className="text-white/40 text-[10px] uppercase tracking-wider">{side.label}</div>
+                  <div className={i === 1 ? 'text-white text-lg font-semibold' : 'text-white/60 text-sm'}>{side.value}</div>
+                </div>
+              </Fragment>
+            ))}
+            <div className="text-white/50 text-xs">{answer.detail}</div>
+            <button
+              type="button"
+              onClick={() => onShow(result.startDate, result.dayOfRailWeek !== null)}
+              className="ml-auto px-3 py-1.5 rounded-lg bg-cyan-500/20 border border-cyan-400/30 text-sm text-cyan-200 hover:bg-cyan-500/30 transition-all"
+            >
+              Show in calendar
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Settings for flagging shifts that start or finish in the dark
+const DarknessCheckPanel = ({ settings, onChange, onClose, hasRoster, locationName }) => {
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const useRoster = settings.useRoster && hasRoster;
+  
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-white font-semibold">Darkness Check</div>
+          <div className="text-white/50 text-xs">Highlight days when a shift starts or finishes in the dark at {locationName}</div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+        >
+          Done
+        </button>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-4 p-3 rounded-xl bg-black/20 border border-white/5 text-sm">
+        <label className="flex items-center gap-2 text-white cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="accent-cyan-400"
+          />
+          🔦 Highlight dark starts and finishes
+        </label>
+        <label className="flex items-center gap-2 text-white/60">
+          Dark means outside
+          <select
+            value={settings.twilight}
+            onChange={(e) => update({ twilight: e.target.value })}
+            className={inputClass}
+          >
+            {RailwayDateAPI.getTwilights().map(t => (
+              <option key={t.id} value={t.id} className="bg-slate-900">{t.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      <div className="flex flex-wrap items-center gap-4 mt-3 p-3 rounded-xl bg-black/20 border border-white/5 text-sm">
+        <label className={`flex items-center gap-2 ${hasRoster ? 'text-white cursor-pointer' : 'text-white/30'}`}>
+          <input
+            type="checkbox"
+            checked={useRoster}
+            disabled={!hasRoster}
+            onChange={(e) => update({ useRoster: e.target.checked })}
+            className="accent-cyan-400"
+          />
+          Use rostered shift times{hasRoster ? '' : ' (no roster set up)'}
+        </label>
+        {!useRoster && (
+          <div className="flex items-center gap-2 text-white/60">
+            Every day
+            <input
+              type="time"
+              value={settings.start}
+              onChange={(e) => e.target.value && update({ start: e.target.value })}
+              className={inputClass}
+              aria-label="Shift start"
+            />
+            <span className="text-white/30">→</span>
+            <input
+              type="time"
+              value={settings.end}
+              onChange={(e) => e.target.value && update({ end: e.target.value })}
+              className={inputClass}
+              aria-label="Shift finish"
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Centred dialog over a dimmed page; a click outside closes it (Escape is a
+// global shortcut). Focus moves into the dialog and back to its opener after.
+const ModalDialog = ({ title, onClose, children }) => {
+  const dialogRef = useRef(null);
+  const [opener] = useState(() => document.activeElement);
+  
+  useEffect(() => {
+    if (!dialogRef.current.contains(document.activeElement)) dialogRef.current.focus();
+    return () => {
+      if (opener && opener.isConnected && opener.focus) opener.focus();
+    };
+  }, [opener]);
+  
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        tabIndex={-1}
+        className="w-full max-w-md p-5 rounded-2xl bg-slate-900/95 border border-white/10 shadow-2xl focus:outline-none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="text-white font-semibold">{title}</div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:text-white hover:bg-white/10 transition-all"
+          >
+            Close
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// "Go to rail week" prompt opened with G
+const GoToWeekDialog = ({ railwayYear, profile, onGo, onClose }) => {
+  const [week, setWeek] = useState('');
+  const [year, setYear] = useState(String(railwayYear));
+  const inputClass = 'px-2 py-1.5 rounded-lg bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+  
+  const yearNumber = Number(year);
+  const validYear = /^\d{4}$/.test(year.trim());
+  const totalWeeks = validYear ? RailwayDateAPI.getTotalWeeks(yearNumber, profile) : null;
+  const weekNumber = Number(week);
+  const error = !validYear
+    ? 'Enter a railway year such as 2026'
+    : week.trim() !== '' && (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > totalWeeks)
+      ? `RY ${yearNumber}/${String(yearNumber + 1).slice(-2)} has weeks 1–${totalWeeks}`
+      : null;
+  const canGo = !error && week.trim() !== '';
+  
+  const submit = (e) => {
+    e.preventDefault();
+    if (canGo) onGo(yearNumber, weekNumber);
+  };
+  
+  return (
+    <ModalDialog title="Go to Rail Week" onClose={onClose}>
+      <form onSubmit={submit}>
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+          <label className="flex items-center gap-2 text-white/60 text-sm">
+            Week
+            <input
+              value={week}
+              onChange={(e) => setWeek(e.target.value)}
+              inputMode="numeric"
+              autoFocus
+              className={`${inputClass} w-16`}
+              aria-label="Rail week"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-white/60 text-sm">
+            Railway year
+            <input
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              inputMode="numeric"
+              className={`${inputClass} w-20`}
+              aria-label="Railway year"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={!canGo}
+            className="px-4 py-1.5 rounded-xl bg-gradient-to-b from-cyan-500/30 to-violet-600/30 border border-cyan-400/40 text-sm font-medium text-white disabled:opacity-40 transition-all"
+          >
+            Go
+          </button>
+        </div>
+        {error && <div className="text-rose-300 text-xs">{error}</div>}
+      </form>
+    </ModalDialog>
+  );
+};
+
+// Keyboard shortcuts overlay opened with ? or the ⌨️ button
+const ShortcutsHelp = ({ onClose }) => (
+  <ModalDialog title="Keyboard Shortcuts" onClose={onClose}>
+    <div className="flex flex-col gap-2">
+      {SHORTCUTS.map(shortcut => (
+        <div key={shortcut.description} className="flex items-center justify-between gap-4 text-sm">
+          <span className="text-white/70">{shortcut.description}</span>
+          <span className="flex gap-1 shrink-0">
+            {shortcut.keys.map(key => (
+              <kbd key={key} className="min-w-[1.75rem] px-1.5 py-0.5 rounded-md bg-black/40 border border-white/20 text-center text-xs text-white font-mono">{key}</kbd>
+            ))}
+          </span>
+        </div>
+      ))}
+    </div>
+  </ModalDialog>
+);
+
+// Draw an exported SVG on a canvas at `scale` times its size, then encode it
+// as `type`; resolves to { blob, width, height } in pixels
+const rasteriseSvg = ({ svg, width, height }, type, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob
+      ? resolve({ blob, width: canvas.width, height: canvas.height })
+      : reject(new Error('The browser could not encode the image'))), type, 0.92);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The browser could not draw the image'));
+  };
+  image.src = url;
+});
+
+const imageExportOverlayLabels = {
+  paydays: '💰 Paydays',
+  holidays: '🏛️ Holidays & events',
+  moon: '🌙 Moon phases'
+};
+
+const imageExportFormatLabels = { svg: 'SVG', png: 'PNG', pdf: 'PDF' };
+
+// Year or Month view as an SVG, PNG or PDF download, opened from the view.
+// render(overlays) returns a lib/view-export.mjs drawing.
+const ImageExportDialog = ({ title, fileName, render, onClose }) => {
+  const [format, setFormat] = useState('png');
+  const [overlays, setOverlays] = useState(() =>
+    Object.fromEntries(RailwayViewExport.EXPORT_OVERLAYS.map(overlay => [overlay, true]))
+  );
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Redrawn when the overlays or the view behind the dialog change
+  const image = useMemo(() => render(overlays), [render, overlays]);
+  const preview = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(image.svg)}`;
+
+  const download = () => {
+    setError(null);
+    if (format === 'svg') {
+      downloadBlob(new Blob([image.svg], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+      return;
+    }
+    setBusy(true);
+    rasteriseSvg(image, format === 'png' ? 'image/png' : 'image/jpeg')
+      .then(({ blob, width, height }) => {
+        if (format === 'png') return downloadBlob(blob, `${fileName}.png`);
+        return blob.arrayBuffer().then(jpeg => {
+          const pdf = RailwayViewExport.buildImagePdf(new Uint8Array(jpeg), width, height, { title: image.title });
+          downloadBlob(new Blob([pdf], { type: 'application/pdf' }), `${fileName}.pdf`);
+        });
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <ModalDialog title={title} onClose={onClose}>
+      <img src={preview} alt={`Preview of ${image.title}`} className="w-full rounded-lg border border-white/10 bg-white mb-4" />
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {RailwayViewExport.EXPORT_OVERLAYS.map(overlay => (
+          <label
+            key={overlay}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-xl border text-sm cursor-pointer transition-all ${
+              overlays[overlay]
+                ? 'bg-cyan-500/20 border-cyan-400/30 text-cyan-200'
+                : 'bg-black/20 border-white/10 text-white/40'
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={overlays[overlay]}
+              onChange={(e) => setOverlays(prev => ({ ...prev, [overlay]: e.target.checked }))}
+              className="accent-cyan-400"
+            />
+            {imageExportOverlayLabels[overlay]}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 mb-4" role="radiogroup" aria-label="Format">
+        {RailwayViewExport.EXPORT_FORMATS.map(option => (
+          <button
+            key={option}
+            type="button"
+            role="radio"
+            aria-checked={format === option}
+            onClick={() => setFormat(option)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition-all ${
+              format === option
+                ? 'bg-amber-500/20 border-amber-400/40 text-amber-200'
+                : 'bg-black/20 border-white/10 text-white/50 hover:text-white'
+            }`}
+          >
+            {imageExportFormatLabels[option]}
+          </button>
+        ))}
+        <span className="text-white/40 text-xs">
+          {format === 'svg' ? 'Scalable, for documents and slides' : format === 'png' ? 'Image at twice screen size' : 'One A4 page'}
+        </span>
+      </div>
+
+      {error && <div className="mb-3 text-rose-300 text-sm">{error}</div>}
+
+      <button
+        type="button"
+        onClick={download}
+        disabled={busy}
+        className="px-4 py-2 rounded-xl bg-gradient-to-b from-cyan-500/30 to-violet-600/30 border border-cyan-400/40 text-sm font-medium text-white hover:from-cyan-500/40 hover:to-violet-600/40 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+      >
+        {busy ? 'Preparing…' : `📥 Download .${format}`}
+      </button>
+    </ModalDialog>
+  );
+};
+
+// Opens the image export for the Year and Month views
+const ExportImageButton = ({ onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 border border-white/10 text-sm text-white/70 hover:text-white hover:bg-white/20 transition-all"
+    title="Download this view as SVG, PNG or PDF"
+  >
+    <span>🖼️</span>
+    <span className="font-medium">Export image</span>
+  </button>
+);
+
+// Landscape sheet sizes in mm; period sheets use A4 portrait
+const PRINT_PAPERS = {
+  A3: { width: 420, height: 297 },
+  A4: { width: 297, height: 210 }
+};
+
+// Print mode: a railway year wall planner or a period sheet in plain black on
+// white, styled by the .print-* rules in index.html rather than the app theme.
+// layout is { kind: 'year' | 'period', paper: 'A3' | 'A4', railwayYear, period }.
+const PrintLayout = ({ layout, onChange, onClose, profile, regionId, paydaySchedules, customEvents, roster, leave, bankHolidayDataInfo }) => {
+  const { kind, railwayYear } = layout;
+  const periodCount = RailwayDateAPI.getPeriodCount(railwayYear, profile);
+  const period = Math.min(layout.period, periodCount);
+  const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+  const dayNames = RailwayDateAPI.getRailWeekDayNames(profile);
+  const yearStart = RailwayDateAPI.railwayToDateRange(railwayYear, 1, profile).startDate;
+  const yearEnd = RailwayDateAPI.railwayToDateRange(railwayYear, totalWeeks, profile).endDate;
+  const yearDisplay = RailwayDateAPI.dateToRailway(yearStart, profile).railwayYearDisplay;
+  const firstCalendarYear = yearStart.getFullYear();
+  const lastCalendarYear = yearEnd.getFullYear();
+
+  const shortDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  const weekdayDate = (date) => date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+
+  // Every day of the railway year with what the sheets mark on it, by period and week
+  const periods = useMemo(() => {
+    const holidays = [];
+    for (let year = firstCalendarYear; year <= lastCalendarYear; year++) {
+      holidays.push(...getHolidaysFor(bankHolidayDataInfo, year, regionId), ...expandCustomEvents(customEvents, year));
+    }
+    const bookedLeave = new Set(leave.booked);
+    const describeDay = (date) => {
+      const dayHolidays = holidays.filter(h => h.date.toDateString() === date.toDateString());
+      return {
+        date,
+        bankHolidays: dayHolidays.filter(h => h.type === 'bank'),
+        events: dayHolidays.filter(h => h.type !== 'bank'),
+        paydays: RailwayDateAPI.getPaydays(date, paydaySchedules, regionId),
+        shift: roster ? RailwayRoster.getShift(date, roster, profile) : null,
+        isLeave: bookedLeave.has(toIsoDateString(date)),
+        isWeekend: date.getDay() === 0 || date.getDay() === 6
+      };
+    };
+    return Array.from({ length: periodCount }, (_, i) => {
+      const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, i + 1, profile);
+      const weeks = Array.from({ length: endWeek - startWeek + 1 }, (_, w) => {
+        const weekStart = RailwayDateAPI.railwayToDateRange(railwayYear, startWeek + w, profile).startDate;
+        const days = Array.from({ length: 7 }, (_, d) =>
+          describeDay(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + d)));
+        return { week: startWeek + w, days };
+      });
+      return { period: i + 1, startDate, endDate, weeks };
+    });
+  }, [railwayYear, periodCount, firstCalendarYear, lastCalendarYear, profile, regionId, paydaySchedules, customEvents, roster, leave, bankHolidayDataInfo]);
+
+  const maxWeeks = Math.max(...periods.map(p => p.weeks.length));
+  const yearBankHolidays = periods.flatMap(p => p.weeks.flatMap(w => w.days.flatMap(day =>
+    day.bankHolidays.map(h => `${weekdayDate(day.date)} ${h.name}${h.isSubstitute ? ' (substitute day)' : ''}`))));
+  const paydayNames = paydaySchedules.map(schedule => schedule.name).join(', ');
+
+  const paper = kind === 'year' ? PRINT_PAPERS[layout.paper] : { width: PRINT_PAPERS.A4.height, height: PRINT_PAPERS.A4.width };
+  const pageSize = kind === 'year' ? `${layout.paper} landscape` : 'A4 portrait';
+  // Share what's left of the page after the margins, title and key between the periods
+  const plannerRowHeight = (paper.height - 16 - 38) / periods.length;
+
+  const dayMarks = (day) => (
+    <>
+      {day.bankHolidays.length > 0 && <span className="print-mark print-mark-bank">BH</span>}
+      {day.paydays.length > 0 && <span className="print-mark print-mark-payday">£</span>}
+    </>
+  );
+
+  const dayClasses = (day) => [
+    day.isWeekend && 'print-weekend',
+    day.paydays.length > 0 && 'print-payday',
+    day.bankHolidays.length > 0 && 'print-bank-holiday'
+  ].filter(Boolean).join(' ');
+
+  const yearPlanner = () => (
+    <div className={`print-sheet paper-${layout.paper}`} style={{ width: `${paper.width}mm`, minHeight: `${paper.height}mm` }}>
+      <div className="print-title">
+        <h1>Railway Year {yearDisplay}</h1>
+        <div className="print-muted">
+          {weekdayDate(yearStart)} {yearStart.getFullYear()} – {weekdayDate(yearEnd)} {yearEnd.getFullYear()} • {profile.name} • {totalWeeks} weeks
+        </div>
+      </div>
+      <table>
+        <colgroup>
+          <col style={{ width: '7%' }} />
+          {Array.from({ length: maxWeeks }, (_, i) => (
+            <Fragment key={i}>
+              <col style={{ width: '2.4%' }} />
+              {dayNames.map(name => <col key={name} />)}
+            </Fragment>
+          ))}
+        </colgroup>
+        <thead>
+          <tr>
+            <th>Period</th>
+            {Array.from({ length: maxWeeks }, (_, i) => (
+              <Fragment key={i}>
+                <th className="print-week-number">Wk</th>
+                {dayNames.map(name => <th key={name}>{name.slice(0, 2)}</th>)}
+              </Fragment>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {periods.map(p => (
+            <tr key={p.period} style={{ height: `${plannerRowHeight}mm` }}>
+              <th className="print-period-head">
+                <div className="print-period-number">P{p.period}</div>
+                <div className="print-muted">{shortDate(p.startDate)} – {shortDate(p.endDate)}</div>
+              </th>
+              {Array.from({ length: maxWeeks }, (_, i) => {
+                const week = p.weeks[i];
+                if (!week) return <td key={`empty-${i}`} colSpan={8} className="print-empty"></td>;
+                return (
+                  <Fragment key={week.week}>
+                    <td className="print-week-number">{week.week}</td>
+                    {week.days.map(day => (
+                      <td key={day.date.getTime()} className={dayClasses(day)}>
+                        <div className={day.date.getDate() === 1 ? 'print-month-start' : ''}>
+                          {day.date.getDate() === 1 ? shortDate(day.date) : day.date.getDate()}
+                        </div>
+                        <div>{dayMarks(day)}</div>
+                      </td>
+                    ))}
+                  </Fragment>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="print-key">
+        <span className="print-mark print-mark-bank">BH</span>Bank holidays: {yearBankHolidays.join(' • ') || 'none'}
+        <br />
+        <span className="print-mark print-mark-payday">£</span>Paydays: {paydayNames || 'none set'}
+      </div>
+    </div>
+  );
+
+  const periodSheet = () => {
+    const sheet = periods[period - 1];
+    return (
+      <div className="print-sheet period-sheet" style={{ width: `${paper.width}mm`, minHeight: `${paper.height}mm` }}>
+        <div className="print-title">
+          <h1>Period {sheet.period} • RY {yearDisplay}</h1>
+          <div className="print-muted">
+            {weekdayDate(sheet.startDate)} – {weekdayDate(sheet.endDate)} {sheet.endDate.getFullYear()} •
+            Weeks {sheet.weeks[0].week}–{sheet.weeks[sheet.weeks.length - 1].week} • {profile.name}
+          </div>
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th style={{ width: '7%' }}>Week</th>
+              <th style={{ width: '16%' }}>Date</th>
+              <th>Holidays &amp; events</th>
+              <th style={{ width: '16%' }}>Payday</th>
+              {roster && <th style={{ width: '10%' }}>Shift</th>}
+              <th className="print-notes">Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sheet.weeks.flatMap(week => week.days.map((day, i) => (
+              <tr key={day.date.getTime()} className={i === 0 ? 'print-week-start' : ''} style={{ height: `${(paper.height - 16 - 30) / (sheet.weeks.length * 7)}mm` }}>
+                {i === 0 && <td rowSpan={7} className="print-week-number">{week.week}</td>}
+                <td className={dayClasses(day)}>
+                  <span className={day.date.getDate() === 1 ? 'print-month-start' : ''}>{weekdayDate(day.date)}</span>
+                </td>
+                <td>
+                  {[
+                    ...day.bankHolidays.map(h => `${h.name}${h.isSubstitute ? ' (substitute day)' : ''}`),
+                    ...day.events.map(h => h.name),
+                    ...(day.isLeave ? ['Annual leave'] : [])
+                  ].join(' • ')}
+                </td>
+                <td>{day.paydays.map(p => p.name).join(', ')}</td>
+                {roster && <td>{day.shift ? `${day.shift.code}${day.shift.isRest ? '' : ` ${day.shift.start}–${day.shift.end}`}` : ''}</td>}
+                <td></td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+        <div className="print-key">
+          <span className="print-mark print-mark-bank">■</span>Bank holiday
+          <span className="print-mark print-mark-payday" style={{ marginLeft: '4mm' }}>■</span>Payday
+        </div>
+      </div>
+    );
+  };
+
+  const update = (changes) => onChange({ ...layout, ...changes });
+  const selectClass = 'px-3 py-2 rounded-xl bg-black/30 border border-white/10 text-sm text-white focus:outline-none focus:border-cyan-400/50';
+
+  return (
+    <div>
+      <style>{`@page { size: ${pageSize}; margin: 8mm; }`}</style>
+      <div className="print-toolbar sticky top-0 z-10 flex flex-wrap items-center gap-3 px-4 py-3 bg-slate-950 border-b border-white/10 text-white">
+        <span className="text-lg">🖨️</span>
+        <select value={kind} onChange={(e) => update({ kind: e.target.value })} className={selectClass} aria-label="Layout">
+          <option value="year" className="bg-slate-900">Year wall planner</option>
+          <option value="period" className="bg-slate-900">Period sheet (A4)</option>
+        </select>
+        {kind === 'year' ? (
+          <select value={layout.paper} onChange={(e) => update({ paper: e.target.value })} className={selectClass} aria-label="Paper size">
+            {Object.keys(PRINT_PAPERS).map(size => (
+              <option key={size} value={size} className="bg-slate-900">{size} landscape</option>
+            ))}
+          </select>
+        ) : (
+          <select value={period} onChange={(e) => update({ period: Number(e.target.value) })} className={selectClass} aria-label="Period">
+            {periods.map(p => (
+              <option key={p.period} value={p.period} className="bg-slate-900">Period {p.period}</option>
+            ))}
+          </select>
+        )}
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => update({ railwayYear: railwayYear - 1 })}
+            className="p-2 rounded-lg hover:bg-white/10 text-white/60 hover:text-white"
+            aria-label="Previous railway year"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <span className="text-sm font-semibold">RY {yearDisplay}</span>
+          <button
+            type="button"
+            onClick={() => update({ railwayYear: railwayYear + 1 })}
+            className="p-2 rounded-lg hover:bg-white/10 text-white/60 hover:text-white"
+            aria-label="Next railway year"
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+        <div className="flex-1"></div>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          autoFocus
+          className="px-4 py-2 rounded-xl bg-cyan-500/20 border border-cyan-400/40 text-cyan-200 hover:bg-cyan-500/30 text-sm font-semibold"
+        >
+          Print
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-white/70 hover:text-white hover:bg-white/10 text-sm"
+        >
+          Back to calendar
+        </button>
+      </div>
+      <div className="print-preview">
+        {kind === 'year' ? yearPlanner() : periodSheet()}
+      </div>
+    </div>
+  );
 };
 
-// ============================================================================
-// UI COMPONENTS
-// ============================================================================
+// Indicator for 53-week railway years
+const LongYearBadge = ({ profile, onShowTooltip, onHideTooltip }) => (
+  <span
+    className="px-2 py-0.5 rounded-full text-xs font-semibold bg-violet-500/20 text-violet-200 border border-violet-400/40 cursor-default"
+    onMouseEnter={(e) => onShowTooltip(e, profile.longYearPolicy === 'extraPeriod'
+      ? `53-week year: week 53 forms Period ${profile.periodCount + 1}`
+      : `53-week year: Period ${profile.periodCount} has ${profile.weeksPerPeriod + 1} weeks`)}
+    onMouseLeave={onHideTooltip}
+  >
+    Long year
+  </span>
+);
 
 const RailwayCalendar = () => {
   const normalizeDate = (value) => {
@@ -730,41 +2511,120 @@ const RailwayCalendar = () => {
     return d;
   };
 
-  const [viewMode, setViewMode] = useState('month');
-  const [currentDate, setCurrentDate] = useState(new Date());
+  // A shared link (see URL STATE) opens on the view it describes
+  const [urlState] = useState(() => parseUrlState(window.location.search));
+  const [viewMode, setViewMode] = useState(urlState.viewMode || 'month');
+  const [currentDate, setCurrentDate] = useState(urlState.currentDate || new Date());
   const [animating, setAnimating] = useState(false);
   const [tooltip, setTooltip] = useState({ visible: false, content: '', x: 0, y: 0 });
-  const [selectedDate, setSelectedDate] = useState(() => normalizeDate(new Date()));
+  const [selectedDate, setSelectedDate] = useState(() => urlState.selectedDate || normalizeDate(new Date()));
+  const [profileId, setProfileId] = useState(() => urlState.profileId || RailwayDateAPI.getProfile().id);
+  const [regionId, setRegionId] = usePersistentState('railwayCalendar.region', RailwayDateAPI.getRegion().id);
+  const [paydaySchedules, setPaydaySchedules] = usePersistentState('railwayCalendar.paydaySchedules', RailwayDateAPI.getDefaultPaydaySchedules());
+  const [roster, setRoster] = usePersistentState('railwayCalendar.roster', null);
+  const [leave, setLeave] = usePersistentState('railwayCalendar.leave', RailwayLeave.DEFAULT_LEAVE);
+  const [leaveBookingMode, setLeaveBookingMode] = useState(false);
+  const [lastLeaveClick, setLastLeaveClick] = useState(null);
+  const [customEvents, setCustomEvents] = usePersistentState('railwayCalendar.customEvents', []);
+  const [importedCalendars, setImportedCalendars, importedCalendarsStorageError] = usePersistentState('railwayCalendar.importedCalendars', []);
+  const [bankHolidayData, setBankHolidayData] = usePersistentState('railwayCalendar.bankHolidayData', null);
+  const [location, setLocation] = usePersistentState('railwayCalendar.location', RailwayDateAPI.getLocation().id);
+  const [darknessCheck, setDarknessCheck] = usePersistentState('railwayCalendar.darknessCheck', {
+    enabled: false, twilight: 'civil', useRoster: true, start: '06:00', end: '14:00'
+  });
+  const [themeId, setThemeId] = usePersistentState('railwayCalendar.theme', 'dark');
+  const [periodPaletteId, setPeriodPaletteId] = usePersistentState('railwayCalendar.periodPalette', 'standard');
+  const [activePanel, setActivePanel] = useState(null);
+  const [dialog, setDialog] = useState(null); // 'goToWeek', 'shortcuts' or 'exportImage'
+  const [printLayout, setPrintLayout] = useState(null); // print mode, see PrintLayout
+  
+  const profile = RailwayDateAPI.getProfile(profileId);
+  
+  // A stored location that no longer resolves (e.g. a renamed station) falls back to London
+  const locationInfo = useMemo(() => {
+    try {
+      return RailwayDateAPI.getLocation(location);
+    } catch (err) {
+      return RailwayDateAPI.getLocation();
+    }
+  }, [location]);
   
   const today = new Date();
   today.setHours(0, 0, 0, 0);
-  const todayInfo = RailwayDateAPI.dateToRailway(today);
+  const todayInfo = RailwayDateAPI.dateToRailway(today, profile);
   const selectedSeasonInfo = useMemo(() => getSeasonInfo(selectedDate), [selectedDate]);
   
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'];
-  const dayNames = ['Sat', 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+  const dayNames = RailwayDateAPI.getRailWeekDayNames(profile).map(name => name.slice(0, 3));
   
-  // Tooltip handlers
+  // First day of the rail week containing a date
+  const getRailWeekStart = (date) => {
+    const start = new Date(date);
+    start.setDate(start.getDate() - ((start.getDay() - profile.weekStartDay + 7) % 7));
+    return start;
+  };
+  
+  // Tooltip handlers, for hover and for keyboard focus
   const showTooltip = (e, content) => {
     const rect = e.currentTarget.getBoundingClientRect();
-    setTooltip({
-      visible: true,
-      content,
-      x: rect.left + rect.width / 2,
-      y: rect.top - 8
-    });
+    const next = { visible: true, content, x: rect.left + rect.width / 2, y: rect.top - 8 };
+    setTooltip(prev => (
+      prev.visible && prev.content === next.content && prev.x === next.x && prev.y === next.y ? prev : next
+    ));
   };
   
   const hideTooltip = () => {
     setTooltip(prev => ({ ...prev, visible: false, content: '' }));
   };
   
+  // Keyboard focus shows the same tooltip as hovering (focus from a mouse click doesn't)
+  const focusTooltip = (content) => (e) => {
+    if (e.currentTarget.matches(':focus-visible')) showTooltip(e, content);
+  };
+  
   // Clear tooltip when view mode changes
   useEffect(() => {
     hideTooltip();
   }, [viewMode, currentDate]);
   
+  // The theme lives on <html> so the page background and body text follow it too
+  useEffect(() => {
+    document.documentElement.dataset.theme = getTheme(themeId).id;
+  }, [themeId]);
+  
+  // Mirror the view to the URL. Moving by week, month or year and jumping to
+  // a rail week bump navigationStep, so the sync that follows pushes a history
+  // entry; anything else, such as selecting a day or restoring a view from
+  // the URL, replaces it. Each bump is used up by the sync it triggers, even
+  // when the URL comes out unchanged.
+  const [navigationStep, setNavigationStep] = useState(0);
+  const syncedNavigationStep = useRef(0);
+  useEffect(() => {
+    const search = buildUrlSearch({ viewMode, currentDate, selectedDate, profile });
+    const isNavigation = navigationStep !== syncedNavigationStep.current;
+    syncedNavigationStep.current = navigationStep;
+    if (search === window.location.search) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (isNavigation) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [viewMode, currentDate, selectedDate, profile, navigationStep]);
+  
+  useEffect(() => {
+    const restoreFromUrl = () => {
+      const state = parseUrlState(window.location.search);
+      setViewMode(state.viewMode || 'month');
+      setCurrentDate(state.currentDate || new Date());
+      setSelectedDate(state.selectedDate || normalizeDate(new Date()));
+      setProfileId(state.profileId || RailwayDateAPI.getProfile().id);
+    };
+    window.addEventListener('popstate', restoreFromUrl);
+    return () => window.removeEventListener('popstate', restoreFromUrl);
+  }, []);
+  
   // Navigate to specific day in week view
   const goToDay = (date) => {
     const normalized = normalizeDate(date);
@@ -775,8 +2635,12 @@ const RailwayCalendar = () => {
     });
   };
   
-  // Animation helper
+  // Animation helper; with reduced motion the view changes straight away
   const animateTransition = useCallback((callback) => {
+    if (prefersReducedMotion()) {
+      callback();
+      return;
+    }
     setAnimating(true);
     setTimeout(() => {
       callback();
@@ -784,23 +2648,26 @@ const RailwayCalendar = () => {
     }, 150);
   }, []);
   
-  // Navigation functions
+  // Navigation functions; each adds a browser history entry
   const navigateWeek = (delta) => {
     animateTransition(() => {
       const newDate = new Date(currentDate);
       newDate.setDate(newDate.getDate() + delta * 7);
+      setNavigationStep(step => step + 1);
       setCurrentDate(newDate);
     });
   };
   
   const navigateMonth = (delta) => {
     animateTransition(() => {
+      setNavigationStep(step => step + 1);
       setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + delta, 1));
     });
   };
   
   const navigateYear = (delta) => {
     animateTransition(() => {
+      setNavigationStep(step => step + 1);
       setCurrentDate(new Date(currentDate.getFullYear() + delta, currentDate.getMonth(), 1));
     });
   };
@@ -813,88 +2680,347 @@ const RailwayCalendar = () => {
   
   const jumpToRailwayWeek = (railwayYear, week) => {
     animateTransition(() => {
-      const { startDate } = RailwayDateAPI.railwayToDateRange(railwayYear, week);
+      const { startDate } = RailwayDateAPI.railwayToDateRange(railwayYear, week, profile);
+      setNavigationStep(step => step + 1);
       setCurrentDate(startDate);
       setViewMode('week');
     });
   };
   
+  // Week view of a converter result, selecting it when it is a single day
+  const showConvertedDate = (date, isDay) => {
+    if (isDay) setSelectedDate(date);
+    animateTransition(() => {
+      setCurrentDate(new Date(date));
+      setViewMode('week');
+    });
+  };
+  
+  // Global keyboard shortcuts (see SHORTCUTS). The listener is added once and
+  // calls through a ref so it always sees this render's state.
+  const handleShortcut = (e) => {
+    if (printLayout) {
+      if (e.key === 'Escape') setPrintLayout(null);
+      return;
+    }
+    if (e.key === 'Escape' && dialog) {
+      setDialog(null);
+      return;
+    }
+    if (dialog || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    const step = { week: navigateWeek, month: navigateMonth, year: navigateYear }[viewMode];
+    const actions = {
+      w: () => setViewMode('week'),
+      m: () => setViewMode('month'),
+      y: () => setViewMode('year'),
+      t: goToToday,
+      '[': () => step(-1),
+      ']': () => step(1),
+      g: () => setDialog('goToWeek'),
+      p: openPrintLayout,
+      '?': () => setDialog('shortcuts')
+    };
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!action) return;
+    e.preventDefault();
+    action();
+  };
+  const shortcutHandler = useRef(handleShortcut);
+  shortcutHandler.current = handleShortcut;
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutHandler.current(e);
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+  
+  // The views are rebuilt on every render, which throws away the focused
+  // cell; when that happens, focus the cell with the same data-focus-key.
+  // A mouse press elsewhere means the user has moved on.
+  const focusedItem = useRef(null);
+  const rememberFocus = (e) => {
+    if (e.target.dataset && e.target.dataset.focusKey) focusedItem.current = e.target;
+  };
+  useEffect(() => {
+    const forget = () => { focusedItem.current = null; };
+    document.addEventListener('mousedown', forget);
+    return () => document.removeEventListener('mousedown', forget);
+  }, []);
+  useEffect(() => {
+    const last = focusedItem.current;
+    if (!last || last.isConnected || (document.activeElement && document.activeElement !== document.body)) return;
+    const replacement = document.querySelector(`[data-focus-key="${last.dataset.focusKey}"]`);
+    if (replacement) focusRovingItem(replacement, { preventScroll: true });
+  });
+  
   // Get current railway info
-  const currentInfo = useMemo(() => RailwayDateAPI.dateToRailway(currentDate), [currentDate]);
+  const currentInfo = useMemo(() => RailwayDateAPI.dateToRailway(currentDate, profile), [currentDate, profile]);
+  
+  // Print mode opens on the viewed railway year: its wall planner from the
+  // Year view, otherwise the sheet for the viewed period
+  const openPrintLayout = () => setPrintLayout({
+    kind: viewMode === 'year' ? 'year' : 'period',
+    paper: 'A3',
+    railwayYear: currentInfo.railwayYear,
+    period: currentInfo.period
+  });
+  
+  // What the live region reads out after navigating
+  const viewAnnouncement = useMemo(() => {
+    const longDate = (date) => date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    let view;
+    if (viewMode === 'week') {
+      const { startDate, endDate } = RailwayDateAPI.railwayToDateRange(currentInfo.railwayYear, currentInfo.railWeek, profile);
+      view = `Week view: rail week ${currentInfo.railWeek}, period ${currentInfo.period}, RY ${currentInfo.railwayYearDisplay}, ${longDate(startDate)} to ${longDate(endDate)}`;
+    } else if (viewMode === 'month') {
+      view = `Month view: ${currentDate.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}`;
+    } else {
+      view = `Year view: railway year ${currentInfo.railwayYearDisplay}`;
+    }
+    return `${view}. Selected ${longDate(selectedDate)}.`;
+  }, [viewMode, currentDate, currentInfo, selectedDate, profile]);
+  
+  // Official bank holiday table: a loaded gov.uk file, else the bundled copy.
+  // The table is module state in the date API, so it is swapped in an effect
+  // (never during render); the new info object then re-renders the calendar
+  // and keys the getHolidaysFor lookups.
+  const [bankHolidayDataInfo, setBankHolidayDataInfo] = useState(() => RailwayDateAPI.getBankHolidayDataInfo());
+  useEffect(() => {
+    let info;
+    try {
+      info = bankHolidayData ? RailwayDateAPI.loadBankHolidayData(bankHolidayData) : RailwayDateAPI.resetBankHolidayData();
+    } catch (err) {
+      info = RailwayDateAPI.resetBankHolidayData();
+    }
+    setBankHolidayDataInfo(info);
+  }, [bankHolidayData]);
   
   // Get holidays for current view
   const holidays = useMemo(() => {
     const year = currentDate.getFullYear();
     return [
-      ...RailwayDateAPI.getUKBankHolidays(year),
-      ...RailwayDateAPI.getUKBankHolidays(year + 1)
+      ...getHolidaysFor(bankHolidayDataInfo, year, regionId),
+      ...getHolidaysFor(bankHolidayDataInfo, year + 1, regionId),
+      ...expandCustomEvents(customEvents, year),
+      ...expandCustomEvents(customEvents, year + 1)
     ];
-  }, [currentDate]);
+  }, [currentDate, customEvents, regionId, bankHolidayDataInfo]);
+  
+  // The Year or Month view as an image (see lib/view-export.mjs); the export
+  // dialog redraws whenever this renderer changes with the view
+  const viewedYear = currentDate.getFullYear();
+  const viewedMonth = currentDate.getMonth();
+  const renderViewImage = useCallback((overlays) => {
+    const options = {
+      profile,
+      region: regionId,
+      paydaySchedules,
+      events: [viewedYear - 1, viewedYear, viewedYear + 1].flatMap(y => expandCustomEvents(customEvents, y)),
+      getHolidays: (year, region) => getHolidaysFor(bankHolidayDataInfo, year, region),
+      overlays
+    };
+    return viewMode === 'year'
+      ? RailwayViewExport.renderYearSvg({ ...options, railwayYear: currentInfo.railwayYear })
+      : RailwayViewExport.renderMonthSvg({ ...options, year: viewedYear, month: viewedMonth });
+  }, [viewMode, currentInfo.railwayYear, viewedYear, viewedMonth, profile, regionId, paydaySchedules, customEvents, bankHolidayDataInfo]);
+  
+  const viewImageExport = () => (viewMode === 'year'
+    ? {
+      title: `Export RY ${currentInfo.railwayYearDisplay}`,
+      fileName: `railway-year-${currentInfo.railwayYearDisplay.replace('/', '-')}`
+    }
+    : {
+      title: `Export ${monthNames[viewedMonth]} ${viewedYear}`,
+      fileName: `railway-calendar-${viewedYear}-${String(viewedMonth + 1).padStart(2, '0')}`
+    });
   
   const isHoliday = (date) => {
     return holidays.find(h => h.date.toDateString() === date.toDateString());
   };
   
+  // Every holiday and custom event on a date
+  const getHolidays = (date) => holidays.filter(h => h.date.toDateString() === date.toDateString());
+  
+  // Holiday name with substitute and region-only notes, e.g. "2nd January (substitute day) — Scotland only"
+  const holidayLabel = (h) => {
+    const regions = RailwayDateAPI.describeHolidayRegions(h);
+    return `${h.emoji} ${h.name}${h.isSubstitute ? ' (substitute day)' : ''}${regions ? ` — ${regions}` : ''}`;
+  };
+  
+  const holidayTooltip = (dayHolidays) =>
+    dayHolidays.map(h => `${holidayLabel(h)}${h.notes ? ` — ${h.notes}` : ''}`).join('\n');
+  
+  // Parse imported calendars once; re-expand recurrences only when the viewed year changes
+  const parsedCalendars = useMemo(() => importedCalendars
+    .filter(calendar => calendar.visible)
+    .map(calendar => {
+      try {
+        return { ...calendar, events: RailwayIcs.deserializeIcsEvents(calendar.events) };
+      } catch (err) {
+        return { ...calendar, events: [] };
+      }
+    }), [importedCalendars]);
+  
+  const importedEvents = useMemo(() => {
+    const byDay = new Map();
+    parsedCalendars.forEach(calendar => {
+      RailwayIcs.expandIcsEvents(calendar.events, new Date(viewedYear - 1, 11, 1), new Date(viewedYear + 1, 11, 31)).forEach(event => {
+        const key = event.date.toDateString();
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push({ ...event, calendarName: calendar.name, color: calendar.color });
+      });
+    });
+    return byDay;
+  }, [parsedCalendars, viewedYear]);
+  
+  const getImportedEvents = (date) => importedEvents.get(date.toDateString()) || [];
+  
+  const importedEventLabel = (event) =>
+    `${event.startTime ? `${event.startTime}–${event.endTime} ` : ''}${event.title}${event.location ? ` @ ${event.location}` : ''}`;
+  
+  const importedTooltip = (events) =>
+    events.map(event => `📅 ${importedEventLabel(event)} (${event.calendarName})`).join('\n');
+  
   const isToday = (date) => date.toDateString() === today.toDateString();
   
-  // Period colors
-  const getPeriodColor = (period) => {
-    const colors = [
-      { bg: 'from-cyan-500/20 to-cyan-600/20', border: 'border-cyan-400/50', text: 'text-cyan-400' },
-      { bg: 'from-magenta-500/20 to-pink-600/20', border: 'border-pink-400/50', text: 'text-pink-400' },
-      { bg: 'from-amber-500/20 to-orange-600/20', border: 'border-amber-400/50', text: 'text-amber-400' },
-      { bg: 'from-emerald-500/20 to-teal-600/20', border: 'border-emerald-400/50', text: 'text-emerald-400' },
-      { bg: 'from-violet-500/20 to-purple-600/20', border: 'border-violet-400/50', text: 'text-violet-400' },
-      { bg: 'from-rose-500/20 to-red-600/20', border: 'border-rose-400/50', text: 'text-rose-400' },
-      { bg: 'from-sky-500/20 to-blue-600/20', border: 'border-sky-400/50', text: 'text-sky-400' },
-      { bg: 'from-lime-500/20 to-green-600/20', border: 'border-lime-400/50', text: 'text-lime-400' },
-      { bg: 'from-fuchsia-500/20 to-pink-600/20', border: 'border-fuchsia-400/50', text: 'text-fuchsia-400' },
-      { bg: 'from-yellow-500/20 to-amber-600/20', border: 'border-yellow-400/50', text: 'text-yellow-400' },
-      { bg: 'from-teal-500/20 to-cyan-600/20', border: 'border-teal-400/50', text: 'text-teal-400' },
-      { bg: 'from-indigo-500/20 to-violet-600/20', border: 'border-indigo-400/50', text: 'text-indigo-400' },
-      { bg: 'from-orange-500/20 to-red-600/20', border: 'border-orange-400/50', text: 'text-orange-400' },
-    ];
-    return colors[(period - 1) % colors.length];
+  const getPaydays = (date) => RailwayDateAPI.getPaydays(date, paydaySchedules, regionId);
+  
+  const bookedLeave = useMemo(() => new Set(leave.booked), [leave]);
+  const isLeaveDay = (date) => bookedLeave.has(toIsoDateString(date));
+  const todayLeave = RailwayLeave.getLeaveBalance(leave, todayInfo.railwayYear, roster, profile, regionId);
+  
+  // Book or cancel a day of leave; with Shift held, book every working day since the last click
+  const toggleLeaveDay = (date, extendRange) => {
+    const key = toIsoDateString(date);
+    if (extendRange && lastLeaveClick) {
+      const dates = RailwayLeave.getBookableDates(lastLeaveClick, date, leave, roster, profile, regionId);
+      setLeave(prev => ({ ...prev, booked: [...new Set([...prev.booked, ...dates])] }));
+    } else if (bookedLeave.has(key)) {
+      setLeave(prev => ({ ...prev, booked: prev.booked.filter(d => d !== key) }));
+    } else if (RailwayLeave.getLeaveCharge(date, leave, roster, profile, regionId) > 0) {
+      setLeave(prev => ({ ...prev, booked: [...prev.booked, key] }));
+    }
+    setLastLeaveClick(normalizeDate(date));
+  };
+  
+  const getShift = (date) => (roster ? RailwayRoster.getShift(date, roster, profile) : null);
+  
+  const shiftTooltip = (shift) =>
+    `🚆 ${shift.label} (${shift.code})${shift.isRest ? '' : ` ${shift.start}–${shift.end}`}` +
+    `${shift.isOverride ? ` — swapped from ${shift.rosteredCode}` : ''} • Line ${shift.line}`;
+  
+  // Start and finish of the day's shift (rostered, or the fixed times set in the
+  // Darkness panel) flagged if either is in the dark; null when not checking
+  const getDarkShift = (date, shift) => {
+    if (!darknessCheck.enabled) return null;
+    const rostered = darknessCheck.useRoster && roster;
+    if (rostered && (!shift || shift.isRest || !shift.start || !shift.end)) return null;
+    const { start, end } = rostered ? shift : darknessCheck;
+    // Night shifts finish the next morning
+    const endDate = new Date(date);
+    if (end <= start) endDate.setDate(endDate.getDate() + 1);
+    const startDark = RailwayDateAPI.isDarkAt(date, start, darknessCheck.twilight, locationInfo);
+    const endDark = RailwayDateAPI.isDarkAt(endDate, end, darknessCheck.twilight, locationInfo);
+    return startDark || endDark ? { start, end, startDark, endDark } : null;
+  };
+  
+  const darkShiftTooltip = (darkShift) => {
+    const parts = [darkShift.startDark && `Start ${darkShift.start}`, darkShift.endDark && `finish ${darkShift.end}`].filter(Boolean);
+    const twilight = RailwayDateAPI.getTwilights().find(t => t.id === darknessCheck.twilight);
+    const text = parts.join(' and ');
+    return `🔦 ${text.charAt(0).toUpperCase()}${text.slice(1)} in the dark (${twilight.name.toLowerCase()})`;
+  };
+  
+  const twilightTooltip = (dayLight) =>
+    `Civil ${dayLight.civilDawn || '—'}–${dayLight.civilDusk || '—'} • ` +
+    `Nautical ${dayLight.nauticalDawn ? `${dayLight.nauticalDawn}–${dayLight.nauticalDusk}` : 'no darkness'}`;
+  
+  const moonTooltip = (moon) =>
+    `${moon.emoji} ${moon.name}${moon.time ? ` at ${moon.time}` : ''} (${moon.illumination}% illuminated)\n` +
+    `🌙 Moonrise ${moon.moonrise || '—'} • Moonset ${moon.moonset || '—'}`;
+  
+  // Tooltip for a day cell (Month view hover, and keyboard focus in both day grids)
+  const dayTooltip = (day) =>
+    `${day.date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' })}${day.isLeave ? ' • 🌴 Annual leave' : ''}\n` +
+    `${day.isPayday ? paydayTooltip(day.paydays) : moonTooltip(day.moon)}\n` +
+    `☀️ ${day.dayLight.dayLengthFormatted} (${day.dayLight.sunrise}–${day.dayLight.sunset}, ${locationInfo.name})\n🌆 ${twilightTooltip(day.dayLight)}` +
+    `${day.holidays.length > 0 ? `\n${holidayTooltip(day.holidays)}` : ''}` +
+    `${day.shift ? `\n${shiftTooltip(day.shift)}` : ''}${day.darkShift ? `\n${darkShiftTooltip(day.darkShift)}` : ''}` +
+    `${day.imported.length > 0 ? `\n${importedTooltip(day.imported)}` : ''}`;
+  
+  // Accessible name for a day cell: the date, where it falls in the railway
+  // year and everything its badges and tooltips show
+  const describeDay = (day) => [
+    day.date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+    isToday(day.date) && 'today',
+    `rail week ${day.info.railWeek}, period ${day.info.period}`,
+    ...day.holidays.map(holidayLabel),
+    ...day.paydays.map(p => `payday: ${p.name}${paydayNominalNote(p)}`),
+    day.shift && `${day.shift.label} (${day.shift.code})${day.shift.isRest ? '' : ` ${day.shift.start} to ${day.shift.end}`}`,
+    day.darkShift && darkShiftTooltip(day.darkShift).replace('🔦 ', ''),
+    day.isLeave && 'annual leave',
+    ...day.imported.map(importedEventLabel),
+    `${day.moon.name}${day.moon.time ? ` at ${day.moon.time}` : ''}, ${day.moon.illumination}% illuminated`,
+    `sunrise ${day.dayLight.sunrise || 'none'}, sunset ${day.dayLight.sunset || 'none'}`
+  ].filter(Boolean).join(', ');
+  
+  // Paydays moved off a weekend or bank holiday still show when they were due
+  const paydayNominalNote = (payday) => {
+    if (!payday.isAdjusted) return '';
+    const nominal = payday.nominalDate.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+    return ` (due ${nominal}, moved to a working day)`;
   };
+  const paydayTooltip = (paydays) => paydays.map(p => `${p.emoji} PAYDAY! ${p.name}${paydayNominalNote(p)}`).join('\n');
+  
+  const periodPalette = getPeriodPalette(periodPaletteId);
 
   // ============================================================================
   // WEEK VIEW
   // ============================================================================
   
   const WeekView = () => {
-    const weekStart = new Date(currentDate);
-    const dayOfWeek = weekStart.getDay();
-    const daysToSaturday = (dayOfWeek + 1) % 7;
-    weekStart.setDate(weekStart.getDate() - daysToSaturday);
+    const weekStart = getRailWeekStart(currentDate);
     
     const weekDays = Array.from({ length: 7 }, (_, i) => {
       const d = new Date(weekStart);
       d.setDate(d.getDate() + i);
+      const paydays = getPaydays(d);
+      const shift = getShift(d);
       return { 
         date: d, 
-        info: RailwayDateAPI.dateToRailway(d), 
+        info: RailwayDateAPI.dateToRailway(d, profile), 
         holiday: isHoliday(d),
-        moon: RailwayDateAPI.getMoonPhase(d),
-        dayLight: RailwayDateAPI.getDayLength(d),
-        isPayday: RailwayDateAPI.isPayday(d)
+        holidays: getHolidays(d),
+        shift,
+        darkShift: getDarkShift(d, shift),
+        isLeave: isLeaveDay(d),
+        imported: getImportedEvents(d),
+        moon: RailwayDateAPI.getMoonPhase(d, locationInfo),
+        dayLight: RailwayDateAPI.getDayLength(d, locationInfo),
+        paydays,
+        isPayday: paydays.length > 0
       };
     });
     
     const weekInfo = weekDays[0].info;
-    const periodColor = getPeriodColor(weekInfo.period);
+    const periodColor = getPeriodColor(periodPalette, weekInfo.period);
+    // Keyboard focus enters the week on the selected day
+    const weekTabStop = weekDays.find(d => selectedDate && selectedDate.toDateString() === d.date.toDateString()) || weekDays[0];
+    const periodShifts = weekDays[0].shift && RailwayRoster.getPeriodShiftSummary(roster, weekInfo.railwayYear, weekInfo.period, profile);
     
     // Get all events for this week
-    const weekEvents = weekDays
-      .filter(d => d.holiday)
-      .map(d => d.holiday);
+    const weekEvents = weekDays.flatMap(d => d.holidays);
     
     // Get unique events (in case of duplicates)
     const uniqueEvents = weekEvents.filter((event, index, self) =>
       index === self.findIndex(e => e.name === event.name)
     );
     
+    // Imported calendar events, first day only for multi-day events
+    const weekImported = weekDays.flatMap(d => d.imported.map(event => ({ ...event, day: d })))
+      .filter((event, index, self) => index === self.findIndex(e => e.uid === event.uid && e.title === event.title));
+    
     return (
-      <div className={`transition-all duration-300 ${animating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
+      <div className={`transition-all duration-300 motion-reduce:transition-none ${animating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
         {/* Week Header */}
         <div className={`mb-6 p-6 rounded-2xl bg-gradient-to-r ${periodColor.bg} backdrop-blur-xl border ${periodColor.border}`}>
           <div className="flex flex-col xl:flex-row xl:items-start xl:justify-between gap-4">
@@ -904,9 +3030,10 @@ const RailwayCalendar = () => {
                 <h2 className="text-2xl font-bold text-white">
                   Week {weekInfo.railWeek} <span className="text-white/60">of {weekInfo.totalWeeks}</span>
                 </h2>
+                {weekInfo.isLongYear && <LongYearBadge profile={profile} onShowTooltip={showTooltip} onHideTooltip={hideTooltip} />}
               </div>
               <p className="text-white/70 mb-1">
-                Railway Year {weekInfo.railwayYearDisplay} • Period {weekInfo.period} • Week {weekInfo.weekInPeriod} of 4
+                Railway Year {weekInfo.railwayYearDisplay} • Period {weekInfo.period} • Week {weekInfo.weekInPeriod} of {weekInfo.weeksInPeriod}
               </p>
               <div className="flex items-center gap-2 text-white/50 text-sm">
                 <span className="uppercase tracking-wider">Date Range</span>
@@ -917,32 +3044,50 @@ const RailwayCalendar = () => {
             </div>
             
             {/* Events This Week */}
-            {uniqueEvents.length > 0 && (
+            {(uniqueEvents.length > 0 || weekImported.length > 0) && (
               <div className="xl:max-w-md">
                 <div className="text-white/50 text-xs uppercase tracking-wider mb-2">Events This Week</div>
                 <div className="flex flex-wrap gap-2">
                   {uniqueEvents.map((event, idx) => {
                     // Find the day this event occurs
-                    const eventDay = weekDays.find(d => d.holiday && d.holiday.name === event.name);
+                    const eventDay = weekDays.find(d => d.holidays.some(h => h.name === event.name));
+                    const tooltipText = `${holidayLabel(event)} — ${eventDay?.date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' })}${event.notes ? `\n${event.notes}` : ''}`;
                     return (
                       <button 
                         key={idx}
                         onClick={() => eventDay && goToDay(eventDay.date)}
-                        onMouseEnter={(e) => showTooltip(e, `${event.emoji} ${event.name} — ${eventDay?.date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' })}`)}
+                        onMouseEnter={(e) => showTooltip(e, tooltipText)}
                         onMouseLeave={hideTooltip}
+                        onFocus={focusTooltip(tooltipText)}
+                        onBlur={hideTooltip}
+                        aria-label={tooltipText.replace('\n', ', ')}
                         className={`px-3 py-1.5 rounded-xl backdrop-blur-sm flex items-center gap-2 text-sm cursor-pointer transition-all hover:scale-105 active:scale-95 ${
-                          event.type === 'bank' 
-                            ? 'bg-amber-500/20 border border-amber-400/30 text-amber-200 hover:bg-amber-500/30 hover:border-amber-400/50'
-                            : event.type === 'religious'
-                              ? 'bg-violet-500/20 border border-violet-400/30 text-violet-200 hover:bg-violet-500/30 hover:border-violet-400/50'
-                              : 'bg-cyan-500/20 border border-cyan-400/30 text-cyan-200 hover:bg-cyan-500/30 hover:border-cyan-400/50'
-                        }`}
+                          getEventColor(periodPalette, event.type).chip}`}
                       >
                         <span className="text-lg">{event.emoji}</span>
                         <span className="font-medium truncate max-w-[150px]">{event.name}</span>
                       </button>
                     );
                   })}
+                  {weekImported.map((event, idx) => {
+                    const tooltipText = `📅 ${importedEventLabel(event)} — ${event.day.date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' })}\n${event.calendarName}`;
+                    return (
+                      <button
+                        key={`imported-${idx}`}
+                        onClick={() => goToDay(event.day.date)}
+                        onMouseEnter={(e) => showTooltip(e, tooltipText)}
+                        onMouseLeave={hideTooltip}
+                        onFocus={focusTooltip(tooltipText)}
+                        onBlur={hideTooltip}
+                        aria-label={tooltipText.replace('📅 ', '').replace('\n', ', ')}
+                        className="px-3 py-1.5 rounded-xl backdrop-blur-sm flex items-center gap-2 text-sm cursor-pointer transition-all hover:scale-105 active:scale-95 bg-black/20 border text-white/80 hover:bg-white/10"
+                        style={{ borderColor: event.color }}
+                      >
+                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: event.color }}></span>
+                        <span className="font-medium truncate max-w-[150px]">{event.title}</span>
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             )}
@@ -954,6 +3099,7 @@ const RailwayCalendar = () => {
               <div className="flex items-center gap-2">
                 <Sun size={16} className="text-amber-400" />
                 <span className="text-white/50 text-xs uppercase tracking-wider">Daylight</span>
+                <span className="text-white/40 text-xs">📍 {locationInfo.name}</span>
               </div>
               
               <div className="flex items-center gap-3 px-3 py-1.5 rounded-lg bg-black/20">
@@ -964,6 +3110,29 @@ const RailwayCalendar = () => {
                 <span className="text-white/70 text-sm">{weekDays[0].dayLight.sunset}</span>
               </div>
               
+              <div
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-black/20 cursor-default"
+                onMouseEnter={(e) => showTooltip(e, `🌆 Civil twilight: outdoor work needs lighting before dawn and after dusk\n💡 Lighting-up ${weekDays[0].dayLight.lightingUp || '—'} until ${weekDays[0].dayLight.lightingDown || '—'}`)}
+                onMouseLeave={hideTooltip}
+              >
+                <span className="text-white/40 text-xs">Civil</span>
+                <span className="text-white/70 text-sm">{weekDays[0].dayLight.civilDawn || '—'} → {weekDays[0].dayLight.civilDusk || '—'}</span>
+              </div>
+              
+              <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-black/20">
+                <span className="text-white/40 text-xs">Nautical</span>
+                <span className="text-white/70 text-sm">
+                  {weekDays[0].dayLight.nauticalDawn
+                    ? `${weekDays[0].dayLight.nauticalDawn} → ${weekDays[0].dayLight.nauticalDusk}`
+                    : 'No nautical darkness'}
+                </span>
+              </div>
+              
+              <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-black/20">
+                <span className="text-white/40 text-xs">💡 Lighting-up</span>
+                <span className="text-white/70 text-sm">{weekDays[0].dayLight.lightingUp || '—'}</span>
+              </div>
+              
               <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-black/20">
                 <span className="text-white/70 text-sm">{weekDays[0].dayLight.dayLengthFormatted}</span>
                 <span className={`text-xs px-1.5 py-0.5 rounded ${weekDays[0].dayLight.daysGettingLonger ? 'bg-emerald-500/20 text-emerald-400' : 'bg-rose-500/20 text-rose-400'}`}>
@@ -983,26 +3152,49 @@ const RailwayCalendar = () => {
               </div>
             </div>
           </div>
+          
+          {/* Roster Summary */}
+          {periodShifts && (
+            <div className="mt-4 pt-4 border-t border-white/10">
+              <div className="flex flex-wrap items-center gap-3">
+                <div className="flex items-center gap-2">
+                  <Clock size={16} className="text-cyan-400" />
+                  <span className="text-white/50 text-xs uppercase tracking-wider">{roster.name}</span>
+                </div>
+                <span className="px-3 py-1.5 rounded-lg bg-black/20 text-white/70 text-sm">Line {weekDays[0].shift.line} of {roster.lines.length}</span>
+                <div className="flex flex-wrap items-center gap-2 px-3 py-1.5 rounded-lg bg-black/20 text-sm">
+                  <span className="text-white/50">P{weekInfo.period}</span>
+                  {Object.entries(periodShifts.counts).map(([code, count]) => (
+                    <span key={code} className="flex items-center gap-1 text-white/70">
+                      <span className="px-1.5 rounded text-xs font-bold text-ink" style={{ backgroundColor: roster.shiftTypes[code]?.color || '#94a3b8' }}>{code}</span>
+                      ×{count}
+                    </span>
+                  ))}
+                  <span className="text-white/50">• {periodShifts.hours}h</span>
+                </div>
+              </div>
+            </div>
+          )}
         </div>
         
         {/* Rail Track Timeline */}
-        <div className="relative mb-8">
+        <div className="relative mb-8" role="grid" aria-label={`Rail week ${weekInfo.railWeek}, ${weekInfo.railwayYearDisplay}`} aria-readonly="true">
           {/* Track line */}
-          <div className="absolute top-1/2 left-0 right-0 h-2 bg-gradient-to-r from-slate-700 via-slate-600 to-slate-700 rounded-full transform -translate-y-1/2"></div>
-          <div className="absolute top-1/2 left-0 right-0 h-1 bg-gradient-to-r from-cyan-500/50 via-amber-500/50 to-magenta-500/50 rounded-full transform -translate-y-1/2 blur-sm"></div>
+          <div aria-hidden="true" className="absolute top-1/2 left-0 right-0 h-2 bg-gradient-to-r from-slate-700 via-slate-600 to-slate-700 rounded-full transform -translate-y-1/2"></div>
+          <div aria-hidden="true" className="absolute top-1/2 left-0 right-0 h-1 bg-gradient-to-r from-cyan-500/50 via-amber-500/50 to-fuchsia-500/50 rounded-full transform -translate-y-1/2 blur-sm"></div>
           
           {/* Day segments */}
-          <div className="relative grid grid-cols-7 gap-2">
+          <div className="relative grid grid-cols-7 gap-2" role="row" data-roving-group data-roving-columns="7">
             {weekDays.map((day, idx) => (
               <div key={idx} className="flex flex-col items-center">
                 {/* Station marker */}
-                <div className={`w-6 h-6 rounded-full border-4 ${
+                <div aria-hidden="true" className={`w-6 h-6 rounded-full border-4 ${
                   selectedDate && selectedDate.toDateString() === day.date.toDateString()
                     ? 'ring-2 ring-indigo-400 ring-offset-2 ring-offset-slate-900'
                     : ''
                 } ${
                   isToday(day.date) 
-                    ? 'bg-cyan-400 border-cyan-300 shadow-lg shadow-cyan-500/50 animate-pulse' 
+                    ? 'bg-cyan-400 border-cyan-300 shadow-lg shadow-cyan-500/50 motion-safe:animate-pulse' 
                     : day.isPayday
                       ? 'bg-amber-400 border-yellow-300 shadow-lg shadow-amber-500/50'
                     : day.holiday 
@@ -1012,8 +3204,14 @@ const RailwayCalendar = () => {
                 
                 {/* Day card */}
                 <div
-                  onClick={() => setSelectedDate(normalizeDate(day.date))}
-                  className={`mt-4 w-full p-4 rounded-xl backdrop-blur-xl border transition-all hover:scale-105 cursor-pointer ${
+                  onClick={(e) => (leaveBookingMode ? toggleLeaveDay(day.date, e.shiftKey) : setSelectedDate(normalizeDate(day.date)))}
+                  {...rovingItemProps(`day:${toIsoDateString(day.date)}`, day === weekTabStop, (e) => (leaveBookingMode ? toggleLeaveDay(day.date, e.shiftKey) : setSelectedDate(normalizeDate(day.date))))}
+                  role="gridcell"
+                  aria-label={describeDay(day)}
+                  aria-selected={Boolean(selectedDate && selectedDate.toDateString() === day.date.toDateString())}
+                  onFocus={focusTooltip(dayTooltip(day))}
+                  onBlur={hideTooltip}
+                  className={`mt-4 w-full p-4 rounded-xl backdrop-blur-xl border transition-all hover:scale-105 cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300 ${
                   selectedDate && selectedDate.toDateString() === day.date.toDateString()
                     ? 'outline outline-2 outline-indigo-400/70'
                     : ''
@@ -1030,9 +3228,9 @@ const RailwayCalendar = () => {
                     {/* Payday sparkle effect */}
                     {day.isPayday && (
                       <div className="absolute inset-0 pointer-events-none overflow-hidden">
-                        <div className="absolute top-0 left-1/4 w-1 h-1 bg-yellow-300 rounded-full animate-ping" style={{ animationDelay: '0s', animationDuration: '2s' }}></div>
-                        <div className="absolute top-1/4 right-1/4 w-1 h-1 bg-amber-200 rounded-full animate-ping" style={{ animationDelay: '0.5s', animationDuration: '2s' }}></div>
-                        <div className="absolute bottom-1/4 left-1/3 w-1 h-1 bg-yellow-400 rounded-full animate-ping" style={{ animationDelay: '1s', animationDuration: '2s' }}></div>
+                        <div className="absolute top-0 left-1/4 w-1 h-1 bg-yellow-300 rounded-full motion-safe:animate-ping" style={{ animationDelay: '0s', animationDuration: '2s' }}></div>
+                        <div className="absolute top-1/4 right-1/4 w-1 h-1 bg-amber-200 rounded-full motion-safe:animate-ping" style={{ animationDelay: '0.5s', animationDuration: '2s' }}></div>
+                        <div className="absolute bottom-1/4 left-1/3 w-1 h-1 bg-yellow-400 rounded-full motion-safe:animate-ping" style={{ animationDelay: '1s', animationDuration: '2s' }}></div>
                       </div>
                     )}
                     
@@ -1050,17 +3248,49 @@ const RailwayCalendar = () => {
                       {monthNames[day.date.getMonth()].slice(0, 3)}
                     </div>
                     
+                    {/* Rostered Shift */}
+                    {day.shift && (
+                      <div
+                        className={`mt-2 px-2 py-1 rounded-md text-xs font-semibold text-ink cursor-default ${day.shift.isRest ? 'opacity-60' : ''} ${day.shift.isOverride ? 'ring-2 ring-amber-300' : ''}`}
+                        style={{ backgroundColor: day.shift.color }}
+                        onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, shiftTooltip(day.shift)); }}
+                        onMouseLeave={hideTooltip}
+                      >
+                        <div>{day.shift.code} · {day.shift.label}</div>
+                        {!day.shift.isRest && <div className="text-[10px] font-medium">{day.shift.start}–{day.shift.end}</div>}
+                      </div>
+                    )}
+                    
+                    {day.darkShift && (
+                      <div
+                        className="mt-2 px-2 py-1 rounded-md bg-indigo-500/30 text-xs text-indigo-200 cursor-default"
+                        onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, darkShiftTooltip(day.darkShift)); }}
+                        onMouseLeave={hideTooltip}
+                      >
+                        🔦 {day.darkShift.startDark && day.darkShift.endDark ? 'Dark both ends' : day.darkShift.startDark ? 'Dark start' : 'Dark finish'}
+                      </div>
+                    )}
+                    
+                    {day.isLeave && (
+                      <div className="mt-2 px-2 py-1 rounded-md bg-teal-500/30 text-xs text-teal-200">
+                        🌴 Annual leave
+                      </div>
+                    )}
+                    
                     {/* Payday Indicator */}
                     {day.isPayday && (
                       <div 
-                        className="mt-3 cursor-default"
-                        onMouseEnter={(e) => showTooltip(e, '💰 PAYDAY! 💰')}
+                        className="mt-3 cursor-default flex justify-center gap-1"
+                        onMouseEnter={(e) => showTooltip(e, paydayTooltip(day.paydays))}
                         onMouseLeave={hideTooltip}
                       >
-                        <div className="relative inline-block animate-bounce">
-                          <span className="text-3xl">💰</span>
-                          <div className="absolute -top-1 -right-1 w-2 h-2 bg-yellow-400 rounded-full animate-ping"></div>
-                        </div>
+                        {day.paydays.map(payday => (
+                          <div key={payday.id} className="relative inline-block motion-safe:animate-bounce">
+                            <span className={day.paydays.length > 1 ? 'text-2xl' : 'text-3xl'}>{payday.emoji}</span>
+                            <div className="absolute -top-1 -right-1 w-2 h-2 rounded-full motion-safe:animate-ping" style={{ backgroundColor: payday.color }}></div>
+                            <div className="absolute -top-1 -right-1 w-2 h-2 rounded-full" style={{ backgroundColor: payday.color }}></div>
+                          </div>
+                        ))}
                       </div>
                     )}
                     
@@ -1068,12 +3298,14 @@ const RailwayCalendar = () => {
                     {!day.isPayday && (
                       <div 
                         className="mt-2 cursor-default"
-                        onMouseEnter={(e) => showTooltip(e, `${day.moon.emoji} ${day.moon.name} (${day.moon.illumination}% illuminated)`)}
+                        onMouseEnter={(e) => showTooltip(e, moonTooltip(day.moon))}
                         onMouseLeave={hideTooltip}
                       >
-                        <span className={`text-xl ${day.moon.isSignificant ? 'opacity-100' : 'opacity-50'}`}>
-                          {day.moon.emoji}
-                        </span>
+                        {day.moon.isSignificant ? (
+                          <span className="text-xl">{day.moon.emoji}</span>
+                        ) : (
+                          <span className="text-[10px] text-white/30">{day.moon.illumination}%</span>
+                        )}
                       </div>
                     )}
                     
@@ -1081,7 +3313,7 @@ const RailwayCalendar = () => {
                     {!day.isPayday && (
                       <div 
                         className="mt-2 cursor-default"
-                        onMouseEnter={(e) => showTooltip(e, `☀️ ${day.dayLight.dayLengthFormatted} daylight\n🌅 Sunrise: ${day.dayLight.sunrise}\n🌇 Sunset: ${day.dayLight.sunset}\n${day.dayLight.daysGettingLonger ? '📈' : '📉'} ${day.dayLight.changeFormatted}/day`)}
+                        onMouseEnter={(e) => showTooltip(e, `☀️ ${day.dayLight.dayLengthFormatted} daylight at ${locationInfo.name}\n🌅 Sunrise: ${day.dayLight.sunrise}\n🌇 Sunset: ${day.dayLight.sunset}\n🌆 ${twilightTooltip(day.dayLight)}\n💡 Lighting-up: ${day.dayLight.lightingUp || '—'}\n${day.dayLight.daysGettingLonger ? '📈' : '📉'} ${day.dayLight.changeFormatted}/day`)}
                         onMouseLeave={hideTooltip}
                       >
                         <div className="flex items-center justify-center gap-1">
@@ -1100,14 +3332,37 @@ const RailwayCalendar = () => {
                     {day.holiday && !day.isPayday && (
                       <button
                         onClick={() => goToDay(day.date)}
-                        onMouseEnter={(e) => showTooltip(e, `${day.holiday.emoji} ${day.holiday.name}`)}
+                        onMouseEnter={(e) => showTooltip(e, holidayTooltip(day.holidays))}
                         onMouseLeave={hideTooltip}
                         className="mt-2 px-2 py-1 bg-rose-500/30 hover:bg-rose-500/40 rounded-md text-xs text-rose-300 truncate flex items-center gap-1 justify-center w-full cursor-pointer transition-all hover:scale-105"
                       >
                         <span>{day.holiday.emoji}</span>
                         <span className="truncate">{day.holiday.name.split(' ')[0]}</span>
+                        {day.holidays.length > 1 && <span className="text-rose-300/60">+{day.holidays.length - 1}</span>}
                       </button>
                     )}
+                    {/* Imported calendar events */}
+                    {day.imported.length > 0 && (
+                      <div 
+                        className="mt-2 space-y-1 cursor-default"
+                        onMouseEnter={(e) => showTooltip(e, importedTooltip(day.imported))}
+                        onMouseLeave={hideTooltip}
+                      >
+                        {day.imported.slice(0, 3).map((event, i) => (
+                          <div
+                            key={`${event.uid}-${i}`}
+                            className="px-1.5 py-0.5 rounded-md text-[10px] text-white/90 truncate text-left border-l-2 bg-black/20"
+                            style={{ borderColor: event.color }}
+                          >
+                            {event.startTime && <span className="text-white/50">{event.startTime} </span>}
+                            {event.title}
+                          </div>
+                        ))}
+                        {day.imported.length > 3 && (
+                          <div className="text-[10px] text-white/40">+{day.imported.length - 3} more</div>
+                        )}
+                      </div>
+                    )}
                     {isToday(day.date) && !day.isPayday && (
                       <div className="mt-2 px-2 py-1 bg-cyan-500/30 rounded-md text-xs text-cyan-300">
                         TODAY
@@ -1125,29 +3380,26 @@ const RailwayCalendar = () => {
           <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 mb-3">
             <span className="text-white/50 text-sm">Quick Jump to Week</span>
             <div className="flex flex-wrap gap-3 text-xs">
-              <div className="flex items-center gap-1.5">
-                <div className="w-3 h-3 rounded bg-amber-500/30 border border-amber-400/30"></div>
-                <span className="text-amber-300/70">Bank Holiday</span>
-              </div>
-              <div className="flex items-center gap-1.5">
-                <div className="w-3 h-3 rounded bg-violet-500/30 border border-violet-400/30"></div>
-                <span className="text-violet-300/70">Religious</span>
-              </div>
-              <div className="flex items-center gap-1.5">
-                <div className="w-3 h-3 rounded bg-cyan-500/30 border border-cyan-400/30"></div>
-                <span className="text-cyan-300/70">Cultural</span>
-              </div>
+              {[['bank', 'Bank Holiday'], ['religious', 'Religious'], ['cultural', 'Cultural'], ['personal', 'Personal'], ['dayOff', 'Day Off']].map(([type, label]) => (
+                <div key={type} className="flex items-center gap-1.5">
+                  <div className={`w-3 h-3 rounded ${getEventColor(periodPalette, type).swatch}`}></div>
+                  <span className={getEventColor(periodPalette, type).label}>{label}</span>
+                </div>
+              ))}
             </div>
           </div>
-          <div className="flex gap-1 overflow-x-auto pb-2">
-            {Array.from({ length: Math.min(weekInfo.totalWeeks, 52) }, (_, i) => i + 1).map(w => {
-              const wPeriod = Math.ceil(w / 4);
-              const pColor = getPeriodColor(wPeriod);
+          <div className="flex gap-1 overflow-x-auto pb-2" role="toolbar" aria-label={`Jump to a week of RY ${weekInfo.railwayYearDisplay}`} data-roving-group>
+            {Array.from({ length: weekInfo.totalWeeks }, (_, i) => i + 1).map(w => {
+              const { period: wPeriod } = RailwayDateAPI.getPeriodForWeek(weekInfo.railwayYear, w, profile);
+              const pColor = getPeriodColor(periodPalette, wPeriod);
               return (
                 <button
                   key={w}
                   onClick={() => jumpToRailwayWeek(weekInfo.railwayYear, w)}
-                  className={`flex-shrink-0 w-8 h-8 rounded-lg text-xs font-medium transition-all ${
+                  {...rovingItemProps(`week:${w}`, w === weekInfo.railWeek, () => jumpToRailwayWeek(weekInfo.railwayYear, w))}
+                  aria-label={`Week ${w}, period ${wPeriod}`}
+                  aria-current={w === weekInfo.railWeek ? 'true' : undefined}
+                  className={`flex-shrink-0 w-8 h-8 rounded-lg text-xs font-medium transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300 ${
                     w === weekInfo.railWeek
                       ? `bg-gradient-to-b ${pColor.bg} ${pColor.border} border-2 ${pColor.text}`
                       : 'bg-white/5 text-white/40 hover:bg-white/10 hover:text-white/70'
@@ -1174,10 +3426,8 @@ const RailwayCalendar = () => {
     const firstDay = new Date(year, month, 1);
     const lastDay = new Date(year, month + 1, 0);
     
-    // Start from Saturday before or on first day
-    const startDate = new Date(firstDay);
-    const dayOfWeek = startDate.getDay();
-    startDate.setDate(startDate.getDate() - ((dayOfWeek + 1) % 7));
+    // Start from the first day of the rail week containing the first day
+    const startDate = getRailWeekStart(firstDay);
     
     // Generate 6 weeks of days
     const weeks = [];
@@ -1185,14 +3435,22 @@ const RailwayCalendar = () => {
     for (let w = 0; w < 6; w++) {
       const week = [];
       for (let d = 0; d < 7; d++) {
+        const paydays = getPaydays(current);
+        const shift = getShift(current);
         week.push({
           date: new Date(current),
-          info: RailwayDateAPI.dateToRailway(current),
+          info: RailwayDateAPI.dateToRailway(current, profile),
           isCurrentMonth: current.getMonth() === month,
           holiday: isHoliday(current),
-          moon: RailwayDateAPI.getMoonPhase(current),
-          dayLight: RailwayDateAPI.getDayLength(current),
-          isPayday: RailwayDateAPI.isPayday(current)
+          holidays: getHolidays(current),
+          shift,
+          darkShift: getDarkShift(current, shift),
+          isLeave: isLeaveDay(current),
+          imported: getImportedEvents(current),
+          moon: RailwayDateAPI.getMoonPhase(current, locationInfo),
+          dayLight: RailwayDateAPI.getDayLength(current, locationInfo),
+          paydays,
+          isPayday: paydays.length > 0
         });
         current.setDate(current.getDate() + 1);
       }
@@ -1202,15 +3460,29 @@ const RailwayCalendar = () => {
       }
     }
     
+    // Keyboard focus enters the grid on the selected day, or the 1st of the month
+    const monthDays = weeks.flat().filter(d => d.isCurrentMonth);
+    const monthTabStop = monthDays.find(d => selectedDate && selectedDate.toDateString() === d.date.toDateString()) || monthDays[0];
+    
     return (
-      <div className={`transition-all duration-300 ${animating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
-        <div className="rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10 overflow-hidden">
+      <div className={`transition-all duration-300 motion-reduce:transition-none ${animating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
+        <div className="flex justify-end mb-3">
+          <ExportImageButton onClick={() => setDialog('exportImage')} />
+        </div>
+        <div
+          className="rounded-2xl bg-white/5 backdrop-blur-xl border border-white/10 overflow-hidden"
+          role="grid"
+          aria-label={`${monthNames[month]} ${year}`}
+          aria-readonly="true"
+          data-roving-group
+          data-roving-columns="7"
+        >
           {/* Header */}
-          <div className="grid grid-cols-9 bg-gradient-to-r from-slate-800/50 to-slate-700/50 border-b border-white/10">
-            <div className="p-3 text-center text-cyan-400 text-xs font-medium uppercase tracking-wider">Week</div>
-            <div className="p-3 text-center text-amber-400 text-xs font-medium uppercase tracking-wider">Period</div>
+          <div role="row" className="grid grid-cols-9 bg-gradient-to-r from-slate-800/50 to-slate-700/50 border-b border-white/10">
+            <div role="columnheader" aria-label="Rail week" className="p-3 text-center text-cyan-400 text-xs font-medium uppercase tracking-wider">Week</div>
+            <div role="columnheader" className="p-3 text-center text-amber-400 text-xs font-medium uppercase tracking-wider">Period</div>
             {dayNames.map((day, i) => (
-              <div key={day} className="p-3 text-center text-white/60 text-xs font-medium uppercase tracking-wider">
+              <div key={day} role="columnheader" aria-label={RailwayDateAPI.getRailWeekDayNames(profile)[i]} className="p-3 text-center text-white/60 text-xs font-medium uppercase tracking-wider">
                 {day}
               </div>
             ))}
@@ -1219,25 +3491,30 @@ const RailwayCalendar = () => {
           {/* Calendar Grid */}
           {weeks.map((week, wi) => {
             const weekInfo = week[0].info;
-            const periodColor = getPeriodColor(weekInfo.period);
+            const periodColor = getPeriodColor(periodPalette, weekInfo.period);
             const isFirstWeekOfPeriod = weekInfo.weekInPeriod === 1;
             
             return (
-              <div key={wi} className="grid grid-cols-9 border-b border-white/5 last:border-0">
+              <div key={wi} role="row" className="grid grid-cols-9 border-b border-white/5 last:border-0">
                 {/* Week Number */}
-                <button 
-                  onClick={() => jumpToRailwayWeek(weekInfo.railwayYear, weekInfo.railWeek)}
-                  onMouseEnter={(e) => showTooltip(e, `Go to Week ${weekInfo.railWeek}`)}
-                  onMouseLeave={hideTooltip}
-                  className={`p-2 flex items-center justify-center bg-gradient-to-r ${periodColor.bg} border-r border-white/10 cursor-pointer hover:brightness-125 transition-all`}
-                >
-                  <span className={`px-2 py-1 rounded-lg bg-black/30 ${periodColor.text} font-bold text-sm`}>
-                    W{weekInfo.railWeek}
-                  </span>
-                </button>
+                <div role="rowheader" className="flex">
+                  <button 
+                    onClick={() => jumpToRailwayWeek(weekInfo.railwayYear, weekInfo.railWeek)}
+                    onMouseEnter={(e) => showTooltip(e, `Go to Week ${weekInfo.railWeek}`)}
+                    onMouseLeave={hideTooltip}
+                    onFocus={focusTooltip(`Go to Week ${weekInfo.railWeek}`)}
+                    onBlur={hideTooltip}
+                    aria-label={`Rail week ${weekInfo.railWeek}, period ${weekInfo.period}: open in Week view`}
+                    className={`flex-1 p-2 flex items-center justify-center bg-gradient-to-r ${periodColor.bg} border-r border-white/10 cursor-pointer hover:brightness-125 transition-all`}
+                  >
+                    <span className={`px-2 py-1 rounded-lg bg-black/30 ${periodColor.text} font-bold text-sm`}>
+                      W{weekInfo.railWeek}
+                    </span>
+                  </button>
+                </div>
                 
                 {/* Period */}
-                <div className={`p-2 flex items-center justify-center bg-gradient-to-r ${periodColor.bg} border-r border-white/10 ${
+                <div role="gridcell" aria-label={`Period ${weekInfo.period}, week ${weekInfo.weekInPeriod}`} className={`p-2 flex items-center justify-center bg-gradient-to-r ${periodColor.bg} border-r border-white/10 ${
                   isFirstWeekOfPeriod ? 'border-t-2 ' + periodColor.border : ''
                 }`}>
                   {isFirstWeekOfPeriod && (
@@ -1253,20 +3530,26 @@ const RailwayCalendar = () => {
                   return (
                     <div
                       key={di}
-                      onClick={() => goToDay(day.date)}
-                      onMouseEnter={(e) => showTooltip(e, `${day.date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' })}\n${day.isPayday ? '💰 PAYDAY! 💰' : day.moon.emoji + ' ' + day.moon.name}\n☀️ ${day.dayLight.dayLengthFormatted} (${day.dayLight.sunrise}–${day.dayLight.sunset})`)}
+                      onClick={(e) => (leaveBookingMode ? toggleLeaveDay(day.date, e.shiftKey) : goToDay(day.date))}
+                      {...rovingItemProps(`day:${toIsoDateString(day.date)}`, day === monthTabStop, (e) => (leaveBookingMode ? toggleLeaveDay(day.date, e.shiftKey) : goToDay(day.date)))}
+                      role="gridcell"
+                      aria-label={describeDay(day)}
+                      aria-selected={Boolean(isSelected)}
+                      onMouseEnter={(e) => showTooltip(e, dayTooltip(day))}
                       onMouseLeave={hideTooltip}
+                      onFocus={focusTooltip(dayTooltip(day))}
+                      onBlur={hideTooltip}
                       className={`group p-1.5 min-h-[75px] transition-all border-r border-white/5 last:border-0 cursor-pointer ${
-                        day.isCurrentMonth ? 'bg-white/[0.02]' : ''
-                      } ${isToday(day.date) ? 'ring-2 ring-inset ring-cyan-400' : ''} ${day.isPayday ? 'ring-2 ring-inset ring-amber-400' : ''} ${isSelected ? 'ring-2 ring-indigo-400 ring-offset-2 ring-offset-slate-900' : ''} hover:bg-white/10 active:bg-white/15`}
+                        day.isLeave ? 'bg-teal-500/15' : day.isCurrentMonth ? 'bg-white/[0.02]' : ''
+                      } ${isToday(day.date) ? 'ring-2 ring-inset ring-cyan-400' : ''} ${day.isPayday ? 'ring-2 ring-inset ring-amber-400' : ''} ${day.darkShift && day.isCurrentMonth ? 'ring-1 ring-inset ring-indigo-400/60' : ''} ${isSelected ? 'ring-2 ring-indigo-400 ring-offset-2 ring-offset-slate-900' : ''} hover:bg-white/10 active:bg-white/15 focus:outline-none focus-visible:outline focus-visible:outline-2 focus-visible:-outline-offset-2 focus-visible:outline-cyan-300`}
                     >
                       <div className="flex flex-col h-full relative">
                         {/* Payday sparkle background */}
                         {day.isPayday && day.isCurrentMonth && (
                           <div className="absolute inset-0 pointer-events-none overflow-hidden opacity-30">
-                            <div className="absolute top-1 left-1 w-1 h-1 bg-yellow-300 rounded-full animate-ping" style={{ animationDuration: '3s' }}></div>
-                            <div className="absolute top-2 right-2 w-0.5 h-0.5 bg-amber-200 rounded-full animate-ping" style={{ animationDelay: '1s', animationDuration: '3s' }}></div>
-                            <div className="absolute bottom-1 left-3 w-0.5 h-0.5 bg-yellow-400 rounded-full animate-ping" style={{ animationDelay: '2s', animationDuration: '3s' }}></div>
+                            <div className="absolute top-1 left-1 w-1 h-1 bg-yellow-300 rounded-full motion-safe:animate-ping" style={{ animationDuration: '3s' }}></div>
+                            <div className="absolute top-2 right-2 w-0.5 h-0.5 bg-amber-200 rounded-full motion-safe:animate-ping" style={{ animationDelay: '1s', animationDuration: '3s' }}></div>
+                            <div className="absolute bottom-1 left-3 w-0.5 h-0.5 bg-yellow-400 rounded-full motion-safe:animate-ping" style={{ animationDelay: '2s', animationDuration: '3s' }}></div>
                           </div>
                         )}
                         
@@ -1281,20 +3564,35 @@ const RailwayCalendar = () => {
                                 : 'text-white/30'
                           }`}>
                             {day.date.getDate()}
+                            {day.shift && (
+                              <span
+                                className={`ml-1 px-1 rounded text-[10px] font-bold text-ink ${day.isCurrentMonth ? '' : 'opacity-40'} ${day.shift.isOverride ? 'ring-1 ring-amber-300' : ''}`}
+                                style={{ backgroundColor: day.shift.color }}
+                              >
+                                {day.shift.code}
+                              </span>
+                            )}
+                            {day.darkShift && <span className={`ml-1 text-xs ${day.isCurrentMonth ? '' : 'opacity-40'}`}>🔦</span>}
+                            {day.isLeave && <span className="ml-1 text-xs">🌴</span>}
                           </div>
                           {/* Icon - Payday or Moon Phase */}
                           {day.isPayday && day.isCurrentMonth ? (
                             <span 
-                              className="text-base animate-pulse"
-                              onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, '💰 PAYDAY! 💰'); }}
+                              className="text-base motion-safe:animate-pulse flex items-center gap-0.5"
+                              onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, paydayTooltip(day.paydays)); }}
                               onMouseLeave={hideTooltip}
                             >
-                              💰
+                              {day.paydays.map(payday => (
+                                <span key={payday.id} className="relative">
+                                  {payday.emoji}
+                                  <span className="absolute -bottom-0.5 left-1/2 -translate-x-1/2 w-1 h-1 rounded-full" style={{ backgroundColor: payday.color }}></span>
+                                </span>
+                              ))}
                             </span>
-                          ) : (
+                          ) : day.moon.isSignificant && (
                             <span 
-                              className={`text-xs ${day.isCurrentMonth ? (day.moon.isSignificant ? 'opacity-90' : 'opacity-40') : 'opacity-20'}`}
-                              onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, `${day.moon.emoji} ${day.moon.name} (${day.moon.illumination}%)`); }}
+                              className={`text-xs ${day.isCurrentMonth ? 'opacity-90' : 'opacity-20'}`}
+                              onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, moonTooltip(day.moon)); }}
                               onMouseLeave={hideTooltip}
                             >
                               {day.moon.emoji}
@@ -1306,7 +3604,7 @@ const RailwayCalendar = () => {
                         {!day.isPayday && (
                           <div 
                             className={`mt-1 h-1 w-full rounded-full overflow-hidden ${day.isCurrentMonth ? 'bg-slate-700' : 'bg-slate-800'}`}
-                            onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, `☀️ ${day.dayLight.dayLengthFormatted}\n🌅 ${day.dayLight.sunrise} → 🌇 ${day.dayLight.sunset}`); }}
+                            onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, `☀️ ${day.dayLight.dayLengthFormatted} at ${locationInfo.name}\n🌅 ${day.dayLight.sunrise} → 🌇 ${day.dayLight.sunset}\n🌆 ${twilightTooltip(day.dayLight)}`); }}
                             onMouseLeave={hideTooltip}
                           >
                             <div 
@@ -1319,14 +3617,23 @@ const RailwayCalendar = () => {
                         {day.holiday && !day.isPayday && (
                           <button 
                             onClick={(e) => { e.stopPropagation(); goToDay(day.date); }}
-                            onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, `${day.holiday.emoji} ${day.holiday.name}`); }}
+                            onMouseEnter={(e) => { e.stopPropagation(); showTooltip(e, holidayTooltip(day.holidays)); }}
                             onMouseLeave={hideTooltip}
                             className="mt-1 text-[10px] text-rose-400 truncate flex items-center gap-0.5 hover:text-rose-300 cursor-pointer transition-all hover:scale-105 w-full"
                           >
                             <span>{day.holiday.emoji}</span>
                             <span className="truncate">{day.holiday.name.split(' ')[0]}</span>
+                            {day.holidays.length > 1 && <span className="text-rose-400/60">+{day.holidays.length - 1}</span>}
                           </button>
                         )}
+                        {day.imported.length > 0 && (
+                          <div className={`mt-1 flex items-center gap-1 min-w-0 ${day.isCurrentMonth ? '' : 'opacity-40'}`}>
+                            {day.imported.slice(0, 3).map((event, i) => (
+                              <span key={`${event.uid}-${i}`} className="w-1.5 h-1.5 rounded-full shrink-0" style={{ backgroundColor: event.color }}></span>
+                            ))}
+                            <span className="text-[10px] text-white/60 truncate">{day.imported[0].title}</span>
+                          </div>
+                        )}
                         {isToday(day.date) && !day.isPayday && (
                           <div className="mt-auto">
                             <span className="text-[10px] px-1.5 py-0.5 rounded bg-cyan-500/30 text-cyan-300">
@@ -1352,29 +3659,33 @@ const RailwayCalendar = () => {
   
   const YearView = () => {
     const railwayYear = currentInfo.railwayYear;
-    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear);
-    const periods = Math.ceil(totalWeeks / 4);
+    const totalWeeks = RailwayDateAPI.getTotalWeeks(railwayYear, profile);
+    const periods = RailwayDateAPI.getPeriodCount(railwayYear, profile);
     
     return (
-      <div className={`transition-all duration-300 ${animating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
+      <div className={`transition-all duration-300 motion-reduce:transition-none ${animating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
         {/* Railway Year Header */}
         <div className="mb-6 p-6 rounded-2xl bg-gradient-to-r from-violet-500/20 to-purple-600/20 backdrop-blur-xl border border-violet-400/30">
           <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
             <div>
-              <h2 className="text-2xl font-bold text-white mb-1">
-                Railway Year {railwayYear}/{(railwayYear + 1).toString().slice(-2)}
-              </h2>
+              <div className="flex items-center gap-3 mb-1">
+                <h2 className="text-2xl font-bold text-white">
+                  Railway Year {railwayYear}/{(railwayYear + 1).toString().slice(-2)}
+                </h2>
+                {RailwayDateAPI.isLongYear(railwayYear, profile) && <LongYearBadge profile={profile} onShowTooltip={showTooltip} onHideTooltip={hideTooltip} />}
+              </div>
               <p className="text-white/60">
-                {RailwayDateAPI.getWeekOneStart(railwayYear).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })} — {
+                {RailwayDateAPI.getWeekOneStart(railwayYear, profile).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })} — {
                   (() => {
-                    const end = new Date(RailwayDateAPI.getWeekOneStart(railwayYear + 1));
+                    const end = new Date(RailwayDateAPI.getWeekOneStart(railwayYear + 1, profile));
                     end.setDate(end.getDate() - 1);
                     return end.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
                   })()
                 }
               </p>
             </div>
-            <div className="flex gap-4">
+            <div className="flex items-center gap-4">
+              <ExportImageButton onClick={() => setDialog('exportImage')} />
               <div className="text-center px-4 py-2 rounded-xl bg-white/10">
                 <div className="text-2xl font-bold text-violet-300">{totalWeeks}</div>
                 <div className="text-xs text-white/50">Weeks</div>
@@ -1388,21 +3699,57 @@ const RailwayCalendar = () => {
         </div>
         
         {/* Periods Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+        <div
+          className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4"
+          role="group"
+          aria-label={`Periods of RY ${railwayYear}/${(railwayYear + 1).toString().slice(-2)}`}
+          data-roving-group
+        >
           {Array.from({ length: periods }, (_, p) => {
             const period = p + 1;
-            const periodColor = getPeriodColor(period);
-            const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period);
+            const periodColor = getPeriodColor(periodPalette, period);
+            const { startDate, endDate, startWeek, endWeek } = RailwayDateAPI.getPeriodDates(railwayYear, period, profile);
             const weeksInPeriod = endWeek - startWeek + 1;
             
+            // Each rail week of the period with its paydays, one marker per schedule
+            const periodWeeks = Array.from({ length: weeksInPeriod }, (_, w) => {
+              const weekNum = startWeek + w;
+              const paydays = [];
+              const { startDate: weekStartDate } = RailwayDateAPI.railwayToDateRange(railwayYear, weekNum, profile);
+              for (let i = 0; i < 7; i++) {
+                const d = new Date(weekStartDate);
+                d.setDate(d.getDate() + i);
+                paydays.push(...getPaydays(d));
+              }
+              return {
+                weekNum,
+                isCurrentWeek: weekNum === todayInfo.railWeek && railwayYear === todayInfo.railwayYear,
+                paydays
+              };
+            });
+            const paydayLine = (p) =>
+              `${p.emoji} ${p.name} — ${p.date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })}${paydayNominalNote(p)}`;
+            const periodPaydays = periodWeeks.flatMap(week => week.paydays);
+            const periodLabel = [
+              `Period ${period}, ${startDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'long' })} to ${endDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}`,
+              `weeks ${startWeek} to ${endWeek}`,
+              periodWeeks.some(week => week.isCurrentWeek) && 'includes today',
+              ...periodPaydays.map(p => `payday: ${paydayLine(p).replace(`${p.emoji} `, '')}`)
+            ].filter(Boolean).join(', ');
+            
             return (
               <div
                 key={period}
-                className={`rounded-2xl bg-gradient-to-br ${periodColor.bg} backdrop-blur-xl border ${periodColor.border} overflow-hidden cursor-pointer hover:scale-[1.02] transition-all`}
+                className={`rounded-2xl bg-gradient-to-br ${periodColor.bg} backdrop-blur-xl border ${periodColor.border} overflow-hidden cursor-pointer hover:scale-[1.02] transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-300`}
                 onClick={() => {
                   jumpToRailwayWeek(railwayYear, startWeek);
                   setViewMode('week');
                 }}
+                {...rovingItemProps(`period:${period}`, period === currentInfo.period, () => jumpToRailwayWeek(railwayYear, startWeek))}
+                role="button"
+                aria-label={`${periodLabel}: open in Week view`}
+                onFocus={focusTooltip(periodPaydays.length > 0 ? periodPaydays.map(paydayLine).join('\n') : `Period ${period}: weeks ${startWeek}–${endWeek}`)}
+                onBlur={hideTooltip}
               >
                 <div className="p-4">
                   <div className="flex items-center justify-between mb-3">
@@ -1414,24 +3761,29 @@ const RailwayCalendar = () => {
                     {startDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} — {endDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}
                   </div>
                   
-                  {/* Week indicators */}
-                  <div className="flex gap-1">
-                    {Array.from({ length: weeksInPeriod }, (_, w) => {
-                      const weekNum = startWeek + w;
-                      const isCurrentWeek = weekNum === todayInfo.railWeek && railwayYear === todayInfo.railwayYear;
-                      return (
-                        <div
-                          key={w}
-                          className={`flex-1 h-8 rounded-lg flex items-center justify-center text-xs font-medium ${
-                            isCurrentWeek
-                              ? 'bg-cyan-500 text-white shadow-lg shadow-cyan-500/50'
-                              : 'bg-white/10 text-white/60'
-                          }`}
-                        >
-                          {weekNum}
-                        </div>
-                      );
-                    })}
+                  {/* Week indicators (announced in the card's label) */}
+                  <div className="flex gap-1" aria-hidden="true">
+                    {periodWeeks.map(({ weekNum, isCurrentWeek, paydays: weekPaydays }) => (
+                      <div
+                        key={weekNum}
+                        className={`relative flex-1 h-8 rounded-lg flex items-center justify-center text-xs font-medium ${
+                          isCurrentWeek
+                            ? 'bg-cyan-500 text-white shadow-lg shadow-cyan-500/50'
+                            : 'bg-white/10 text-white/60'
+                        }`}
+                        onMouseEnter={weekPaydays.length > 0 ? (e) => showTooltip(e, weekPaydays.map(paydayLine).join('\n')) : undefined}
+                        onMouseLeave={weekPaydays.length > 0 ? hideTooltip : undefined}
+                      >
+                        {weekNum}
+                        {weekPaydays.length > 0 && (
+                          <div className="absolute bottom-0.5 left-1/2 -translate-x-1/2 flex gap-0.5">
+                            {weekPaydays.map((p, i) => (
+                              <span key={i} className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: p.color }}></span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -1446,13 +3798,30 @@ const RailwayCalendar = () => {
   // MAIN RENDER
   // ============================================================================
   
+  if (printLayout) {
+    return (
+      <PrintLayout
+        layout={printLayout}
+        onChange={setPrintLayout}
+        onClose={() => setPrintLayout(null)}
+        profile={profile}
+        regionId={regionId}
+        paydaySchedules={paydaySchedules}
+        customEvents={customEvents}
+        roster={roster}
+        leave={leave}
+        bankHolidayDataInfo={bankHolidayDataInfo}
+      />
+    );
+  }
+  
   return (
     <div className="min-h-screen bg-slate-950 text-white">
       {/* Animated Background */}
       <div className="fixed inset-0 overflow-hidden pointer-events-none">
-        <div className="absolute top-0 left-1/4 w-96 h-96 bg-cyan-500/10 rounded-full blur-[128px] animate-pulse"></div>
-        <div className="absolute bottom-0 right-1/4 w-96 h-96 bg-magenta-500/10 rounded-full blur-[128px] animate-pulse" style={{ animationDelay: '1s' }}></div>
-        <div className="absolute top-1/2 left-1/2 w-64 h-64 bg-amber-500/10 rounded-full blur-[100px] animate-pulse" style={{ animationDelay: '2s' }}></div>
+        <div className="absolute top-0 left-1/4 w-96 h-96 bg-cyan-500/10 rounded-full blur-[128px] motion-safe:animate-pulse"></div>
+        <div className="absolute bottom-0 right-1/4 w-96 h-96 bg-fuchsia-500/10 rounded-full blur-[128px] motion-safe:animate-pulse" style={{ animationDelay: '1s' }}></div>
+        <div className="absolute top-1/2 left-1/2 w-64 h-64 bg-amber-500/10 rounded-full blur-[100px] motion-safe:animate-pulse" style={{ animationDelay: '2s' }}></div>
         
         {/* Grid overlay */}
         <div className="absolute inset-0 bg-[linear-gradient(rgba(255,255,255,0.02)_1px,transparent_1px),linear-gradient(90deg,rgba(255,255,255,0.02)_1px,transparent_1px)] bg-[size:64px_64px]"></div>
@@ -1471,7 +3840,7 @@ const RailwayCalendar = () => {
                   Railway Calendar
                 </h1>
               </div>
-              <p className="text-white/50">Network Rail Week Number System</p>
+              <p className="text-white/50">{profile.name} Week Number System</p>
             </div>
             
             {/* Today's Info Cards */}
@@ -1488,6 +3857,21 @@ const RailwayCalendar = () => {
                 <div className="text-violet-400/70 text-xs uppercase tracking-wider">Railway Year</div>
                 <div className="text-violet-300 font-bold text-xl">{todayInfo.railwayYearDisplay}</div>
               </div>
+              <button
+                type="button"
+                onClick={() => setActivePanel(prev => (prev === 'leave' ? null : 'leave'))}
+                className="px-4 py-3 rounded-2xl bg-teal-500/10 border border-teal-500/30 backdrop-blur text-left hover:bg-teal-500/20 transition-all"
+              >
+                <div className="text-teal-400/70 text-xs uppercase tracking-wider">Leave</div>
+                <div className="text-teal-300 font-bold text-xl">
+                  {todayLeave.remaining !== null
+                    ? <>{formatLeaveAmount(todayLeave.remaining, todayLeave.unit)} <span className="text-teal-400/60 text-sm font-medium">left</span></>
+                    : <span className="text-base font-medium">Set up</span>}
+                </div>
+                {todayLeave.booked > 0 && (
+                  <div className="text-teal-400/60 text-xs">{formatLeaveAmount(todayLeave.booked, todayLeave.unit)} booked</div>
+                )}
+              </button>
             </div>
           </div>
 
@@ -1500,7 +3884,7 @@ const RailwayCalendar = () => {
                 className="w-full h-44 md:h-56 object-cover"
                 loading="lazy"
               />
-              <div className="absolute inset-0 bg-gradient-to-r from-black/60 via-black/25 to-black/60"></div>
+              <div className={`absolute inset-0 bg-gradient-to-r ${getTheme(themeId).bannerOverlay}`}></div>
               <div className="absolute inset-0 p-4 md:p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
                 <div>
                   <div className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-xs font-semibold backdrop-blur ${selectedSeasonInfo.badge}`}>
@@ -1604,7 +3988,7 @@ const RailwayCalendar = () => {
                 className="group relative px-6 py-2.5 rounded-xl bg-gradient-to-b from-cyan-500/20 via-violet-500/15 to-violet-600/20 border border-cyan-400/30 text-white font-medium transition-all duration-300 hover:from-cyan-500/30 hover:via-violet-500/25 hover:to-violet-600/30 hover:border-cyan-400/50 hover:shadow-lg hover:shadow-cyan-500/20 hover:scale-105 active:scale-95"
               >
                 <span className="relative z-10 flex items-center gap-2">
-                  <div className="w-2 h-2 rounded-full bg-cyan-400 animate-pulse shadow-lg shadow-cyan-400/50"></div>
+                  <div className="w-2 h-2 rounded-full bg-cyan-400 motion-safe:animate-pulse shadow-lg shadow-cyan-400/50"></div>
                   Today
                 </span>
               </button>
@@ -1663,25 +4047,269 @@ const RailwayCalendar = () => {
               </div>
             </div>
           </div>
+          
+          {/* Settings & Tools */}
+          <div className="mt-4 pt-4 border-t border-white/10 flex flex-wrap items-center gap-3">
+            {/* Calendar Profile */}
+            <label className="flex items-center gap-3 px-4 py-2 rounded-xl bg-black/20 border border-white/5">
+              <Train size={16} className="text-violet-400" />
+              <div>
+                <div className="text-white/40 text-xs uppercase tracking-wider">Calendar</div>
+                <select
+                  value={profileId}
+                  onChange={(e) => setProfileId(e.target.value)}
+                  className="bg-transparent text-sm font-semibold text-white focus:outline-none cursor-pointer"
+                >
+                  {RailwayDateAPI.getProfiles().map(p => (
+                    <option key={p.id} value={p.id} className="bg-slate-900">{p.name}</option>
+                  ))}
+                </select>
+              </div>
+            </label>
+            
+            {/* Bank Holiday Region */}
+            <label className="flex items-center gap-3 px-4 py-2 rounded-xl bg-black/20 border border-white/5">
+              <span className="text-base">🏛️</span>
+              <div>
+                <div className="text-white/40 text-xs uppercase tracking-wider">Bank Holidays</div>
+                <select
+                  value={regionId}
+                  onChange={(e) => setRegionId(e.target.value)}
+                  className="bg-transparent text-sm font-semibold text-white focus:outline-none cursor-pointer"
+                >
+                  {RailwayDateAPI.getRegions().map(r => (
+                    <option key={r.id} value={r.id} className="bg-slate-900">{r.name}</option>
+                  ))}
+                </select>
+              </div>
+            </label>
+            
+            {/* Location for daylight and moon times */}
+            <LocationPicker location={location} onChange={setLocation} />
+            
+            {/* Theme and period colours */}
+            <label className="flex items-center gap-3 px-4 py-2 rounded-xl bg-black/20 border border-white/5">
+              <span className="text-base">🎨</span>
+              <div>
+                <div className="text-white/40 text-xs uppercase tracking-wider">Theme</div>
+                <select
+                  value={getTheme(themeId).id}
+                  onChange={(e) => setThemeId(e.target.value)}
+                  className="bg-transparent text-sm font-semibold text-white focus:outline-none cursor-pointer"
+                >
+                  {THEMES.map(t => (
+                    <option key={t.id} value={t.id} className="bg-slate-900">{t.name}</option>
+                  ))}
+                </select>
+              </div>
+            </label>
+            
+            <label className="flex items-center gap-3 px-4 py-2 rounded-xl bg-black/20 border border-white/5">
+              <span className="flex gap-0.5" aria-hidden="true">
+                {[1, 2, 3].map(p => (
+                  <span key={p} className={`w-1.5 h-4 rounded-sm bg-gradient-to-b border ${getPeriodColor(periodPalette, p).bg} ${getPeriodColor(periodPalette, p).border}`}></span>
+                ))}
+              </span>
+              <div>
+                <div className="text-white/40 text-xs uppercase tracking-wider">Period Colours</div>
+                <select
+                  value={periodPalette.id}
+                  onChange={(e) => setPeriodPaletteId(e.target.value)}
+                  className="bg-transparent text-sm font-semibold text-white focus:outline-none cursor-pointer"
+                >
+                  {PERIOD_PALETTES.map(p => (
+                    <option key={p.id} value={p.id} className="bg-slate-900">{p.name}</option>
+                  ))}
+                </select>
+              </div>
+            </label>
+            
+            {/* Panel toggles */}
+            {[
+              { id: 'paydays', label: 'Paydays', emoji: '💰' },
+              { id: 'events', label: 'My Events', emoji: '📌' },
+              { id: 'roster', label: 'Roster', emoji: '🚆' },
+              { id: 'leave', label: 'Leave', emoji: '🌴' },
+              { id: 'bankHolidays', label: 'Holiday Data', emoji: '🏛️' },
+              { id: 'darkness', label: 'Darkness', emoji: '🔦' },
+              { id: 'converter', label: 'Converter', emoji: '🔁' },
+              { id: 'export', label: 'Export .ics', emoji: '📤' },
+              { id: 'import', label: 'Import .ics', emoji: '📥' }
+            ].map(panel => (
+              <button
+                key={panel.id}
+                type="button"
+                onClick={() => setActivePanel(prev => (prev === panel.id ? null : panel.id))}
+                className={`flex items-center gap-2 px-4 py-2.5 rounded-xl border transition-all ${
+                  activePanel === panel.id
+                    ? 'bg-amber-500/20 border-amber-400/40 text-amber-200'
+                    : 'bg-black/20 border-white/5 text-white/60 hover:text-white hover:bg-white/5'
+                }`}
+              >
+                <span>{panel.emoji}</span>
+                <span className="text-sm font-medium">{panel.label}</span>
+                {panel.id === 'paydays' && (
+                  <span className="flex gap-0.5">
+                    {paydaySchedules.map(schedule => (
+                      <span key={schedule.id} className="w-2 h-2 rounded-full" style={{ backgroundColor: schedule.color }}></span>
+                    ))}
+                  </span>
+                )}
+              </button>
+            ))}
+            
+            {/* Print layouts */}
+            <button
+              type="button"
+              onClick={openPrintLayout}
+              className="flex items-center gap-2 px-4 py-2.5 rounded-xl border bg-black/20 border-white/5 text-white/60 hover:text-white hover:bg-white/5 transition-all"
+              title="Year wall planner and period sheets (P)"
+            >
+              <span>🖨️</span>
+              <span className="text-sm font-medium">Print</span>
+            </button>
+            
+            {/* Keyboard shortcuts help */}
+            <button
+              type="button"
+              onClick={() => setDialog('shortcuts')}
+              className="flex items-center gap-2 px-4 py-2.5 rounded-xl border bg-black/20 border-white/5 text-white/60 hover:text-white hover:bg-white/5 transition-all"
+              title="Keyboard shortcuts (?)"
+            >
+              <span>⌨️</span>
+              <span className="text-sm font-medium">Shortcuts</span>
+            </button>
+          </div>
         </div>
         
+        {activePanel === 'paydays' && (
+          <PaydayScheduleEditor
+            schedules={paydaySchedules}
+            onChange={setPaydaySchedules}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+        
+        {activePanel === 'events' && (
+          <CustomEventEditor
+            events={customEvents}
+            onChange={setCustomEvents}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+        
+        {activePanel === 'roster' && (
+          <RosterEditor
+            roster={roster}
+            onChange={setRoster}
+            onClose={() => setActivePanel(null)}
+            railwayYear={currentInfo.railwayYear}
+            period={currentInfo.period}
+            profile={profile}
+            dayNames={dayNames}
+          />
+        )}
+        
+        {activePanel === 'leave' && (
+          <LeavePlanner
+            leave={leave}
+            onChange={setLeave}
+            onClose={() => { setActivePanel(null); setLeaveBookingMode(false); }}
+            railwayYear={currentInfo.railwayYear}
+            roster={roster}
+            profile={profile}
+            region={regionId}
+            bookingMode={leaveBookingMode}
+            onBookingModeChange={setLeaveBookingMode}
+          />
+        )}
+        
+        {activePanel === 'bankHolidays' && (
+          <BankHolidayDataPanel
+            data={bankHolidayData}
+            info={bankHolidayDataInfo}
+            onChange={setBankHolidayData}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+        
+        {activePanel === 'darkness' && (
+          <DarknessCheckPanel
+            settings={darknessCheck}
+            onChange={setDarknessCheck}
+            onClose={() => setActivePanel(null)}
+            hasRoster={Boolean(roster)}
+            locationName={locationInfo.name}
+          />
+        )}
+        
+        {activePanel === 'converter' && (
+          <DateConverterPanel
+            profile={profile}
+            onShow={showConvertedDate}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+        
+        {activePanel === 'export' && (
+          <IcsExportPanel
+            railwayYear={currentInfo.railwayYear}
+            profile={profile}
+            region={regionId}
+            paydaySchedules={paydaySchedules}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+        
+        {activePanel === 'import' && (
+          <IcsImportPanel
+            calendars={importedCalendars}
+            onChange={setImportedCalendars}
+            storageError={importedCalendarsStorageError}
+            onClose={() => setActivePanel(null)}
+          />
+        )}
+        
         {/* Main View */}
-        <main onMouseLeave={hideTooltip}>
-          {viewMode === 'week' && <WeekView />}
-          {viewMode === 'month' && <MonthView />}
-          {viewMode === 'year' && <YearView />}
+        {/* Views are called, not mounted as components, so their DOM (and the
+            keyboard focus in it) survives re-renders such as tooltip changes */}
+        <main onMouseLeave={hideTooltip} onFocus={rememberFocus}>
+          {viewMode === 'week' && WeekView()}
+          {viewMode === 'month' && MonthView()}
+          {viewMode === 'year' && YearView()}
         </main>
         
         <footer className="mt-8 pt-6 border-t border-white/10">
           <div className="text-white/40 text-sm text-center sm:text-left">
-            Week 1 starts on first Saturday on or after 1 April • Weeks run Saturday–Friday • 4 weeks per period
+            {RailwayDateAPI.describeProfile(profile)}
             © Colin McLaren - 2025
           </div>
         </footer>
       </div>
 
-      {/* Tooltip */}
+      {dialog === 'goToWeek' && (
+        <GoToWeekDialog
+          railwayYear={currentInfo.railwayYear}
+          profile={profile}
+          onGo={(railwayYear, week) => { setDialog(null); jumpToRailwayWeek(railwayYear, week); }}
+          onClose={() => setDialog(null)}
+        />
+      )}
+      
+      {dialog === 'shortcuts' && <ShortcutsHelp onClose={() => setDialog(null)} />}
+      
+      {dialog === 'exportImage' && viewMode !== 'week' && (
+        <ImageExportDialog {...viewImageExport()} render={renderViewImage} onClose={() => setDialog(null)} />
+      )}
+      
+      {/* Navigation announcements for screen readers */}
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {viewAnnouncement}
+      </div>
+      
+      {/* Tooltip (its content is also in the accessible names of what it describes) */}
       <div 
+        aria-hidden="true"
         className={`fixed z-50 pointer-events-none transition-all duration-150 ${
           tooltip.visible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-1'
         }`}